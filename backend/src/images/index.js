@@ -0,0 +1,48 @@
+import StockProvider from './providers/stockProvider.js';
+import AIProvider from './providers/aiProvider.js';
+import PlaceholderProvider from './providers/placeholderProvider.js';
+
+// Available image providers. Each implements isAvailable() and
+// fetchImage({ query, title, category, seed, exclude }), resolving to
+// { buffer, originalName, alt, attribution, license } or null when it found nothing.
+const PROVIDERS = {
+  stock: StockProvider,
+  ai: AIProvider,
+  placeholder: PlaceholderProvider
+};
+
+export const IMAGE_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+const instances = new Map();
+
+/**
+ * Image provider by name, created once per process
+ * @param {string} name - Provider name
+ * @returns {Object} Image provider
+ */
+export const getImageProvider = (name) => {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown image provider "${name}". Available: ${IMAGE_PROVIDER_NAMES.join(', ')}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, new Provider());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Providers to try in order, from IMAGE_PROVIDERS (comma separated)
+ * @returns {Array} Image providers
+ */
+export const getImageProviders = () =>
+  (process.env.IMAGE_PROVIDERS || 'stock,placeholder')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(getImageProvider);
+
+export default getImageProviders;
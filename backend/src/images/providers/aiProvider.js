@@ -0,0 +1,60 @@
+import OpenAI from 'openai';
+
+/**
+ * Illustrations generated with the OpenAI image API
+ */
+class AIProvider {
+  constructor(options = {}) {
+    this.name = 'ai';
+    this.model = options.model || process.env.IMAGE_AI_MODEL || 'dall-e-3';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.client = this.apiKey ? new OpenAI({ apiKey: this.apiKey }) : null;
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   * @returns {boolean} True when an OpenAI API key is set
+   */
+  isAvailable() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * Generate an illustration for an article
+   * @param {Object} subject - query, title and category
+   * @returns {Promise<Object|null>} Image buffer with alt, attribution and license
+   */
+  async fetchImage({ query, title, category }) {
+    const prompt = [
+      `Editorial illustration for a ${category || 'news'} article titled "${title}" about ${query}.`,
+      'Wide landscape composition. No text, lettering, logos or recognizable real people.'
+    ].join(' ');
+
+    const response = await this.client.images.generate({
+      model: this.model,
+      prompt,
+      n: 1,
+      size: '1792x1024',
+      response_format: 'b64_json'
+    });
+
+    const [image] = response.data || [];
+    if (!image?.b64_json) return null;
+
+    return {
+      buffer: Buffer.from(image.b64_json, 'base64'),
+      originalName: `${this.model}.png`,
+      alt: `Illustration for "${title}"`,
+      attribution: {
+        provider: this.name,
+        author: `OpenAI ${this.model}`
+      },
+      license: {
+        name: 'AI-generated (OpenAI terms of use)',
+        url: 'https://openai.com/policies/terms-of-use'
+      }
+    };
+  }
+}
+
+export default AIProvider;
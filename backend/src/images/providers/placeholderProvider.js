@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+/**
+ * Abstract gradient images drawn locally, for offline use and as the last fallback.
+ * The same seed always produces the same image.
+ */
+class PlaceholderProvider {
+  constructor() {
+    this.name = 'placeholder';
+  }
+
+  /**
+   * Always available; needs no network or keys
+   * @returns {boolean} True
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Draw a placeholder derived from the seed, or from the query when there is none
+   * @param {Object} subject - query, title and seed
+   * @returns {Promise<Object>} Image buffer with alt, attribution and license
+   */
+  async fetchImage({ query, title, seed }) {
+    const bytes = crypto.createHash('sha256').update(seed || query || title || '').digest();
+
+    const hue = Math.round((bytes[0] / 255) * 360);
+    const accent = (hue + 40 + (bytes[1] % 120)) % 360;
+    const angle = bytes[2] % 2 === 0 ? { x2: '100%', y2: '100%' } : { x2: '100%', y2: '0%' };
+
+    const circles = Array.from({ length: 5 }, (_, i) => {
+      const cx = Math.round((bytes[3 + i * 3] / 255) * WIDTH);
+      const cy = Math.round((bytes[4 + i * 3] / 255) * HEIGHT);
+      const r = 60 + Math.round((bytes[5 + i * 3] / 255) * 220);
+      return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="hsl(${(accent + i * 25) % 360}, 70%, 65%)" fill-opacity="0.25"/>`;
+    }).join('');
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}">
+      <defs>
+        <linearGradient id="bg" x1="0%" y1="0%" x2="${angle.x2}" y2="${angle.y2}">
+          <stop offset="0%" stop-color="hsl(${hue}, 65%, 45%)"/>
+          <stop offset="100%" stop-color="hsl(${accent}, 65%, 30%)"/>
+        </linearGradient>
+      </defs>
+      <rect width="100%" height="100%" fill="url(#bg)"/>
+      ${circles}
+    </svg>`;
+
+    const buffer = await sharp(Buffer.from(svg)).png().toBuffer();
+
+    return {
+      buffer,
+      originalName: `placeholder-${bytes.toString('hex', 0, 8)}.png`,
+      alt: `Abstract placeholder image for "${title || query}"`,
+      attribution: {
+        provider: this.name,
+        externalId: bytes.toString('hex', 0, 8),
+        author: 'TrendWise'
+      },
+      license: {
+        name: 'CC0 1.0',
+        url: 'https://creativecommons.org/publicdomain/zero/1.0/'
+      }
+    };
+  }
+}
+
+export default PlaceholderProvider;
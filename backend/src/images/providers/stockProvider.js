@@ -0,0 +1,68 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+const SEARCH_URL = 'https://api.pexels.com/v1/search';
+
+/**
+ * Stock photos from the Pexels search API; needs PEXELS_API_KEY
+ */
+class StockProvider {
+  constructor(options = {}) {
+    this.name = 'stock';
+    this.apiKey = options.apiKey || process.env.PEXELS_API_KEY;
+  }
+
+  /**
+   * Whether the provider can be used with the current configuration
+   * @returns {boolean} True when an API key is set
+   */
+  isAvailable() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * Search for a landscape photo and download it
+   * @param {Object} subject - query, title, category, seed and exclude (photo IDs to skip)
+   * @returns {Promise<Object|null>} Image buffer with alt, attribution and license, or null
+   */
+  async fetchImage({ query, seed = '', exclude = [] }) {
+    const { data } = await axios.get(SEARCH_URL, {
+      headers: { Authorization: this.apiKey },
+      params: { query, per_page: 15, orientation: 'landscape' },
+      timeout: 15000
+    });
+
+    const photos = (data.photos || []).filter(photo => !exclude.includes(String(photo.id)));
+    if (photos.length === 0) return null;
+
+    // The best match by default; another one of the results when re-rolling with a new seed
+    const index = seed
+      ? crypto.createHash('sha256').update(seed).digest().readUInt32BE(0) % photos.length
+      : 0;
+    const photo = photos[index];
+
+    const image = await axios.get(photo.src.large2x || photo.src.original, {
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+
+    return {
+      buffer: Buffer.from(image.data),
+      originalName: `pexels-${photo.id}.jpg`,
+      alt: photo.alt || query,
+      attribution: {
+        provider: this.name,
+        externalId: String(photo.id),
+        author: photo.photographer,
+        authorUrl: photo.photographer_url,
+        sourceUrl: photo.url
+      },
+      license: {
+        name: 'Pexels License',
+        url: 'https://www.pexels.com/license/'
+      }
+    };
+  }
+}
+
+export default StockProvider;
@@ -0,0 +1,315 @@
+import jwt from 'jsonwebtoken';
+import Article from '../models/Article.js';
+import User from '../models/User.js';
+import PermissionService from '../services/permissionService.js';
+import ApiKeyService from '../services/apiKeyService.js';
+import SanctionService from '../services/sanctionService.js';
+import { PERMISSION_SCOPES } from '../utils/permissions.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AuthMiddleware');
+const permissionService = new PermissionService();
+const apiKeyService = new ApiKeyService();
+const sanctionService = new SanctionService();
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token
+ */
+const getBearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.slice(7).trim() || null;
+};
+
+/**
+ * Get the credential sent with the request, either a session token or an API key
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw credential
+ */
+const getCredential = (req) => {
+  return req.headers['x-api-key'] || getBearerToken(req);
+};
+
+/**
+ * Verify a token issued by the frontend at NextAuth login and load its user
+ * @param {string} token - Signed JWT
+ * @returns {Promise<Object>} Active user document
+ */
+const resolveUser = async (token) => {
+  if (!process.env.JWT_SECRET) {
+    throw Object.assign(new Error('JWT_SECRET is not configured'), { status: 500 });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw Object.assign(new Error('Invalid or expired authentication token'), { status: 401 });
+  }
+
+  const user = payload.sub ? await User.findById(payload.sub).catch(() => null) : null;
+
+  if (!user) {
+    throw Object.assign(new Error('User account not found'), { status: 401 });
+  }
+
+  if (!user.isActive) {
+    throw Object.assign(new Error('User account is inactive'), { status: 403 });
+  }
+
+  return user;
+};
+
+/**
+ * Reject users with an active ban, naming the reason so they know how to appeal
+ * @param {Object} user - User document
+ */
+const assertNotBanned = (user) => {
+  const [ban] = user.getActiveSanctions(['ban']);
+
+  if (ban) {
+    throw Object.assign(
+      new Error(`User account is banned. Reason: ${ban.reason}`),
+      { status: 403, sanctionId: ban._id }
+    );
+  }
+};
+
+/**
+ * Resolve the request credential and attach req.user (and req.apiKey for key clients)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response, used for rate limit headers
+ * @param {string} credential - Raw credential
+ * @param {Object} options - allowBanned lets banned users through, e.g. to appeal
+ */
+const authenticateRequest = async (req, res, credential, { allowBanned = false } = {}) => {
+  if (!ApiKeyService.isApiKey(credential)) {
+    const user = await resolveUser(credential);
+    if (!allowBanned) assertNotBanned(user);
+    req.user = user;
+    return;
+  }
+
+  const { apiKey, user } = await apiKeyService.authenticate(credential, req.ip);
+  const rateLimit = apiKeyService.consumeRateLimit(apiKey);
+
+  res.set({
+    'X-RateLimit-Limit': rateLimit.limit,
+    'X-RateLimit-Remaining': rateLimit.remaining,
+    'X-RateLimit-Reset': Math.ceil(rateLimit.resetAt / 1000)
+  });
+
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', Math.ceil((rateLimit.resetAt - Date.now()) / 1000));
+    throw Object.assign(new Error('API key rate limit exceeded, please try again later'), { status: 429 });
+  }
+
+  if (!allowBanned) assertNotBanned(user);
+
+  req.user = user;
+  req.apiKey = apiKey;
+};
+
+const sendAuthError = (res, error) => {
+  const status = error.status || 401;
+
+  if (status === 500) {
+    logger.error('Authentication failed:', error);
+  }
+
+  const errorTitles = {
+    403: 'Access denied',
+    429: 'Too many requests'
+  };
+
+  return res.status(status).json({
+    error: errorTitles[status] || 'Authentication required',
+    message: status === 500 ? 'Authentication is not available' : error.message,
+    ...(error.sanctionId && { sanctionId: error.sanctionId })
+  });
+};
+
+const authenticate = (options) => async (req, res, next) => {
+  // Already resolved by an earlier middleware on this request
+  if (req.user) {
+    return next();
+  }
+
+  const credential = getCredential(req);
+
+  if (!credential) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Please provide a valid authentication token'
+    });
+  }
+
+  try {
+    await authenticateRequest(req, res, credential, options);
+    next();
+  } catch (error) {
+    return sendAuthError(res, error);
+  }
+};
+
+// Require a valid token or API key and an active, unbanned user
+export const authenticateUser = authenticate();
+
+// Like authenticateUser, but lets banned users in to view and appeal their sanctions
+export const authenticateSanctionedUser = authenticate({ allowBanned: true });
+
+// Attach the user when a valid credential is present, continue anonymously otherwise
+export const optionalAuth = async (req, res, next) => {
+  const credential = getCredential(req);
+
+  if (credential && !req.user) {
+    try {
+      await authenticateRequest(req, res, credential);
+    } catch (error) {
+      // Key clients over their limit are stopped even on public routes
+      if (error.status === 429) {
+        return sendAuthError(res, error);
+      }
+      logger.warn(`Ignoring invalid optional credential: ${error.message}`);
+    }
+  }
+
+  next();
+};
+
+// Require API key clients to hold a scope; session requests pass through
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.apiKey && !req.apiKey.hasScope(scope)) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: `API key is missing the ${scope} scope`
+    });
+  }
+
+  next();
+};
+
+// Reject API key clients on routes that only a signed-in user may use
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'This endpoint cannot be used with an API key'
+    });
+  }
+
+  next();
+};
+
+// Require an authenticated user holding one of the given roles
+export const requireRole = (...roles) => [
+  authenticateUser,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: `Requires one of the following roles: ${roles.join(', ')}`
+      });
+    }
+
+    next();
+  }
+];
+
+/**
+ * Check a permission for the request's user, limited by the API key's scopes
+ * when the request is authenticated with a key
+ * @param {Object} req - Express request
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} Whether the permission is granted
+ */
+export const hasRequestPermission = async (req, permission) => {
+  const scope = PERMISSION_SCOPES[permission];
+
+  if (req.apiKey && !(scope && req.apiKey.hasScope(scope))) {
+    return false;
+  }
+
+  return permissionService.hasPermission(req.user, permission);
+};
+
+// Require an authenticated user whose role grants every given permission
+export const requirePermission = (...permissions) => [
+  authenticateUser,
+  async (req, res, next) => {
+    try {
+      const restriction = sanctionService.getRestriction(req.user, 'privileged');
+      if (restriction) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: sanctionService.describeRestriction(restriction),
+          sanctionId: restriction._id
+        });
+      }
+
+      for (const permission of permissions) {
+        const scope = PERMISSION_SCOPES[permission];
+
+        if (req.apiKey && !(scope && req.apiKey.hasScope(scope))) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: `API key is missing the ${scope || permission} scope`
+          });
+        }
+
+        if (!(await permissionService.hasPermission(req.user, permission))) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: `Missing permission: ${permission}`
+          });
+        }
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Permission check failed:', error);
+      return res.status(500).json({
+        error: 'Authorization failed',
+        message: error.message
+      });
+    }
+  }
+];
+
+// Authors may only change their own articles unless they can edit any article;
+// runs after requirePermission and the :id validator
+export const requireArticleOwnership = async (req, res, next) => {
+  try {
+    const article = await Article.findById(req.params.id).select('author').lean();
+
+    if (!article) {
+      return res.status(404).json({
+        error: 'Article not found',
+        message: `No article found with ID: ${req.params.id}`
+      });
+    }
+
+    if (article.author?.toString() !== req.user._id.toString() &&
+        !(await hasRequestPermission(req, 'articles:edit:any'))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only edit your own articles'
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    logger.error('Article ownership check failed:', error);
+    return res.status(500).json({
+      error: 'Authorization failed',
+      message: error.message
+    });
+  }
+};
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../utils/permissions.js';
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Public part of the key, used to look it up without storing the secret
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  rateLimit: {
+    requestsPerMinute: {
+      type: Number,
+      min: 1,
+      max: 1000,
+      default: 60
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Never expires
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+// Instance methods
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+apiKeySchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+apiKeySchema.statics.findByUser = function(userId) {
+  return this.find({ user: userId }).sort({ createdAt: -1 });
+};
+
+// Create and export model
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
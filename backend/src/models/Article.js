@@ -1,5 +1,94 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
+import { ARTICLE_STATUSES } from '../utils/articleStatus.js';
+import { FALLBACK_CATEGORY } from '../utils/categories.js';
+import softDelete from './plugins/softDelete.js';
+import { attributionSchema, licenseSchema } from './Asset.js';
+import { renderMarkdown, countWords, readTimeFor } from '../utils/markdown.js';
+import { extractTerms } from '../utils/related.js';
+
+const reviewNoteSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['note', 'submitted', 'assigned', 'approved', 'changes_requested'],
+    default: 'note'
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  authorName: {
+    type: String,
+    default: 'system'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// MinHash signature of title and body, used to spot near-duplicates
+const fingerprintSchema = new mongoose.Schema({
+  minhash: [Number],
+  bands: [String]
+}, { _id: false });
+
+// Articles most related to this one, best first, refreshed by RelatedService
+const relatedSchema = new mongoose.Schema({
+  articles: [{
+    _id: false,
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    },
+    score: Number
+  }],
+  computedAt: Date
+}, { _id: false });
+
+// Copied from the uploaded Asset so pages can render responsive images without a lookup
+export const featuredImageSchema = new mongoose.Schema({
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  // Required when an image is set through the API, which resolves it from an asset
+  // or URL; older articles may hold an image without one and must still save
+  url: String,
+  // Required when an image is set through the API; images saved before alt text
+  // existed have none, and must still validate when their article is saved
+  alt: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: 300
+  },
+  caption: String,
+  width: Number,
+  height: Number,
+  variants: [{
+    _id: false,
+    format: String,
+    width: Number,
+    height: Number,
+    url: String
+  }],
+  attribution: {
+    type: attributionSchema,
+    default: null
+  },
+  license: {
+    type: licenseSchema,
+    default: null
+  }
+}, { _id: false });
 
 const articleSchema = new mongoose.Schema({
   title: {
@@ -13,46 +102,54 @@ const articleSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Earlier slugs, which redirect to the current one
+  slugHistory: [{
+    _id: false,
+    slug: {
+      type: String,
+      required: true
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   content: {
     type: String,
     required: true
   },
+  // Sanitized HTML rendered from content on every save; load with select('+contentHtml')
+  contentHtml: {
+    type: String,
+    select: false
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
   excerpt: {
     type: String,
     required: true,
     maxlength: 300
   },
   featuredImage: {
-    url: String,
-    alt: String,
-    caption: String
+    type: featuredImageSchema,
+    default: null
   },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     default: null // For AI-generated articles
   },
+  // Slug of a Category; checked against the category collection when articles are written
   category: {
     type: String,
     required: true,
-    enum: [
-      'technology',
-      'business',
-      'health',
-      'entertainment',
-      'sports',
-      'politics',
-      'science',
-      'lifestyle',
-      'travel',
-      'food',
-      'fashion',
-      'education',
-      'finance',
-      'environment',
-      'other'
-    ],
-    default: 'other'
+    trim: true,
+    lowercase: true,
+    default: FALLBACK_CATEGORY
   },
   tags: [{
     type: String,
@@ -61,9 +158,66 @@ const articleSchema = new mongoose.Schema({
   }],
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
-    default: 'published'
+    enum: ARTICLE_STATUSES,
+    default: 'draft'
   },
+  // Editorial review state; hidden from public responses
+  review: {
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    assignedAt: {
+      type: Date,
+      default: null
+    },
+    submittedAt: {
+      type: Date,
+      default: null
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    notes: [reviewNoteSchema]
+  },
+  // Only loaded on request with select('+fingerprint')
+  fingerprint: {
+    type: fingerprintSchema,
+    select: false,
+    default: null
+  },
+  // Most frequent body terms, used to score related articles; load with select('+terms')
+  terms: {
+    type: [{
+      _id: false,
+      term: String,
+      weight: Number
+    }],
+    select: false,
+    default: undefined
+  },
+  // Load with select('+related')
+  related: {
+    type: relatedSchema,
+    select: false,
+    default: null
+  },
+  // Existing articles this one closely resembled when it was created
+  duplicateOf: [{
+    _id: false,
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article'
+    },
+    similarity: Number
+  }],
   isAIGenerated: {
     type: Boolean,
     default: true
@@ -73,7 +227,7 @@ const articleSchema = new mongoose.Schema({
     trendScore: Number,
     source: {
       type: String,
-      enum: ['google-trends', 'twitter', 'manual'],
+      enum: ['google-trends', 'twitter', 'manual', 'search'],
       default: 'google-trends'
     },
     fetchedAt: Date
@@ -107,12 +261,25 @@ const articleSchema = new mongoose.Schema({
     readTime: {
       type: Number, // in minutes
       default: 0
+    },
+    wordCount: {
+      type: Number,
+      default: 0
     }
   },
   publishedAt: {
     type: Date,
     default: Date.now
   },
+  // Scheduled articles go live at publishAt; published ones are archived at unpublishAt
+  publishAt: {
+    type: Date,
+    default: null
+  },
+  unpublishAt: {
+    type: Date,
+    default: null
+  },
   lastModified: {
     type: Date,
     default: Date.now
@@ -122,13 +289,22 @@ const articleSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
+      delete ret.review;
+      delete ret.fingerprint;
+      delete ret.terms;
+      delete ret.related;
       return ret;
     }
   }
 });
 
 // Indexes for performance and SEO
+// Trashed articles are hidden from every query until restored or purged
+articleSchema.plugin(softDelete);
+
 articleSchema.index({ slug: 1 });
+articleSchema.index({ 'slugHistory.slug': 1 });
+articleSchema.index({ 'fingerprint.bands': 1 });
 articleSchema.index({ status: 1, publishedAt: -1 });
 articleSchema.index({ category: 1, status: 1 });
 articleSchema.index({ tags: 1 });
@@ -136,6 +312,11 @@ articleSchema.index({ 'trendData.keyword': 1 });
 articleSchema.index({ 'stats.views': -1 });
 articleSchema.index({ createdAt: -1 });
 articleSchema.index({ publishedAt: -1 });
+articleSchema.index({ status: 1, publishAt: 1 });
+articleSchema.index({ status: 1, unpublishAt: 1 });
+articleSchema.index({ 'review.assignedTo': 1, status: 1 });
+articleSchema.index({ 'featuredImage.asset': 1 });
+articleSchema.index({ 'terms.term': 1 });
 
 // Text search index
 articleSchema.index({
@@ -154,9 +335,7 @@ articleSchema.virtual('url').get(function() {
 articleSchema.virtual('estimatedReadTime').get(function() {
   if (this.stats.readTime > 0) return this.stats.readTime;
   
-  const wordsPerMinute = 200;
-  const wordCount = this.content.split(/\s+/).length;
-  return Math.ceil(wordCount / wordsPerMinute);
+  return readTimeFor(countWords(this.content));
 });
 
 // Instance methods
@@ -171,11 +350,6 @@ articleSchema.methods.generateSlug = function() {
   return baseSlug + '-' + Date.now();
 };
 
-articleSchema.methods.incrementViews = function() {
-  this.stats.views += 1;
-  return this.save();
-};
-
 articleSchema.methods.incrementLikes = function() {
   this.stats.likes += 1;
   return this.save();
@@ -212,6 +386,9 @@ articleSchema.methods.generateSEO = function() {
   if (!this.seo.keywords || this.seo.keywords.length === 0) {
     this.seo.keywords = this.tags;
   }
+  if (!this.seo.ogImage && this.featuredImage?.url) {
+    this.seo.ogImage = this.featuredImage.url;
+  }
 };
 
 // Static methods
@@ -275,11 +452,14 @@ articleSchema.pre('save', function(next) {
   // Update lastModified
   this.lastModified = new Date();
   
-  // Calculate read time
-  if (this.content && this.stats.readTime === 0) {
-    const wordsPerMinute = 200;
-    const wordCount = this.content.split(/\s+/).length;
-    this.stats.readTime = Math.ceil(wordCount / wordsPerMinute);
+  // Render HTML, table of contents, word count and read time
+  if (this.isModified('content')) {
+    const rendered = renderMarkdown(this.content);
+    this.contentHtml = rendered.html;
+    this.toc = rendered.toc;
+    this.stats.wordCount = rendered.wordCount;
+    this.stats.readTime = rendered.readTime;
+    this.terms = extractTerms(this.content);
   }
   
   // Generate SEO data
@@ -288,6 +468,25 @@ articleSchema.pre('save', function(next) {
   next();
 });
 
+// Keep the rendered fields in step when content is changed through an update query
+articleSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const content = update.content ?? update.$set?.content;
+
+  if (typeof content === 'string') {
+    const rendered = renderMarkdown(content);
+    this.set({
+      contentHtml: rendered.html,
+      toc: rendered.toc,
+      'stats.wordCount': rendered.wordCount,
+      'stats.readTime': rendered.readTime,
+      terms: extractTerms(content)
+    });
+  }
+
+  next();
+});
+
 // Create and export model
 const Article = mongoose.model('Article', articleSchema);
 
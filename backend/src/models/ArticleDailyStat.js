@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// Daily view rollup of one article, written once the day is over. Stored as a
+// MongoDB time-series collection (MongoDB 5.0+): a day is rolled up once and
+// never updated, and rollups are only deleted by article, the collection's metaField.
+const articleDailyStatSchema = new mongoose.Schema({
+  // UTC midnight of the day
+  day: {
+    type: Date,
+    required: true
+  },
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  uniqueVisitors: {
+    type: Number,
+    default: 0
+  },
+  // Views by referrer domain, most first
+  referrers: [{
+    _id: false,
+    domain: String,
+    views: Number
+  }]
+}, {
+  timeseries: {
+    timeField: 'day',
+    metaField: 'article',
+    granularity: 'hours'
+  },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+articleDailyStatSchema.index({ article: 1, day: 1 });
+
+// Create and export model
+const ArticleDailyStat = mongoose.model('ArticleDailyStat', articleDailyStatSchema);
+
+export default ArticleDailyStat;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+const articleRevisionSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  // Sequential per article, starting at 1
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  snapshot: {
+    title: String,
+    excerpt: String,
+    content: String,
+    tags: [String],
+    seo: {
+      metaTitle: String,
+      metaDescription: String,
+      keywords: [String],
+      ogTitle: String,
+      ogDescription: String,
+      ogImage: String,
+      canonicalUrl: String
+    }
+  },
+  changedFields: [String],
+  source: {
+    type: String,
+    enum: ['initial', 'create', 'generate', 'update', 'restore'],
+    required: true
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // System or AI generation
+  },
+  // Snapshot of the author so history stays readable if the user is removed
+  authorName: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+articleRevisionSchema.index({ article: 1, revision: -1 }, { unique: true });
+
+// Static methods
+articleRevisionSchema.statics.findLatest = function(articleId) {
+  return this.findOne({ article: articleId }).sort({ revision: -1 });
+};
+
+// Create and export model
+const ArticleRevision = mongoose.model('ArticleRevision', articleRevisionSchema);
+
+export default ArticleRevision;
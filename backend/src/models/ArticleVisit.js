@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// One visitor's views of an article on one UTC day, kept until the day is
+// rolled up into ArticleDailyStat. The visitor is a salted hash that changes
+// every day, so visits cannot be linked across days or back to an IP address.
+const articleVisitSchema = new mongoose.Schema({
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+  visitor: {
+    type: String,
+    required: true
+  },
+  // UTC midnight of the day
+  day: {
+    type: Date,
+    required: true
+  },
+  // Counted views; repeat views inside the dedupe window are not counted
+  views: {
+    type: Number,
+    default: 1
+  },
+  lastCountedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Referrer domain of each counted view, 'direct' when there was none
+  referrers: [String]
+});
+
+articleVisitSchema.index({ article: 1, visitor: 1, day: 1 }, { unique: true });
+articleVisitSchema.index({ day: 1, article: 1 });
+// Rollups run hourly, so three days leaves room for missed runs
+articleVisitSchema.index({ day: 1 }, { expireAfterSeconds: 3 * 24 * 60 * 60 });
+
+// Create and export model
+const ArticleVisit = mongoose.model('ArticleVisit', articleVisitSchema);
+
+export default ArticleVisit;
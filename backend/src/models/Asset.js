@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+const variantSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['webp', 'avif'],
+    required: true
+  },
+  width: {
+    type: Number,
+    required: true
+  },
+  height: Number,
+  size: Number,
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Where a sourced image came from; empty for plain uploads
+export const attributionSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['upload', 'stock', 'ai', 'placeholder'],
+    default: 'upload'
+  },
+  // ID of the image at the provider, used to skip it when re-rolling
+  externalId: String,
+  author: String,
+  authorUrl: String,
+  sourceUrl: String
+}, { _id: false });
+
+export const licenseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  url: String
+}, { _id: false });
+
+// Uploaded image with its resized variants
+const assetSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    required: true,
+    default: 'local'
+  },
+  // Storage key of the original file
+  key: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the original, so the same upload is stored once
+  hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  alt: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300
+  },
+  caption: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  variants: [variantSchema],
+  attribution: {
+    type: attributionSchema,
+    default: null
+  },
+  license: {
+    type: licenseSchema,
+    default: null
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+assetSchema.index({ createdAt: -1 });
+
+// Create and export model
+const Asset = mongoose.model('Asset', assetSchema);
+
+export default Asset;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // For system jobs
+  },
+  // Snapshot of the actor so entries stay readable if the user changes or is removed
+  actorName: String,
+  actorEmail: String,
+  actorRole: String,
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: String,
+    label: String
+  },
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for filtering
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Create and export model
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+const categorySchema = new mongoose.Schema({
+  // Stored on articles and used in /category/:slug URLs
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  seo: {
+    metaTitle: String,
+    metaDescription: String,
+    keywords: [String]
+  },
+  // Defaults used when articles are generated for this category
+  generation: {
+    // Included when generation runs without an explicit category list
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Generated articles publish straight away instead of waiting for review
+    autoPublish: {
+      type: Boolean,
+      default: false
+    },
+    tone: String,
+    wordCount: {
+      type: Number,
+      min: 300,
+      max: 5000
+    },
+    // Google Trends category code
+    trendsCategory: String,
+    // Reddit trends from these subreddits are filed under this category
+    subreddits: [{
+      type: String,
+      trim: true,
+      lowercase: true
+    }]
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
+// Create and export model
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { featuredImageSchema } from './Article.js';
+
+// Kinds of article group; series are read in order, collections are curated sets
+export const COLLECTION_KINDS = ['series', 'collection'];
+
+const collectionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: COLLECTION_KINDS,
+    required: true
+  },
+  // Used in /api/series/:slug and /api/collections/:slug URLs
+  slug: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9]+(?:-[a-z0-9]+)*$/
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  coverImage: {
+    type: featuredImageSchema,
+    default: null
+  },
+  // Member articles; for series this is the reading order
+  articles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article'
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Series and collections each have their own slugs
+collectionSchema.index({ kind: 1, slug: 1 }, { unique: true });
+collectionSchema.index({ articles: 1 });
+collectionSchema.index({ 'coverImage.asset': 1 });
+
+// Create and export model
+const Collection = mongoose.model('Collection', collectionSchema);
+
+export default Collection;
@@ -1,4 +1,10 @@
 import mongoose from 'mongoose';
+import softDelete from './plugins/softDelete.js';
+import { afterCursor, cursorSort } from '../utils/pagination.js';
+
+// Sort orders of the comment listings, shared with the cursors that page through them
+export const COMMENT_LIST_SORT = { field: 'createdAt', order: 'desc' };
+export const REPORTED_LIST_SORT = { field: 'reports.0.reportedAt', order: 'desc' };
 
 const commentSchema = new mongoose.Schema({
   content: {
@@ -10,7 +16,9 @@ const commentSchema = new mongoose.Schema({
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
+    required: function() {
+      return !this.anonymizedAt;
+    },
     index: true
   },
   article: {
@@ -37,6 +45,11 @@ const commentSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Set when the author's account was erased; author is cleared from then on
+  anonymizedAt: {
+    type: Date,
+    default: null
+  },
   likes: {
     type: Number,
     default: 0
@@ -79,6 +92,9 @@ const commentSchema = new mongoose.Schema({
   }
 });
 
+// Trashed comments are hidden from every query until restored or purged
+commentSchema.plugin(softDelete);
+
 // Indexes for performance
 commentSchema.index({ article: 1, status: 1, createdAt: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
@@ -134,9 +150,9 @@ commentSchema.methods.edit = function(newContent) {
 };
 
 commentSchema.methods.report = function(userId, reason) {
-  // Check if user already reported this comment
+  // Check if user already reported this comment; erased reporters leave a null user
   const existingReport = this.reports.find(
-    report => report.user.toString() === userId.toString()
+    report => report.user?.toString() === userId.toString()
   );
   
   if (!existingReport) {
@@ -170,17 +186,19 @@ commentSchema.methods.markAsSpam = function() {
 };
 
 // Static methods
+// after is a decoded cursor (see utils/pagination.js) and replaces skip
 commentSchema.statics.findByArticle = function(articleId, options = {}) {
-  const { status = 'approved', includeReplies = true, limit = 50, skip = 0 } = options;
-  
-  let query = this.find({ 
-    article: articleId, 
+  const { status = 'approved', includeReplies = true, limit = 50, skip = 0, after = null } = options;
+  const filter = {
+    article: articleId,
     status: status,
     parentComment: null // Only top-level comments
-  })
+  };
+
+  let query = this.find(after ? afterCursor(filter, after) : filter)
   .populate('author', 'name avatar')
-  .sort({ createdAt: -1 })
-  .skip(skip)
+  .sort(cursorSort(COMMENT_LIST_SORT))
+  .skip(after ? 0 : skip)
   .limit(limit);
   
   if (includeReplies) {
@@ -206,21 +224,25 @@ commentSchema.statics.findByUser = function(userId, options = {}) {
     .limit(limit);
 };
 
-commentSchema.statics.findPending = function() {
-  return this.find({ status: 'pending' })
+commentSchema.statics.findPending = function({ after = null } = {}) {
+  const filter = { status: 'pending' };
+
+  return this.find(after ? afterCursor(filter, after) : filter)
     .populate('author', 'name email avatar')
     .populate('article', 'title slug')
-    .sort({ createdAt: -1 });
+    .sort(cursorSort(COMMENT_LIST_SORT));
 };
 
-commentSchema.statics.findReported = function() {
-  return this.find({ 
+commentSchema.statics.findReported = function({ after = null } = {}) {
+  const filter = {
     'reports.0': { $exists: true },
     status: { $ne: 'spam' }
-  })
+  };
+
+  return this.find(after ? afterCursor(filter, after) : filter)
   .populate('author', 'name email avatar')
   .populate('article', 'title slug')
-  .sort({ 'reports.0.reportedAt': -1 });
+  .sort(cursorSort(REPORTED_LIST_SORT));
 };
 
 commentSchema.statics.getCommentStats = function(articleId) {
@@ -256,26 +278,6 @@ commentSchema.pre('save', async function(next) {
   next();
 });
 
-// Post-remove middleware
-commentSchema.post('remove', async function(doc) {
-  // Update article's comment count
-  const Article = mongoose.model('Article');
-  await Article.findByIdAndUpdate(
-    doc.article,
-    { $inc: { 'stats.commentsCount': -1 } }
-  );
-  
-  // Update user's comment count
-  const User = mongoose.model('User');
-  await User.findByIdAndUpdate(
-    doc.author,
-    { $inc: { 'stats.commentsCount': -1 } }
-  );
-  
-  // Remove all replies to this comment
-  await this.constructor.deleteMany({ parentComment: doc._id });
-});
-
 // Create and export model
 const Comment = mongoose.model('Comment', commentSchema);
 
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// Custom redirects added by admins; slug changes are tracked on the article itself
+const redirectSchema = new mongoose.Schema({
+  // Site path to redirect from, e.g. /old-landing-page
+  from: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  // Either a fixed path or URL...
+  to: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // ...or an article, followed to its current slug
+  article: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null
+  },
+  permanent: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+redirectSchema.index({ article: 1 });
+
+// Create and export model
+const Redirect = mongoose.model('Redirect', redirectSchema);
+
+export default Redirect;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { ROLES, PERMISSIONS } from '../utils/permissions.js';
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ROLES
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Create and export model
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+// One search from /api/articles/search. Nothing identifies the reader: no
+// user, IP address or user agent is stored, and the query is redacted.
+const searchLogSchema = new mongoose.Schema({
+  // Normalized query as searched
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  results: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Whether category, tag, source or date filters narrowed the results
+  filtered: {
+    type: Boolean,
+    default: false
+  },
+  // Results the reader opened, each article counted once
+  clicks: [{
+    _id: false,
+    article: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Article',
+      required: true
+    },
+    // 1-based rank in the results
+    position: {
+      type: Number,
+      min: 1
+    },
+    clickedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes for reports
+searchLogSchema.index({ createdAt: -1 });
+searchLogSchema.index({ query: 1, createdAt: -1 });
+searchLogSchema.index({ results: 1, createdAt: -1 });
+
+// Create and export model
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+export default SearchLog;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { MAX_TAG_LENGTH } from '../utils/tags.js';
+
+// Governed tags; articles may also carry tags that have no entry here
+const tagSchema = new mongoose.Schema({
+  // Canonical form, exactly as stored in Article.tags
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: MAX_TAG_LENGTH
+  },
+  // Used in /api/tags/:tag URLs
+  slug: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Normalized spellings that are replaced by the name when articles are saved
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+tagSchema.index({ synonyms: 1 });
+
+// Create and export model
+const Tag = mongoose.model('Tag', tagSchema);
+
+export default Tag;
@@ -1,5 +1,77 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { ROLES } from '../utils/permissions.js';
+
+const sanctionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['suspension', 'mute', 'ban']
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null // Permanent
+  },
+  liftedAt: {
+    type: Date,
+    default: null
+  },
+  liftedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // Lifted automatically on expiry
+  },
+  liftReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  appeal: {
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    },
+    submittedAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'upheld', 'overturned']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    response: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    }
+  }
+}, {
+  toJSON: { virtuals: true }
+});
+
+// Virtual for whether the sanction is currently in force
+sanctionSchema.virtual('isActive').get(function() {
+  if (this.liftedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
 
 const userSchema = new mongoose.Schema({
   googleId: {
@@ -27,7 +99,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   isActive: {
@@ -38,6 +110,18 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  sanctions: [sanctionSchema],
+  // Self-service account erasure, purged by the scheduler once the grace period ends
+  deletion: {
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    scheduledFor: {
+      type: Date,
+      default: null
+    }
+  },
   preferences: {
     emailNotifications: {
       type: Boolean,
@@ -64,6 +148,9 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
+      if (typeof doc.getModerationStatus === 'function') {
+        ret.moderationStatus = doc.getModerationStatus();
+      }
       return ret;
     }
   }
@@ -73,6 +160,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1, isActive: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Virtual for user's full profile
 userSchema.virtual('profile').get(function() {
@@ -104,6 +192,21 @@ userSchema.methods.incrementCommentsCount = function() {
   return this.save();
 };
 
+userSchema.methods.getActiveSanctions = function(types = null) {
+  return (this.sanctions || []).filter(sanction =>
+    sanction.isActive && (!types || types.includes(sanction.type))
+  );
+};
+
+// Most severe active sanction: ban, then suspension, then mute
+userSchema.methods.getModerationStatus = function() {
+  const active = this.getActiveSanctions().map(sanction => sanction.type);
+  if (active.includes('ban')) return 'banned';
+  if (active.includes('suspension')) return 'suspended';
+  if (active.includes('mute')) return 'muted';
+  return 'active';
+};
+
 userSchema.methods.incrementArticlesRead = function() {
   this.stats.articlesRead += 1;
   return this.save();
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Read operations that hide trashed documents unless the query opts in
+const FILTERED_QUERIES = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct'
+];
+
+/**
+ * Soft delete plugin: adds deletedAt/deletedBy, hides trashed documents from
+ * queries and aggregations, and adds trash/restore helpers
+ * @param {Object} schema - Mongoose schema
+ */
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null // Deleted by a system job
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  // Include trashed documents: Model.find(...).withDeleted()
+  schema.query.withDeleted = function() {
+    this._withDeleted = true;
+    return this;
+  };
+
+  // Only trashed documents: Model.find(...).onlyDeleted()
+  schema.query.onlyDeleted = function() {
+    this._withDeleted = true;
+    return this.where({ deletedAt: { $ne: null } });
+  };
+
+  schema.pre(FILTERED_QUERIES, function() {
+    if (this._withDeleted || 'deletedAt' in this.getFilter()) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    const [first] = this.pipeline();
+    if (first?.$match && 'deletedAt' in first.$match) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.methods.softDelete = function(userId = null) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+    return this.save();
+  };
+
+  schema.methods.restore = function() {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
+
+export default softDelete;
@@ -1,11 +1,28 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import Article from '../models/Article.js';
-import Comment from '../models/Comment.js';
+import Comment, { COMMENT_LIST_SORT, REPORTED_LIST_SORT } from '../models/Comment.js';
 import User from '../models/User.js';
 import ArticleService from '../services/articleService.js';
 import TrendService from '../services/trendService.js';
 import OpenAIService from '../services/openaiService.js';
+import PermissionService from '../services/permissionService.js';
+import AuditService from '../services/auditService.js';
+import SanctionService from '../services/sanctionService.js';
+import ReviewService from '../services/reviewService.js';
+import TrashService from '../services/trashService.js';
+import RedirectService from '../services/redirectService.js';
+import DuplicateService from '../services/duplicateService.js';
+import CategoryService from '../services/categoryService.js';
+import TagService from '../services/tagService.js';
+import CollectionService from '../services/collectionService.js';
+import SearchAnalyticsService from '../services/searchAnalyticsService.js';
+import ViewService from '../services/viewService.js';
+import { requirePermission, requireArticleOwnership, hasRequestPermission } from '../middleware/auth.js';
+import { IMAGE_PROVIDER_NAMES, getImageProvider } from '../images/index.js';
+import { ROLES, PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } from '../utils/permissions.js';
+import { ARTICLE_STATUSES, REVIEW_QUEUE_STATUSES, PENDING_REVIEW_STATUSES } from '../utils/articleStatus.js';
+import { decodeCursor, afterCursor, cursorSort, takePage, buildPagination } from '../utils/pagination.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -13,6 +30,18 @@ const logger = createLogger('AdminRouter');
 const articleService = new ArticleService();
 const trendService = new TrendService();
 const openaiService = new OpenAIService();
+const permissionService = new PermissionService();
+const auditService = new AuditService();
+const sanctionService = new SanctionService();
+const reviewService = new ReviewService();
+const trashService = new TrashService();
+const redirectService = new RedirectService();
+const duplicateService = new DuplicateService();
+const categoryService = new CategoryService();
+const tagService = new TagService();
+const collectionService = new CollectionService();
+const searchAnalyticsService = new SearchAnalyticsService();
+const viewService = new ViewService();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -26,37 +55,8 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Admin authentication middleware
-const authenticateAdmin = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Admin authentication required'
-    });
-  }
-  
-  // Mock admin user (in production, verify JWT and check role)
-  req.user = {
-    _id: '507f1f77bcf86cd799439012',
-    name: 'Admin User',
-    email: 'admin@trendwise.com',
-    role: 'admin'
-  };
-  
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({
-      error: 'Access denied',
-      message: 'Admin privileges required'
-    });
-  }
-  
-  next();
-};
-
 // Get dashboard statistics
-router.get('/stats', [authenticateAdmin], async (req, res) => {
+router.get('/stats', [requirePermission('dashboard:view')], async (req, res) => {
   try {
     logger.info('Admin requested dashboard statistics');
 
@@ -96,23 +96,26 @@ router.get('/stats', [authenticateAdmin], async (req, res) => {
 
 // Get all articles for admin management
 router.get('/articles', [
+  requirePermission('dashboard:view'),
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('status').optional().isIn(['draft', 'published', 'archived']),
+  query('status').optional().isIn(ARTICLE_STATUSES),
   query('category').optional().isString().trim(),
   query('sortBy').optional().isIn(['createdAt', 'publishedAt', 'views', 'title']),
   query('sortOrder').optional().isIn(['asc', 'desc']),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const options = {
       page: req.query.page || 1,
+      cursor: req.query.cursor,
       limit: req.query.limit || 20,
       status: req.query.status,
       category: req.query.category,
       sortBy: req.query.sortBy || 'createdAt',
-      sortOrder: req.query.sortOrder || 'desc'
+      sortOrder: req.query.sortOrder || 'desc',
+      includeReview: true
     };
 
     // Remove status filter to get all articles for admin
@@ -130,47 +133,156 @@ router.get('/articles', [
 
   } catch (error) {
     logger.error('Error getting admin articles:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch articles',
       message: error.message
     });
   }
 });
 
+// Get articles waiting in the editorial review workflow
+router.get('/review-queue', [
+  requirePermission('articles:review'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('status').optional().isIn(REVIEW_QUEUE_STATUSES),
+  query('category').optional().isString().trim(),
+  query('assignedTo').optional().custom(value => value === 'me' || value === 'none' || /^[a-f0-9]{24}$/i.test(value)),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const assignedTo = req.query.assignedTo === 'me'
+      ? req.user._id
+      : req.query.assignedTo;
+
+    const result = await reviewService.getQueue({
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+      status: req.query.status,
+      category: req.query.category,
+      assignedTo
+    });
+
+    res.json({
+      success: true,
+      data: result.articles,
+      pagination: result.pagination,
+      autoPublishCategories: await reviewService.getAutoPublishCategories()
+    });
+
+  } catch (error) {
+    logger.error('Error getting review queue:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to fetch review queue',
+      message: error.message
+    });
+  }
+});
+
+// Get clusters of near-duplicate articles to consolidate
+router.get('/duplicates', [
+  requirePermission('articles:edit'),
+  query('threshold').optional().isFloat({ min: 0.1, max: 1 }).toFloat(),
+  query('status').optional().isIn(ARTICLE_STATUSES),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const report = await duplicateService.getClusters({
+      threshold: req.query.threshold || duplicateService.flagThreshold,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: report.clusters,
+      threshold: report.threshold,
+      articlesScanned: report.articlesScanned
+    });
+
+  } catch (error) {
+    logger.error('Error getting duplicate clusters:', error);
+    res.status(500).json({
+      error: 'Failed to fetch duplicate clusters',
+      message: error.message
+    });
+  }
+});
+
+// Consolidate duplicates: trash them and redirect their URLs to the kept article
+router.post('/duplicates/consolidate', [
+  requirePermission('articles:delete', 'redirects:manage'),
+  body('keep').isMongoId(),
+  body('duplicates').isArray({ min: 1, max: 50 }),
+  body('duplicates.*').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { keep, duplicates } = await articleService.consolidateArticles(
+      req.body.keep,
+      req.body.duplicates,
+      req.user
+    );
+
+    await auditService.record(req, {
+      action: 'articles.consolidate',
+      target: { type: 'article', id: keep._id, label: keep.title },
+      metadata: {
+        duplicates: duplicates.map(duplicate => ({ id: duplicate._id.toString(), slug: duplicate.slug }))
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { keep, duplicates },
+      message: `Consolidated ${duplicates.length} articles into "${keep.title}"`
+    });
+
+  } catch (error) {
+    logger.error('Error consolidating articles:', error);
+
+    if (error.message === 'Article not found') {
+      return res.status(404).json({
+        error: 'Article not found',
+        message: 'One or more of the specified articles do not exist'
+      });
+    }
+
+    res.status(error.status || 500).json({
+      error: 'Failed to consolidate articles',
+      message: error.message
+    });
+  }
+});
+
 // Get pending comments for moderation
 router.get('/comments/pending', [
+  requirePermission('comments:moderate'),
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const page = req.query.page || 1;
     const limit = req.query.limit || 20;
-    const skip = (page - 1) * limit;
+    const { cursor } = req.query;
+    const after = cursor ? decodeCursor(cursor, COMMENT_LIST_SORT) : null;
 
-    const [comments, totalComments] = await Promise.all([
-      Comment.findPending().skip(skip).limit(limit),
-      Comment.countDocuments({ status: 'pending' })
+    const [found, totalComments] = await Promise.all([
+      Comment.findPending({ after }).skip(after ? 0 : (page - 1) * limit).limit(limit + 1),
+      after ? null : Comment.countDocuments({ status: 'pending' })
     ]);
-
-    const totalPages = Math.ceil(totalComments / limit);
+    const { items: comments, nextCursor } = takePage(found, limit, COMMENT_LIST_SORT);
 
     res.json({
       success: true,
       data: comments,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalComments,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      pagination: buildPagination({ page, limit, cursor, total: totalComments, nextCursor }, 'totalComments')
     });
 
   } catch (error) {
     logger.error('Error getting pending comments:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch pending comments',
       message: error.message
     });
@@ -179,38 +291,33 @@ router.get('/comments/pending', [
 
 // Get reported comments
 router.get('/comments/reported', [
+  requirePermission('comments:moderate'),
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const page = req.query.page || 1;
     const limit = req.query.limit || 20;
-    const skip = (page - 1) * limit;
+    const { cursor } = req.query;
+    const after = cursor ? decodeCursor(cursor, REPORTED_LIST_SORT) : null;
 
-    const [comments, totalComments] = await Promise.all([
-      Comment.findReported().skip(skip).limit(limit),
-      Comment.countDocuments({ 'reports.0': { $exists: true } })
+    const [found, totalComments] = await Promise.all([
+      Comment.findReported({ after }).skip(after ? 0 : (page - 1) * limit).limit(limit + 1),
+      after ? null : Comment.countDocuments({ 'reports.0': { $exists: true } })
     ]);
-
-    const totalPages = Math.ceil(totalComments / limit);
+    const { items: comments, nextCursor } = takePage(found, limit, REPORTED_LIST_SORT);
 
     res.json({
       success: true,
       data: comments,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalComments,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      pagination: buildPagination({ page, limit, cursor, total: totalComments, nextCursor }, 'totalComments')
     });
 
   } catch (error) {
     logger.error('Error getting reported comments:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch reported comments',
       message: error.message
     });
@@ -219,11 +326,11 @@ router.get('/comments/reported', [
 
 // Moderate comment (approve/reject/spam)
 router.put('/comments/:id/moderate', [
+  requirePermission('comments:moderate'),
   param('id').isMongoId(),
   body('action').isIn(['approve', 'reject', 'spam']),
   body('reason').optional().isString().trim(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -237,6 +344,8 @@ router.put('/comments/:id/moderate', [
       });
     }
 
+    const previousStatus = comment.status;
+
     switch (action) {
       case 'approve':
         await comment.approve();
@@ -251,6 +360,14 @@ router.put('/comments/:id/moderate', [
 
     logger.info(`Admin ${action}ed comment ${id}${reason ? ` with reason: ${reason}` : ''}`);
 
+    await auditService.record(req, {
+      action: `comment.${action}`,
+      target: { type: 'comment', id: comment._id, label: comment.content.substring(0, 80) },
+      before: { status: previousStatus },
+      after: { status: comment.status },
+      metadata: reason ? { reason } : null
+    });
+
     res.json({
       success: true,
       data: comment,
@@ -266,20 +383,144 @@ router.put('/comments/:id/moderate', [
   }
 });
 
+// Shared error responses for trash endpoints
+const handleTrashError = (res, error, fallback) => {
+  if (error.message.endsWith('not found in trash')) {
+    return res.status(404).json({
+      error: error.message,
+      message: 'The specified item is not in the trash'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const trashListValidators = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+];
+
+// Get trashed articles
+router.get('/trash/articles', [
+  requirePermission('articles:delete'),
+  ...trashListValidators
+], async (req, res) => {
+  try {
+    const { items, retentionDays, pagination } = await trashService.listTrash('article', {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      retentionDays,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting trashed articles:', error);
+    handleTrashError(res, error, 'Failed to fetch trashed articles');
+  }
+});
+
+// Restore a trashed article
+router.post('/trash/articles/:id/restore', [
+  requirePermission('articles:delete'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const article = await articleService.restoreArticle(req.params.id);
+
+    await auditService.record(req, {
+      action: 'article.restore',
+      target: { type: 'article', id: article._id, label: article.title },
+      after: { status: article.status, slug: article.slug }
+    });
+
+    res.json({
+      success: true,
+      data: article,
+      message: 'Article restored from trash'
+    });
+
+  } catch (error) {
+    logger.error('Error restoring article:', error);
+    handleTrashError(res, error, 'Failed to restore article');
+  }
+});
+
+// Get trashed comments
+router.get('/trash/comments', [
+  requirePermission('comments:moderate'),
+  ...trashListValidators
+], async (req, res) => {
+  try {
+    const { items, retentionDays, pagination } = await trashService.listTrash('comment', {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      retentionDays,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting trashed comments:', error);
+    handleTrashError(res, error, 'Failed to fetch trashed comments');
+  }
+});
+
+// Restore a trashed comment together with the replies trashed alongside it
+router.post('/trash/comments/:id/restore', [
+  requirePermission('comments:moderate'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { comment, repliesRestored } = await trashService.restoreComment(req.params.id);
+
+    await auditService.record(req, {
+      action: 'comment.restore',
+      target: { type: 'comment', id: comment._id, label: comment.content.substring(0, 80) },
+      metadata: { repliesRestored }
+    });
+
+    res.json({
+      success: true,
+      data: comment,
+      repliesRestored,
+      message: 'Comment restored from trash'
+    });
+
+  } catch (error) {
+    logger.error('Error restoring comment:', error);
+    handleTrashError(res, error, 'Failed to restore comment');
+  }
+});
+
 // Generate articles manually
 router.post('/articles/generate', [
+  requirePermission('articles:generate'),
   body('maxArticles').optional().isInt({ min: 1, max: 10 }).toInt(),
   body('categories').optional().isArray(),
   body('categories.*').optional().isString(),
   body('fetchFreshTrends').optional().isBoolean(),
   body('articleOptions').optional().isObject(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const {
       maxArticles = 3,
-      categories = ['technology', 'business', 'health'],
+      categories = await categoryService.getGenerationCategories(),
       fetchFreshTrends = false,
       articleOptions = {}
     } = req.body;
@@ -294,6 +535,16 @@ router.post('/articles/generate', [
 
     const articles = await articleService.generateArticlesFromTrends(options);
 
+    await auditService.record(req, {
+      action: 'articles.generate',
+      target: { type: 'article', label: `${articles.length} generated articles` },
+      metadata: {
+        options,
+        fetchFreshTrends,
+        articleIds: articles.map(article => article._id.toString())
+      }
+    });
+
     res.json({
       success: true,
       data: articles,
@@ -310,8 +561,154 @@ router.post('/articles/generate', [
   }
 });
 
+const handleImageError = (res, error, fallback) => {
+  if (error.message === 'Article not found') {
+    return res.status(404).json({
+      error: 'Article not found',
+      message: 'The specified article does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const imageSummary = (image) => image && {
+  url: image.url,
+  asset: image.asset,
+  provider: image.attribution?.provider || null
+};
+
+// List image providers and whether they are configured
+router.get('/image-providers', [requirePermission('articles:edit')], async (req, res) => {
+  res.json({
+    success: true,
+    data: IMAGE_PROVIDER_NAMES.map(name => ({
+      name,
+      available: getImageProvider(name).isAvailable()
+    }))
+  });
+});
+
+// Swap an article's featured image for another one from the image providers
+router.post('/articles/:id/featured-image/reroll', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  body('provider').optional().isIn(IMAGE_PROVIDER_NAMES),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const previous = await articleService.getArticleById(req.params.id);
+    const article = await articleService.rerollFeaturedImage(req.params.id, req.body, req.user);
+
+    await auditService.record(req, {
+      action: 'article.image.reroll',
+      target: { type: 'article', id: article._id, label: article.title },
+      before: imageSummary(previous.featuredImage),
+      after: imageSummary(article.featuredImage)
+    });
+
+    res.json({
+      success: true,
+      data: article,
+      message: 'Featured image replaced'
+    });
+
+  } catch (error) {
+    logger.error('Error re-rolling featured image:', error);
+    handleImageError(res, error, 'Failed to re-roll featured image');
+  }
+});
+
+// Replace an article's featured image with an uploaded image or an external URL
+router.put('/articles/:id/featured-image', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  body('asset').optional().isMongoId(),
+  body('url').optional().isURL(),
+  body('alt').optional().isString().trim().isLength({ max: 300 }),
+  body('caption').optional().isString().trim().isLength({ max: 500 }),
+  body('attribution').optional().isObject(),
+  body('attribution.provider').optional().isIn(['upload', 'stock', 'ai', 'placeholder']),
+  body('license').optional().isObject(),
+  body('license.name').optional().isString().trim().isLength({ min: 1, max: 200 }),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const { asset, url, alt, caption, attribution, license } = req.body;
+
+    if (!asset && !url) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Provide an uploaded image in asset or an external url'
+      });
+    }
+
+    const previous = await articleService.getArticleById(req.params.id);
+    const article = await articleService.updateArticle(req.params.id, {
+      featuredImage: { asset, url, alt, caption, attribution, license }
+    }, { user: req.user });
+
+    await auditService.record(req, {
+      action: 'article.image.replace',
+      target: { type: 'article', id: article._id, label: article.title },
+      before: imageSummary(previous.featuredImage),
+      after: imageSummary(article.featuredImage)
+    });
+
+    res.json({
+      success: true,
+      data: article,
+      message: 'Featured image replaced'
+    });
+
+  } catch (error) {
+    logger.error('Error replacing featured image:', error);
+    handleImageError(res, error, 'Failed to replace featured image');
+  }
+});
+
+// Daily views, unique visitors and referrer domains of an article
+router.get('/articles/:id/analytics', [
+  requirePermission('dashboard:view'),
+  param('id').isMongoId(),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    // Daily rows are returned for every day, so ranges are capped at a year
+    if (from && (to || new Date()) - from > 366 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Date range cannot be longer than 366 days'
+      });
+    }
+
+    const analytics = await viewService.getArticleAnalytics(req.params.id, { from, to });
+
+    res.json({
+      success: true,
+      data: analytics
+    });
+
+  } catch (error) {
+    logger.error('Error getting article analytics:', error);
+    res.status(error.status || 500).json({
+      error: error.status === 404 ? 'Article not found' : 'Failed to fetch article analytics',
+      message: error.message
+    });
+  }
+});
+
 // Get system health and configuration
-router.get('/system/health', [authenticateAdmin], async (req, res) => {
+router.get('/system/health', [requirePermission('dashboard:view')], async (req, res) => {
   try {
     const health = {
       database: {
@@ -348,50 +745,48 @@ router.get('/system/health', [authenticateAdmin], async (req, res) => {
   }
 });
 
+// Newest accounts first
+const USER_LIST_SORT = { field: 'createdAt', order: 'desc' };
+
 // Get users for admin management
 router.get('/users', [
+  requirePermission('users:manage'),
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('role').optional().isIn(['user', 'admin']),
+  query('role').optional().isIn(ROLES),
   query('isActive').optional().isBoolean().toBoolean(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const page = req.query.page || 1;
     const limit = req.query.limit || 20;
-    const skip = (page - 1) * limit;
+    const { cursor } = req.query;
+    const after = cursor ? decodeCursor(cursor, USER_LIST_SORT) : null;
 
     let query = {};
     if (req.query.role) query.role = req.query.role;
     if (req.query.isActive !== undefined) query.isActive = req.query.isActive;
 
-    const [users, totalUsers] = await Promise.all([
-      User.find(query)
+    const [found, totalUsers] = await Promise.all([
+      User.find(after ? afterCursor(query, after) : query)
         .select('-googleId')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit),
-      User.countDocuments(query)
+        .sort(cursorSort(USER_LIST_SORT))
+        .skip(after ? 0 : (page - 1) * limit)
+        .limit(limit + 1),
+      after ? null : User.countDocuments(query)
     ]);
-
-    const totalPages = Math.ceil(totalUsers / limit);
+    const { items: users, nextCursor } = takePage(found, limit, USER_LIST_SORT);
 
     res.json({
       success: true,
       data: users,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalUsers,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      pagination: buildPagination({ page, limit, cursor, total: totalUsers, nextCursor }, 'totalUsers')
     });
 
   } catch (error) {
     logger.error('Error getting users:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch users',
       message: error.message
     });
@@ -400,16 +795,42 @@ router.get('/users', [
 
 // Update user role or status
 router.put('/users/:id', [
+  requirePermission('users:manage'),
   param('id').isMongoId(),
-  body('role').optional().isIn(['user', 'admin']),
+  body('role').optional().isIn(ROLES),
   body('isActive').optional().isBoolean(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = {};
-    
+
+    const target = await User.findById(id).select('-googleId');
+    if (!target) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The specified user does not exist'
+      });
+    }
+
+    // Nobody can lock themselves out by demoting or deactivating their own account
+    const demotesSelf = req.body.role !== undefined && req.body.role !== target.role;
+    if (target._id.toString() === req.user._id.toString() && (demotesSelf || req.body.isActive === false)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You cannot change your own role or deactivate your own account'
+      });
+    }
+
+    // Granting the admin role, or any change to an admin, needs roles:manage on top of users:manage
+    const touchesAdmin = req.body.role === 'admin' || target.role === 'admin';
+    if (touchesAdmin && !(await hasRequestPermission(req, 'roles:manage'))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Missing permission: roles:manage'
+      });
+    }
+
     if (req.body.role !== undefined) updateData.role = req.body.role;
     if (req.body.isActive !== undefined) updateData.isActive = req.body.isActive;
 
@@ -428,6 +849,13 @@ router.put('/users/:id', [
 
     logger.info(`Admin updated user ${id}: ${JSON.stringify(updateData)}`);
 
+    await auditService.record(req, {
+      action: 'user.update',
+      target: { type: 'user', id: user._id, label: user.email },
+      before: { role: target.role, isActive: target.isActive },
+      after: { role: user.role, isActive: user.isActive }
+    });
+
     res.json({
       success: true,
       data: user,
@@ -436,49 +864,1078 @@ router.put('/users/:id', [
 
   } catch (error) {
     logger.error('Error updating user:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to update user',
       message: error.message
     });
   }
 });
 
-// Helper functions for statistics
-async function getArticleStats() {
-  const [
-    totalArticles,
-    publishedArticles,
-    draftArticles,
-    archivedArticles,
-    totalViews,
-    recentArticles,
-    topArticles
-  ] = await Promise.all([
-    Article.countDocuments(),
-    Article.countDocuments({ status: 'published' }),
-    Article.countDocuments({ status: 'draft' }),
-    Article.countDocuments({ status: 'archived' }),
-    Article.aggregate([
-      { $group: { _id: null, totalViews: { $sum: '$stats.views' } } }
-    ]),
-    Article.find({ status: 'published' })
-      .sort({ publishedAt: -1 })
-      .limit(5)
-      .select('title slug stats publishedAt'),
-    Article.find({ status: 'published' })
-      .sort({ 'stats.views': -1 })
+const handleSanctionError = (res, error, fallback) => {
+  if (error.message === 'User not found' || error.message === 'Sanction not found') {
+    return res.status(404).json({
+      error: error.message,
+      message: `The specified ${error.message === 'User not found' ? 'user' : 'sanction'} does not exist`
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// Get sanctions with a pending appeal, oldest first
+router.get('/appeals', [requirePermission('users:sanction')], async (req, res) => {
+  try {
+    const users = await User.find({ 'sanctions.appeal.status': 'pending' })
+      .select('name email avatar role sanctions');
+
+    const appeals = users
+      .flatMap(user => user.sanctions
+        .filter(sanction => sanction.appeal?.status === 'pending')
+        .map(sanction => ({
+          user: { _id: user._id, name: user.name, email: user.email, avatar: user.avatar, role: user.role },
+          sanction
+        })))
+      .sort((a, b) => a.sanction.appeal.submittedAt - b.sanction.appeal.submittedAt);
+
+    res.json({
+      success: true,
+      data: appeals
+    });
+
+  } catch (error) {
+    logger.error('Error getting appeals:', error);
+    res.status(500).json({
+      error: 'Failed to fetch appeals',
+      message: error.message
+    });
+  }
+});
+
+// Suspend, mute or ban a user
+router.post('/users/:id/sanctions', [
+  requirePermission('users:sanction'),
+  param('id').isMongoId(),
+  body('type').isIn(['suspension', 'mute', 'ban']),
+  body('reason').isString().trim().isLength({ min: 1, max: 500 }),
+  body('durationHours').optional().isInt({ min: 1, max: 24 * 365 }).toInt(),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { type, reason, durationHours } = req.body;
+
+    const expiresAt = durationHours
+      ? new Date(Date.now() + durationHours * 60 * 60 * 1000)
+      : req.body.expiresAt || null;
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'expiresAt must be in the future'
+      });
+    }
+
+    const { user, sanction } = await sanctionService.issueSanction(
+      id,
+      { type, reason, expiresAt },
+      req.user
+    );
+
+    await auditService.record(req, {
+      action: `user.${type}`,
+      target: { type: 'user', id: user._id, label: user.email },
+      after: { reason: sanction.reason, expiresAt: sanction.expiresAt },
+      metadata: { sanctionId: sanction._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: sanction,
+      moderationStatus: user.getModerationStatus(),
+      message: 'Sanction issued successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error sanctioning user:', error);
+    handleSanctionError(res, error, 'Failed to sanction user');
+  }
+});
+
+// Lift a sanction early
+router.delete('/users/:id/sanctions/:sanctionId', [
+  requirePermission('users:sanction'),
+  param('id').isMongoId(),
+  param('sanctionId').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { id, sanctionId } = req.params;
+    const { user, sanction } = await sanctionService.liftSanction(
+      id,
+      sanctionId,
+      req.user,
+      req.body.reason || 'Lifted by moderator'
+    );
+
+    await auditService.record(req, {
+      action: `user.${sanction.type}.lift`,
+      target: { type: 'user', id: user._id, label: user.email },
+      metadata: { sanctionId: sanction._id, reason: sanction.liftReason }
+    });
+
+    res.json({
+      success: true,
+      data: sanction,
+      moderationStatus: user.getModerationStatus(),
+      message: 'Sanction lifted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error lifting sanction:', error);
+    handleSanctionError(res, error, 'Failed to lift sanction');
+  }
+});
+
+// Uphold or overturn an appeal; overturning lifts the sanction
+router.put('/users/:id/sanctions/:sanctionId/appeal', [
+  requirePermission('users:sanction'),
+  param('id').isMongoId(),
+  param('sanctionId').isMongoId(),
+  body('decision').isIn(['upheld', 'overturned']),
+  body('response').optional().isString().trim().isLength({ max: 2000 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { id, sanctionId } = req.params;
+    const { decision, response } = req.body;
+
+    const { user, sanction } = await sanctionService.resolveAppeal(
+      id,
+      sanctionId,
+      req.user,
+      decision,
+      response
+    );
+
+    await auditService.record(req, {
+      action: `user.${sanction.type}.appeal`,
+      target: { type: 'user', id: user._id, label: user.email },
+      before: { appeal: 'pending' },
+      after: { appeal: decision },
+      metadata: { sanctionId: sanction._id }
+    });
+
+    res.json({
+      success: true,
+      data: sanction,
+      moderationStatus: user.getModerationStatus(),
+      message: `Appeal ${decision}`
+    });
+
+  } catch (error) {
+    logger.error('Error resolving appeal:', error);
+    handleSanctionError(res, error, 'Failed to resolve appeal');
+  }
+});
+
+// Shared error responses for redirect endpoints
+const handleRedirectError = (res, error, fallback) => {
+  if (error.message === 'Redirect not found' || error.message === 'Article not found') {
+    return res.status(404).json({
+      error: error.message,
+      message: `The specified ${error.message === 'Redirect not found' ? 'redirect' : 'article'} does not exist`
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// Get custom redirects
+router.get('/redirects', [
+  requirePermission('redirects:manage'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { redirects, pagination } = await redirectService.listRedirects({
+      page: req.query.page || 1,
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: redirects,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting redirects:', error);
+    handleRedirectError(res, error, 'Failed to fetch redirects');
+  }
+});
+
+// Add a custom redirect to a path, URL or article
+router.post('/redirects', [
+  requirePermission('redirects:manage'),
+  body('from').isString().trim().isLength({ min: 2, max: 500 }),
+  body('to').optional({ nullable: true }).isString().trim().isLength({ min: 1, max: 2000 }),
+  body('article').optional({ nullable: true }).isMongoId(),
+  body('permanent').optional().isBoolean().toBoolean(),
+  body('note').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const redirect = await redirectService.createRedirect(req.body, req.user);
+
+    await auditService.record(req, {
+      action: 'redirect.create',
+      target: { type: 'redirect', id: redirect._id, label: redirect.from },
+      after: { to: redirect.to, article: redirect.article, permanent: redirect.permanent }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: redirect,
+      message: 'Redirect created'
+    });
+
+  } catch (error) {
+    logger.error('Error creating redirect:', error);
+    handleRedirectError(res, error, 'Failed to create redirect');
+  }
+});
+
+// Remove a custom redirect
+router.delete('/redirects/:id', [
+  requirePermission('redirects:manage'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const redirect = await redirectService.deleteRedirect(req.params.id);
+
+    await auditService.record(req, {
+      action: 'redirect.delete',
+      target: { type: 'redirect', id: redirect._id, label: redirect.from },
+      before: { to: redirect.to, article: redirect.article, permanent: redirect.permanent }
+    });
+
+    res.json({
+      success: true,
+      message: 'Redirect deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting redirect:', error);
+    handleRedirectError(res, error, 'Failed to delete redirect');
+  }
+});
+
+// Shared error responses for category endpoints
+const handleCategoryError = (res, error, fallback) => {
+  if (error.message === 'Category not found') {
+    return res.status(404).json({
+      error: 'Category not found',
+      message: 'The specified category does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const categoryValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('slug').isString().trim().toLowerCase().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, digits and single hyphens'),
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().trim().isLength({ max: 1000 }),
+    body('parent').optional({ nullable: true }).isMongoId(),
+    body('sortOrder').optional().isInt().toInt(),
+    body('seo').optional().isObject(),
+    body('seo.metaTitle').optional().isString().trim().isLength({ max: 200 }),
+    body('seo.metaDescription').optional().isString().trim().isLength({ max: 500 }),
+    body('seo.keywords').optional().isArray(),
+    body('generation').optional().isObject(),
+    body('generation.enabled').optional().isBoolean().toBoolean(),
+    body('generation.autoPublish').optional().isBoolean().toBoolean(),
+    body('generation.tone').optional().isString().trim().isLength({ max: 50 }),
+    body('generation.wordCount').optional().isInt({ min: 300, max: 5000 }).toInt(),
+    body('generation.trendsCategory').optional().isString().trim(),
+    body('generation.subreddits').optional().isArray(),
+    body('generation.subreddits.*').optional().isString().trim()
+  ];
+};
+
+// Get every category with its article count
+router.get('/categories', [requirePermission('categories:manage')], async (req, res) => {
+  try {
+    const categories = await categoryService.listCategoriesWithCounts();
+
+    res.json({
+      success: true,
+      data: categories
+    });
+
+  } catch (error) {
+    logger.error('Error getting categories:', error);
+    handleCategoryError(res, error, 'Failed to fetch categories');
+  }
+});
+
+// Create a category
+router.post('/categories', [
+  requirePermission('categories:manage'),
+  ...categoryValidators(false),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const category = await categoryService.createCategory(req.body);
+
+    await auditService.record(req, {
+      action: 'category.create',
+      target: { type: 'category', id: category._id, label: category.slug },
+      after: { name: category.name, parent: category.parent, generation: category.generation }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created'
+    });
+
+  } catch (error) {
+    logger.error('Error creating category:', error);
+    handleCategoryError(res, error, 'Failed to create category');
+  }
+});
+
+// Update a category; renaming its slug moves its articles along
+router.put('/categories/:id', [
+  requirePermission('categories:manage'),
+  param('id').isMongoId(),
+  ...categoryValidators(true),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { previous, category, articlesMoved } = await categoryService.updateCategory(req.params.id, req.body, req.user);
+
+    const fields = Object.keys(categoryService.pickFields(req.body));
+    await auditService.record(req, {
+      action: 'category.update',
+      target: { type: 'category', id: category._id, label: category.slug },
+      before: Object.fromEntries(fields.map(field => [field, previous[field]])),
+      after: Object.fromEntries(fields.map(field => [field, category[field]])),
+      metadata: { articlesMoved }
+    });
+
+    res.json({
+      success: true,
+      data: category,
+      articlesMoved,
+      message: 'Category updated'
+    });
+
+  } catch (error) {
+    logger.error('Error updating category:', error);
+    handleCategoryError(res, error, 'Failed to update category');
+  }
+});
+
+// Delete a category; its articles must be moved to another one with reassignTo
+router.delete('/categories/:id', [
+  requirePermission('categories:manage'),
+  param('id').isMongoId(),
+  query('reassignTo').optional().isString().trim().toLowerCase(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { category, articlesMoved } = await categoryService.deleteCategory(req.params.id, {
+      reassignTo: req.query.reassignTo
+    });
+
+    await auditService.record(req, {
+      action: 'category.delete',
+      target: { type: 'category', id: category._id, label: category.slug },
+      before: { name: category.name, parent: category.parent },
+      metadata: { reassignTo: req.query.reassignTo || null, articlesMoved }
+    });
+
+    res.json({
+      success: true,
+      articlesMoved,
+      message: 'Category deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting category:', error);
+    handleCategoryError(res, error, 'Failed to delete category');
+  }
+});
+
+// Shared error responses for tag endpoints
+const handleTagError = (res, error, fallback) => {
+  if (error.message === 'Tag not found') {
+    return res.status(404).json({
+      error: 'Tag not found',
+      message: 'The specified tag does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const tagValidators = (optional) => [
+  (optional ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 100 }),
+  body('synonyms').optional().isArray({ max: 50 }),
+  body('synonyms.*').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().isString().trim().isLength({ max: 1000 })
+];
+
+// Get registered and free tags with their article counts
+router.get('/tags', [
+  requirePermission('tags:manage'),
+  query('search').optional().isString().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const tags = await tagService.listTags({ search: req.query.search || null });
+
+    res.json({
+      success: true,
+      data: tags
+    });
+
+  } catch (error) {
+    logger.error('Error getting tags:', error);
+    handleTagError(res, error, 'Failed to fetch tags');
+  }
+});
+
+// Register a tag; articles using one of its synonyms switch to its name
+router.post('/tags', [
+  requirePermission('tags:manage'),
+  ...tagValidators(false),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { tag, articlesUpdated } = await tagService.createTag(req.body);
+
+    await auditService.record(req, {
+      action: 'tag.create',
+      target: { type: 'tag', id: tag._id, label: tag.name },
+      after: { name: tag.name, synonyms: tag.synonyms },
+      metadata: { articlesUpdated }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: tag,
+      articlesUpdated,
+      message: 'Tag created'
+    });
+
+  } catch (error) {
+    logger.error('Error creating tag:', error);
+    handleTagError(res, error, 'Failed to create tag');
+  }
+});
+
+// Merge tags into one, rewriting every article that carries them
+router.post('/tags/merge', [
+  requirePermission('tags:manage'),
+  body('sources').isArray({ min: 1, max: 50 }),
+  body('sources.*').isString().trim().isLength({ min: 1, max: 100 }),
+  body('target').isString().trim().isLength({ min: 1, max: 100 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { tag, merged, articlesUpdated } = await tagService.mergeTags(req.body.sources, req.body.target);
+
+    await auditService.record(req, {
+      action: 'tag.merge',
+      target: { type: 'tag', id: tag._id, label: tag.name },
+      before: { tags: merged },
+      after: { name: tag.name, synonyms: tag.synonyms },
+      metadata: { articlesUpdated }
+    });
+
+    res.json({
+      success: true,
+      data: tag,
+      merged,
+      articlesUpdated,
+      message: `Merged ${merged.length} tags into "${tag.name}"`
+    });
+
+  } catch (error) {
+    logger.error('Error merging tags:', error);
+    handleTagError(res, error, 'Failed to merge tags');
+  }
+});
+
+// Update a tag; a new name renames it on every article
+router.put('/tags/:id', [
+  requirePermission('tags:manage'),
+  param('id').isMongoId(),
+  ...tagValidators(true),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { previous, tag, articlesUpdated } = await tagService.updateTag(req.params.id, req.body);
+
+    await auditService.record(req, {
+      action: previous.name !== tag.name ? 'tag.rename' : 'tag.update',
+      target: { type: 'tag', id: tag._id, label: tag.name },
+      before: { name: previous.name, synonyms: previous.synonyms, description: previous.description },
+      after: { name: tag.name, synonyms: tag.synonyms, description: tag.description },
+      metadata: { articlesUpdated }
+    });
+
+    res.json({
+      success: true,
+      data: tag,
+      articlesUpdated,
+      message: 'Tag updated'
+    });
+
+  } catch (error) {
+    logger.error('Error updating tag:', error);
+    handleTagError(res, error, 'Failed to update tag');
+  }
+});
+
+// Remove a tag from the registry; articles keep it
+router.delete('/tags/:id', [
+  requirePermission('tags:manage'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const tag = await tagService.deleteTag(req.params.id);
+
+    await auditService.record(req, {
+      action: 'tag.delete',
+      target: { type: 'tag', id: tag._id, label: tag.name },
+      before: { name: tag.name, synonyms: tag.synonyms }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tag removed from the registry'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting tag:', error);
+    handleTagError(res, error, 'Failed to delete tag');
+  }
+});
+
+// Series and collections share these endpoints: /series/... and /collections/...
+const COLLECTION_PATH = '/:kind(series|collections)';
+const collectionKind = (req) => (req.params.kind === 'series' ? 'series' : 'collection');
+
+// Shared error responses for series and collection endpoints
+const handleCollectionError = (res, error, fallback) => {
+  if (error.message === 'Collection not found') {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'The specified series or collection does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const collectionValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('slug').isString().trim().toLowerCase().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+      .withMessage('Slug may only contain lowercase letters, digits and single hyphens'),
+    field('title').isString().trim().isLength({ min: 1, max: 200 }),
+    body('description').optional().isString().trim().isLength({ max: 2000 }),
+    body('coverImage').optional({ nullable: true }).isObject(),
+    body('coverImage.asset').optional().isMongoId(),
+    body('coverImage.url').optional().isString().trim(),
+    body('coverImage.alt').optional().isString().trim().isLength({ max: 300 }),
+    body('articles').optional().isArray({ max: 200 }),
+    body('articles.*').optional().isMongoId()
+  ];
+};
+
+// Get series or collections with their article counts
+router.get(COLLECTION_PATH, [
+  requirePermission('collections:manage'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { items, pagination } = await collectionService.listCollections(collectionKind(req), {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+      publishedOnly: false
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting collections:', error);
+    handleCollectionError(res, error, 'Failed to fetch collections');
+  }
+});
+
+// Get a series or collection with members of any status
+router.get(`${COLLECTION_PATH}/:id`, [
+  requirePermission('collections:manage'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const collection = await collectionService.getCollectionById(collectionKind(req), req.params.id);
+
+    res.json({
+      success: true,
+      data: collection
+    });
+
+  } catch (error) {
+    logger.error('Error getting collection:', error);
+    handleCollectionError(res, error, 'Failed to fetch collection');
+  }
+});
+
+// Create a series or collection
+router.post(COLLECTION_PATH, [
+  requirePermission('collections:manage'),
+  ...collectionValidators(false),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const kind = collectionKind(req);
+    const collection = await collectionService.createCollection(kind, req.body, req.user);
+
+    await auditService.record(req, {
+      action: `${kind}.create`,
+      target: { type: kind, id: collection._id, label: collection.slug },
+      after: { title: collection.title, articles: collection.articles }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: collection,
+      message: kind === 'series' ? 'Series created' : 'Collection created'
+    });
+
+  } catch (error) {
+    logger.error('Error creating collection:', error);
+    handleCollectionError(res, error, 'Failed to create collection');
+  }
+});
+
+// Update a series or collection; articles replaces the member list, in order
+router.put(`${COLLECTION_PATH}/:id`, [
+  requirePermission('collections:manage'),
+  param('id').isMongoId(),
+  ...collectionValidators(true),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const kind = collectionKind(req);
+    const { previous, collection } = await collectionService.updateCollection(kind, req.params.id, req.body);
+
+    const fields = ['slug', 'title', 'description', 'articles'].filter(field => req.body[field] !== undefined);
+    await auditService.record(req, {
+      action: `${kind}.update`,
+      target: { type: kind, id: collection._id, label: collection.slug },
+      before: Object.fromEntries(fields.map(field => [field, previous[field]])),
+      after: Object.fromEntries(fields.map(field => [field, collection[field]])),
+      metadata: req.body.coverImage !== undefined
+        ? { coverImage: imageSummary(collection.coverImage) }
+        : {}
+    });
+
+    res.json({
+      success: true,
+      data: collection,
+      message: kind === 'series' ? 'Series updated' : 'Collection updated'
+    });
+
+  } catch (error) {
+    logger.error('Error updating collection:', error);
+    handleCollectionError(res, error, 'Failed to update collection');
+  }
+});
+
+// Delete a series or collection; its articles stay published
+router.delete(`${COLLECTION_PATH}/:id`, [
+  requirePermission('collections:manage'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const kind = collectionKind(req);
+    const collection = await collectionService.deleteCollection(kind, req.params.id);
+
+    await auditService.record(req, {
+      action: `${kind}.delete`,
+      target: { type: kind, id: collection._id, label: collection.slug },
+      before: { title: collection.title, articles: collection.articles }
+    });
+
+    res.json({
+      success: true,
+      message: kind === 'series' ? 'Series deleted' : 'Collection deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting collection:', error);
+    handleCollectionError(res, error, 'Failed to delete collection');
+  }
+});
+
+// Search report: top queries, zero-result queries and trending searches
+router.get('/search/analytics', [
+  requirePermission('dashboard:view'),
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const report = await searchAnalyticsService.getReport({
+      days: req.query.days || 7,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error('Error getting search analytics:', error);
+    res.status(500).json({
+      error: 'Failed to fetch search analytics',
+      message: error.message
+    });
+  }
+});
+
+// Generate an article for a query readers searched for without finding anything
+router.post('/search/gaps/generate', [
+  requirePermission('articles:generate'),
+  body('query').isString().trim().isLength({ min: 1, max: 200 }),
+  body('category').optional().isString().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const article = await searchAnalyticsService.generateFromQuery(req.body.query, {
+      category: req.body.category
+    });
+
+    await auditService.record(req, {
+      action: 'articles.generate.search',
+      target: { type: 'article', id: article._id, label: article.title },
+      metadata: { query: article.trendData.keyword, category: article.category }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: article,
+      message: `Generated "${article.title}" from the search query`
+    });
+
+  } catch (error) {
+    logger.error('Error generating article from search query:', error);
+
+    if (error.duplicate) {
+      return res.status(409).json({
+        error: 'Duplicate article',
+        message: error.message,
+        duplicate: error.duplicate
+      });
+    }
+
+    res.status(error.status || 500).json({
+      error: 'Failed to generate article',
+      message: error.message
+    });
+  }
+});
+
+// Get the role permission matrix
+router.get('/roles', [requirePermission('roles:manage')], async (req, res) => {
+  try {
+    const matrix = await permissionService.getMatrix();
+
+    res.json({
+      success: true,
+      data: {
+        roles: ROLES,
+        permissions: PERMISSIONS,
+        matrix,
+        defaults: DEFAULT_ROLE_PERMISSIONS
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting role matrix:', error);
+    res.status(500).json({
+      error: 'Failed to fetch role permissions',
+      message: error.message
+    });
+  }
+});
+
+// Replace the permissions of a role
+router.put('/roles/:role', [
+  requirePermission('roles:manage'),
+  param('role').isIn(ROLES),
+  body('permissions').isArray(),
+  body('permissions.*').isIn(PERMISSIONS),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (role === 'admin') {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'The admin role always holds every permission'
+      });
+    }
+
+    const previousPermissions = await permissionService.getPermissionsForRole(role);
+    const permissions = await permissionService.updateRolePermissions(
+      role,
+      req.body.permissions,
+      req.user._id
+    );
+
+    await auditService.record(req, {
+      action: 'role.update',
+      target: { type: 'role', id: role, label: role },
+      before: { permissions: previousPermissions },
+      after: { permissions }
+    });
+
+    logger.info(`Admin ${req.user._id} updated permissions for role ${role}`);
+
+    res.json({
+      success: true,
+      data: { role, permissions },
+      message: 'Role permissions updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating role permissions:', error);
+    res.status(500).json({
+      error: 'Failed to update role permissions',
+      message: error.message
+    });
+  }
+});
+
+// Reset a role to its default permissions
+router.delete('/roles/:role', [
+  requirePermission('roles:manage'),
+  param('role').isIn(ROLES),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { role } = req.params;
+    const previousPermissions = await permissionService.getPermissionsForRole(role);
+    const permissions = await permissionService.resetRolePermissions(role);
+
+    await auditService.record(req, {
+      action: 'role.reset',
+      target: { type: 'role', id: role, label: role },
+      before: { permissions: previousPermissions },
+      after: { permissions }
+    });
+
+    logger.info(`Admin ${req.user._id} reset permissions for role ${role}`);
+
+    res.json({
+      success: true,
+      data: { role, permissions },
+      message: 'Role permissions reset to defaults'
+    });
+
+  } catch (error) {
+    logger.error('Error resetting role permissions:', error);
+    res.status(500).json({
+      error: 'Failed to reset role permissions',
+      message: error.message
+    });
+  }
+});
+
+// Audit log filters shared by the listing and export endpoints
+const auditFilterValidators = [
+  query('actor').optional().isMongoId(),
+  query('action').optional().isString().trim(),
+  query('targetType').optional().isString().trim(),
+  query('targetId').optional().isString().trim(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+const getAuditFilters = (req) => ({
+  actor: req.query.actor,
+  action: req.query.action,
+  targetType: req.query.targetType,
+  targetId: req.query.targetId,
+  from: req.query.from,
+  to: req.query.to
+});
+
+// Get audit log entries
+router.get('/audit-logs', [
+  requirePermission('audit:view'),
+  ...auditFilterValidators,
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await auditService.getLogs({
+      ...getAuditFilters(req),
+      page: req.query.page || 1,
+      cursor: req.query.cursor,
+      limit: req.query.limit || 50
+    });
+
+    res.json({
+      success: true,
+      data: result.logs,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting audit logs:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to fetch audit logs',
+      message: error.message
+    });
+  }
+});
+
+// Export audit log entries as CSV or NDJSON
+router.get('/audit-logs/export', [
+  requirePermission('audit:view'),
+  ...auditFilterValidators,
+  query('format').optional().isIn(['csv', 'ndjson']),
+  handleValidationErrors
+], async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  try {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${timestamp}.${format}"`);
+
+    await auditService.exportLogs(getAuditFilters(req), format, res);
+
+    await auditService.record(req, {
+      action: 'audit.export',
+      target: { type: 'audit-log', label: format },
+      metadata: { filters: getAuditFilters(req) }
+    });
+
+    res.end();
+
+  } catch (error) {
+    logger.error('Error exporting audit logs:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      error: 'Failed to export audit logs',
+      message: error.message
+    });
+  }
+});
+
+// Helper functions for statistics
+async function getArticleStats() {
+  const [
+    totalArticles,
+    publishedArticles,
+    draftArticles,
+    scheduledArticles,
+    archivedArticles,
+    awaitingReview,
+    trashedArticles,
+    totalViews,
+    recentArticles,
+    topArticles,
+    upcomingArticles
+  ] = await Promise.all([
+    Article.countDocuments(),
+    Article.countDocuments({ status: 'published' }),
+    Article.countDocuments({ status: 'draft' }),
+    Article.countDocuments({ status: 'scheduled' }),
+    Article.countDocuments({ status: 'archived' }),
+    Article.countDocuments({ status: { $in: PENDING_REVIEW_STATUSES } }),
+    Article.countDocuments({ deletedAt: { $ne: null } }),
+    Article.aggregate([
+      { $group: { _id: null, totalViews: { $sum: '$stats.views' } } }
+    ]),
+    Article.find({ status: 'published' })
+      .sort({ publishedAt: -1 })
+      .limit(5)
+      .select('title slug stats publishedAt'),
+    Article.find({ status: 'published' })
+      .sort({ 'stats.views': -1 })
+      .limit(5)
+      .select('title slug stats'),
+    Article.find({ status: 'scheduled' })
+      .sort({ publishAt: 1 })
       .limit(5)
-      .select('title slug stats')
+      .select('title slug publishAt unpublishAt')
   ]);
 
   return {
     total: totalArticles,
     published: publishedArticles,
     draft: draftArticles,
+    scheduled: scheduledArticles,
     archived: archivedArticles,
+    awaitingReview,
+    trashed: trashedArticles,
     totalViews: totalViews[0]?.totalViews || 0,
     recent: recentArticles,
-    topViewed: topArticles
+    topViewed: topArticles,
+    upcoming: upcomingArticles
   };
 }
 
@@ -512,13 +1969,15 @@ async function getCommentStats() {
     approvedComments,
     pendingComments,
     rejectedComments,
-    spamComments
+    spamComments,
+    trashedComments
   ] = await Promise.all([
     Comment.countDocuments(),
     Comment.countDocuments({ status: 'approved' }),
     Comment.countDocuments({ status: 'pending' }),
     Comment.countDocuments({ status: 'rejected' }),
-    Comment.countDocuments({ status: 'spam' })
+    Comment.countDocuments({ status: 'spam' }),
+    Comment.countDocuments({ deletedAt: { $ne: null } })
   ]);
 
   return {
@@ -526,7 +1985,8 @@ async function getCommentStats() {
     approved: approvedComments,
     pending: pendingComments,
     rejected: rejectedComments,
-    spam: spamComments
+    spam: spamComments,
+    trashed: trashedComments
   };
 }
 
@@ -0,0 +1,183 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import ApiKeyService from '../services/apiKeyService.js';
+import AuditService from '../services/auditService.js';
+import { authenticateUser, requireSession } from '../middleware/auth.js';
+import { API_KEY_SCOPES } from '../utils/permissions.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('ApiKeysRouter');
+const apiKeyService = new ApiKeyService();
+const auditService = new AuditService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Keys are managed from a signed-in session only, never with another key
+router.use(authenticateUser, requireSession);
+
+const handleKeyError = (res, error, fallback) => {
+  if (error.message === 'API key not found') {
+    return res.status(404).json({
+      error: 'API key not found',
+      message: 'The specified API key does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// List the current user's API keys
+router.get('/', async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys(req.user._id);
+
+    res.json({
+      success: true,
+      data: keys,
+      scopes: API_KEY_SCOPES
+    });
+
+  } catch (error) {
+    logger.error('Error listing API keys:', error);
+    handleKeyError(res, error, 'Failed to fetch API keys');
+  }
+});
+
+// Create an API key; the raw key is only returned in this response
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(API_KEY_SCOPES),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('requestsPerMinute').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (req.body.expiresAt && req.body.expiresAt <= new Date()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'expiresAt must be in the future'
+      });
+    }
+
+    const { apiKey, key } = await apiKeyService.createKey(req.user, req.body);
+
+    await auditService.record(req, {
+      action: 'api-key.create',
+      target: { type: 'api-key', id: apiKey._id, label: apiKey.name },
+      after: { scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: apiKey,
+      key,
+      message: 'API key created. Store it now, it will not be shown again.'
+    });
+
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    handleKeyError(res, error, 'Failed to create API key');
+  }
+});
+
+// Rename an API key or change its scopes, expiry or rate limit
+router.put('/:id', [
+  param('id').isMongoId(),
+  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('scopes').optional().isArray({ min: 1 }),
+  body('scopes.*').optional().isIn(API_KEY_SCOPES),
+  body('expiresAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('requestsPerMinute').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { id } = req.params;
+    const before = (await apiKeyService.getKey(req.user._id, id)).toObject();
+    const apiKey = await apiKeyService.updateKey(req.user, id, req.body);
+
+    await auditService.record(req, {
+      action: 'api-key.update',
+      target: { type: 'api-key', id: apiKey._id, label: apiKey.name },
+      before: { name: before.name, scopes: before.scopes, expiresAt: before.expiresAt, rateLimit: before.rateLimit },
+      after: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt, rateLimit: apiKey.rateLimit }
+    });
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating API key:', error);
+    handleKeyError(res, error, 'Failed to update API key');
+  }
+});
+
+// Rotate an API key; the old secret stops working immediately
+router.post('/:id/rotate', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeyService.rotateKey(req.user._id, req.params.id);
+
+    await auditService.record(req, {
+      action: 'api-key.rotate',
+      target: { type: 'api-key', id: apiKey._id, label: apiKey.name }
+    });
+
+    res.json({
+      success: true,
+      data: apiKey,
+      key,
+      message: 'API key rotated. Store the new key now, it will not be shown again.'
+    });
+
+  } catch (error) {
+    logger.error('Error rotating API key:', error);
+    handleKeyError(res, error, 'Failed to rotate API key');
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', [
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.revokeKey(req.user._id, req.params.id);
+
+    await auditService.record(req, {
+      action: 'api-key.revoke',
+      target: { type: 'api-key', id: apiKey._id, label: apiKey.name }
+    });
+
+    res.json({
+      success: true,
+      data: apiKey,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    handleKeyError(res, error, 'Failed to revoke API key');
+  }
+});
+
+export default router;
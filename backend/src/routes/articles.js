@@ -1,11 +1,30 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
 import ArticleService from '../services/articleService.js';
+import AuditService from '../services/auditService.js';
+import RevisionService from '../services/revisionService.js';
+import ReviewService from '../services/reviewService.js';
+import RedirectService from '../services/redirectService.js';
+import CategoryService from '../services/categoryService.js';
+import RelatedService from '../services/relatedService.js';
+import SearchAnalyticsService from '../services/searchAnalyticsService.js';
+import ViewService from '../services/viewService.js';
+import { optionalAuth, requireScope, requirePermission, requireArticleOwnership, hasRequestPermission } from '../middleware/auth.js';
+import { EDITABLE_STATUSES } from '../utils/articleStatus.js';
+import { DATE_BUCKETS } from '../search/query.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
 const logger = createLogger('ArticlesRouter');
 const articleService = new ArticleService();
+const auditService = new AuditService();
+const revisionService = new RevisionService();
+const reviewService = new ReviewService();
+const redirectService = new RedirectService();
+const categoryService = new CategoryService();
+const relatedService = new RelatedService();
+const searchAnalyticsService = new SearchAnalyticsService();
+const viewService = new ViewService();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -19,9 +38,63 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Categories are managed in the database, so validators check against the current list
+const isKnownCategory = async (slug) => {
+  if (!(await categoryService.exists(slug))) {
+    throw new Error(`Unknown category "${slug}"`);
+  }
+  return true;
+};
+
+const handleRevisionError = (req, res, error, fallback) => {
+  if (error.message === 'Article not found') {
+    return res.status(404).json({
+      error: 'Article not found',
+      message: `No article found with ID: ${req.params.id}`
+    });
+  }
+
+  if (error.message === 'Revision not found') {
+    return res.status(404).json({
+      error: 'Revision not found',
+      message: 'The requested revision does not exist for this article'
+    });
+  }
+
+  res.status(500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+const handleReviewError = (req, res, error, fallback) => {
+  if (error.message === 'Article not found') {
+    return res.status(404).json({
+      error: 'Article not found',
+      message: `No article found with ID: ${req.params.id}`
+    });
+  }
+
+  if (error.message === 'User not found') {
+    return res.status(404).json({
+      error: 'User not found',
+      message: 'The specified reviewer does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// Identify API key clients on every read so their scope and rate limit apply
+router.get('*', optionalAuth, requireScope('articles:read'));
+
 // Get all articles with pagination and filtering
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
   query('category').optional().isString().trim(),
   query('tags').optional().isString(),
@@ -33,6 +106,7 @@ router.get('/', [
   try {
     const options = {
       page: req.query.page || 1,
+      cursor: req.query.cursor,
       limit: req.query.limit || 10,
       category: req.query.category,
       tags: req.query.tags ? req.query.tags.split(',') : null,
@@ -51,7 +125,7 @@ router.get('/', [
 
   } catch (error) {
     logger.error('Error getting articles:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch articles',
       message: error.message
     });
@@ -108,6 +182,7 @@ router.get('/recent', [
 router.get('/category/:category', [
   param('category').isString().trim().isLength({ min: 1 }),
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
   handleValidationErrors
 ], async (req, res) => {
@@ -115,33 +190,54 @@ router.get('/category/:category', [
     const { category } = req.params;
     const options = {
       page: req.query.page || 1,
+      cursor: req.query.cursor,
       limit: req.query.limit || 10
     };
 
+    // Generation settings stay admin-only
+    const { generation, ...details } = await categoryService.getCategory(category);
     const result = await articleService.getArticlesByCategory(category, options);
     
     res.json({
       success: true,
       data: result.articles,
       pagination: result.pagination,
-      category: category
+      category: category,
+      categoryDetails: details
     });
 
   } catch (error) {
     logger.error('Error getting articles by category:', error);
-    res.status(500).json({
+
+    if (error.message === 'Category not found') {
+      return res.status(404).json({
+        error: 'Category not found',
+        message: `No category found with slug: ${req.params.category}`
+      });
+    }
+
+    res.status(error.status || 500).json({
       error: 'Failed to fetch articles by category',
       message: error.message
     });
   }
 });
 
-// Search articles
+// Comma-separated query values as a list
+const csv = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : null);
+
+// Search articles with facets, highlighted snippets, prefix and typo matching
 router.get('/search', [
-  query('q').isString().trim().isLength({ min: 1 }),
+  query('q').isString().trim().isLength({ min: 1, max: 200 }),
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
   query('category').optional().isString().trim(),
+  query('tags').optional().isString(),
+  query('source').optional().isString(),
+  query('date').optional().isIn(Object.keys(DATE_BUCKETS)),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate(),
+  query('sort').optional().isIn(['relevance', 'date', 'views']),
   handleValidationErrors
 ], async (req, res) => {
   try {
@@ -149,16 +245,34 @@ router.get('/search', [
     const options = {
       page: req.query.page || 1,
       limit: req.query.limit || 10,
-      category: req.query.category
+      category: csv(req.query.category),
+      tags: csv(req.query.tags),
+      source: csv(req.query.source),
+      date: req.query.date,
+      from: req.query.from,
+      to: req.query.to,
+      sort: req.query.sort || 'relevance'
     };
 
     const result = await articleService.searchArticles(searchQuery, options);
-    
+
+    // Later pages repeat the same search, so only the first is logged
+    const searchId = options.page === 1
+      ? searchAnalyticsService.logSearch(searchQuery, {
+        results: result.pagination.totalArticles,
+        filtered: [options.category, options.tags, options.source].some(list => list?.length > 0) ||
+          Boolean(options.date || options.from || options.to)
+      })
+      : null;
+
     res.json({
       success: true,
       data: result.articles,
       pagination: result.pagination,
-      query: searchQuery
+      facets: result.facets,
+      terms: result.terms,
+      query: searchQuery,
+      searchId
     });
 
   } catch (error) {
@@ -170,15 +284,46 @@ router.get('/search', [
   }
 });
 
+// Get old slugs and custom redirects as from/to path pairs for the frontend
+router.get('/redirects', async (req, res) => {
+  try {
+    const redirects = await redirectService.getRedirectMap();
+
+    res.json({
+      success: true,
+      data: redirects
+    });
+
+  } catch (error) {
+    logger.error('Error getting redirects:', error);
+    res.status(500).json({
+      error: 'Failed to fetch redirects',
+      message: error.message
+    });
+  }
+});
+
 // Get article by slug
 router.get('/:slug', [
   param('slug').isString().trim().isLength({ min: 1 }),
+  query('format').optional().isIn(['markdown', 'html', 'both']),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { slug } = req.params;
-    const article = await articleService.getArticleBySlug(slug);
-    
+    const article = await articleService.getArticleBySlug(slug, {
+      format: req.query.format || 'markdown'
+    });
+
+    // Counted without holding up the response; server-side renders send a library
+    // user agent and are skipped as bots
+    viewService.countView(article._id, {
+      userId: req.user?._id?.toString() || null,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      referrer: req.get('Referer') || null
+    }).catch(error => logger.warn(`Could not count view of ${slug}: ${error.message}`));
+
     res.json({
       success: true,
       data: article
@@ -188,6 +333,15 @@ router.get('/:slug', [
     logger.error('Error getting article by slug:', error);
     
     if (error.message === 'Article not found') {
+      // Old slugs answer with where the article lives now instead of a 404
+      const redirect = await redirectService.resolveArticleSlug(req.params.slug).catch(() => null);
+      if (redirect) {
+        return res.json({
+          success: true,
+          redirect
+        });
+      }
+
       return res.status(404).json({
         error: 'Article not found',
         message: `No article found with slug: ${req.params.slug}`
@@ -201,25 +355,80 @@ router.get('/:slug', [
   }
 });
 
-// Create new article (admin only - will be protected by auth middleware in production)
+// Get published articles related to an article, best match first
+router.get('/:slug/related', [
+  param('slug').isString().trim().isLength({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 10 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const articles = await relatedService.getRelated(req.params.slug, {
+      limit: req.query.limit || 5
+    });
+
+    res.json({
+      success: true,
+      data: articles
+    });
+
+  } catch (error) {
+    logger.error('Error getting related articles:', error);
+
+    if (error.message === 'Article not found') {
+      return res.status(404).json({
+        error: 'Article not found',
+        message: `No article found with slug: ${req.params.slug}`
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch related articles',
+      message: error.message
+    });
+  }
+});
+
+// Create new article (articles:create)
 router.post('/', [
+  requirePermission('articles:create'),
   body('title').isString().trim().isLength({ min: 1, max: 200 }),
   body('content').isString().trim().isLength({ min: 100 }),
   body('excerpt').isString().trim().isLength({ min: 10, max: 300 }),
-  body('category').isString().trim().isIn([
-    'technology', 'business', 'health', 'entertainment', 'sports',
-    'politics', 'science', 'lifestyle', 'travel', 'food', 'fashion',
-    'education', 'finance', 'environment', 'other'
-  ]),
+  body('category').isString().trim().toLowerCase().custom(isKnownCategory),
   body('tags').optional().isArray(),
   body('tags.*').optional().isString().trim(),
   body('featuredImage').optional().isObject(),
+  body('featuredImage.asset').optional().isMongoId(),
+  body('featuredImage.url').optional().isString().trim(),
+  body('featuredImage.alt').optional().isString().trim().isLength({ max: 300 }),
   body('seo').optional().isObject(),
+  body('allowDuplicate').optional().isBoolean().toBoolean(),
+  body('status').optional().isIn(EDITABLE_STATUSES),
+  body('publishAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('unpublishAt').optional({ nullable: true }).isISO8601().toDate(),
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const articleData = req.body;
-    const article = await articleService.createArticle(articleData);
+    const { allowDuplicate = false, ...fields } = req.body;
+    const articleData = {
+      ...fields,
+      author: req.user._id
+    };
+
+    // Without publish rights an article can only be saved as an unscheduled draft
+    if (!(await hasRequestPermission(req, 'articles:publish'))) {
+      articleData.status = 'draft';
+      delete articleData.publishAt;
+      delete articleData.unpublishAt;
+    }
+
+    const article = await articleService.createArticle(articleData, req.user, { allowDuplicate });
+
+    await auditService.record(req, {
+      action: 'article.create',
+      target: { type: 'article', id: article._id, label: article.title },
+      after: { status: article.status, category: article.category }
+    });
     
     res.status(201).json({
       success: true,
@@ -229,29 +438,68 @@ router.post('/', [
 
   } catch (error) {
     logger.error('Error creating article:', error);
-    res.status(500).json({
+
+    if (error.duplicate) {
+      return res.status(409).json({
+        error: 'Duplicate article',
+        message: `${error.message}. Resend with allowDuplicate to save it flagged.`,
+        duplicate: error.duplicate
+      });
+    }
+
+    res.status(error.status || 500).json({
       error: 'Failed to create article',
       message: error.message
     });
   }
 });
 
-// Update article (admin only)
+// Update article (articles:edit)
 router.put('/:id', [
+  requirePermission('articles:edit'),
   param('id').isMongoId(),
   body('title').optional().isString().trim().isLength({ min: 1, max: 200 }),
   body('content').optional().isString().trim().isLength({ min: 100 }),
   body('excerpt').optional().isString().trim().isLength({ min: 10, max: 300 }),
-  body('category').optional().isString().trim(),
+  body('category').optional().isString().trim().toLowerCase().custom(isKnownCategory),
+  body('slug').optional().isString().trim().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, digits and single hyphens'),
   body('tags').optional().isArray(),
-  body('status').optional().isIn(['draft', 'published', 'archived']),
-  handleValidationErrors
+  body('featuredImage').optional({ nullable: true }).isObject(),
+  body('featuredImage.asset').optional().isMongoId(),
+  body('featuredImage.url').optional().isString().trim(),
+  body('featuredImage.alt').optional().isString().trim().isLength({ max: 300 }),
+  body('status').optional().isIn(EDITABLE_STATUSES),
+  body('publishAt').optional({ nullable: true }).isISO8601().toDate(),
+  body('unpublishAt').optional({ nullable: true }).isISO8601().toDate(),
+  handleValidationErrors,
+  requireArticleOwnership
 ], async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
+
+    const touchesPublishing = ['status', 'publishAt', 'unpublishAt']
+      .some(field => updateData[field] !== undefined);
+
+    if (touchesPublishing &&
+        !(await hasRequestPermission(req, 'articles:publish'))) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'Missing permission: articles:publish'
+      });
+    }
     
-    const article = await articleService.updateArticle(id, updateData);
+    const previous = await articleService.getArticleById(id);
+    const article = await articleService.updateArticle(id, updateData, { user: req.user });
+
+    const auditedFields = Object.keys(updateData);
+    await auditService.record(req, {
+      action: 'article.update',
+      target: { type: 'article', id: article._id, label: article.title },
+      before: Object.fromEntries(auditedFields.map(field => [field, previous[field]])),
+      after: Object.fromEntries(auditedFields.map(field => [field, article[field]]))
+    });
     
     res.json({
       success: true,
@@ -269,25 +517,269 @@ router.put('/:id', [
       });
     }
     
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to update article',
       message: error.message
     });
   }
 });
 
-// Delete article (admin only)
+// List revisions of an article (articles:edit)
+router.get('/:id/revisions', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const { revisions, pagination } = await revisionService.listRevisions(req.params.id, {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error listing revisions:', error);
+    handleRevisionError(req, res, error, 'Failed to fetch revisions');
+  }
+});
+
+// Diff two revisions of an article (articles:edit)
+router.get('/:id/revisions/diff', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  query('from').isInt({ min: 1 }).toInt(),
+  query('to').isInt({ min: 1 }).toInt(),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const diff = await revisionService.diffRevisions(req.params.id, req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    logger.error('Error diffing revisions:', error);
+    handleRevisionError(req, res, error, 'Failed to diff revisions');
+  }
+});
+
+// Get one revision of an article (articles:edit)
+router.get('/:id/revisions/:revision', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  param('revision').isInt({ min: 1 }).toInt(),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const revision = await revisionService.getRevision(req.params.id, req.params.revision);
+
+    res.json({
+      success: true,
+      data: revision
+    });
+
+  } catch (error) {
+    logger.error('Error getting revision:', error);
+    handleRevisionError(req, res, error, 'Failed to fetch revision');
+  }
+});
+
+// Restore an old revision as a new revision (articles:edit)
+router.post('/:id/revisions/:revision/restore', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  param('revision').isInt({ min: 1 }).toInt(),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+    const previous = await articleService.getArticleById(id);
+    const article = await articleService.restoreRevision(id, revision, req.user);
+
+    await auditService.record(req, {
+      action: 'article.revision.restore',
+      target: { type: 'article', id: article._id, label: article.title },
+      before: { title: previous.title, excerpt: previous.excerpt, tags: previous.tags },
+      after: { title: article.title, excerpt: article.excerpt, tags: article.tags },
+      metadata: { restoredFrom: revision }
+    });
+
+    res.json({
+      success: true,
+      data: article,
+      message: `Revision ${revision} restored successfully`
+    });
+
+  } catch (error) {
+    logger.error('Error restoring revision:', error);
+    handleRevisionError(req, res, error, 'Failed to restore revision');
+  }
+});
+
+// Get the review state and notes of an article (articles:edit)
+router.get('/:id/review', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const review = await reviewService.getReview(req.params.id);
+
+    res.json({
+      success: true,
+      data: review
+    });
+
+  } catch (error) {
+    logger.error('Error getting article review:', error);
+    handleReviewError(req, res, error, 'Failed to fetch review');
+  }
+});
+
+// Shared handler for the review workflow steps
+const handleReviewTransition = (action, message) => async (req, res) => {
+  try {
+    const { article, previousStatus } = await reviewService.transition(
+      req.params.id,
+      action,
+      req.user,
+      req.body.note
+    );
+
+    await auditService.record(req, {
+      action: `article.review.${action}`,
+      target: { type: 'article', id: article._id, label: article.title },
+      before: { status: previousStatus },
+      after: { status: article.status },
+      metadata: req.body.note ? { note: req.body.note } : null
+    });
+
+    res.json({
+      success: true,
+      data: article,
+      message
+    });
+
+  } catch (error) {
+    logger.error(`Error running review step ${action}:`, error);
+    handleReviewError(req, res, error, 'Failed to update review');
+  }
+};
+
+// Submit a draft, generated or revised article for review (articles:edit)
+router.post('/:id/review/submit', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  body('note').optional().isString().trim().isLength({ max: 5000 }),
+  handleValidationErrors,
+  requireArticleOwnership
+], handleReviewTransition('submit', 'Article submitted for review'));
+
+// Approve an article for publishing (articles:review)
+router.post('/:id/review/approve', [
+  requirePermission('articles:review'),
+  param('id').isMongoId(),
+  body('note').optional().isString().trim().isLength({ max: 5000 }),
+  handleValidationErrors
+], handleReviewTransition('approve', 'Article approved'));
+
+// Send an article back to its author with a note (articles:review)
+router.post('/:id/review/request-changes', [
+  requirePermission('articles:review'),
+  param('id').isMongoId(),
+  body('note').isString().trim().isLength({ min: 1, max: 5000 }),
+  handleValidationErrors
+], handleReviewTransition('request_changes', 'Changes requested'));
+
+// Assign a reviewer, or unassign with null (articles:review)
+router.put('/:id/review/assignee', [
+  requirePermission('articles:review'),
+  param('id').isMongoId(),
+  body('reviewerId').optional({ nullable: true }).isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { article, previousReviewer } = await reviewService.assignReviewer(
+      req.params.id,
+      req.body.reviewerId || null,
+      req.user
+    );
+
+    await auditService.record(req, {
+      action: 'article.review.assign',
+      target: { type: 'article', id: article._id, label: article.title },
+      before: { assignedTo: previousReviewer?.toString() || null },
+      after: { assignedTo: article.review.assignedTo?.toString() || null }
+    });
+
+    res.json({
+      success: true,
+      data: await reviewService.getReview(article._id),
+      message: article.review.assignedTo ? 'Reviewer assigned' : 'Reviewer unassigned'
+    });
+
+  } catch (error) {
+    logger.error('Error assigning reviewer:', error);
+    handleReviewError(req, res, error, 'Failed to assign reviewer');
+  }
+});
+
+// Leave a review note (articles:edit, so authors can reply to reviewers)
+router.post('/:id/review/notes', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }),
+  handleValidationErrors,
+  requireArticleOwnership
+], async (req, res) => {
+  try {
+    const note = await reviewService.addNote(req.params.id, req.user, req.body.body);
+
+    res.status(201).json({
+      success: true,
+      data: note,
+      message: 'Note added'
+    });
+
+  } catch (error) {
+    logger.error('Error adding review note:', error);
+    handleReviewError(req, res, error, 'Failed to add note');
+  }
+});
+
+// Move article to trash (articles:delete)
 router.delete('/:id', [
+  requirePermission('articles:delete'),
   param('id').isMongoId(),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
-    await articleService.deleteArticle(id);
+    const article = await articleService.deleteArticle(id, req.user);
+
+    await auditService.record(req, {
+      action: 'article.delete',
+      target: { type: 'article', id: article._id, label: article.title },
+      before: { status: article.status, slug: article.slug }
+    });
     
     res.json({
       success: true,
-      message: 'Article deleted successfully'
+      message: 'Article moved to trash'
     });
 
   } catch (error) {
@@ -0,0 +1,81 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import CategoryService from '../services/categoryService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('CategoriesRouter');
+const categoryService = new CategoryService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Generation settings are only of interest to admins
+const toPublic = ({ generation, ...category }) => category;
+
+// Get all categories, flat or nested under their parents
+router.get('/', [
+  query('tree').optional().isBoolean().toBoolean(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const stripTree = (nodes) => nodes.map(node => ({ ...toPublic(node), children: stripTree(node.children) }));
+
+    const data = req.query.tree
+      ? stripTree(await categoryService.getTree())
+      : (await categoryService.listCategories()).map(toPublic);
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error getting categories:', error);
+    res.status(500).json({
+      error: 'Failed to fetch categories',
+      message: error.message
+    });
+  }
+});
+
+// Get one category by slug
+router.get('/:slug', [
+  param('slug').isString().trim().toLowerCase(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const category = await categoryService.getCategory(req.params.slug);
+
+    res.json({
+      success: true,
+      data: toPublic(category)
+    });
+
+  } catch (error) {
+    logger.error('Error getting category:', error);
+
+    if (error.message === 'Category not found') {
+      return res.status(404).json({
+        error: 'Category not found',
+        message: `No category found with slug: ${req.params.slug}`
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch category',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import CollectionService from '../services/collectionService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('CollectionsRouter');
+const collectionService = new CollectionService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Get all curated collections with their number of published articles
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { items, pagination } = await collectionService.listCollections('collection', {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting collections:', error);
+    res.status(500).json({
+      error: 'Failed to fetch collections',
+      message: error.message
+    });
+  }
+});
+
+// Get a collection with its published articles
+router.get('/:slug', [
+  param('slug').isString().trim().toLowerCase(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const collection = await collectionService.getCollection('collection', req.params.slug);
+
+    res.json({
+      success: true,
+      data: collection
+    });
+
+  } catch (error) {
+    logger.error('Error getting collection:', error);
+
+    if (error.message === 'Collection not found') {
+      return res.status(404).json({
+        error: 'Collection not found',
+        message: `No collection found with slug: ${req.params.slug}`
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch collection',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,11 +1,17 @@
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import Comment from '../models/Comment.js';
+import Comment, { COMMENT_LIST_SORT } from '../models/Comment.js';
 import Article from '../models/Article.js';
+import SanctionService from '../services/sanctionService.js';
+import TrashService from '../services/trashService.js';
+import { authenticateUser, optionalAuth, requireScope, hasRequestPermission } from '../middleware/auth.js';
+import { decodeCursor, takePage, buildPagination } from '../utils/pagination.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
 const logger = createLogger('CommentsRouter');
+const sanctionService = new SanctionService();
+const trashService = new TrashService();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -19,54 +25,35 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Mock authentication middleware (replace with real auth in production)
-const authenticateUser = (req, res, next) => {
-  // In production, this would verify JWT token and set req.user
-  // For now, we'll use a mock user for testing
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Please provide a valid authentication token'
+// Refuse suspended or muted users; mutes only block writing comments
+const requireGoodStanding = (activity) => (req, res, next) => {
+  const sanction = sanctionService.getRestriction(req.user, activity);
+
+  if (sanction) {
+    return res.status(403).json({
+      error: 'Account restricted',
+      message: sanctionService.describeRestriction(sanction),
+      sanction: {
+        id: sanction._id,
+        type: sanction.type,
+        reason: sanction.reason,
+        expiresAt: sanction.expiresAt
+      }
     });
   }
-  
-  // Mock user (in production, decode JWT and fetch user)
-  req.user = {
-    _id: '507f1f77bcf86cd799439011', // Mock user ID
-    name: 'Test User',
-    email: 'test@example.com',
-    role: 'user'
-  };
-  
-  next();
-};
 
-// Optional authentication (for features that work with or without auth)
-const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    req.user = {
-      _id: '507f1f77bcf86cd799439011',
-      name: 'Test User',
-      email: 'test@example.com',
-      role: 'user'
-    };
-  }
-  
   next();
 };
 
 // Get comments for an article
 router.get('/article/:articleId', [
+  optionalAuth,
   param('articleId').isMongoId(),
   query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isString().isLength({ max: 500 }),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('includeReplies').optional().isBoolean().toBoolean(),
-  handleValidationErrors,
-  optionalAuth
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { articleId } = req.params;
@@ -74,6 +61,8 @@ router.get('/article/:articleId', [
     const limit = req.query.limit || 20;
     const includeReplies = req.query.includeReplies !== false;
     const skip = (page - 1) * limit;
+    const { cursor } = req.query;
+    const after = cursor ? decodeCursor(cursor, COMMENT_LIST_SORT) : null;
 
     // Verify article exists
     const article = await Article.findById(articleId);
@@ -84,37 +73,31 @@ router.get('/article/:articleId', [
       });
     }
 
-    // Get comments
-    const comments = await Comment.findByArticle(articleId, {
+    // Get comments; one extra tells whether another page follows
+    const found = await Comment.findByArticle(articleId, {
       includeReplies,
-      limit,
-      skip
+      limit: limit + 1,
+      skip,
+      after
     });
+    const { items: comments, nextCursor } = takePage(found, limit, COMMENT_LIST_SORT);
 
-    // Get total count for pagination
-    const totalComments = await Comment.countDocuments({
+    // Get total count for pagination; cursor pages go without
+    const totalComments = after ? null : await Comment.countDocuments({
       article: articleId,
       status: 'approved',
       parentComment: null
     });
 
-    const totalPages = Math.ceil(totalComments / limit);
-
     res.json({
       success: true,
       data: comments,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalComments,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
-      }
+      pagination: buildPagination({ page, limit, cursor, total: totalComments, nextCursor }, 'totalComments')
     });
 
   } catch (error) {
     logger.error('Error getting comments:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to fetch comments',
       message: error.message
     });
@@ -166,11 +149,13 @@ router.get('/user/:userId', [
 
 // Create new comment
 router.post('/', [
+  authenticateUser,
+  requireScope('comments:write'),
+  requireGoodStanding('comment'),
   body('content').isString().trim().isLength({ min: 1, max: 1000 }),
   body('article').isMongoId(),
   body('parentComment').optional().isMongoId(),
-  handleValidationErrors,
-  authenticateUser
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { content, article, parentComment } = req.body;
@@ -230,10 +215,12 @@ router.post('/', [
 
 // Update comment
 router.put('/:id', [
+  authenticateUser,
+  requireScope('comments:write'),
+  requireGoodStanding('comment'),
   param('id').isMongoId(),
   body('content').isString().trim().isLength({ min: 1, max: 1000 }),
-  handleValidationErrors,
-  authenticateUser
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -247,8 +234,9 @@ router.put('/:id', [
       });
     }
 
-    // Check if user owns the comment or is admin
-    if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the comment or can moderate comments
+    if (comment.author?.toString() !== req.user._id.toString() &&
+        !(await hasRequestPermission(req, 'comments:moderate'))) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only edit your own comments'
@@ -276,9 +264,10 @@ router.put('/:id', [
 
 // Delete comment
 router.delete('/:id', [
+  authenticateUser,
+  requireScope('comments:write'),
   param('id').isMongoId(),
-  handleValidationErrors,
-  authenticateUser
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -291,18 +280,21 @@ router.delete('/:id', [
       });
     }
 
-    // Check if user owns the comment or is admin
-    if (comment.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Check if user owns the comment or can moderate comments
+    if (comment.author?.toString() !== req.user._id.toString() &&
+        !(await hasRequestPermission(req, 'comments:moderate'))) {
       return res.status(403).json({
         error: 'Access denied',
         message: 'You can only delete your own comments'
       });
     }
 
-    await comment.remove();
+    // Replies go to the trash with it and come back together on restore
+    const { repliesTrashed } = await trashService.trashComment(comment._id, req.user);
 
     res.json({
       success: true,
+      repliesTrashed,
       message: 'Comment deleted successfully'
     });
 
@@ -317,9 +309,11 @@ router.delete('/:id', [
 
 // Like/unlike comment
 router.post('/:id/like', [
+  authenticateUser,
+  requireScope('comments:write'),
+  requireGoodStanding('interact'),
   param('id').isMongoId(),
-  handleValidationErrors,
-  authenticateUser
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -363,11 +357,13 @@ router.post('/:id/like', [
 
 // Report comment
 router.post('/:id/report', [
+  authenticateUser,
+  requireScope('comments:write'),
+  requireGoodStanding('interact'),
   param('id').isMongoId(),
   body('reason').isIn(['spam', 'inappropriate', 'harassment', 'other']),
   body('details').optional().isString().trim().isLength({ max: 500 }),
-  handleValidationErrors,
-  authenticateUser
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import FeedService, { FEED_CONTENT } from '../services/feedService.js';
+import { FEED_FORMATS } from '../utils/feed.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('FeedsRouter');
+const feedService = new FeedService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const feedValidation = [
+  param('format').isIn(Object.keys(FEED_FORMATS)),
+  query('content').optional().isIn(FEED_CONTENT),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  handleValidationErrors
+];
+
+/**
+ * Answer a feed request, with 304 Not Modified when the reader's copy is current
+ * @param {string} scope - site, category, tag or author
+ * @param {Function} valueOf - Picks the scope value from the request
+ * @returns {Function} Route handler
+ */
+const sendFeed = (scope, valueOf = () => null) => async (req, res) => {
+  try {
+    const feed = await feedService.getFeed(scope, valueOf(req), {
+      format: req.params.format,
+      content: req.query.content,
+      limit: req.query.limit || 20
+    });
+
+    res.set({
+      ETag: feed.etag,
+      'Cache-Control': 'public, max-age=600'
+    });
+    if (feed.lastModified) {
+      res.set('Last-Modified', feed.lastModified.toUTCString());
+    }
+
+    // Checks If-None-Match and If-Modified-Since against the headers above
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.type(FEED_FORMATS[feed.format]).send(await feedService.renderFeed(feed));
+
+  } catch (error) {
+    logger.error(`Error serving ${scope} feed:`, error);
+    res.status(error.status || 500).json({
+      error: error.status === 404 ? error.message : 'Failed to generate feed',
+      message: error.message
+    });
+  }
+};
+
+// Latest published articles across the site
+router.get('/:format', feedValidation, sendFeed('site'));
+
+// Latest published articles in a category and its subcategories
+router.get('/category/:slug/:format', [
+  param('slug').isString().trim().toLowerCase(),
+  ...feedValidation
+], sendFeed('category', req => req.params.slug));
+
+// Latest published articles with a tag, by slug, name or synonym
+router.get('/tag/:tag/:format', [
+  param('tag').isString().trim().isLength({ min: 1, max: 100 }),
+  ...feedValidation
+], sendFeed('tag', req => req.params.tag));
+
+// Latest published articles by an author
+router.get('/author/:id/:format', [
+  param('id').isMongoId(),
+  ...feedValidation
+], sendFeed('author', req => req.params.id));
+
+export default router;
@@ -0,0 +1,206 @@
+import express from 'express';
+import multer from 'multer';
+import { body, param, query, validationResult } from 'express-validator';
+import ImageService from '../services/imageService.js';
+import AuditService from '../services/auditService.js';
+import { requirePermission } from '../middleware/auth.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('MediaRouter');
+const imageService = new ImageService();
+const auditService = new AuditService();
+
+const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB) || 10;
+
+// Files are kept in memory just long enough to hash, resize and hand to the storage driver
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!file.mimetype.startsWith('image/')) {
+      return cb(Object.assign(new Error('Only image files can be uploaded'), { status: 400 }));
+    }
+    cb(null, true);
+  }
+});
+
+// Run multer and report its errors the same way as validation errors
+const uploadImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        error: 'Upload failed',
+        message: tooLarge ? `Images may be at most ${MAX_UPLOAD_MB} MB` : error.message
+      });
+    }
+
+    res.status(error.status || 500).json({
+      error: 'Upload failed',
+      message: error.message
+    });
+  });
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+const handleImageError = (res, error, fallback) => {
+  if (error.message === 'Image not found') {
+    return res.status(404).json({
+      error: 'Image not found',
+      message: 'The specified image does not exist'
+    });
+  }
+
+  res.status(error.status || 500).json({
+    error: fallback,
+    message: error.message
+  });
+};
+
+// Upload an image; variants are generated before the response is sent
+router.post('/images', [
+  requirePermission('articles:create'),
+  uploadImage,
+  body('alt').isString().trim().isLength({ min: 1, max: 300 })
+    .withMessage('Alt text is required and may be at most 300 characters'),
+  body('caption').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Send the image as multipart/form-data in the "image" field'
+      });
+    }
+
+    const { asset, existing } = await imageService.upload(req.file, req.body, req.user);
+
+    if (!existing) {
+      await auditService.record(req, {
+        action: 'media.upload',
+        target: { type: 'asset', id: asset._id, label: asset.originalName },
+        after: { url: asset.url, size: asset.size, width: asset.width, height: asset.height }
+      });
+    }
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: asset,
+      existing,
+      message: existing ? 'This image was already uploaded' : 'Image uploaded successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error uploading image:', error);
+    handleImageError(res, error, 'Failed to upload image');
+  }
+});
+
+// List uploaded images
+router.get('/images', [
+  requirePermission('articles:edit'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const result = await imageService.listAssets({ page, limit });
+
+    res.json({
+      success: true,
+      data: result.assets,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error listing images:', error);
+    handleImageError(res, error, 'Failed to fetch images');
+  }
+});
+
+// Get one uploaded image with its variants
+router.get('/images/:id', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const asset = await imageService.getAsset(req.params.id);
+
+    res.json({
+      success: true,
+      data: asset
+    });
+
+  } catch (error) {
+    logger.error('Error fetching image:', error);
+    handleImageError(res, error, 'Failed to fetch image');
+  }
+});
+
+// Change the default alt text or caption of an image
+router.put('/images/:id', [
+  requirePermission('articles:edit'),
+  param('id').isMongoId(),
+  body('alt').optional().isString().trim().isLength({ min: 1, max: 300 }),
+  body('caption').optional().isString().trim().isLength({ max: 500 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const asset = await imageService.updateAsset(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: asset,
+      message: 'Image updated successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error updating image:', error);
+    handleImageError(res, error, 'Failed to update image');
+  }
+});
+
+// Delete an image and its variants; refused while an article uses it
+router.delete('/images/:id', [
+  requirePermission('articles:delete'),
+  param('id').isMongoId(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const asset = await imageService.deleteAsset(req.params.id);
+
+    await auditService.record(req, {
+      action: 'media.delete',
+      target: { type: 'asset', id: asset._id, label: asset.originalName },
+      before: { url: asset.url, alt: asset.alt }
+    });
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting image:', error);
+    handleImageError(res, error, 'Failed to delete image');
+  }
+});
+
+export default router;
@@ -0,0 +1,78 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import SuggestService from '../services/suggestService.js';
+import SearchAnalyticsService from '../services/searchAnalyticsService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('SearchRouter');
+const suggestService = new SuggestService();
+const searchAnalyticsService = new SearchAnalyticsService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Suggest article titles, categories, tags and trend keywords for a partly typed search
+router.get('/suggest', [
+  query('q').isString().trim().isLength({ min: 1, max: 100 }),
+  query('limit').optional().isInt({ min: 1, max: 10 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const suggestions = await suggestService.suggest(req.query.q, {
+      limit: req.query.limit || 5
+    });
+
+    res.json({
+      success: true,
+      data: suggestions,
+      query: req.query.q
+    });
+
+  } catch (error) {
+    logger.error('Error getting search suggestions:', error);
+    res.status(500).json({
+      error: 'Failed to fetch suggestions',
+      message: error.message
+    });
+  }
+});
+
+// Record that a search result was opened; only the search ID links it to the query
+router.post('/click', [
+  body('searchId').isMongoId(),
+  body('articleId').isMongoId(),
+  body('position').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const recorded = await searchAnalyticsService.recordClick(
+      req.body.searchId,
+      req.body.articleId,
+      req.body.position
+    );
+
+    res.json({
+      success: true,
+      recorded
+    });
+
+  } catch (error) {
+    logger.error('Error recording search click:', error);
+    res.status(500).json({
+      error: 'Failed to record click',
+      message: error.message
+    });
+  }
+});
+
+export default router;
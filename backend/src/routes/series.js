@@ -0,0 +1,79 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import CollectionService from '../services/collectionService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('SeriesRouter');
+const collectionService = new CollectionService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Get all series with their number of published parts
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { items, pagination } = await collectionService.listCollections('series', {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20
+    });
+
+    res.json({
+      success: true,
+      data: items,
+      pagination
+    });
+
+  } catch (error) {
+    logger.error('Error getting series:', error);
+    res.status(500).json({
+      error: 'Failed to fetch series',
+      message: error.message
+    });
+  }
+});
+
+// Get a series with its published parts in reading order
+router.get('/:slug', [
+  param('slug').isString().trim().toLowerCase(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const series = await collectionService.getCollection('series', req.params.slug);
+
+    res.json({
+      success: true,
+      data: series
+    });
+
+  } catch (error) {
+    logger.error('Error getting series:', error);
+
+    if (error.message === 'Collection not found') {
+      return res.status(404).json({
+        error: 'Series not found',
+        message: `No series found with slug: ${req.params.slug}`
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch series',
+      message: error.message
+    });
+  }
+});
+
+export default router;
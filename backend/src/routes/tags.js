@@ -0,0 +1,87 @@
+import express from 'express';
+import { param, query, validationResult } from 'express-validator';
+import TagService from '../services/tagService.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('TagsRouter');
+const tagService = new TagService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Get the tag index with article counts
+router.get('/', [
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt(),
+  query('minCount').optional().isInt({ min: 1 }).toInt(),
+  query('sort').optional().isIn(['count', 'name']),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const tags = await tagService.getTagIndex({
+      limit: req.query.limit || null,
+      minCount: req.query.minCount || 1,
+      sort: req.query.sort || 'count'
+    });
+
+    res.json({
+      success: true,
+      data: tags
+    });
+
+  } catch (error) {
+    logger.error('Error getting tags:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tags',
+      message: error.message
+    });
+  }
+});
+
+// Get published articles with a tag; synonyms resolve to the canonical tag
+router.get('/:tag', [
+  param('tag').isString().trim().isLength({ min: 1, max: 100 }),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const result = await tagService.getTagArticles(req.params.tag, {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10
+    });
+
+    res.json({
+      success: true,
+      data: result.articles,
+      pagination: result.pagination,
+      tag: result.tag
+    });
+
+  } catch (error) {
+    logger.error('Error getting articles by tag:', error);
+
+    if (error.message === 'Tag not found') {
+      return res.status(404).json({
+        error: 'Tag not found',
+        message: `No articles found with tag: ${req.params.tag}`
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to fetch articles by tag',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,12 +2,17 @@ import express from 'express';
 import { body, query, validationResult } from 'express-validator';
 import TrendService from '../services/trendService.js';
 import ArticleService from '../services/articleService.js';
+import AuditService from '../services/auditService.js';
+import CategoryService from '../services/categoryService.js';
+import { requirePermission } from '../middleware/auth.js';
 import { createLogger } from '../utils/logger.js';
 
 const router = express.Router();
 const logger = createLogger('TrendsRouter');
 const trendService = new TrendService();
 const articleService = new ArticleService();
+const auditService = new AuditService();
+const categoryService = new CategoryService();
 
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
@@ -21,28 +26,6 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
-// Mock admin authentication middleware
-const authenticateAdmin = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'Admin authentication required'
-    });
-  }
-  
-  // Mock admin user (in production, verify JWT and check role)
-  req.user = {
-    _id: '507f1f77bcf86cd799439012',
-    name: 'Admin User',
-    email: 'admin@trendwise.com',
-    role: 'admin'
-  };
-  
-  next();
-};
-
 // Get current trending topics (cached for performance)
 let trendsCache = {
   data: null,
@@ -167,15 +150,15 @@ router.get('/source/:source', [
   }
 });
 
-// Manually fetch new trends (admin only)
+// Manually fetch new trends (trends:fetch)
 router.post('/fetch', [
+  requirePermission('trends:fetch'),
   body('sources').optional().isArray(),
   body('sources.*').optional().isIn(['google', 'twitter', 'reddit']),
   body('geo').optional().isString().trim(),
   body('categories').optional().isArray(),
   body('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const {
@@ -211,6 +194,12 @@ router.post('/fetch', [
       ttl: trendsCache.ttl
     };
 
+    await auditService.record(req, {
+      action: 'trends.fetch',
+      target: { type: 'trends-cache', label: `${filteredTrends.length} trends` },
+      metadata: { sources, geo, categories, limit }
+    });
+
     res.json({
       success: true,
       data: filteredTrends,
@@ -227,19 +216,19 @@ router.post('/fetch', [
   }
 });
 
-// Generate articles from current trends (admin only)
+// Generate articles from current trends (articles:generate)
 router.post('/generate-articles', [
+  requirePermission('articles:generate'),
   body('maxArticles').optional().isInt({ min: 1, max: 10 }).toInt(),
   body('categories').optional().isArray(),
   body('useCache').optional().isBoolean(),
   body('articleOptions').optional().isObject(),
-  handleValidationErrors,
-  authenticateAdmin
+  handleValidationErrors
 ], async (req, res) => {
   try {
     const {
       maxArticles = 3,
-      categories = ['technology', 'business', 'health'],
+      categories = await categoryService.getGenerationCategories(),
       useCache = true,
       articleOptions = {}
     } = req.body;
@@ -274,6 +263,17 @@ router.post('/generate-articles', [
       trends: trends.slice(0, maxArticles * 2) // Provide more trends to choose from
     });
 
+    await auditService.record(req, {
+      action: 'articles.generate',
+      target: { type: 'article', label: `${articles.length} generated articles` },
+      metadata: {
+        maxArticles,
+        categories,
+        useCache,
+        articleIds: articles.map(article => article._id.toString())
+      }
+    });
+
     res.json({
       success: true,
       data: articles,
@@ -306,12 +306,7 @@ router.get('/stats', async (req, res) => {
         twitter: 'Available',
         reddit: 'Available'
       },
-      categories: [
-        'technology', 'business', 'health', 'entertainment',
-        'sports', 'politics', 'science', 'lifestyle',
-        'travel', 'food', 'fashion', 'education',
-        'finance', 'environment', 'other'
-      ]
+      categories: await categoryService.getSlugs()
     };
 
     res.json({
@@ -328,17 +323,26 @@ router.get('/stats', async (req, res) => {
   }
 });
 
-// Clear trends cache (admin only)
+// Clear trends cache (trends:fetch)
 router.delete('/cache', [
-  authenticateAdmin
+  requirePermission('trends:fetch')
 ], async (req, res) => {
   try {
+    const clearedSize = trendsCache.data ? trendsCache.data.length : 0;
+
     trendsCache = {
       data: null,
       timestamp: null,
       ttl: trendsCache.ttl
     };
 
+    await auditService.record(req, {
+      action: 'trends.cache.clear',
+      target: { type: 'trends-cache', label: 'trends cache' },
+      before: { cacheSize: clearedSize },
+      after: { cacheSize: 0 }
+    });
+
     logger.info('Admin cleared trends cache');
 
     res.json({
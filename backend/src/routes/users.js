@@ -0,0 +1,163 @@
+import express from 'express';
+import { body, param, validationResult } from 'express-validator';
+import SanctionService from '../services/sanctionService.js';
+import AccountService from '../services/accountService.js';
+import AuditService from '../services/auditService.js';
+import { authenticateSanctionedUser, requireSession } from '../middleware/auth.js';
+import { createLogger } from '../utils/logger.js';
+
+const router = express.Router();
+const logger = createLogger('UsersRouter');
+const sanctionService = new SanctionService();
+const accountService = new AccountService();
+const auditService = new AuditService();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Banned users may still sign in here to see and appeal their sanctions
+router.use(authenticateSanctionedUser, requireSession);
+
+// Get the current user's record, including sanctions and their appeals
+router.get('/me', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: req.user.toSafeObject()
+    });
+
+  } catch (error) {
+    logger.error('Error getting current user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message
+    });
+  }
+});
+
+// Appeal an active sanction; each sanction can be appealed once
+router.post('/me/sanctions/:sanctionId/appeal', [
+  param('sanctionId').isMongoId(),
+  body('message').isString().trim().isLength({ min: 1, max: 2000 }),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const sanction = await sanctionService.submitAppeal(
+      req.user,
+      req.params.sanctionId,
+      req.body.message
+    );
+
+    await auditService.record(req, {
+      action: `user.${sanction.type}.appeal.submit`,
+      target: { type: 'user', id: req.user._id, label: req.user.email },
+      metadata: { sanctionId: sanction._id }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: sanction,
+      message: 'Appeal submitted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error submitting appeal:', error);
+
+    if (error.message === 'Sanction not found') {
+      return res.status(404).json({
+        error: 'Sanction not found',
+        message: 'The specified sanction does not exist'
+      });
+    }
+
+    res.status(error.status || 500).json({
+      error: 'Failed to submit appeal',
+      message: error.message
+    });
+  }
+});
+
+// Download everything stored about the current user
+router.get('/me/export', async (req, res) => {
+  try {
+    const data = await accountService.exportData(req.user);
+
+    await auditService.record(req, {
+      action: 'user.export',
+      target: { type: 'user', id: req.user._id, label: req.user.email }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Disposition', `attachment; filename="trendwise-data-${date}.json"`);
+    res.json(data);
+
+  } catch (error) {
+    logger.error('Error exporting user data:', error);
+    res.status(500).json({
+      error: 'Failed to export data',
+      message: error.message
+    });
+  }
+});
+
+// Schedule the current account for erasure after the grace period
+router.delete('/me', async (req, res) => {
+  try {
+    const user = await accountService.requestDeletion(req.user);
+
+    await auditService.record(req, {
+      action: 'user.deletion.request',
+      target: { type: 'user', id: user._id, label: user.email },
+      after: { scheduledFor: user.deletion.scheduledFor }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: user.deletion,
+      message: `Your account will be deleted on ${user.deletion.scheduledFor.toISOString()}. You can cancel until then.`
+    });
+
+  } catch (error) {
+    logger.error('Error requesting account deletion:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to delete account',
+      message: error.message
+    });
+  }
+});
+
+// Cancel a pending account erasure
+router.post('/me/restore', async (req, res) => {
+  try {
+    const user = await accountService.cancelDeletion(req.user);
+
+    await auditService.record(req, {
+      action: 'user.deletion.cancel',
+      target: { type: 'user', id: user._id, label: user.email }
+    });
+
+    res.json({
+      success: true,
+      data: user.toSafeObject(),
+      message: 'Account deletion cancelled'
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling account deletion:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to cancel account deletion',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -4,6 +4,7 @@ import dotenv from 'dotenv';
 import database from '../utils/database.js';
 import ArticleService from '../services/articleService.js';
 import TrendService from '../services/trendService.js';
+import CategoryService from '../services/categoryService.js';
 import { createLogger } from '../utils/logger.js';
 
 // Load environment variables
@@ -12,6 +13,7 @@ dotenv.config();
 const logger = createLogger('GenerateArticlesScript');
 const articleService = new ArticleService();
 const trendService = new TrendService();
+const categoryService = new CategoryService();
 
 /**
  * Generate articles from trending topics
@@ -29,7 +31,7 @@ async function generateArticles(options = {}) {
       maxArticles: parseInt(process.env.MAX_ARTICLES_PER_RUN) || 3,
       categories: process.env.ARTICLE_CATEGORIES 
         ? process.env.ARTICLE_CATEGORIES.split(',')
-        : ['technology', 'business', 'health'],
+        : await categoryService.getGenerationCategories(),
       geo: process.env.TRENDS_GEO || 'US',
       useCache: process.env.USE_TRENDS_CACHE !== 'false',
       wordCount: parseInt(process.env.ARTICLE_WORD_COUNT) || 1200,
@@ -0,0 +1,72 @@
+import MongoSearchIndex from './mongoSearchIndex.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SearchIndex');
+
+// Available search indexes. Each implements search({ query, filters, page, limit, sort }),
+// indexArticle(id) and removeArticle(id); a dedicated engine registers here under its name.
+const DRIVERS = {
+  mongo: MongoSearchIndex
+};
+
+let searchIndex = null;
+
+/**
+ * Search index selected by SEARCH_DRIVER, created once per process
+ * @returns {Object} Search index
+ */
+export const getSearchIndex = () => {
+  if (!searchIndex) {
+    const name = process.env.SEARCH_DRIVER || 'mongo';
+    const Driver = DRIVERS[name];
+
+    if (!Driver) {
+      throw new Error(`Unknown search driver "${name}". Available: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    searchIndex = new Driver();
+  }
+
+  return searchIndex;
+};
+
+/**
+ * Tell the index about articles changed by a bulk write, such as a tag merge or
+ * category rename that skips the per-article hooks. Failures are logged so the
+ * write still succeeds.
+ * @param {Array} ids - Article IDs
+ */
+export const indexArticles = async (ids) => {
+  const index = getSearchIndex();
+
+  for (const id of ids) {
+    try {
+      await index.indexArticle(id);
+    } catch (error) {
+      logger.warn(`Could not index article ${id}: ${error.message}`);
+    }
+  }
+
+  // Drivers that cache words drawn from articles rebuild them
+  index.invalidate?.();
+};
+
+/**
+ * Tell the index about articles deleted by a bulk write; failures are logged
+ * @param {Array} ids - Article IDs
+ */
+export const removeArticles = async (ids) => {
+  const index = getSearchIndex();
+
+  for (const id of ids) {
+    try {
+      await index.removeArticle(id);
+    } catch (error) {
+      logger.warn(`Could not remove article ${id} from the search index: ${error.message}`);
+    }
+  }
+
+  index.invalidate?.();
+};
+
+export default getSearchIndex;
@@ -0,0 +1,297 @@
+import Article from '../models/Article.js';
+import { normalizeWords } from '../utils/fingerprint.js';
+import {
+  DATE_BUCKETS,
+  DEFAULT_SOURCE,
+  parseQuery,
+  editDistance,
+  allowedTypos,
+  highlightArticle
+} from './query.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('MongoSearchIndex');
+
+// Fields returned for each hit; content is only kept for the snippet
+const HIT_FIELDS = {
+  title: 1,
+  slug: 1,
+  excerpt: 1,
+  content: 1,
+  category: 1,
+  tags: 1,
+  featuredImage: 1,
+  author: 1,
+  trendData: 1,
+  stats: 1,
+  publishedAt: 1,
+  score: 1
+};
+
+const SORTS = {
+  relevance: { score: -1, publishedAt: -1 },
+  date: { publishedAt: -1 },
+  views: { 'stats.views': -1, publishedAt: -1 }
+};
+
+// Words that prefix and typo matching can expand a query term into
+const MAX_PREFIX_MATCHES = 5;
+const MAX_TYPO_MATCHES = 3;
+
+// Words of published titles, tags and body terms
+let vocabularyCache = {
+  data: null,
+  timestamp: null,
+  ttl: 10 * 60 * 1000 // 10 minutes cache
+};
+
+/**
+ * Search index over the articles collection itself. Mongo's text index does
+ * stemming and scoring; prefixes and typos are handled by expanding query terms
+ * against the words published articles actually use.
+ */
+class MongoSearchIndex {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  /**
+   * Search published articles
+   * @param {Object} params - query, filters ({ categories, tags, sources, from, to }), page, limit, sort
+   * @returns {Promise<Object>} hits (with score and highlights), total, facets and terms
+   */
+  async search({ query, filters = {}, page = 1, limit = 10, sort = 'relevance' }) {
+    try {
+      const parsed = parseQuery(query);
+      const { searched, corrections } = await this.expandTerms(parsed.terms);
+
+      if (searched.length === 0 && parsed.phrases.length === 0) {
+        return { hits: [], total: 0, facets: this.emptyFacets(), terms: { searched, corrections } };
+      }
+
+      const textSearch = [
+        ...searched,
+        ...parsed.phrases.map(phrase => `"${phrase}"`),
+        ...parsed.excluded.map(word => `-${word}`)
+      ].join(' ');
+
+      // Each facet counts matches under every filter except its own
+      const clauses = this.filterClauses(filters);
+      const except = (name) => Object.assign({}, ...Object.entries(clauses)
+        .filter(([key]) => key !== name)
+        .map(([, clause]) => clause));
+      const all = except(null);
+      const now = Date.now();
+
+      const [result] = await Article.aggregate([
+        // deletedAt is set here because $text has to be in the first stage
+        { $match: { $text: { $search: textSearch }, status: 'published', deletedAt: null } },
+        { $addFields: { score: { $meta: 'textScore' } } },
+        {
+          $facet: {
+            hits: [
+              { $match: all },
+              { $sort: SORTS[sort] || SORTS.relevance },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+              { $project: HIT_FIELDS }
+            ],
+            total: [{ $match: all }, { $count: 'count' }],
+            categories: [
+              { $match: except('category') },
+              { $sortByCount: '$category' },
+              { $limit: 50 }
+            ],
+            tags: [
+              { $match: except('tags') },
+              { $unwind: '$tags' },
+              { $sortByCount: '$tags' },
+              { $limit: 20 }
+            ],
+            sources: [
+              { $match: except('source') },
+              { $sortByCount: { $ifNull: ['$trendData.source', DEFAULT_SOURCE] } }
+            ],
+            dates: [
+              { $match: except('date') },
+              {
+                $group: {
+                  _id: null,
+                  ...Object.fromEntries(Object.entries(DATE_BUCKETS).map(([bucket, span]) => [
+                    bucket,
+                    { $sum: { $cond: [{ $gte: ['$publishedAt', new Date(now - span)] }, 1, 0] } }
+                  ])),
+                  older: {
+                    $sum: { $cond: [{ $lt: ['$publishedAt', new Date(now - DATE_BUCKETS.year)] }, 1, 0] }
+                  }
+                }
+              }
+            ]
+          }
+        }
+      ]);
+
+      const highlightTerms = [...searched, ...parsed.phrases.flatMap(phrase => phrase.split(' '))];
+      const hits = (await Article.populate(result.hits, { path: 'author', select: 'name avatar' }))
+        .map(({ content, ...hit }) => ({
+          ...hit,
+          highlights: highlightArticle({ ...hit, content }, highlightTerms)
+        }));
+
+      const counts = (entries) => entries.map(({ _id, count }) => ({ value: _id, count }));
+      const [dates = {}] = result.dates;
+
+      return {
+        hits,
+        total: result.total[0]?.count || 0,
+        facets: {
+          categories: counts(result.categories),
+          tags: counts(result.tags),
+          sources: counts(result.sources),
+          dates: [...Object.keys(DATE_BUCKETS), 'older'].map(bucket => ({ value: bucket, count: dates[bucket] || 0 }))
+        },
+        terms: { searched, corrections }
+      };
+
+    } catch (error) {
+      logger.error('Error searching articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add the vocabulary words each query term is a prefix of, and close spellings of unknown terms
+   * @param {Array} terms - Query terms
+   * @returns {Promise<Object>} searched terms and corrections by original term
+   */
+  async expandTerms(terms) {
+    if (terms.length === 0) return { searched: [], corrections: {} };
+
+    const vocabulary = await this.getVocabulary();
+    const known = new Set(vocabulary);
+    const searched = new Set();
+    const corrections = {};
+
+    for (const term of terms) {
+      searched.add(term);
+
+      const completions = term.length >= 3
+        ? vocabulary
+          .filter(word => word !== term && word.startsWith(term))
+          .sort((a, b) => a.length - b.length)
+          .slice(0, MAX_PREFIX_MATCHES)
+        : [];
+      completions.forEach(word => searched.add(word));
+
+      // Only words that are neither known nor the start of a known word are treated as typos
+      const typos = allowedTypos(term);
+      if (!known.has(term) && completions.length === 0 && typos > 0) {
+        const close = vocabulary
+          .map(word => ({ word, distance: editDistance(term, word, typos) }))
+          .filter(({ distance }) => distance <= typos)
+          .sort((a, b) => a.distance - b.distance || a.word.length - b.word.length)
+          .slice(0, MAX_TYPO_MATCHES)
+          .map(({ word }) => word);
+
+        if (close.length > 0) {
+          corrections[term] = close;
+          close.forEach(word => searched.add(word));
+        }
+      }
+    }
+
+    return { searched: [...searched], corrections };
+  }
+
+  /**
+   * Distinct words of published titles, tags and body terms, sorted
+   * @returns {Promise<Array>} Words of three letters or more
+   */
+  async getVocabulary() {
+    if (vocabularyCache.data && vocabularyCache.timestamp &&
+        Date.now() - vocabularyCache.timestamp < vocabularyCache.ttl) {
+      return vocabularyCache.data;
+    }
+
+    const [titles, tags, terms] = await Promise.all([
+      Article.find({ status: 'published' }).select('title').lean(),
+      Article.distinct('tags', { status: 'published' }),
+      Article.distinct('terms.term', { status: 'published' })
+    ]);
+
+    const words = new Set([
+      ...titles.flatMap(article => normalizeWords(article.title)),
+      ...tags.flatMap(tag => normalizeWords(tag)),
+      ...terms
+    ]);
+    const vocabulary = [...words].filter(word => word.length >= 3).sort();
+
+    vocabularyCache = { ...vocabularyCache, data: vocabulary, timestamp: Date.now() };
+    return vocabulary;
+  }
+
+  /**
+   * Match clauses per facet dimension
+   * @param {Object} filters - categories, tags, sources, from and to
+   * @returns {Object} Clauses keyed by facet name
+   */
+  filterClauses({ categories = [], tags = [], sources = [], from = null, to = null }) {
+    const clauses = {};
+
+    if (categories.length > 0) clauses.category = { category: { $in: categories } };
+    if (tags.length > 0) clauses.tags = { tags: { $in: tags } };
+    if (sources.length > 0) {
+      // Articles without trend data count as manual
+      const values = sources.includes(DEFAULT_SOURCE) ? [...sources, null] : sources;
+      clauses.source = { 'trendData.source': { $in: values } };
+    }
+    if (from || to) {
+      clauses.date = {
+        publishedAt: {
+          ...(from && { $gte: from }),
+          ...(to && { $lte: to })
+        }
+      };
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Facets of an empty result
+   * @returns {Object} Facets with no counts
+   */
+  emptyFacets() {
+    return {
+      categories: [],
+      tags: [],
+      sources: [],
+      dates: [...Object.keys(DATE_BUCKETS), 'older'].map(bucket => ({ value: bucket, count: 0 }))
+    };
+  }
+
+  /**
+   * Nothing to do: this index reads the articles collection directly
+   * @param {string} id - ID of a saved article
+   */
+  async indexArticle(id) {
+    return id;
+  }
+
+  /**
+   * Nothing to do: trashed and deleted articles are excluded by the query
+   * @param {string} id - Article ID
+   */
+  async removeArticle(id) {
+    return id;
+  }
+
+  /**
+   * Drop the cached vocabulary
+   */
+  invalidate() {
+    vocabularyCache = { ...vocabularyCache, data: null, timestamp: null };
+  }
+}
+
+export default MongoSearchIndex;
@@ -0,0 +1,88 @@
+// Words of an entry that can start a match, so "pol" finds "Climate Policy"
+const MAX_WORD_STARTS = 8;
+
+// Keys looked at per lookup, which bounds the cost of one- and two-letter prefixes
+const MAX_SCANNED_KEYS = 5000;
+
+/**
+ * Lowercase text without accents or punctuation, for prefix matching
+ * @param {string} text - Raw text
+ * @returns {string} Words separated by single spaces
+ */
+export const normalizePrefix = (text = '') => text
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * In-memory prefix index over short texts such as titles, tags and keywords.
+ * Every word start of an entry is stored as a sorted key, so a lookup is a
+ * binary search followed by a scan of the keys sharing the prefix.
+ */
+class PrefixIndex {
+  /**
+   * @param {Array} entries - Objects with text and weight; other fields are returned as-is
+   */
+  constructor(entries = []) {
+    this.entries = entries;
+    this.keys = [];
+
+    entries.forEach((entry, position) => {
+      const text = normalizePrefix(entry.text);
+      if (!text) return;
+
+      const starts = [0];
+      for (let i = text.indexOf(' '); i >= 0 && starts.length < MAX_WORD_STARTS; i = text.indexOf(' ', i + 1)) {
+        starts.push(i + 1);
+      }
+
+      starts.forEach(start => this.keys.push({ key: text.slice(start), position, leading: start === 0 }));
+    });
+
+    this.keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  /**
+   * Entries with a word starting with the prefix. Entries whose text starts
+   * with it come first, then the heaviest.
+   * @param {string} prefix - Text as typed
+   * @param {Object} options - limit per type
+   * @returns {Array} Matching entries, at most limit of each type
+   */
+  lookup(prefix, { limit = 5 } = {}) {
+    const normalized = normalizePrefix(prefix);
+    if (!normalized) return [];
+
+    // First key not below the prefix
+    let low = 0;
+    let high = this.keys.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.keys[middle].key < normalized) low = middle + 1;
+      else high = middle;
+    }
+
+    const matches = new Map();
+    for (let i = low; i < this.keys.length && i < low + MAX_SCANNED_KEYS; i++) {
+      const { key, position, leading } = this.keys[i];
+      if (!key.startsWith(normalized)) break;
+      matches.set(position, matches.get(position) || leading);
+    }
+
+    const ranked = [...matches]
+      .map(([position, leading]) => ({ entry: this.entries[position], leading }))
+      .sort((a, b) => b.leading - a.leading || b.entry.weight - a.entry.weight);
+
+    const counts = {};
+    return ranked
+      .filter(({ entry }) => {
+        counts[entry.type] = (counts[entry.type] || 0) + 1;
+        return counts[entry.type] <= limit;
+      })
+      .map(({ entry }) => entry);
+  }
+}
+
+export default PrefixIndex;
@@ -0,0 +1,159 @@
+import { normalizeWords } from '../utils/fingerprint.js';
+
+// Date facets, each counting articles published within the window
+export const DATE_BUCKETS = {
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+// Articles without trend data were written by hand
+export const DEFAULT_SOURCE = 'manual';
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Split a search string into words, quoted phrases and excluded words
+ * @param {string} query - Search string as typed
+ * @returns {Object} terms, phrases and excluded, all lowercase
+ */
+export const parseQuery = (query = '') => {
+  const phrases = [];
+  const excluded = [];
+
+  const rest = query
+    .replace(/"([^"]+)"/g, (match, phrase) => {
+      const words = normalizeWords(phrase);
+      if (words.length > 0) phrases.push(words.join(' '));
+      return ' ';
+    })
+    .replace(/(^|\s)-(\S+)/g, (match, space, word) => {
+      excluded.push(...normalizeWords(word));
+      return ' ';
+    });
+
+  return {
+    terms: [...new Set(normalizeWords(rest))],
+    phrases,
+    excluded
+  };
+};
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Largest distance of interest
+ * @returns {number} Distance, or max + 1 when larger
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Typos tolerated for a word of a given length
+ * @param {string} word - Query word
+ * @returns {number} Allowed edit distance
+ */
+export const allowedTypos = (word) => {
+  if (word.length < 4) return 0;
+  return word.length < 8 ? 1 : 2;
+};
+
+/**
+ * Markdown reduced to plain text for snippets
+ * @param {string} markdown - Article body
+ * @returns {string} Plain text
+ */
+const plainText = (markdown = '') => markdown
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[#>*_`~|]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Wrap words that start with a matched term in <mark>; everything else is HTML-escaped
+ * @param {string} text - Plain text
+ * @param {Array} terms - Matched terms, lowercase
+ * @returns {string} Safe HTML
+ */
+export const markTerms = (text, terms) => {
+  if (terms.length === 0) return escapeHtml(text);
+
+  return text
+    .split(/([\p{L}\p{N}]+)/u)
+    .map(part => {
+      const lower = part.toLowerCase();
+      const matched = part && terms.some(term => lower.startsWith(term));
+      return matched ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+    })
+    .join('');
+};
+
+/**
+ * Highlighted title and a body snippet around the first matched term
+ * @param {Object} article - Article with title, excerpt and content
+ * @param {Array} terms - Matched terms, lowercase
+ * @returns {Object} title and snippet as safe HTML
+ */
+export const highlightArticle = (article, terms) => {
+  const body = plainText(article.content) || article.excerpt || '';
+  const lower = body.toLowerCase();
+
+  const positions = terms
+    .map(term => lower.search(new RegExp(`(^|[^\\p{L}\\p{N}])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'u')))
+    .filter(position => position >= 0);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  if (start > 0) {
+    const space = body.indexOf(' ', start);
+    start = space >= 0 && space < first ? space + 1 : start;
+  }
+  let end = Math.min(body.length, start + SNIPPET_LENGTH);
+  if (end < body.length) {
+    const space = body.lastIndexOf(' ', end);
+    end = space > first ? space : end;
+  }
+
+  const snippet = `${start > 0 ? '…' : ''}${body.slice(start, end)}${end < body.length ? '…' : ''}`;
+
+  return {
+    title: markTerms(article.title, terms),
+    snippet: markTerms(snippet, terms)
+  };
+};
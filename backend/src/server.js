@@ -11,12 +11,32 @@ import cron from 'node-cron';
 import database from './utils/database.js';
 import logger from './utils/logger.js';
 import ArticleService from './services/articleService.js';
+import SanctionService from './services/sanctionService.js';
+import AccountService from './services/accountService.js';
+import AuditService from './services/auditService.js';
+import TrashService from './services/trashService.js';
+import CategoryService from './services/categoryService.js';
+import RelatedService from './services/relatedService.js';
+import SuggestService from './services/suggestService.js';
+import SearchAnalyticsService from './services/searchAnalyticsService.js';
+import ViewService from './services/viewService.js';
+import DuplicateService from './services/duplicateService.js';
+import { getStorage } from './storage/index.js';
 
 // Import routes
 import articlesRouter from './routes/articles.js';
 import commentsRouter from './routes/comments.js';
 import trendsRouter from './routes/trends.js';
 import adminRouter from './routes/admin.js';
+import apiKeysRouter from './routes/apiKeys.js';
+import usersRouter from './routes/users.js';
+import mediaRouter from './routes/media.js';
+import categoriesRouter from './routes/categories.js';
+import tagsRouter from './routes/tags.js';
+import seriesRouter from './routes/series.js';
+import collectionsRouter from './routes/collections.js';
+import searchRouter from './routes/search.js';
+import feedsRouter from './routes/feeds.js';
 
 // Load environment variables
 dotenv.config();
@@ -24,8 +44,33 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+/**
+ * Proxies trusted to report the client address in X-Forwarded-For, from TRUST_PROXY:
+ * a hop count, true or false, or a list of addresses and subnets
+ * @param {string} value - Setting as configured
+ * @returns {*} Value for Express's trust proxy setting
+ */
+const trustProxy = (value = process.env.TRUST_PROXY) => {
+  if (!value) return process.env.NODE_ENV === 'production' ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+// Rate limits and view counting read the visitor's address from req.ip
+app.set('trust proxy', trustProxy());
+
 // Initialize services
 const articleService = new ArticleService();
+const sanctionService = new SanctionService();
+const accountService = new AccountService();
+const auditService = new AuditService();
+const trashService = new TrashService();
+const categoryService = new CategoryService();
+const relatedService = new RelatedService();
+const suggestService = new SuggestService();
+const searchAnalyticsService = new SearchAnalyticsService();
+const viewService = new ViewService();
+const duplicateService = new DuplicateService();
 
 // Security middleware
 app.use(helmet({
@@ -47,7 +92,7 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
 }));
 
 // Rate limiting
@@ -58,10 +103,36 @@ const limiter = rateLimit({
     error: 'Too many requests from this IP, please try again later.'
   },
   standardHeaders: true,
+  legacyHeaders: false,
+  // Suggestions have their own limit below
+  skip: (req) => req.path === '/search/suggest'
+});
+
+// Suggestions are requested while typing, so they get a per-minute allowance
+const suggestLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120,
+  message: {
+    error: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Result clicks feed search analytics, so they are held to a tighter limit on top of the one above
+const clickLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20,
+  message: {
+    error: 'Too many requests from this IP, please try again later.'
+  },
+  standardHeaders: true,
   legacyHeaders: false
 });
 
 app.use('/api/', limiter);
+app.use('/api/search/suggest', suggestLimiter);
+app.use('/api/search/click', clickLimiter);
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -88,11 +159,31 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded images are served by the API itself when they live on the local disk.
+// File names contain the content hash, so they can be cached forever.
+const storage = getStorage();
+if (storage.name === 'local') {
+  app.use('/uploads', express.static(storage.root, {
+    immutable: true,
+    maxAge: '365d',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // API routes
 app.use('/api/articles', articlesRouter);
 app.use('/api/comments', commentsRouter);
 app.use('/api/trends', trendsRouter);
 app.use('/api/admin', adminRouter);
+app.use('/api/api-keys', apiKeysRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/media', mediaRouter);
+app.use('/api/categories', categoriesRouter);
+app.use('/api/tags', tagsRouter);
+app.use('/api/series', seriesRouter);
+app.use('/api/collections', collectionsRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/feeds', feedsRouter);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -112,18 +203,57 @@ app.get('/api/docs', (req, res) => {
     endpoints: {
       articles: {
         'GET /api/articles': 'Get all articles with pagination',
-        'GET /api/articles/:slug': 'Get article by slug',
+        'GET /api/articles/:slug?format=markdown|html|both': 'Get article by slug with its series and collections, or a redirect payload for an old slug; counts a view',
+        'GET /api/articles/redirects': 'Get old slugs and custom redirects as from/to paths',
         'GET /api/articles/category/:category': 'Get articles by category',
         'GET /api/articles/trending': 'Get trending articles',
+        'GET /api/articles/search?q=&category=&tags=&source=&date=&from=&to=&sort=': 'Search published articles with facets and highlighted snippets',
+        'GET /api/articles/:slug/related?limit=': 'Get published articles related to an article',
         'POST /api/articles': 'Create new article (admin only)',
         'PUT /api/articles/:id': 'Update article (admin only)',
-        'DELETE /api/articles/:id': 'Delete article (admin only)'
+        'DELETE /api/articles/:id': 'Move article to trash (admin only)',
+        'GET /api/articles/:id/revisions': 'List article revisions (articles:edit)',
+        'GET /api/articles/:id/revisions/diff?from=&to=': 'Diff two article revisions (articles:edit)',
+        'GET /api/articles/:id/revisions/:revision': 'Get one article revision (articles:edit)',
+        'POST /api/articles/:id/revisions/:revision/restore': 'Restore a revision as a new revision (articles:edit)',
+        'GET /api/articles/:id/review': 'Get review status and notes (articles:edit)',
+        'POST /api/articles/:id/review/submit': 'Submit an article for review (articles:edit)',
+        'POST /api/articles/:id/review/approve': 'Approve an article (articles:review)',
+        'POST /api/articles/:id/review/request-changes': 'Request changes with a note (articles:review)',
+        'PUT /api/articles/:id/review/assignee': 'Assign or unassign a reviewer (articles:review)',
+        'POST /api/articles/:id/review/notes': 'Leave a review note (articles:edit)'
+      },
+      categories: {
+        'GET /api/categories?tree=true': 'Get categories, optionally nested under their parents',
+        'GET /api/categories/:slug': 'Get a category by slug'
+      },
+      tags: {
+        'GET /api/tags?sort=count|name&minCount=&limit=': 'Get tags on published articles with article counts',
+        'GET /api/tags/:tag': 'Get published articles with a tag, by slug, name or synonym'
+      },
+      series: {
+        'GET /api/series': 'Get series with their number of published parts',
+        'GET /api/series/:slug': 'Get a series with its published parts in order'
+      },
+      collections: {
+        'GET /api/collections': 'Get curated collections',
+        'GET /api/collections/:slug': 'Get a collection with its published articles'
+      },
+      search: {
+        'GET /api/search/suggest?q=&limit=': 'Suggest article titles, categories, tags and trend keywords for a prefix',
+        'POST /api/search/click': 'Record that a search result was opened'
+      },
+      feeds: {
+        'GET /api/feeds/:format?content=excerpt|full&limit=': 'Latest published articles as rss, atom or json (JSON Feed 1.1); supports conditional GET',
+        'GET /api/feeds/category/:slug/:format': 'Feed of a category and its subcategories',
+        'GET /api/feeds/tag/:tag/:format': 'Feed of a tag, by slug, name or synonym',
+        'GET /api/feeds/author/:id/:format': 'Feed of an author'
       },
       comments: {
         'GET /api/comments/article/:articleId': 'Get comments for article',
         'POST /api/comments': 'Create new comment (auth required)',
         'PUT /api/comments/:id': 'Update comment (auth required)',
-        'DELETE /api/comments/:id': 'Delete comment (auth required)',
+        'DELETE /api/comments/:id': 'Move comment and its replies to trash (auth required)',
         'POST /api/comments/:id/like': 'Like/unlike comment (auth required)'
       },
       trends: {
@@ -135,7 +265,67 @@ app.get('/api/docs', (req, res) => {
         'GET /api/admin/stats': 'Get dashboard statistics (admin only)',
         'GET /api/admin/articles': 'Get all articles for admin (admin only)',
         'GET /api/admin/comments/pending': 'Get pending comments (admin only)',
-        'POST /api/admin/articles/generate': 'Generate articles manually (admin only)'
+        'GET /api/admin/review-queue': 'Get articles awaiting editorial review (articles:review)',
+        'GET /api/admin/duplicates': 'Get clusters of near-duplicate articles (articles:edit)',
+        'POST /api/admin/duplicates/consolidate': 'Trash duplicates and redirect them to one article (articles:delete, redirects:manage)',
+        'POST /api/admin/articles/generate': 'Generate articles manually (admin only)',
+        'GET /api/admin/image-providers': 'List image providers and whether they are configured (articles:edit)',
+        'POST /api/admin/articles/:id/featured-image/reroll': 'Replace the featured image with a new one from the image providers (articles:edit)',
+        'PUT /api/admin/articles/:id/featured-image': 'Replace the featured image with an upload or external URL (articles:edit)',
+        'GET /api/admin/articles/:id/analytics?from=&to=': 'Get daily views, unique visitors and referrer domains of an article (dashboard:view)',
+        'GET /api/admin/categories': 'Get categories with article counts (categories:manage)',
+        'POST /api/admin/categories': 'Create a category (categories:manage)',
+        'PUT /api/admin/categories/:id': 'Update a category; a new slug moves its articles (categories:manage)',
+        'DELETE /api/admin/categories/:id?reassignTo=': 'Delete a category, moving its articles (categories:manage)',
+        'GET /api/admin/tags?search=': 'Get registered and free tags with article counts (tags:manage)',
+        'POST /api/admin/tags': 'Register a tag with synonyms; articles using a synonym switch to it (tags:manage)',
+        'PUT /api/admin/tags/:id': 'Update or rename a tag; articles follow and the old name becomes a synonym (tags:manage)',
+        'POST /api/admin/tags/merge': 'Merge tags into a target tag, rewriting their articles (tags:manage)',
+        'DELETE /api/admin/tags/:id': 'Remove a tag from the registry; articles keep it (tags:manage)',
+        'GET /api/admin/series|collections': 'Get series or collections, counting members of any status (collections:manage)',
+        'GET /api/admin/series|collections/:id': 'Get a series or collection with members of any status (collections:manage)',
+        'POST /api/admin/series|collections': 'Create a series or collection (collections:manage)',
+        'PUT /api/admin/series|collections/:id': 'Update a series or collection; articles replaces the member list (collections:manage)',
+        'DELETE /api/admin/series|collections/:id': 'Delete a series or collection (collections:manage)',
+        'GET /api/admin/search/analytics?days=&limit=': 'Get top, zero-result and trending search queries (dashboard:view)',
+        'POST /api/admin/search/gaps/generate': 'Generate an article for a search query as a topic (articles:generate)',
+        'GET /api/admin/roles': 'Get role permission matrix (roles:manage)',
+        'PUT /api/admin/roles/:role': 'Update role permissions (roles:manage)',
+        'DELETE /api/admin/roles/:role': 'Reset role permissions to defaults (roles:manage)',
+        'GET /api/admin/audit-logs': 'Get audit log entries with filters (audit:view)',
+        'GET /api/admin/audit-logs/export': 'Export audit log as CSV or NDJSON (audit:view)',
+        'GET /api/admin/appeals': 'Get sanctions with a pending appeal (users:sanction)',
+        'POST /api/admin/users/:id/sanctions': 'Suspend, mute or ban a user (users:sanction)',
+        'DELETE /api/admin/users/:id/sanctions/:sanctionId': 'Lift a sanction (users:sanction)',
+        'PUT /api/admin/users/:id/sanctions/:sanctionId/appeal': 'Uphold or overturn an appeal (users:sanction)',
+        'GET /api/admin/trash/articles': 'Get trashed articles (articles:delete)',
+        'POST /api/admin/trash/articles/:id/restore': 'Restore a trashed article (articles:delete)',
+        'GET /api/admin/trash/comments': 'Get trashed comments (comments:moderate)',
+        'POST /api/admin/trash/comments/:id/restore': 'Restore a trashed comment and its replies (comments:moderate)',
+        'GET /api/admin/redirects': 'Get custom redirects (redirects:manage)',
+        'POST /api/admin/redirects': 'Add a custom redirect (redirects:manage)',
+        'DELETE /api/admin/redirects/:id': 'Remove a custom redirect (redirects:manage)'
+      },
+      media: {
+        'POST /api/media/images': 'Upload an image with alt text as multipart/form-data (articles:create)',
+        'GET /api/media/images': 'List uploaded images (articles:edit)',
+        'GET /api/media/images/:id': 'Get an image with its WebP/AVIF variants (articles:edit)',
+        'PUT /api/media/images/:id': 'Update image alt text or caption (articles:edit)',
+        'DELETE /api/media/images/:id': 'Delete an image no article uses (articles:delete)'
+      },
+      apiKeys: {
+        'GET /api/api-keys': 'List your API keys (auth required)',
+        'POST /api/api-keys': 'Create a scoped API key (auth required)',
+        'PUT /api/api-keys/:id': 'Rename or update an API key (auth required)',
+        'POST /api/api-keys/:id/rotate': 'Rotate an API key secret (auth required)',
+        'DELETE /api/api-keys/:id': 'Revoke an API key (auth required)'
+      },
+      users: {
+        'GET /api/users/me': 'Get your account, including sanctions (auth required)',
+        'POST /api/users/me/sanctions/:sanctionId/appeal': 'Appeal a sanction (auth required)',
+        'GET /api/users/me/export': 'Download all of your personal data as JSON (auth required)',
+        'DELETE /api/users/me': 'Schedule your account for deletion after a grace period (auth required)',
+        'POST /api/users/me/restore': 'Cancel a pending account deletion (auth required)'
       }
     }
   });
@@ -152,7 +342,16 @@ app.use('*', (req, res) => {
       '/api/articles',
       '/api/comments',
       '/api/trends',
-      '/api/admin'
+      '/api/admin',
+      '/api/api-keys',
+      '/api/users',
+      '/api/media',
+      '/api/categories',
+      '/api/tags',
+      '/api/series',
+      '/api/collections',
+      '/api/search',
+      '/api/feeds'
     ]
   });
 });
@@ -204,9 +403,9 @@ const setupCronJobs = () => {
   cron.schedule('0 6 * * *', async () => {
     try {
       logger.info('Starting scheduled article generation');
+      // Categories with generation enabled
       await articleService.generateArticlesFromTrends({
-        maxArticles: 3,
-        categories: ['technology', 'business', 'health']
+        maxArticles: 3
       });
       logger.info('Scheduled article generation completed');
     } catch (error) {
@@ -234,6 +433,107 @@ const setupCronJobs = () => {
     timezone: 'America/New_York'
   });
 
+  // Close out expired suspensions and mutes every hour
+  cron.schedule('0 * * * *', async () => {
+    try {
+      await sanctionService.liftExpiredSanctions();
+    } catch (error) {
+      logger.error('Lifting expired sanctions failed:', error);
+    }
+  });
+
+  // Roll finished UTC days of article views up into daily stats, hourly so a missed run catches up
+  cron.schedule('15 * * * *', async () => {
+    try {
+      await viewService.rollupFinishedDays();
+    } catch (error) {
+      logger.error('Article view rollup failed:', error);
+    }
+  });
+
+  // Erase accounts whose deletion grace period has ended, daily at 3 AM
+  cron.schedule('0 3 * * *', async () => {
+    try {
+      await accountService.purgeDueAccounts();
+    } catch (error) {
+      logger.error('Account purge failed:', error);
+    }
+  }, {
+    timezone: 'America/New_York'
+  });
+
+  // Delete search logs past the retention period, daily at 3:30 AM
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      await searchAnalyticsService.purgeExpired();
+    } catch (error) {
+      logger.error('Search log purge failed:', error);
+    }
+  }, {
+    timezone: 'America/New_York'
+  });
+
+  // Purge trashed articles and comments past the retention period, daily at 4 AM
+  cron.schedule('0 4 * * *', async () => {
+    try {
+      const purged = await trashService.purgeExpired();
+
+      if (purged.articles > 0 || purged.comments > 0) {
+        await auditService.record(null, {
+          action: 'trash.purge',
+          target: { type: 'trash', label: `${purged.articles} articles, ${purged.comments} comments` },
+          metadata: { ...purged, retentionDays: trashService.retentionDays }
+        });
+      }
+    } catch (error) {
+      logger.error('Trash purge failed:', error);
+    }
+  }, {
+    timezone: 'America/New_York'
+  });
+
+  // Publish scheduled articles and archive expired ones every minute
+  cron.schedule('* * * * *', async () => {
+    try {
+      const { published, unpublished } = await articleService.processScheduledArticles();
+
+      for (const article of published) {
+        await auditService.record(null, {
+          action: 'article.publish.scheduled',
+          target: { type: 'article', id: article._id, label: article.title }
+        });
+      }
+      for (const article of unpublished) {
+        await auditService.record(null, {
+          action: 'article.unpublish.scheduled',
+          target: { type: 'article', id: article._id, label: article.title }
+        });
+      }
+    } catch (error) {
+      logger.error('Scheduled publishing failed:', error);
+    }
+  });
+
+  // Score related articles for new and edited articles every 15 minutes
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      await relatedService.refreshStale();
+    } catch (error) {
+      logger.error('Related articles refresh failed:', error);
+    }
+  });
+
+  // Rescore every article daily at 2 AM so older articles pick up newer ones
+  cron.schedule('0 2 * * *', async () => {
+    try {
+      await relatedService.refreshAll();
+    } catch (error) {
+      logger.error('Full related articles refresh failed:', error);
+    }
+  }, {
+    timezone: 'America/New_York'
+  });
+
   logger.info('Cron jobs configured');
 };
 
@@ -243,9 +543,18 @@ const startServer = async () => {
     // Connect to database
     await database.connect();
     logger.info('Database connected successfully');
+
+    // Seed the default categories on a fresh database
+    await categoryService.ensureDefaults();
     
     // Setup cron jobs
     setupCronJobs();
+
+    // Build the suggestion index up front so the first keystrokes are answered quickly
+    suggestService.getIndex().catch(() => {});
+
+    // Fingerprint articles saved before duplicate detection, in the background
+    duplicateService.backfill().catch(() => {});
     
     // Start HTTP server
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,325 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Comment from '../models/Comment.js';
+import Article from '../models/Article.js';
+import ApiKey from '../models/ApiKey.js';
+import AuditLog from '../models/AuditLog.js';
+import { indexArticles } from '../search/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AccountService');
+
+const DELETED_USER_LABEL = 'Deleted user';
+const DELETED_COMMENT_CONTENT = '[deleted]';
+
+class AccountService {
+  constructor() {
+    this.gracePeriodDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+    // 'anonymize' keeps comments without an author, 'delete' removes them
+    this.commentPolicy = process.env.ACCOUNT_DELETION_COMMENT_POLICY === 'delete'
+      ? 'delete'
+      : 'anonymize';
+  }
+
+  /**
+   * Collect everything stored about a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Export document
+   */
+  async exportData(user) {
+    try {
+      const userId = user._id;
+
+      const [comments, likedComments, reportedComments, apiKeys, accounts, activity] = await Promise.all([
+        Comment.find({ author: userId })
+          .withDeleted()
+          .populate('article', 'title slug')
+          .sort({ createdAt: -1 })
+          .lean(),
+        Comment.find({ likedBy: userId })
+          .withDeleted()
+          .select('content article createdAt')
+          .populate('article', 'title slug')
+          .lean(),
+        Comment.find({ 'reports.user': userId })
+          .withDeleted()
+          .select('content article reports')
+          .populate('article', 'title slug')
+          .lean(),
+        ApiKey.find({ user: userId }).select('-keyHash').lean(),
+        mongoose.connection.collection('accounts')
+          .find({ userId }, { projection: { provider: 1, providerAccountId: 1, type: 1 } })
+          .toArray(),
+        AuditLog.find({ actor: userId }).sort({ createdAt: -1 }).lean()
+      ]);
+
+      const profile = user.toObject();
+      delete profile.__v;
+
+      return {
+        exportedAt: new Date(),
+        user: profile,
+        linkedAccounts: accounts.map(({ _id, ...account }) => account),
+        comments: comments.map(({ __v, likedBy, reports, ...comment }) => ({
+          ...comment,
+          likedByCount: likedBy.length,
+          reportsCount: reports.length
+        })),
+        likes: likedComments.map(comment => ({
+          comment: comment._id,
+          content: comment.content,
+          article: comment.article
+        })),
+        reports: reportedComments.flatMap(comment => comment.reports
+          .filter(report => report.user?.toString() === userId.toString())
+          .map(report => ({
+            comment: comment._id,
+            content: comment.content,
+            article: comment.article,
+            reason: report.reason,
+            reportedAt: report.reportedAt
+          }))),
+        apiKeys,
+        activity: activity.map(({ __v, actorName, actorEmail, ...entry }) => entry)
+      };
+
+    } catch (error) {
+      logger.error('Error exporting account data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule an account for erasure after the grace period
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Updated user
+   */
+  async requestDeletion(user) {
+    try {
+      if (user.role === 'admin') {
+        throw Object.assign(
+          new Error('Admin accounts must be demoted before they can be deleted'),
+          { status: 403 }
+        );
+      }
+
+      if (!user.deletion?.scheduledFor) {
+        const now = new Date();
+        user.deletion = {
+          requestedAt: now,
+          scheduledFor: new Date(now.getTime() + this.gracePeriodDays * 24 * 60 * 60 * 1000)
+        };
+        await user.save();
+
+        logger.info(`Account ${user._id} scheduled for deletion on ${user.deletion.scheduledFor.toISOString()}`);
+      }
+
+      return user;
+
+    } catch (error) {
+      logger.error('Error requesting account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a pending erasure during the grace period
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Updated user
+   */
+  async cancelDeletion(user) {
+    try {
+      if (!user.deletion?.scheduledFor) {
+        throw Object.assign(new Error('No account deletion is pending'), { status: 400 });
+      }
+
+      user.deletion = { requestedAt: null, scheduledFor: null };
+      await user.save();
+
+      logger.info(`Account deletion cancelled for ${user._id}`);
+      return user;
+
+    } catch (error) {
+      logger.error('Error cancelling account deletion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Erase every account whose grace period has ended
+   * @returns {Promise<number>} Number of erased accounts
+   */
+  async purgeDueAccounts() {
+    const due = await User.find({
+      'deletion.scheduledFor': { $ne: null, $lte: new Date() }
+    }).select('_id');
+
+    let erased = 0;
+    for (const { _id } of due) {
+      try {
+        await this.eraseUser(_id);
+        erased++;
+      } catch (error) {
+        logger.error(`Failed to erase account ${_id}:`, error);
+      }
+    }
+
+    if (erased > 0) {
+      logger.info(`Erased ${erased} accounts after their grace period`);
+    }
+    return erased;
+  }
+
+  /**
+   * Permanently remove a user and detach them from shared content
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Summary of what was changed
+   */
+  async eraseUser(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const comments = await this.eraseComments(user._id);
+
+      // Likes: drop the user from likedBy and keep the like counters in step
+      const likes = await Comment.updateMany(
+        { likedBy: user._id },
+        { $pull: { likedBy: user._id }, $inc: { likes: -1 } }
+      );
+
+      // Reports stay for moderation history, without the reporter
+      await Comment.updateMany(
+        { 'reports.user': user._id },
+        { $set: { 'reports.$[report].user': null } },
+        { arrayFilters: [{ 'report.user': user._id }] }
+      );
+
+      // Their articles stay, without the byline the search index may hold
+      const authoredIds = await Article.find({ author: user._id }).withDeleted().distinct('_id');
+
+      await Promise.all([
+        Article.updateMany({ author: user._id }, { $set: { author: null } }),
+        Article.updateMany({ deletedBy: user._id }, { $set: { deletedBy: null } }),
+        Comment.updateMany({ deletedBy: user._id }, { $set: { deletedBy: null } }),
+        ApiKey.deleteMany({ user: user._id }),
+        AuditLog.updateMany(
+          { actor: user._id },
+          { $set: { actorName: DELETED_USER_LABEL }, $unset: { actorEmail: '', ipAddress: '', userAgent: '' } }
+        ),
+        AuditLog.updateMany(
+          { 'target.type': 'user', 'target.id': user._id.toString() },
+          { $set: { 'target.label': DELETED_USER_LABEL } }
+        ),
+        // Sign-in records created by the NextAuth adapter
+        mongoose.connection.collection('accounts').deleteMany({ userId: user._id }),
+        mongoose.connection.collection('sessions').deleteMany({ userId: user._id })
+      ]);
+      await indexArticles(authoredIds);
+
+      await User.deleteOne({ _id: user._id });
+
+      const summary = { ...comments, likesRemoved: likes.modifiedCount };
+      logger.info(`Erased account ${user._id}: ${JSON.stringify(summary)}`);
+      return summary;
+
+    } catch (error) {
+      logger.error('Error erasing account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Anonymize or delete a user's comments according to the configured policy
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Anonymized and deleted counts
+   */
+  async eraseComments(userId) {
+    // Trashed comments are erased too; the retention job must not be what removes them
+    const owned = await Comment.find({ author: userId })
+      .withDeleted()
+      .select('_id article parentComment status deletedAt')
+      .lean();
+    if (owned.length === 0) {
+      return { commentsAnonymized: 0, commentsDeleted: 0 };
+    }
+
+    const ownedIds = owned.map(comment => comment._id);
+    const anonymize = {
+      $set: { author: null, anonymizedAt: new Date() },
+      $unset: { 'metadata.ipAddress': '', 'metadata.userAgent': '' }
+    };
+
+    if (this.commentPolicy === 'anonymize') {
+      const result = await Comment.updateMany({ _id: { $in: ownedIds } }, anonymize);
+      return { commentsAnonymized: result.modifiedCount, commentsDeleted: 0 };
+    }
+
+    // Comments above someone else's reply, at any depth, are blanked instead so their threads survive
+    const repliedTo = await Comment.distinct('parentComment', {
+      parentComment: { $in: ownedIds },
+      author: { $ne: userId }
+    }).withDeleted();
+
+    const parentOf = new Map(owned.map(comment => [comment._id.toString(), comment.parentComment?.toString()]));
+    const keep = new Set();
+    const queue = repliedTo.map(id => id.toString());
+    while (queue.length > 0) {
+      const id = queue.pop();
+      if (keep.has(id)) continue;
+      keep.add(id);
+      // The user's own comments further up the thread stay as well
+      const parent = parentOf.get(id);
+      if (parentOf.has(parent)) queue.push(parent);
+    }
+    const kept = owned.filter(comment => keep.has(comment._id.toString()));
+    const removable = owned.filter(comment => !keep.has(comment._id.toString()));
+
+    const [blanked, deleted] = await Promise.all([
+      Comment.updateMany(
+        { _id: { $in: kept.map(comment => comment._id) } },
+        { ...anonymize, $set: { ...anonymize.$set, content: DELETED_COMMENT_CONTENT } }
+      ),
+      Comment.deleteMany({ _id: { $in: removable.map(comment => comment._id) } })
+    ]);
+
+    const articleIds = [...new Set(
+      removable
+        .filter(comment => comment.status === 'approved' && !comment.deletedAt)
+        .map(comment => comment.article.toString())
+    )];
+    await this.recountArticleComments(articleIds);
+
+    return { commentsAnonymized: blanked.modifiedCount, commentsDeleted: deleted.deletedCount };
+  }
+
+  /**
+   * Recalculate Article.stats.commentsCount from the approved comments
+   * @param {Array} articleIds - Article IDs
+   */
+  async recountArticleComments(articleIds) {
+    if (articleIds.length === 0) return;
+
+    const counts = await Comment.aggregate([
+      {
+        $match: {
+          article: { $in: articleIds.map(id => new mongoose.Types.ObjectId(id)) },
+          status: 'approved'
+        }
+      },
+      { $group: { _id: '$article', count: { $sum: 1 } } }
+    ]);
+    const countByArticle = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    await Article.bulkWrite(articleIds.map(id => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { 'stats.commentsCount': countByArticle.get(id) || 0 } }
+      }
+    })));
+  }
+}
+
+export default AccountService;
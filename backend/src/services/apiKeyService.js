@@ -0,0 +1,293 @@
+import crypto from 'crypto';
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import PermissionService from './permissionService.js';
+import { PERMISSION_SCOPES } from '../utils/permissions.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ApiKeyService');
+
+const KEY_PATTERN = /^tw_([a-f0-9]{12})_[A-Za-z0-9_-]{32}$/;
+const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
+const LAST_USED_RESOLUTION = 60 * 1000; // Write lastUsedAt at most once a minute
+
+// Per-key request counters for the current window, shared across instances
+const rateLimitWindows = new Map();
+
+class ApiKeyService {
+  constructor() {
+    this.permissionService = new PermissionService();
+  }
+
+  /**
+   * Check whether a credential looks like a personal API key
+   * @param {string} value - Raw credential
+   * @returns {boolean} Whether it has the API key format
+   */
+  static isApiKey(value) {
+    return typeof value === 'string' && KEY_PATTERN.test(value);
+  }
+
+  /**
+   * Generate a new raw key and its public prefix
+   * @returns {Object} Raw key and prefix
+   */
+  generateKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return { key: `tw_${prefix}_${secret}`, prefix };
+  }
+
+  /**
+   * Hash a raw key for storage
+   * @param {string} key - Raw key
+   * @returns {string} Hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Reject scopes the owner's role could not use anyway
+   * @param {Object} user - Key owner
+   * @param {Array} scopes - Requested scopes
+   */
+  async assertScopesAllowed(user, scopes) {
+    for (const scope of scopes) {
+      const permissions = Object.keys(PERMISSION_SCOPES).filter(p => PERMISSION_SCOPES[p] === scope);
+      if (permissions.length === 0) continue;
+
+      const granted = await Promise.all(
+        permissions.map(permission => this.permissionService.hasPermission(user, permission))
+      );
+
+      if (!granted.some(Boolean)) {
+        throw Object.assign(new Error(`Your role cannot use the ${scope} scope`), { status: 403 });
+      }
+    }
+  }
+
+  /**
+   * Create a key for a user
+   * @param {Object} user - Key owner
+   * @param {Object} data - name, scopes, expiresAt, requestsPerMinute
+   * @returns {Promise<Object>} Stored key and the raw key, which is only returned once
+   */
+  async createKey(user, data) {
+    try {
+      const { name, scopes = [], expiresAt = null, requestsPerMinute } = data;
+
+      await this.assertScopesAllowed(user, scopes);
+
+      const { key, prefix } = this.generateKey();
+      const apiKey = await ApiKey.create({
+        user: user._id,
+        name,
+        prefix,
+        keyHash: this.hashKey(key),
+        scopes: [...new Set(scopes)],
+        expiresAt,
+        ...(requestsPerMinute && { rateLimit: { requestsPerMinute } })
+      });
+
+      logger.info(`Created API key ${prefix} for user ${user._id}`);
+      return { apiKey, key };
+
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a key owned by a user
+   * @param {string} userId - Owner ID
+   * @param {string} id - Key ID
+   * @returns {Promise<Object>} Key
+   */
+  async getKey(userId, id) {
+    const apiKey = await ApiKey.findOne({ _id: id, user: userId });
+
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * List the keys of a user
+   * @param {string} userId - Owner ID
+   * @returns {Promise<Array>} Keys without their hashes
+   */
+  async listKeys(userId) {
+    try {
+      return await ApiKey.findByUser(userId);
+    } catch (error) {
+      logger.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a key or change its scopes, expiry and rate limit
+   * @param {Object} user - Key owner
+   * @param {string} id - Key ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} Updated key
+   */
+  async updateKey(user, id, data) {
+    try {
+      const apiKey = await this.getKey(user._id, id);
+
+      if (data.scopes !== undefined) {
+        await this.assertScopesAllowed(user, data.scopes);
+        apiKey.scopes = [...new Set(data.scopes)];
+      }
+      if (data.name !== undefined) apiKey.name = data.name;
+      if (data.expiresAt !== undefined) apiKey.expiresAt = data.expiresAt;
+      if (data.requestsPerMinute !== undefined) {
+        apiKey.rateLimit.requestsPerMinute = data.requestsPerMinute;
+      }
+
+      await apiKey.save();
+      return apiKey;
+
+    } catch (error) {
+      logger.error('Error updating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the secret of a key, keeping its name, scopes and limits
+   * @param {string} userId - Owner ID
+   * @param {string} id - Key ID
+   * @returns {Promise<Object>} Updated key and the new raw key
+   */
+  async rotateKey(userId, id) {
+    try {
+      const apiKey = await this.getKey(userId, id);
+
+      if (apiKey.revokedAt) {
+        throw Object.assign(new Error('Revoked API keys cannot be rotated'), { status: 400 });
+      }
+
+      const { key, prefix } = this.generateKey();
+      rateLimitWindows.delete(apiKey.prefix);
+
+      apiKey.prefix = prefix;
+      apiKey.keyHash = this.hashKey(key);
+      apiKey.rotatedAt = new Date();
+      await apiKey.save();
+
+      logger.info(`Rotated API key ${apiKey._id} for user ${userId}`);
+      return { apiKey, key };
+
+    } catch (error) {
+      logger.error('Error rotating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} userId - Owner ID
+   * @param {string} id - Key ID
+   * @returns {Promise<Object>} Revoked key
+   */
+  async revokeKey(userId, id) {
+    try {
+      const apiKey = await this.getKey(userId, id);
+
+      if (!apiKey.revokedAt) {
+        await apiKey.revoke();
+        rateLimitWindows.delete(apiKey.prefix);
+        logger.info(`Revoked API key ${apiKey._id} for user ${userId}`);
+      }
+
+      return apiKey;
+
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a raw key to its active key document and owner
+   * @param {string} rawKey - Raw key from the request
+   * @param {string} ipAddress - Client IP, stored as last used address
+   * @returns {Promise<Object>} Key and user
+   */
+  async authenticate(rawKey, ipAddress) {
+    const match = KEY_PATTERN.exec(rawKey);
+    const apiKey = match ? await ApiKey.findOne({ prefix: match[1] }) : null;
+
+    const expected = apiKey ? Buffer.from(apiKey.keyHash, 'hex') : null;
+    const actual = Buffer.from(this.hashKey(rawKey), 'hex');
+
+    if (!apiKey || !crypto.timingSafeEqual(expected, actual)) {
+      throw Object.assign(new Error('Invalid API key'), { status: 401 });
+    }
+
+    if (apiKey.revokedAt) {
+      throw Object.assign(new Error('API key has been revoked'), { status: 401 });
+    }
+
+    if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+      throw Object.assign(new Error('API key has expired'), { status: 401 });
+    }
+
+    const user = await User.findById(apiKey.user);
+
+    if (!user) {
+      throw Object.assign(new Error('User account not found'), { status: 401 });
+    }
+
+    if (!user.isActive) {
+      throw Object.assign(new Error('User account is inactive'), { status: 403 });
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION) {
+      ApiKey.updateOne(
+        { _id: apiKey._id },
+        { lastUsedAt: new Date(), lastUsedIp: ipAddress }
+      ).catch(error => logger.warn(`Failed to update lastUsedAt for ${apiKey.prefix}: ${error.message}`));
+    }
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Count a request against the key's per-minute limit
+   * @param {Object} apiKey - Key document
+   * @returns {Object} allowed, limit, remaining and resetAt
+   */
+  consumeRateLimit(apiKey) {
+    const now = Date.now();
+    const limit = apiKey.rateLimit?.requestsPerMinute || 60;
+    let window = rateLimitWindows.get(apiKey.prefix);
+
+    if (!window || window.resetAt <= now) {
+      // Drop stale windows before they pile up
+      for (const [prefix, stale] of rateLimitWindows) {
+        if (stale.resetAt <= now) rateLimitWindows.delete(prefix);
+      }
+
+      window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW };
+      rateLimitWindows.set(apiKey.prefix, window);
+    }
+
+    window.count += 1;
+
+    return {
+      allowed: window.count <= limit,
+      limit,
+      remaining: Math.max(limit - window.count, 0),
+      resetAt: window.resetAt
+    };
+  }
+}
+
+export default ApiKeyService;
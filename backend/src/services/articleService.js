@@ -1,36 +1,78 @@
 import Article from '../models/Article.js';
 import TrendService from './trendService.js';
 import OpenAIService from './openaiService.js';
+import RevisionService, { REVISION_FIELDS } from './revisionService.js';
+import ReviewService from './reviewService.js';
+import RedirectService, { articlePath } from './redirectService.js';
+import DuplicateService from './duplicateService.js';
+import ImageService from './imageService.js';
+import CategoryService from './categoryService.js';
+import TagService from './tagService.js';
+import CollectionService from './collectionService.js';
+import SearchService from './searchService.js';
+import { removeArticles } from '../search/index.js';
+import { PENDING_REVIEW_STATUSES } from '../utils/articleStatus.js';
+import { fingerprintArticle } from '../utils/fingerprint.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { decodeCursor, afterCursor, cursorSort, takePage, buildPagination } from '../utils/pagination.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('ArticleService');
 
+// Listing sort options and the fields behind them
+const SORT_FIELDS = {
+  publishedAt: 'publishedAt',
+  createdAt: 'createdAt',
+  views: 'stats.views',
+  title: 'title'
+};
+
+// Sitemap entries, rebuilt when the scheduler or an edit changes what is published
+let sitemapCache = {
+  data: null,
+  timestamp: null,
+  ttl: 60 * 60 * 1000 // 1 hour cache
+};
+
 class ArticleService {
   constructor() {
     this.trendService = new TrendService();
     this.openaiService = new OpenAIService();
+    this.revisionService = new RevisionService();
+    this.reviewService = new ReviewService();
+    this.redirectService = new RedirectService();
+    this.duplicateService = new DuplicateService();
+    this.imageService = new ImageService();
+    this.categoryService = new CategoryService();
+    this.tagService = new TagService();
+    this.collectionService = new CollectionService();
+    this.searchService = new SearchService();
   }
 
   /**
    * Generate and save articles from trending topics
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options; trends supplies the topics instead of fetching them,
+   * and rejectDuplicates throws the first near-duplicate instead of skipping it
    * @returns {Promise<Array>} Generated articles
    */
   async generateArticlesFromTrends(options = {}) {
     try {
       const {
         maxArticles = 5,
-        categories = ['technology', 'business', 'health', 'entertainment'],
+        categories = await this.categoryService.getGenerationCategories(),
         geo = 'US',
         includeGoogle = true,
         includeTwitter = true,
-        includeReddit = false
+        includeReddit = false,
+        includeImages = true,
+        trends: suppliedTrends = null,
+        rejectDuplicates = false
       } = options;
 
       logger.info('Starting article generation from trends');
 
-      // Fetch trending topics
-      const trends = await this.trendService.getAllTrends({
+      // Fetch trending topics unless the caller already has topics to write about
+      const trends = suppliedTrends || await this.trendService.getAllTrends({
         includeGoogle,
         includeTwitter,
         includeReddit,
@@ -48,26 +90,40 @@ class ArticleService {
         ? trends.filter(trend => categories.includes(trend.category))
         : trends;
 
-      // Select top trends for article generation
-      const selectedTrends = filteredTrends.slice(0, maxArticles);
+      // Select top trends, each carrying its category's generation defaults
+      const selectedTrends = await Promise.all(filteredTrends.slice(0, maxArticles).map(async trend => ({
+        ...trend,
+        articleOptions: await this.categoryService.getGenerationOptions(trend.category)
+      })));
       
       logger.info(`Selected ${selectedTrends.length} trends for article generation`);
 
       // Generate articles
       const generatedArticles = await this.openaiService.generateMultipleArticles(
         selectedTrends,
-        { delay: 3000 } // 3 second delay between requests
+        { delay: 3000, includeImages } // 3 second delay between requests
       );
 
       // Save articles to database
       const savedArticles = [];
       for (const articleData of generatedArticles) {
         try {
-          const article = await this.createArticle(articleData);
+          // Generated text waits for review unless its category opted into auto-publish
+          const article = await this.createArticle({
+            ...articleData,
+            status: await this.reviewService.getGeneratedStatus(articleData.category)
+          });
           savedArticles.push(article);
           logger.info(`Saved article: ${article.title}`);
         } catch (error) {
-          logger.error(`Failed to save article: ${articleData.title}`, error);
+          if (error.duplicate && rejectDuplicates) {
+            throw error;
+          }
+          if (error.duplicate) {
+            logger.warn(`Skipped near-duplicate article: ${articleData.title}`);
+          } else {
+            logger.error(`Failed to save article: ${articleData.title}`, error);
+          }
         }
       }
 
@@ -83,23 +139,59 @@ class ArticleService {
   /**
    * Create a new article
    * @param {Object} articleData - Article data
+   * @param {Object} user - Creating user, null for generated articles
+   * @param {Object} options - allowDuplicate saves near-duplicates flagged instead of refusing them
    * @returns {Promise<Object>} Created article
    */
-  async createArticle(articleData) {
+  async createArticle(articleData, user = null, { allowDuplicate = false } = {}) {
     try {
-      // Check if article with similar title already exists
-      const existingArticle = await Article.findOne({
-        title: { $regex: new RegExp(articleData.title, 'i') }
-      });
+      await this.assertCategory(articleData.category);
+
+      if (articleData.tags) {
+        articleData = { ...articleData, tags: await this.tagService.canonicalize(articleData.tags) };
+      }
+
+      const { fingerprint, matches, blocked } = await this.duplicateService.check(articleData);
+
+      if (blocked && !allowDuplicate) {
+        const [closest] = matches;
+        logger.warn(`Article "${articleData.title}" is a near-duplicate of ${closest._id}`);
+        throw Object.assign(
+          new Error(`Article is a near-duplicate of "${closest.title}"`),
+          {
+            status: 409,
+            duplicate: {
+              _id: closest._id,
+              title: closest.title,
+              slug: closest.slug,
+              status: closest.status,
+              similarity: closest.similarity
+            }
+          }
+        );
+      }
 
-      if (existingArticle) {
-        logger.warn(`Article with similar title already exists: ${articleData.title}`);
-        return existingArticle;
+      if (articleData.featuredImage) {
+        articleData = {
+          ...articleData,
+          featuredImage: await this.imageService.resolveFeaturedImage(articleData.featuredImage)
+        };
       }
 
-      // Create new article
-      const article = new Article(articleData);
+      // Create new article, flagged with whatever it resembles
+      const article = new Article({
+        ...this.applySchedule(articleData),
+        fingerprint,
+        duplicateOf: matches.map(match => ({ article: match._id, similarity: match.similarity }))
+      });
       await article.save();
+      this.invalidateSitemap();
+      await this.searchService.indexArticle(article._id);
+
+      await this.revisionService.recordRevision(article, {
+        user,
+        source: user ? 'create' : 'generate'
+      });
 
       logger.info(`Created new article: ${article.title}`);
       return article;
@@ -112,58 +204,68 @@ class ArticleService {
 
   /**
    * Get articles with pagination and filtering
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options; cursor (from nextCursor) replaces page and skips the count
    * @returns {Promise<Object>} Articles with pagination info
    */
   async getArticles(options = {}) {
     try {
       const {
         page = 1,
+        cursor = null,
         limit = 10,
         category = null,
         tags = null,
         status = 'published',
         sortBy = 'publishedAt',
         sortOrder = 'desc',
-        search = null
+        search = null,
+        includeReview = false
       } = options;
 
-      const skip = (page - 1) * limit;
+      // Published articles are searched through the search index; other statuses fall back to $text
+      if (search && status === 'published') {
+        if (cursor) {
+          throw Object.assign(new Error('Search results are paged by number; cursor is not supported'), { status: 400 });
+        }
+        return await this.searchService.search(search, {
+          page,
+          limit,
+          category,
+          tags,
+          sort: { views: 'views', publishedAt: 'date' }[sortBy] || 'relevance'
+        });
+      }
+
       let query = { status };
 
       // Add filters
-      if (category) query.category = category;
-      if (tags) query.tags = { $in: Array.isArray(tags) ? tags : [tags] };
+      if (category) query.category = Array.isArray(category) ? { $in: category } : category;
+      if (tags) query.tags = { $in: await this.tagService.canonicalize(Array.isArray(tags) ? tags : [tags]) };
       if (search) {
         query.$text = { $search: search };
       }
 
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+      // Sorted with _id as tie-breaker so cursors and pages stay stable while articles are added
+      const sort = { field: SORT_FIELDS[sortBy] || sortBy, order: sortOrder };
+      const position = cursor ? decodeCursor(cursor, sort) : null;
 
-      // Execute query
-      const [articles, total] = await Promise.all([
-        Article.find(query)
+      // Execute query; one extra article tells whether another page follows
+      const [found, total] = await Promise.all([
+        Article.find(position ? afterCursor(query, position) : query)
+          .select(includeReview ? '' : '-review')
           .populate('author', 'name avatar')
-          .sort(sort)
-          .skip(skip)
-          .limit(limit)
+          .sort(cursorSort(sort))
+          .skip(position ? 0 : (page - 1) * limit)
+          .limit(limit + 1)
           .lean(),
-        Article.countDocuments(query)
+        position ? null : Article.countDocuments(query)
       ]);
 
-      const totalPages = Math.ceil(total / limit);
+      const { items: articles, nextCursor } = takePage(found, limit, sort);
 
       return {
         articles,
-        pagination: {
-          currentPage: page,
-          totalPages,
-          totalArticles: total,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1
-        }
+        pagination: buildPagination({ page, limit, cursor, total, nextCursor }, 'totalArticles')
       };
 
     } catch (error) {
@@ -175,11 +277,14 @@ class ArticleService {
   /**
    * Get article by slug
    * @param {string} slug - Article slug
+   * @param {Object} options - format: 'markdown' (content), 'html' (contentHtml) or 'both'
    * @returns {Promise<Object>} Article
    */
-  async getArticleBySlug(slug) {
+  async getArticleBySlug(slug, { format = 'markdown' } = {}) {
     try {
+      const withHtml = format !== 'markdown';
       const article = await Article.findOne({ slug, status: 'published' })
+        .select(withHtml ? '-review +contentHtml' : '-review')
         .populate('author', 'name avatar')
         .lean();
 
@@ -187,11 +292,30 @@ class ArticleService {
         throw new Error('Article not found');
       }
 
-      // Increment view count
-      await Article.findByIdAndUpdate(article._id, {
-        $inc: { 'stats.views': 1 }
-      });
+      // Articles saved before the rendering pipeline are rendered on first request
+      if (withHtml && article.contentHtml === undefined) {
+        const rendered = renderMarkdown(article.content);
+        Object.assign(article, { contentHtml: rendered.html, toc: rendered.toc });
+        article.stats = { ...article.stats, wordCount: rendered.wordCount, readTime: rendered.readTime };
+
+        await Article.updateOne({ _id: article._id }, {
+          $set: {
+            contentHtml: rendered.html,
+            toc: rendered.toc,
+            'stats.wordCount': rendered.wordCount,
+            'stats.readTime': rendered.readTime
+          }
+        });
+      }
 
+      if (format === 'html') {
+        delete article.content;
+      }
+
+      // Series navigation and the collections the article appears in
+      Object.assign(article, await this.collectionService.getMemberships(article._id));
+
+      // The route counts the view through ViewService, which skips bots and repeat visits
       return article;
 
     } catch (error) {
@@ -200,6 +324,27 @@ class ArticleService {
     }
   }
 
+  /**
+   * Get article by ID regardless of status
+   * @param {string} id - Article ID
+   * @returns {Promise<Object>} Article
+   */
+  async getArticleById(id) {
+    try {
+      const article = await Article.findById(id).lean();
+
+      if (!article) {
+        throw new Error('Article not found');
+      }
+
+      return article;
+
+    } catch (error) {
+      logger.error('Error getting article by ID:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get trending articles
    * @param {number} limit - Number of articles to return
@@ -231,14 +376,15 @@ class ArticleService {
   }
 
   /**
-   * Get articles by category
-   * @param {string} category - Category name
+   * Get articles in a category and its subcategories
+   * @param {string} category - Category slug
    * @param {Object} options - Query options
    * @returns {Promise<Object>} Articles with pagination
    */
   async getArticlesByCategory(category, options = {}) {
     try {
-      return await this.getArticles({ ...options, category });
+      const categories = await this.categoryService.getDescendantSlugs(category);
+      return await this.getArticles({ ...options, category: categories });
     } catch (error) {
       logger.error('Error getting articles by category:', error);
       throw error;
@@ -246,14 +392,14 @@ class ArticleService {
   }
 
   /**
-   * Search articles
+   * Search published articles through the configured search index
    * @param {string} query - Search query
-   * @param {Object} options - Search options
-   * @returns {Promise<Object>} Search results
+   * @param {Object} options - Search options, see SearchService.search
+   * @returns {Promise<Object>} Articles with highlights, pagination, facets and terms
    */
   async searchArticles(query, options = {}) {
     try {
-      return await this.getArticles({ ...options, search: query });
+      return await this.searchService.search(query, options);
     } catch (error) {
       logger.error('Error searching articles:', error);
       throw error;
@@ -261,16 +407,73 @@ class ArticleService {
   }
 
   /**
-   * Update article
+   * Update article, keeping a revision when revisioned fields change
    * @param {string} id - Article ID
    * @param {Object} updateData - Update data
+   * @param {Object} options - user, source and restoredFrom for the revision
    * @returns {Promise<Object>} Updated article
    */
-  async updateArticle(id, updateData) {
+  async updateArticle(id, updateData, { user = null, source = 'update', restoredFrom = null } = {}) {
     try {
+      const touchesRevision = REVISION_FIELDS.some(field => updateData[field] !== undefined);
+      const touchesSchedule = ['status', 'publishAt', 'unpublishAt']
+        .some(field => updateData[field] !== undefined);
+      const touchesSlug = updateData.slug !== undefined;
+
+      let changes = updateData;
+
+      if (updateData.category !== undefined) {
+        await this.assertCategory(updateData.category);
+      }
+      if (updateData.tags) {
+        changes = { ...changes, tags: await this.tagService.canonicalize(updateData.tags) };
+      }
+
+      // null removes the image; anything else is resolved against uploaded assets
+      if (updateData.featuredImage) {
+        changes = {
+          ...changes,
+          featuredImage: await this.imageService.resolveFeaturedImage(updateData.featuredImage)
+        };
+      }
+
+      if (touchesRevision || touchesSchedule || touchesSlug) {
+        const previous = await Article.findById(id).lean();
+        if (!previous) {
+          throw new Error('Article not found');
+        }
+
+        if (touchesRevision) {
+          await this.revisionService.ensureBaseline(previous);
+        }
+        if (updateData.title !== undefined || updateData.content !== undefined) {
+          changes = {
+            ...changes,
+            fingerprint: fingerprintArticle({
+              title: updateData.title ?? previous.title,
+              content: updateData.content ?? previous.content
+            })
+          };
+        }
+        // Editing the text of an approved article sends it back to review
+        const reopen = this.reviewService.getReopenUpdate(previous, updateData, user);
+        if (touchesSchedule) {
+          changes = this.applySchedule(changes, reopen ? { ...previous, status: 'in_review' } : previous);
+        }
+        if (reopen) {
+          changes = { ...reopen, ...changes };
+        }
+        if (touchesSlug && updateData.slug !== previous.slug) {
+          changes = {
+            ...changes,
+            slugHistory: await this.redirectService.trackSlugChange(previous, updateData.slug)
+          };
+        }
+      }
+
       const article = await Article.findByIdAndUpdate(
         id,
-        { ...updateData, lastModified: new Date() },
+        { ...changes, lastModified: new Date() },
         { new: true, runValidators: true }
       ).populate('author', 'name avatar');
 
@@ -278,6 +481,12 @@ class ArticleService {
         throw new Error('Article not found');
       }
 
+      if (touchesRevision) {
+        await this.revisionService.recordRevision(article, { user, source, restoredFrom });
+      }
+      this.invalidateSitemap();
+      await this.searchService.indexArticle(article._id);
+
       logger.info(`Updated article: ${article.title}`);
       return article;
 
@@ -288,20 +497,85 @@ class ArticleService {
   }
 
   /**
-   * Delete article
+   * Replace an article's featured image with a different one from the image providers
    * @param {string} id - Article ID
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} options - provider to use only that one
+   * @param {Object} user - User re-rolling the image
+   * @returns {Promise<Object>} Updated article
    */
-  async deleteArticle(id) {
+  async rerollFeaturedImage(id, { provider = null } = {}, user = null) {
     try {
-      const article = await Article.findByIdAndDelete(id);
+      const article = await this.getArticleById(id);
+      const current = article.featuredImage?.attribution?.externalId;
+
+      // A fresh seed makes every provider pick or draw something new
+      const asset = await this.imageService.findImage({
+        query: article.trendData?.keyword || article.tags[0] || article.title,
+        title: article.title,
+        category: article.category
+      }, {
+        provider,
+        seed: `${article._id}:${Date.now()}`,
+        exclude: current ? [current] : []
+      }, user);
+
+      if (!asset) {
+        throw Object.assign(new Error('No image provider returned an image'), { status: 404 });
+      }
+
+      return await this.updateArticle(id, { featuredImage: { asset: asset._id } }, { user });
+
+    } catch (error) {
+      logger.error('Error re-rolling featured image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an old revision as a new revision
+   * @param {string} id - Article ID
+   * @param {number} revision - Revision number to restore
+   * @param {Object} user - Restoring user
+   * @returns {Promise<Object>} Updated article
+   */
+  async restoreRevision(id, revision, user) {
+    try {
+      const { snapshot } = await this.revisionService.getRevision(id, revision);
+
+      return await this.updateArticle(id, {
+        title: snapshot.title,
+        excerpt: snapshot.excerpt,
+        content: snapshot.content,
+        tags: snapshot.tags,
+        seo: snapshot.seo
+      }, { user, source: 'restore', restoredFrom: revision });
+
+    } catch (error) {
+      logger.error('Error restoring article revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an article to the trash
+   * @param {string} id - Article ID
+   * @param {Object} user - Deleting user
+   * @returns {Promise<Object>} Trashed article
+   */
+  async deleteArticle(id, user = null) {
+    try {
+      const article = await Article.findById(id);
       
       if (!article) {
         throw new Error('Article not found');
       }
 
-      logger.info(`Deleted article: ${article.title}`);
-      return true;
+      await article.softDelete(user?._id || null);
+      this.invalidateSitemap();
+      await this.searchService.removeArticle(article._id);
+
+      logger.info(`Moved article to trash: ${article.title}`);
+      return article;
 
     } catch (error) {
       logger.error('Error deleting article:', error);
@@ -309,6 +583,78 @@ class ArticleService {
     }
   }
 
+  /**
+   * Bring an article back from the trash
+   * @param {string} id - Article ID
+   * @returns {Promise<Object>} Restored article
+   */
+  async restoreArticle(id) {
+    try {
+      const article = await Article.findOne({ _id: id, deletedAt: { $ne: null } });
+
+      if (!article) {
+        throw new Error('Article not found in trash');
+      }
+
+      await article.restore();
+      this.invalidateSitemap();
+      await this.searchService.indexArticle(article._id);
+
+      logger.info(`Restored article from trash: ${article.title}`);
+      return article;
+
+    } catch (error) {
+      logger.error('Error restoring article:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fold near-duplicates into one article: trash them and redirect their URLs to it
+   * @param {string} keepId - Article to keep
+   * @param {Array} duplicateIds - Articles to fold into it
+   * @param {Object} user - Acting user
+   * @returns {Promise<Object>} Kept article and trashed duplicates
+   */
+  async consolidateArticles(keepId, duplicateIds, user) {
+    try {
+      if (duplicateIds.some(id => id.toString() === keepId.toString())) {
+        throw Object.assign(new Error('The article to keep cannot also be a duplicate'), { status: 400 });
+      }
+
+      const keep = await Article.findById(keepId).select('title slug');
+      if (!keep) {
+        throw new Error('Article not found');
+      }
+
+      const duplicates = await Article.find({ _id: { $in: duplicateIds } }).select('title slug');
+      if (duplicates.length !== duplicateIds.length) {
+        throw new Error('Article not found');
+      }
+
+      for (const duplicate of duplicates) {
+        await this.deleteArticle(duplicate._id, user);
+        await this.redirectService.createRedirect({
+          from: articlePath(duplicate.slug),
+          article: keep._id,
+          note: `Consolidated into "${keep.title}"`
+        }, user);
+      }
+
+      await Article.updateOne(
+        { _id: keep._id },
+        { $pull: { duplicateOf: { article: { $in: duplicates.map(duplicate => duplicate._id) } } } }
+      );
+
+      logger.info(`Consolidated ${duplicates.length} articles into ${keep._id}`);
+      return { keep, duplicates };
+
+    } catch (error) {
+      logger.error('Error consolidating articles:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get article statistics
    * @returns {Promise<Object>} Article statistics
@@ -356,28 +702,168 @@ class ArticleService {
 
   /**
    * Generate sitemap data
+   * @param {Object} options - fresh skips the cache
    * @returns {Promise<Array>} Sitemap entries
    */
-  async generateSitemapData() {
+  async generateSitemapData({ fresh = false } = {}) {
     try {
+      if (!fresh && sitemapCache.data && sitemapCache.timestamp &&
+          Date.now() - sitemapCache.timestamp < sitemapCache.ttl) {
+        return sitemapCache.data;
+      }
+
       const articles = await Article.find({ status: 'published' })
         .select('slug lastModified publishedAt')
         .sort({ publishedAt: -1 })
         .lean();
 
-      return articles.map(article => ({
+      const data = articles.map(article => ({
         url: `/article/${article.slug}`,
+        slug: article.slug,
         lastModified: article.lastModified || article.publishedAt,
         changeFreq: 'weekly',
         priority: 0.8
       }));
 
+      sitemapCache = {
+        data,
+        timestamp: Date.now(),
+        ttl: sitemapCache.ttl
+      };
+
+      return data;
+
     } catch (error) {
       logger.error('Error generating sitemap data:', error);
       throw error;
     }
   }
 
+  /**
+   * Drop cached sitemap data so the next request rebuilds it
+   */
+  invalidateSitemap() {
+    sitemapCache = { ...sitemapCache, data: null, timestamp: null };
+  }
+
+  /**
+   * Refuse categories that are not in the category collection
+   * @param {string} category - Category slug; undefined uses the default
+   */
+  async assertCategory(category) {
+    if (category !== undefined && !(await this.categoryService.exists(category))) {
+      throw Object.assign(new Error(`Unknown category "${category}"`), { status: 400 });
+    }
+  }
+
+  /**
+   * Validate and normalize status, publishAt and unpublishAt for a create or update
+   * @param {Object} data - Incoming article data
+   * @param {Object} current - Stored article, when updating
+   * @returns {Object} Data with the schedule fields settled
+   */
+  applySchedule(data, current = {}) {
+    const now = new Date();
+    const result = { ...data };
+    const status = data.status ?? current.status ?? 'draft';
+    const publishAt = data.publishAt !== undefined ? data.publishAt : current.publishAt;
+    const unpublishAt = data.unpublishAt !== undefined ? data.unpublishAt : current.unpublishAt;
+
+    const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+
+    // Articles under review only leave the workflow through approval, or by being archived
+    if (data.status !== undefined && data.status !== current.status &&
+        PENDING_REVIEW_STATUSES.includes(current.status) && data.status !== 'archived') {
+      throw Object.assign(
+        new Error('This article is under review and must be approved before its status can change'),
+        { status: 409 }
+      );
+    }
+
+    if (status === 'scheduled') {
+      if (!publishAt) {
+        throw invalid('publishAt is required for scheduled articles');
+      }
+      if (new Date(publishAt) <= now && current.status !== 'scheduled') {
+        throw invalid('publishAt must be in the future');
+      }
+      result.publishAt = new Date(publishAt);
+      result.publishedAt = result.publishAt;
+    } else {
+      if (status === 'published' && current.status !== 'published') {
+        // Going live now: the publish date is the moment it became public
+        result.publishedAt = now;
+      }
+      // publishAt only means something while an article waits to go live
+      result.publishAt = null;
+    }
+
+    if (unpublishAt) {
+      const goesLiveAt = status === 'scheduled' ? new Date(publishAt) : now;
+      if (new Date(unpublishAt) <= goesLiveAt) {
+        throw invalid(status === 'scheduled'
+          ? 'unpublishAt must be after publishAt'
+          : 'unpublishAt must be in the future');
+      }
+      result.unpublishAt = new Date(unpublishAt);
+    }
+
+    return result;
+  }
+
+  /**
+   * Publish scheduled articles that are due and archive expired ones
+   * @returns {Promise<Object>} Published and unpublished articles
+   */
+  async processScheduledArticles() {
+    try {
+      const now = new Date();
+
+      const [due, expired] = await Promise.all([
+        Article.find({ status: 'scheduled', publishAt: { $lte: now } })
+          .select('title slug publishAt')
+          .lean(),
+        Article.find({ status: 'published', unpublishAt: { $ne: null, $lte: now } })
+          .select('title slug unpublishAt')
+          .lean()
+      ]);
+
+      const published = [];
+      for (const article of due) {
+        // The status condition keeps a concurrent edit from being overwritten
+        const result = await Article.updateOne(
+          { _id: article._id, status: 'scheduled' },
+          { status: 'published', publishedAt: article.publishAt, publishAt: null, lastModified: now }
+        );
+        if (result.modifiedCount > 0) published.push(article);
+      }
+
+      const unpublished = [];
+      for (const article of expired) {
+        const result = await Article.updateOne(
+          { _id: article._id, status: 'published' },
+          { status: 'archived', lastModified: now }
+        );
+        if (result.modifiedCount > 0) unpublished.push(article);
+      }
+
+      for (const article of [...published, ...unpublished]) {
+        await this.searchService.indexArticle(article._id);
+      }
+
+      if (published.length > 0 || unpublished.length > 0) {
+        logger.info(`Scheduler published ${published.length} and archived ${unpublished.length} articles`);
+        await this.generateSitemapData({ fresh: true });
+      }
+
+      return { published, unpublished };
+
+    } catch (error) {
+      logger.error('Error processing scheduled articles:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clean up old articles (optional maintenance task)
    * @param {number} daysOld - Days old threshold
@@ -388,13 +874,23 @@ class ArticleService {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-      const result = await Article.deleteMany({
+      const articles = await Article.find({
         publishedAt: { $lt: cutoffDate },
         'stats.views': { $lt: 100 } // Only delete articles with low views
       });
 
-      logger.info(`Cleaned up ${result.deletedCount} old articles`);
-      return result.deletedCount;
+      // Sent to the trash like deleteArticle does, so the retention job gets the final say
+      for (const article of articles) {
+        await article.softDelete();
+      }
+
+      if (articles.length > 0) {
+        this.invalidateSitemap();
+        await removeArticles(articles.map(article => article._id));
+      }
+
+      logger.info(`Moved ${articles.length} old articles to trash`);
+      return articles.length;
 
     } catch (error) {
       logger.error('Error cleaning up old articles:', error);
@@ -0,0 +1,210 @@
+import AuditLog from '../models/AuditLog.js';
+import { decodeCursor, afterCursor, cursorSort, takePage, buildPagination } from '../utils/pagination.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('AuditService');
+
+// Newest entries first
+const LOG_SORT = { field: 'createdAt', order: 'desc' };
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'actor',
+  'actorName',
+  'actorEmail',
+  'actorRole',
+  'action',
+  'targetType',
+  'targetId',
+  'targetLabel',
+  'ipAddress',
+  'before',
+  'after'
+];
+
+class AuditService {
+  /**
+   * Record a privileged action. Never throws so auditing cannot break the action itself
+   * @param {Object} req - Express request of the acting user
+   * @param {Object} entry - Action, target, before/after state and metadata
+   * @returns {Promise<Object|null>} Stored entry
+   */
+  async record(req, { action, target, before = null, after = null, metadata = null }) {
+    try {
+      const user = req?.user;
+      const changes = this.diff(before, after);
+
+      const entry = await AuditLog.create({
+        actor: user?._id || null,
+        actorName: user?.name || 'system',
+        actorEmail: user?.email,
+        actorRole: user?.role,
+        action,
+        target: {
+          type: target.type,
+          id: target.id ? target.id.toString() : undefined,
+          label: target.label
+        },
+        changes,
+        metadata,
+        ipAddress: req?.ip,
+        userAgent: req?.get ? req.get('User-Agent') : undefined
+      });
+
+      return entry;
+
+    } catch (error) {
+      logger.error(`Failed to record audit entry for ${action}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Reduce before/after snapshots to the fields that changed
+   * @param {Object|null} before - State before the action
+   * @param {Object|null} after - State after the action
+   * @returns {Object} Changed fields on each side
+   */
+  diff(before, after) {
+    if (!before || !after) {
+      return { before, after };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changedBefore[key] = before[key];
+        changedAfter[key] = after[key];
+      }
+    }
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  /**
+   * Build a Mongo query from audit log filters
+   * @param {Object} filters - actor, action, targetType, targetId, from, to
+   * @returns {Object} Query
+   */
+  buildQuery(filters = {}) {
+    const { actor, action, targetType, targetId, from, to } = filters;
+    const query = {};
+
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetType) query['target.type'] = targetType;
+    if (targetId) query['target.id'] = targetId;
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    return query;
+  }
+
+  /**
+   * Get audit log entries with pagination and filtering
+   * @param {Object} options - Filters plus page and limit; cursor (from nextCursor) replaces page
+   * @returns {Promise<Object>} Entries with pagination info
+   */
+  async getLogs(options = {}) {
+    try {
+      const { page = 1, cursor = null, limit = 50, ...filters } = options;
+      const query = this.buildQuery(filters);
+      const position = cursor ? decodeCursor(cursor, LOG_SORT) : null;
+
+      const [found, total] = await Promise.all([
+        AuditLog.find(position ? afterCursor(query, position) : query)
+          .sort(cursorSort(LOG_SORT))
+          .skip(position ? 0 : (page - 1) * limit)
+          .limit(limit + 1)
+          .lean(),
+        position ? null : AuditLog.countDocuments(query)
+      ]);
+
+      const { items: logs, nextCursor } = takePage(found, limit, LOG_SORT);
+
+      return {
+        logs,
+        pagination: buildPagination({ page, limit, cursor, total, nextCursor }, 'totalLogs')
+      };
+
+    } catch (error) {
+      logger.error('Error getting audit logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream matching entries to a writable as CSV or NDJSON
+   * @param {Object} filters - Audit log filters
+   * @param {string} format - 'csv' or 'ndjson'
+   * @param {Object} output - Writable stream (e.g. Express response)
+   * @returns {Promise<number>} Number of exported entries
+   */
+  async exportLogs(filters, format, output) {
+    try {
+      const cursor = AuditLog.find(this.buildQuery(filters))
+        .sort({ createdAt: -1 })
+        .lean()
+        .cursor();
+
+      let count = 0;
+
+      if (format === 'csv') {
+        output.write(CSV_COLUMNS.join(',') + '\n');
+      }
+
+      for await (const log of cursor) {
+        output.write(format === 'csv' ? this.toCSVRow(log) : JSON.stringify(log) + '\n');
+        count += 1;
+      }
+
+      logger.info(`Exported ${count} audit log entries as ${format}`);
+      return count;
+
+    } catch (error) {
+      logger.error('Error exporting audit logs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format an entry as a CSV row
+   * @param {Object} log - Audit log entry
+   * @returns {string} CSV row
+   */
+  toCSVRow(log) {
+    const values = {
+      createdAt: new Date(log.createdAt).toISOString(),
+      actor: log.actor,
+      actorName: log.actorName,
+      actorEmail: log.actorEmail,
+      actorRole: log.actorRole,
+      action: log.action,
+      targetType: log.target?.type,
+      targetId: log.target?.id,
+      targetLabel: log.target?.label,
+      ipAddress: log.ipAddress,
+      before: log.changes?.before ? JSON.stringify(log.changes.before) : '',
+      after: log.changes?.after ? JSON.stringify(log.changes.after) : ''
+    };
+
+    return CSV_COLUMNS.map(column => {
+      let value = values[column] === undefined || values[column] === null
+        ? ''
+        : String(values[column]);
+      // Spreadsheets run cells starting with these as formulas
+      if (/^[=+\-@\t\r]/.test(value)) {
+        value = `'${value}`;
+      }
+      return /[",\n\r]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    }).join(',') + '\n';
+  }
+}
+
+export default AuditService;
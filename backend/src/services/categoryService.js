@@ -0,0 +1,414 @@
+import Category from '../models/Category.js';
+import Article from '../models/Article.js';
+import RedirectService from './redirectService.js';
+import { indexArticles } from '../search/index.js';
+import { DEFAULT_CATEGORIES, FALLBACK_CATEGORY } from '../utils/categories.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CategoryService');
+
+// Cache for the category list, read by validators on every write
+let categoryCache = {
+  data: null,
+  timestamp: null,
+  ttl: 5 * 60 * 1000 // 5 minutes cache
+};
+
+const EDITABLE_FIELDS = ['slug', 'name', 'description', 'parent', 'sortOrder', 'seo', 'generation'];
+
+// Settings groups where an update changes only the keys it sends
+const NESTED_FIELDS = ['seo', 'generation'];
+
+class CategoryService {
+  constructor() {
+    this.redirectService = new RedirectService();
+  }
+
+  /**
+   * Create the default categories on an empty collection and make sure the fallback exists
+   * @returns {Promise<number>} Number of categories created
+   */
+  async ensureDefaults() {
+    try {
+      let created = 0;
+
+      if (await Category.estimatedDocumentCount() === 0) {
+        await Category.insertMany(DEFAULT_CATEGORIES);
+        created = DEFAULT_CATEGORIES.length;
+        logger.info(`Created ${created} default categories`);
+      } else if (!(await Category.exists({ slug: FALLBACK_CATEGORY }))) {
+        await Category.create(DEFAULT_CATEGORIES.find(category => category.slug === FALLBACK_CATEGORY));
+        created = 1;
+      }
+
+      if (created > 0) this.invalidate();
+      return created;
+
+    } catch (error) {
+      logger.error('Error creating default categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * All categories ordered by sortOrder, then name
+   * @returns {Promise<Array>} Categories
+   */
+  async listCategories() {
+    try {
+      if (categoryCache.data && categoryCache.timestamp &&
+          Date.now() - categoryCache.timestamp < categoryCache.ttl) {
+        return categoryCache.data;
+      }
+
+      let categories = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+
+      if (categories.length === 0) {
+        await this.ensureDefaults();
+        categories = await Category.find().sort({ sortOrder: 1, name: 1 }).lean();
+      }
+
+      categoryCache = { ...categoryCache, data: categories, timestamp: Date.now() };
+      return categories;
+
+    } catch (error) {
+      logger.error('Error listing categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Categories nested under their parents
+   * @returns {Promise<Array>} Top-level categories with children
+   */
+  async getTree() {
+    const categories = await this.listCategories();
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      (parent ? parent.children : roots).push(node);
+    }
+
+    return roots;
+  }
+
+  /**
+   * Categories with the number of live articles in each
+   * @returns {Promise<Array>} Categories with articleCount
+   */
+  async listCategoriesWithCounts() {
+    try {
+      const [categories, counts] = await Promise.all([
+        this.listCategories(),
+        Article.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+      ]);
+
+      const countBySlug = new Map(counts.map(({ _id, count }) => [_id, count]));
+      return categories.map(category => ({ ...category, articleCount: countBySlug.get(category.slug) || 0 }));
+
+    } catch (error) {
+      logger.error('Error counting category articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Slugs of every category
+   * @returns {Promise<Array>} Slugs
+   */
+  async getSlugs() {
+    return (await this.listCategories()).map(category => category.slug);
+  }
+
+  /**
+   * Whether a category slug exists
+   * @param {string} slug - Category slug
+   * @returns {Promise<boolean>} True when it exists
+   */
+  async exists(slug) {
+    return (await this.getSlugs()).includes(slug);
+  }
+
+  /**
+   * Get a category by slug
+   * @param {string} slug - Category slug
+   * @returns {Promise<Object>} Category
+   */
+  async getCategory(slug) {
+    const category = (await this.listCategories()).find(entry => entry.slug === slug);
+
+    if (!category) {
+      throw new Error('Category not found');
+    }
+
+    return category;
+  }
+
+  /**
+   * Slug of a category and of every category below it
+   * @param {string} slug - Category slug
+   * @returns {Promise<Array>} Slugs, starting with the given one
+   */
+  async getDescendantSlugs(slug) {
+    const categories = await this.listCategories();
+    const root = categories.find(category => category.slug === slug);
+    if (!root) return [slug];
+
+    const slugs = [root.slug];
+    const queue = [root._id.toString()];
+
+    while (queue.length > 0) {
+      const parentId = queue.shift();
+      for (const category of categories) {
+        if (category.parent?.toString() === parentId) {
+          slugs.push(category.slug);
+          queue.push(category._id.toString());
+        }
+      }
+    }
+
+    return slugs;
+  }
+
+  /**
+   * Slugs of the categories generated when no category list is given
+   * @returns {Promise<Array>} Slugs
+   */
+  async getGenerationCategories() {
+    return (await this.listCategories())
+      .filter(category => category.generation?.enabled)
+      .map(category => category.slug);
+  }
+
+  /**
+   * Article generation defaults of a category; unknown categories use the fallback
+   * @param {string} slug - Category slug
+   * @returns {Promise<Object>} category, plus tone and wordCount when the category sets them
+   */
+  async getGenerationOptions(slug) {
+    const categories = await this.listCategories();
+    const category = categories.find(entry => entry.slug === slug) ||
+      categories.find(entry => entry.slug === FALLBACK_CATEGORY);
+
+    const { tone, wordCount } = category?.generation || {};
+
+    return {
+      category: category?.slug || FALLBACK_CATEGORY,
+      ...(tone && { tone }),
+      ...(wordCount && { wordCount })
+    };
+  }
+
+  /**
+   * Google Trends category code of a category
+   * @param {string} slug - Category slug
+   * @returns {Promise<string|undefined>} Code, if the category has one
+   */
+  async getTrendsCategory(slug) {
+    const category = (await this.listCategories()).find(entry => entry.slug === slug);
+    return category?.generation?.trendsCategory || undefined;
+  }
+
+  /**
+   * Subreddit to category slug lookup
+   * @returns {Promise<Object>} Map of lowercase subreddit to category slug
+   */
+  async getSubredditMap() {
+    const map = {};
+
+    for (const category of await this.listCategories()) {
+      for (const subreddit of category.generation?.subreddits || []) {
+        map[subreddit] = category.slug;
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Create a category
+   * @param {Object} data - Category fields
+   * @returns {Promise<Object>} Created category
+   */
+  async createCategory(data) {
+    try {
+      if (await Category.exists({ slug: data.slug })) {
+        throw Object.assign(new Error(`Category "${data.slug}" already exists`), { status: 409 });
+      }
+      if (data.parent) {
+        await this.validateParent(null, data.parent);
+      }
+
+      const category = await Category.create(this.pickFields(data));
+      this.invalidate();
+
+      logger.info(`Created category: ${category.slug}`);
+      return category;
+
+    } catch (error) {
+      logger.error('Error creating category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a category; a new slug is carried over to its articles and the old
+   * category path redirects to the new one
+   * @param {string} id - Category ID
+   * @param {Object} data - Fields to change; seo and generation keys not sent are kept
+   * @param {Object} user - User making the change
+   * @returns {Promise<Object>} Previous and updated category, and how many articles moved
+   */
+  async updateCategory(id, data, user = null) {
+    try {
+      const category = await Category.findById(id);
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      const previous = category.toObject();
+      const renamed = data.slug !== undefined && data.slug !== previous.slug;
+
+      if (renamed) {
+        if (previous.slug === FALLBACK_CATEGORY) {
+          throw Object.assign(new Error('The fallback category cannot be renamed'), { status: 409 });
+        }
+        if (await Category.exists({ slug: data.slug })) {
+          throw Object.assign(new Error(`Category "${data.slug}" already exists`), { status: 409 });
+        }
+      }
+      if (data.parent) {
+        await this.validateParent(category._id, data.parent);
+      }
+
+      const fields = this.pickFields(data);
+      for (const field of NESTED_FIELDS) {
+        if (fields[field]) fields[field] = { ...previous[field], ...fields[field] };
+      }
+
+      category.set(fields);
+      await category.save();
+
+      // Trashed articles are moved too, so they restore into a category that exists
+      let articlesMoved = 0;
+      if (renamed) {
+        const articleIds = await Article.find({ category: previous.slug }).withDeleted().distinct('_id');
+        ({ modifiedCount: articlesMoved } = await Article.updateMany(
+          { category: previous.slug },
+          { $set: { category: category.slug, lastModified: new Date() } }
+        ));
+        await indexArticles(articleIds);
+
+        await this.redirectService.trackCategorySlugChange(previous.slug, category.slug, user);
+      }
+
+      this.invalidate();
+
+      logger.info(`Updated category: ${category.slug}${renamed ? ` (was ${previous.slug})` : ''}`);
+      return { previous, category, articlesMoved };
+
+    } catch (error) {
+      logger.error('Error updating category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a category, moving its articles to another one when asked
+   * @param {string} id - Category ID
+   * @param {Object} options - reassignTo: slug that receives the category's articles
+   * @returns {Promise<Object>} Deleted category and how many articles moved
+   */
+  async deleteCategory(id, { reassignTo = null } = {}) {
+    try {
+      const category = await Category.findById(id);
+      if (!category) {
+        throw new Error('Category not found');
+      }
+
+      if (category.slug === FALLBACK_CATEGORY) {
+        throw Object.assign(new Error('The fallback category cannot be deleted'), { status: 409 });
+      }
+      if (await Category.exists({ parent: category._id })) {
+        throw Object.assign(
+          new Error('Move or delete the subcategories of this category first'),
+          { status: 409 }
+        );
+      }
+
+      const articleCount = await Article.countDocuments({ category: category.slug }).withDeleted();
+      let articlesMoved = 0;
+
+      if (articleCount > 0) {
+        if (!reassignTo) {
+          throw Object.assign(
+            new Error(`${articleCount} articles use this category. Pass reassignTo to move them.`),
+            { status: 409 }
+          );
+        }
+        if (reassignTo === category.slug || !(await Category.exists({ slug: reassignTo }))) {
+          throw Object.assign(new Error(`Cannot move articles to "${reassignTo}"`), { status: 400 });
+        }
+
+        const articleIds = await Article.find({ category: category.slug }).withDeleted().distinct('_id');
+        ({ modifiedCount: articlesMoved } = await Article.updateMany(
+          { category: category.slug },
+          { $set: { category: reassignTo, lastModified: new Date() } }
+        ));
+        await indexArticles(articleIds);
+      }
+
+      await Category.deleteOne({ _id: category._id });
+      this.invalidate();
+
+      logger.info(`Deleted category: ${category.slug}`);
+      return { category, articlesMoved };
+
+    } catch (error) {
+      logger.error('Error deleting category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure a parent exists and would not create a cycle
+   * @param {string|null} id - Category being changed, null when creating
+   * @param {string} parentId - Proposed parent ID
+   */
+  async validateParent(id, parentId) {
+    const categories = await Category.find().select('parent').lean();
+    const parents = new Map(categories.map(category => [category._id.toString(), category.parent?.toString()]));
+
+    if (!parents.has(parentId.toString())) {
+      throw Object.assign(new Error('Parent category not found'), { status: 400 });
+    }
+
+    for (let current = parentId.toString(); current; current = parents.get(current)) {
+      if (id && current === id.toString()) {
+        throw Object.assign(new Error('A category cannot be nested inside itself'), { status: 400 });
+      }
+    }
+  }
+
+  /**
+   * Only the fields an admin may set
+   * @param {Object} data - Request data
+   * @returns {Object} Editable fields
+   */
+  pickFields(data) {
+    return Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, data[field]]));
+  }
+
+  /**
+   * Drop the cached category list after a change
+   */
+  invalidate() {
+    categoryCache = { ...categoryCache, data: null, timestamp: null };
+  }
+}
+
+export default CategoryService;
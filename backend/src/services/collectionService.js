@@ -0,0 +1,299 @@
+import mongoose from 'mongoose';
+import Collection from '../models/Collection.js';
+import Article from '../models/Article.js';
+import ImageService from './imageService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('CollectionService');
+
+// Article fields returned for members, enough for a card
+const MEMBER_FIELDS = 'title slug excerpt category tags featuredImage publishedAt stats.readTime author';
+
+const EDITABLE_FIELDS = ['slug', 'title', 'description', 'coverImage', 'articles'];
+
+class CollectionService {
+  constructor() {
+    this.imageService = new ImageService();
+  }
+
+  /**
+   * Series or collections, most recently updated first
+   * @param {string} kind - 'series' or 'collection'
+   * @param {Object} options - page, limit, and publishedOnly to count only published members
+   * @returns {Promise<Object>} Items with articleCount and pagination info
+   */
+  async listCollections(kind, { page = 1, limit = 20, publishedOnly = true } = {}) {
+    try {
+      const skip = (page - 1) * limit;
+      const [items, total] = await Promise.all([
+        Collection.find({ kind })
+          .sort({ updatedAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Collection.countDocuments({ kind })
+      ]);
+
+      const memberIds = items.flatMap(item => item.articles);
+      const counted = new Set((await Article.find({
+        _id: { $in: memberIds },
+        ...(publishedOnly && { status: 'published' })
+      }).select('_id').lean()).map(article => article._id.toString()));
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        items: items.map(({ articles, ...item }) => ({
+          ...item,
+          articleCount: articles.filter(id => counted.has(id.toString())).length
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error(`Error listing ${kind}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * A series or collection with its published articles in order
+   * @param {string} kind - 'series' or 'collection'
+   * @param {string} slug - Slug
+   * @returns {Promise<Object>} Collection fields plus articles; series articles carry their part number
+   */
+  async getCollection(kind, slug) {
+    try {
+      const { articles: memberIds, ...collection } = await this.findOne({ kind, slug });
+      const articles = await this.loadMembers(memberIds, { status: 'published' });
+
+      return {
+        ...collection,
+        articleCount: articles.length,
+        articles: kind === 'series'
+          ? articles.map((article, index) => ({ ...article, part: index + 1 }))
+          : articles
+      };
+
+    } catch (error) {
+      logger.error(`Error getting ${kind}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * A series or collection by ID with members of any status, for admins
+   * @param {string} kind - 'series' or 'collection'
+   * @param {string} id - Collection ID
+   * @returns {Promise<Object>} Collection with member articles including their status
+   */
+  async getCollectionById(kind, id) {
+    const { articles: memberIds, ...collection } = await this.findOne({ kind, _id: id });
+
+    return {
+      ...collection,
+      articles: await this.loadMembers(memberIds, {}, `${MEMBER_FIELDS} status`)
+    };
+  }
+
+  /**
+   * Series and collections an article belongs to, with series navigation
+   * @param {string} articleId - Article ID
+   * @returns {Promise<Object>} series (with part, totalParts, previous and next) and collections
+   */
+  async getMemberships(articleId) {
+    try {
+      const groups = await Collection.find({ articles: articleId })
+        .select('kind slug title description coverImage articles')
+        .lean();
+
+      if (groups.length === 0) {
+        return { series: [], collections: [] };
+      }
+
+      // Navigation skips members that are not published
+      const published = new Map((await Article.find({
+        _id: { $in: groups.filter(group => group.kind === 'series').flatMap(group => group.articles) },
+        status: 'published'
+      }).select('title slug').lean()).map(article => [article._id.toString(), article]));
+
+      const series = groups
+        .filter(group => group.kind === 'series')
+        .map(({ articles, kind, ...group }) => {
+          const parts = articles.map(id => published.get(id.toString())).filter(Boolean);
+          const index = parts.findIndex(part => part._id.toString() === articleId.toString());
+
+          return {
+            ...group,
+            part: index + 1,
+            totalParts: parts.length,
+            previous: parts[index - 1] || null,
+            next: index >= 0 ? parts[index + 1] || null : null
+          };
+        });
+
+      const collections = groups
+        .filter(group => group.kind === 'collection')
+        .map(({ articles, kind, ...group }) => group);
+
+      return { series, collections };
+
+    } catch (error) {
+      logger.error('Error getting article memberships:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a series or collection
+   * @param {string} kind - 'series' or 'collection'
+   * @param {Object} data - slug, title, description, coverImage and articles
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} Created collection
+   */
+  async createCollection(kind, data, user = null) {
+    try {
+      if (await Collection.exists({ kind, slug: data.slug })) {
+        throw Object.assign(new Error(`A ${kind} with slug "${data.slug}" already exists`), { status: 409 });
+      }
+
+      const collection = await Collection.create({
+        ...(await this.prepare(data)),
+        kind,
+        createdBy: user?._id || null
+      });
+
+      logger.info(`Created ${kind}: ${collection.slug}`);
+      return collection;
+
+    } catch (error) {
+      logger.error(`Error creating ${kind}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a series or collection; articles, when given, replace the member list
+   * @param {string} kind - 'series' or 'collection'
+   * @param {string} id - Collection ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Previous and updated collection
+   */
+  async updateCollection(kind, id, data) {
+    try {
+      const collection = await Collection.findOne({ kind, _id: id });
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      if (data.slug !== undefined && data.slug !== collection.slug &&
+          await Collection.exists({ kind, slug: data.slug })) {
+        throw Object.assign(new Error(`A ${kind} with slug "${data.slug}" already exists`), { status: 409 });
+      }
+
+      const previous = collection.toObject();
+      collection.set(await this.prepare(data));
+      await collection.save();
+
+      logger.info(`Updated ${kind}: ${collection.slug}`);
+      return { previous, collection };
+
+    } catch (error) {
+      logger.error(`Error updating ${kind}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a series or collection; its articles are untouched
+   * @param {string} kind - 'series' or 'collection'
+   * @param {string} id - Collection ID
+   * @returns {Promise<Object>} Deleted collection
+   */
+  async deleteCollection(kind, id) {
+    try {
+      const collection = await Collection.findOneAndDelete({ kind, _id: id });
+      if (!collection) {
+        throw new Error('Collection not found');
+      }
+
+      logger.info(`Deleted ${kind}: ${collection.slug}`);
+      return collection;
+
+    } catch (error) {
+      logger.error(`Error deleting ${kind}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find one collection as a plain object
+   * @param {Object} filter - Query filter
+   * @returns {Promise<Object>} Collection
+   */
+  async findOne(filter) {
+    const collection = await Collection.findOne(filter).lean();
+
+    if (!collection) {
+      throw new Error('Collection not found');
+    }
+
+    return collection;
+  }
+
+  /**
+   * Member articles in the stored order
+   * @param {Array} ids - Article IDs
+   * @param {Object} filter - Extra article filter
+   * @param {string} fields - Fields to select
+   * @returns {Promise<Array>} Articles
+   */
+  async loadMembers(ids, filter = {}, fields = MEMBER_FIELDS) {
+    const articles = await Article.find({ _id: { $in: ids }, ...filter })
+      .select(fields)
+      .populate('author', 'name avatar')
+      .lean();
+
+    const byId = new Map(articles.map(article => [article._id.toString(), article]));
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+  }
+
+  /**
+   * Editable fields with the cover image resolved and the article list checked
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} Fields ready to save
+   */
+  async prepare(data) {
+    const fields = Object.fromEntries(EDITABLE_FIELDS
+      .filter(field => data[field] !== undefined)
+      .map(field => [field, data[field]]));
+
+    if (fields.coverImage) {
+      fields.coverImage = await this.imageService.resolveFeaturedImage(fields.coverImage);
+    }
+
+    if (fields.articles) {
+      const ids = [...new Set(fields.articles.map(String))];
+      const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+      const found = invalid.length === 0
+        ? await Article.countDocuments({ _id: { $in: ids } })
+        : 0;
+
+      if (invalid.length > 0 || found !== ids.length) {
+        throw Object.assign(new Error('Every member must be an existing article'), { status: 400 });
+      }
+
+      fields.articles = ids;
+    }
+
+    return fields;
+  }
+}
+
+export default CollectionService;
@@ -0,0 +1,202 @@
+import Article from '../models/Article.js';
+import { fingerprintArticle, similarity } from '../utils/fingerprint.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('DuplicateService');
+
+const MATCH_FIELDS = '+fingerprint title slug status category publishedAt createdAt';
+const CLUSTER_FIELDS = '+fingerprint title slug status category publishedAt createdAt stats.views';
+
+class DuplicateService {
+  constructor() {
+    // Estimated share of overlapping word shingles between two articles
+    this.blockThreshold = parseFloat(process.env.DUPLICATE_BLOCK_THRESHOLD) || 0.8;
+    this.flagThreshold = parseFloat(process.env.DUPLICATE_FLAG_THRESHOLD) || 0.5;
+  }
+
+  /**
+   * Find existing articles that resemble a fingerprint
+   * @param {Object} fingerprint - minhash and bands
+   * @param {Object} options - excludeId, threshold
+   * @returns {Promise<Array>} Matches with similarity, closest first
+   */
+  async findSimilar(fingerprint, { excludeId = null, threshold = this.flagThreshold } = {}) {
+    if (!fingerprint) return [];
+
+    const query = { 'fingerprint.bands': { $in: fingerprint.bands } };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    const candidates = await Article.find(query).select(MATCH_FIELDS).lean();
+
+    return candidates
+      .map(({ fingerprint: candidate, ...article }) => ({
+        ...article,
+        similarity: similarity(fingerprint.minhash, candidate?.minhash)
+      }))
+      .filter(article => article.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Fingerprint a new article and compare it with what is already stored
+   * @param {Object} articleData - Article with title and content
+   * @returns {Promise<Object>} fingerprint, matches and whether creation should be blocked
+   */
+  async check(articleData) {
+    try {
+      const fingerprint = fingerprintArticle(articleData);
+      const matches = await this.findSimilar(fingerprint);
+
+      return {
+        fingerprint,
+        matches,
+        blocked: matches.length > 0 && matches[0].similarity >= this.blockThreshold
+      };
+
+    } catch (error) {
+      logger.error('Error checking for duplicates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fingerprint articles saved before fingerprints existed, a batch at a time.
+   * Run once at startup; articles saved since are fingerprinted as they are written.
+   * @param {number} batchSize - Articles loaded per batch
+   * @returns {Promise<number>} Number of articles fingerprinted
+   */
+  async backfill(batchSize = 500) {
+    try {
+      let total = 0;
+
+      for (;;) {
+        const articles = await Article.find({ fingerprint: null })
+          .select('title content')
+          .limit(batchSize)
+          .lean();
+
+        if (articles.length === 0) break;
+
+        await Article.bulkWrite(articles.map(article => ({
+          updateOne: {
+            filter: { _id: article._id },
+            update: { $set: { fingerprint: fingerprintArticle(article) } }
+          }
+        })));
+        total += articles.length;
+
+        if (articles.length < batchSize) break;
+      }
+
+      if (total > 0) {
+        logger.info(`Fingerprinted ${total} existing articles`);
+      }
+      return total;
+
+    } catch (error) {
+      logger.error('Error backfilling fingerprints:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Group articles into clusters of near-duplicates
+   * @param {Object} options - threshold, status
+   * @returns {Promise<Object>} Clusters, largest first, with a suggested article to keep
+   */
+  async getClusters({ threshold = this.flagThreshold, status = null } = {}) {
+    try {
+      const query = { fingerprint: { $ne: null } };
+      if (status) query.status = status;
+
+      // Only articles sharing an LSH band are compared, so only those are loaded
+      const [sharedBands, articlesScanned] = await Promise.all([
+        Article.aggregate([
+          { $match: query },
+          { $unwind: '$fingerprint.bands' },
+          { $group: { _id: '$fingerprint.bands', ids: { $push: '$_id' } } },
+          { $match: { 'ids.1': { $exists: true } } }
+        ]).allowDiskUse(true),
+        Article.countDocuments(query)
+      ]);
+
+      const candidateIds = [...new Set(sharedBands.flatMap(band => band.ids.map(String)))];
+      const articles = await Article.find({ _id: { $in: candidateIds } }).select(CLUSTER_FIELDS).lean();
+      const indexById = new Map(articles.map((article, index) => [article._id.toString(), index]));
+
+      const buckets = sharedBands
+        .map(band => band.ids.map(id => indexById.get(id.toString())).filter(index => index !== undefined))
+        .filter(members => members.length > 1);
+
+      const parent = articles.map((_, index) => index);
+      const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+      const pairs = new Map();
+
+      for (const members of buckets) {
+        for (let x = 0; x < members.length; x++) {
+          for (let y = x + 1; y < members.length; y++) {
+            const [a, b] = [members[x], members[y]];
+            const key = `${a}:${b}`;
+            if (pairs.has(key)) continue;
+
+            const score = similarity(articles[a].fingerprint.minhash, articles[b].fingerprint.minhash);
+            pairs.set(key, score);
+            if (score >= threshold) parent[find(a)] = find(b);
+          }
+        }
+      }
+
+      const groups = new Map();
+      articles.forEach((_, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(index);
+      });
+
+      const clusters = [...groups.values()]
+        .filter(members => members.length > 1)
+        .map(members => {
+          const scores = [...pairs]
+            .filter(([key, score]) => {
+              const [a, b] = key.split(':').map(Number);
+              return score >= threshold && members.includes(a) && members.includes(b);
+            })
+            .map(([, score]) => score);
+
+          const cluster = members.map(index => {
+            const { fingerprint, ...article } = articles[index];
+            return article;
+          });
+
+          return {
+            articles: cluster,
+            size: cluster.length,
+            similarity: { min: Math.min(...scores), max: Math.max(...scores) },
+            suggestedKeep: this.pickCanonical(cluster)._id
+          };
+        })
+        .sort((a, b) => b.size - a.size || b.similarity.max - a.similarity.max);
+
+      return { clusters, threshold, articlesScanned };
+
+    } catch (error) {
+      logger.error('Error building duplicate clusters:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Article a cluster should be consolidated into: published first, then most viewed, then oldest
+   * @param {Array} articles - Cluster members
+   * @returns {Object} Article to keep
+   */
+  pickCanonical(articles) {
+    return [...articles].sort((a, b) =>
+      (b.status === 'published') - (a.status === 'published') ||
+      (b.stats?.views || 0) - (a.stats?.views || 0) ||
+      new Date(a.createdAt) - new Date(b.createdAt)
+    )[0];
+  }
+}
+
+export default DuplicateService;
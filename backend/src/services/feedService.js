@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import User from '../models/User.js';
+import CategoryService from './categoryService.js';
+import TagService from './tagService.js';
+import { FEED_RENDERERS, imageType } from '../utils/feed.js';
+import { renderMarkdown } from '../utils/markdown.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('FeedService');
+
+const SITE_NAME = 'TrendWise';
+
+export const FEED_SCOPES = ['site', 'category', 'tag', 'author'];
+export const FEED_CONTENT = ['excerpt', 'full'];
+
+const notFound = (message) => Object.assign(new Error(message), { status: 404 });
+
+class FeedService {
+  constructor() {
+    this.categoryService = new CategoryService();
+    this.tagService = new TagService();
+    // Site the entries link to
+    this.siteUrl = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    // Public address of the feeds; the frontend rewrites /feeds to this API
+    this.feedBaseUrl = (process.env.FEED_BASE_URL || `${this.siteUrl}/feeds`).replace(/\/+$/, '');
+    this.defaultContent = FEED_CONTENT.includes(process.env.FEED_CONTENT) ? process.env.FEED_CONTENT : 'excerpt';
+    this.language = process.env.FEED_LANGUAGE || 'en';
+  }
+
+  /**
+   * Title, links and article filter of a feed
+   * @param {string} scope - site, category, tag or author
+   * @param {string} value - Category slug, tag, or author ID; unused for site
+   * @returns {Promise<Object>} scope, path, title, description, link and filter
+   */
+  async resolveFeed(scope, value = null) {
+    switch (scope) {
+      case 'category': {
+        const category = await this.categoryService.getCategory(value).catch(error => {
+          throw error.message === 'Category not found' ? notFound(error.message) : error;
+        });
+        return {
+          scope,
+          path: `/category/${category.slug}`,
+          title: `${category.name} | ${SITE_NAME}`,
+          description: category.description || `Latest ${category.name} articles on ${SITE_NAME}`,
+          link: `${this.siteUrl}/category/${category.slug}`,
+          // Subcategories are part of their parent's feed, as on the category page
+          filter: { category: { $in: await this.categoryService.getDescendantSlugs(category.slug) } }
+        };
+      }
+
+      case 'tag': {
+        const tag = await this.tagService.resolveTag(value).catch(error => {
+          throw error.message === 'Tag not found' ? notFound(error.message) : error;
+        });
+        return {
+          scope,
+          path: `/tag/${tag.slug}`,
+          title: `${tag.name} | ${SITE_NAME}`,
+          description: tag.description || `Latest articles tagged ${tag.name} on ${SITE_NAME}`,
+          link: `${this.siteUrl}/tag/${tag.slug}`,
+          filter: { tags: tag.name }
+        };
+      }
+
+      case 'author': {
+        const author = mongoose.isValidObjectId(value)
+          ? await User.findOne({ _id: value, isActive: true }).select('name').lean()
+          : null;
+        if (!author) {
+          throw notFound('Author not found');
+        }
+        return {
+          scope,
+          path: `/author/${author._id}`,
+          title: `${author.name} | ${SITE_NAME}`,
+          description: `Latest articles by ${author.name} on ${SITE_NAME}`,
+          link: this.siteUrl,
+          filter: { author: author._id }
+        };
+      }
+
+      default:
+        return {
+          scope: 'site',
+          path: '',
+          title: SITE_NAME,
+          description: `Latest articles on ${SITE_NAME}`,
+          link: this.siteUrl,
+          filter: {}
+        };
+    }
+  }
+
+  /**
+   * Latest published articles of a feed and the validators for conditional GET.
+   * Only IDs and modification times are read, so unchanged feeds are cheap to answer.
+   * @param {string} scope - site, category, tag or author
+   * @param {string} value - Category slug, tag, or author ID
+   * @param {Object} options - format, content (excerpt or full) and limit
+   * @returns {Promise<Object>} Feed with articleIds, lastModified and etag
+   */
+  async getFeed(scope, value, { format = 'rss', content = this.defaultContent, limit = 20 } = {}) {
+    try {
+      const feed = await this.resolveFeed(scope, value);
+
+      const articles = await Article.find({ ...feed.filter, status: 'published' })
+        .select('_id publishedAt lastModified')
+        .sort({ publishedAt: -1, _id: -1 })
+        .limit(limit)
+        .lean();
+
+      const modifiedTimes = articles.map(article => new Date(article.lastModified || article.publishedAt).getTime());
+      const lastModified = modifiedTimes.length > 0 ? new Date(Math.max(...modifiedTimes)) : null;
+
+      const etag = crypto.createHash('sha1')
+        .update(JSON.stringify([format, content, feed.title, feed.description, articles.map((article, i) => [article._id, modifiedTimes[i]])]))
+        .digest('base64url');
+
+      return {
+        ...feed,
+        format,
+        content,
+        feedUrl: `${this.feedBaseUrl}${feed.path}/${format}${content === this.defaultContent ? '' : `?content=${content}`}`,
+        articleIds: articles.map(article => article._id),
+        lastModified,
+        etag: `W/"${etag}"`
+      };
+
+    } catch (error) {
+      logger.error('Error getting feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a feed from getFeed in its format
+   * @param {Object} feed - Feed from getFeed
+   * @returns {Promise<string>} RSS, Atom or JSON Feed document
+   */
+  async renderFeed(feed) {
+    try {
+      const full = feed.content === 'full';
+
+      const articles = await Article.find({ _id: { $in: feed.articleIds } })
+        .select(`title slug excerpt category tags featuredImage publishedAt lastModified author${full ? ' content +contentHtml' : ''}`)
+        .populate('author', 'name')
+        // Enclosures give the image's size in bytes
+        .populate('featuredImage.asset', 'url size mimeType variants')
+        .lean();
+      const byId = new Map(articles.map(article => [article._id.toString(), article]));
+
+      const categories = await this.categoryService.listCategories();
+      const categoryNames = new Map(categories.map(category => [category.slug, category.name]));
+
+      const items = feed.articleIds
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(article => this.toItem(article, { full, categoryNames }));
+
+      return FEED_RENDERERS[feed.format]({
+        title: feed.title,
+        description: feed.description,
+        link: feed.link,
+        feedUrl: feed.feedUrl,
+        language: this.language,
+        updated: feed.lastModified || new Date(),
+        items
+      });
+
+    } catch (error) {
+      logger.error('Error rendering feed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Feed entry for an article
+   * @param {Object} article - Lean article with author and featured image asset populated
+   * @param {Object} options - full content, categoryNames by slug
+   * @returns {Object} Entry for the feed renderers
+   */
+  toItem(article, { full, categoryNames }) {
+    const url = `${this.siteUrl}/article/${article.slug}`;
+    const image = article.featuredImage?.url ? this.absoluteUrl(article.featuredImage.url) : null;
+    const imageFile = image ? this.imageFile(article.featuredImage) : null;
+
+    let contentHtml = null;
+    if (full) {
+      // Articles saved before HTML rendering have no stored copy
+      contentHtml = this.absoluteLinks(article.contentHtml ?? renderMarkdown(article.content).html, url);
+    }
+
+    return {
+      // Stable across slug changes, unlike the URL
+      id: `tag:${new URL(this.siteUrl).hostname},2024:article:${article._id}`,
+      url,
+      title: article.title,
+      summary: article.excerpt,
+      contentHtml,
+      publishedAt: new Date(article.publishedAt),
+      updatedAt: new Date(article.lastModified || article.publishedAt),
+      author: article.author?.name || null,
+      categories: [
+        {
+          label: categoryNames.get(article.category) || article.category,
+          domain: `${this.siteUrl}/category/${article.category}`
+        },
+        ...(article.tags || []).map(tag => ({ label: tag, domain: null }))
+      ],
+      image: image ? { url: image, type: imageFile?.type || imageType(image), length: imageFile?.size ?? null } : null
+    };
+  }
+
+  /**
+   * Size and type of the file a featured image URL points at, when it is a stored asset
+   * @param {Object} featuredImage - Featured image with its asset populated
+   * @returns {Object|null} size in bytes and MIME type, null when unknown
+   */
+  imageFile({ url, asset }) {
+    if (!asset) return null;
+    if (asset.url === url && asset.size) {
+      return { size: asset.size, type: asset.mimeType || null };
+    }
+
+    const variant = (asset.variants || []).find(entry => entry.url === url && entry.size);
+    return variant ? { size: variant.size, type: `image/${variant.format}` } : null;
+  }
+
+  /**
+   * Resolve a site-relative URL against the public site
+   * @param {string} url - URL or path
+   * @returns {string} Absolute URL
+   */
+  absoluteUrl(url) {
+    return /^https?:\/\//i.test(url) ? url : `${this.siteUrl}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+
+  /**
+   * Make links and images in article HTML absolute, since feed readers show it off-site
+   * @param {string} html - Article HTML
+   * @param {string} articleUrl - Page the HTML comes from, for heading anchors
+   * @returns {string} HTML with absolute href and src attributes
+   */
+  absoluteLinks(html, articleUrl) {
+    return html.replace(/(\s(?:href|src)=")(\/(?!\/)[^"]*|#[^"]*)"/g, (match, attribute, path) =>
+      `${attribute}${path.startsWith('#') ? articleUrl : this.siteUrl}${path}"`);
+  }
+}
+
+export default FeedService;
@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import Asset from '../models/Asset.js';
+import Article from '../models/Article.js';
+import Collection from '../models/Collection.js';
+import { getStorage } from '../storage/index.js';
+import { getImageProvider, getImageProviders } from '../images/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ImageService');
+
+// Widths of the responsive variants; never wider than the original
+export const VARIANT_WIDTHS = [320, 640, 960, 1280, 1920];
+
+const VARIANT_FORMATS = {
+  webp: { quality: 80 },
+  avif: { quality: 50, effort: 2 }
+};
+
+// sharp reports AVIF uploads as heif
+const ACCEPTED_FORMATS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp',
+  heif: 'avif',
+  gif: 'gif'
+};
+
+const CONTENT_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+
+class ImageService {
+  constructor() {
+    this.storage = getStorage();
+  }
+
+  /**
+   * Store an uploaded image and its WebP/AVIF variants
+   * @param {Object} file - Multer file with buffer and originalname
+   * @param {Object} details - alt (required), caption, and attribution and license for sourced images
+   * @param {Object} user - Uploading user
+   * @param {Object} options - updateExisting applies the new alt and caption when the file was uploaded before
+   * @returns {Promise<Object>} Asset, and whether it had been uploaded before
+   */
+  async upload(file, { alt, caption, attribution = null, license = null } = {}, user = null, { updateExisting = true } = {}) {
+    const stored = [];
+
+    try {
+      if (!alt || !alt.trim()) {
+        throw Object.assign(new Error('Alt text is required for images'), { status: 400 });
+      }
+
+      const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+      const existing = await Asset.findOne({ hash });
+      if (existing) {
+        if (updateExisting) {
+          existing.alt = alt.trim();
+          if (caption !== undefined) existing.caption = caption;
+          if (existing.isModified()) await existing.save();
+        }
+        return { asset: existing, existing: true };
+      }
+
+      const metadata = await sharp(file.buffer).metadata().catch(() => null);
+      const extension = ACCEPTED_FORMATS[metadata?.format];
+      if (!extension) {
+        throw Object.assign(
+          new Error('Unsupported image format. Use JPEG, PNG, WebP, AVIF or GIF'),
+          { status: 400 }
+        );
+      }
+
+      // EXIF orientations 5-8 are rotated a quarter turn
+      const rotated = metadata.orientation >= 5;
+      const width = rotated ? metadata.height : metadata.width;
+      const height = rotated ? metadata.width : metadata.height;
+
+      const now = new Date();
+      const base = `images/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${hash.slice(0, 16)}`;
+
+      const original = await this.storage.put(`${base}/original.${extension}`, file.buffer, {
+        contentType: CONTENT_TYPES[extension]
+      });
+      stored.push(original.key);
+
+      const widths = [...new Set([
+        ...VARIANT_WIDTHS.filter(target => target < width),
+        Math.min(width, VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1])
+      ])];
+
+      const variants = [];
+      for (const format of Object.keys(VARIANT_FORMATS)) {
+        for (const target of widths) {
+          const { data, info } = await sharp(file.buffer)
+            .rotate()
+            .resize({ width: target, withoutEnlargement: true })
+            .toFormat(format, VARIANT_FORMATS[format])
+            .toBuffer({ resolveWithObject: true });
+
+          const variant = await this.storage.put(`${base}/${info.width}.${format}`, data, {
+            contentType: CONTENT_TYPES[format]
+          });
+          stored.push(variant.key);
+
+          variants.push({
+            format,
+            width: info.width,
+            height: info.height,
+            size: info.size,
+            key: variant.key,
+            url: variant.url
+          });
+        }
+      }
+
+      const asset = await Asset.create({
+        storage: this.storage.name,
+        key: original.key,
+        url: original.url,
+        hash,
+        originalName: file.originalname,
+        mimeType: CONTENT_TYPES[extension],
+        size: file.buffer.length,
+        width,
+        height,
+        alt: alt.trim(),
+        caption,
+        variants,
+        attribution,
+        license,
+        uploadedBy: user?._id || null
+      });
+
+      logger.info(`Stored image ${asset._id} with ${variants.length} variants`);
+      return { asset, existing: false };
+
+    } catch (error) {
+      // Do not leave files behind for an asset that was never recorded
+      await Promise.all(stored.map(key => this.storage.delete(key).catch(() => {})));
+      logger.error('Error uploading image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an image for an article with the configured providers and store it as an asset
+   * @param {Object} subject - query, title, category
+   * @param {Object} options - provider to use only that one, seed to vary the pick, exclude (provider IDs to skip)
+   * @param {Object} user - User the asset is recorded for, null for generation
+   * @returns {Promise<Object|null>} Asset, or null when no provider returned an image
+   */
+  async findImage(subject, { provider = null, seed = '', exclude = [] } = {}, user = null) {
+    const providers = provider ? [getImageProvider(provider)] : getImageProviders();
+
+    for (const source of providers) {
+      if (!source.isAvailable()) {
+        if (provider) {
+          throw Object.assign(new Error(`Image provider "${provider}" is not configured`), { status: 400 });
+        }
+        continue;
+      }
+
+      try {
+        const image = await source.fetchImage({ ...subject, seed, exclude });
+        if (!image) continue;
+
+        const { asset } = await this.upload(
+          { buffer: image.buffer, originalname: image.originalName },
+          { alt: image.alt.slice(0, 300), attribution: image.attribution, license: image.license },
+          user,
+          // Keep alt text people wrote for an image a provider returns again
+          { updateExisting: false }
+        );
+
+        logger.info(`Sourced image ${asset._id} from ${source.name} for "${subject.query}"`);
+        return asset;
+
+      } catch (error) {
+        // Fall through to the next provider unless a specific one was asked for
+        logger.warn(`Image provider ${source.name} failed: ${error.message}`);
+        if (provider) throw error;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build an article's featuredImage from an uploaded asset or a plain URL
+   * @param {Object} featuredImage - asset or url, plus alt, caption, attribution and license
+   * @returns {Promise<Object>} featuredImage to store on the article
+   */
+  async resolveFeaturedImage({ asset: assetId, url, alt, caption, attribution = null, license = null } = {}) {
+    if (!assetId) {
+      if (!url) {
+        throw Object.assign(new Error('Featured image needs an asset or a URL'), { status: 400 });
+      }
+      if (!alt || !alt.trim()) {
+        throw Object.assign(new Error('Alt text is required for images'), { status: 400 });
+      }
+      return { url, alt: alt.trim(), caption, attribution, license };
+    }
+
+    const asset = await Asset.findById(assetId).lean();
+    if (!asset) {
+      throw Object.assign(new Error('Image not found'), { status: 400 });
+    }
+
+    return {
+      asset: asset._id,
+      url: asset.url,
+      alt: alt?.trim() || asset.alt,
+      caption: caption ?? asset.caption,
+      width: asset.width,
+      height: asset.height,
+      variants: asset.variants.map(({ format, width, height, url: variantUrl }) => ({
+        format,
+        width,
+        height,
+        url: variantUrl
+      })),
+      attribution: asset.attribution ?? null,
+      license: asset.license ?? null
+    };
+  }
+
+  /**
+   * List uploaded images, newest first
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} Assets with pagination info
+   */
+  async listAssets({ page = 1, limit = 20 } = {}) {
+    try {
+      const skip = (page - 1) * limit;
+      const [assets, total] = await Promise.all([
+        Asset.find()
+          .populate('uploadedBy', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Asset.countDocuments()
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        assets,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalAssets: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error listing images:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one uploaded image
+   * @param {string} id - Asset ID
+   * @returns {Promise<Object>} Asset
+   */
+  async getAsset(id) {
+    const asset = await Asset.findById(id);
+
+    if (!asset) {
+      throw new Error('Image not found');
+    }
+
+    return asset;
+  }
+
+  /**
+   * Change the alt text or caption of an image
+   * @param {string} id - Asset ID
+   * @param {Object} details - alt, caption
+   * @returns {Promise<Object>} Updated asset
+   */
+  async updateAsset(id, { alt, caption }) {
+    try {
+      const asset = await this.getAsset(id);
+
+      if (alt !== undefined) asset.alt = alt;
+      if (caption !== undefined) asset.caption = caption;
+      await asset.save();
+
+      return asset;
+
+    } catch (error) {
+      logger.error('Error updating image:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an image and its files unless an article still uses it
+   * @param {string} id - Asset ID
+   * @returns {Promise<Object>} Deleted asset
+   */
+  async deleteAsset(id) {
+    try {
+      const asset = await this.getAsset(id);
+
+      // Trashed articles count too, since they can still be restored
+      const inUse = await Article.exists({ 'featuredImage.asset': asset._id }).withDeleted();
+      if (inUse) {
+        throw Object.assign(new Error('Image is used by an article'), { status: 409 });
+      }
+      if (await Collection.exists({ 'coverImage.asset': asset._id })) {
+        throw Object.assign(new Error('Image is the cover of a series or collection'), { status: 409 });
+      }
+
+      await Promise.all([
+        this.storage.delete(asset.key),
+        ...asset.variants.map(variant => this.storage.delete(variant.key))
+      ]);
+      await Asset.deleteOne({ _id: asset._id });
+
+      logger.info(`Deleted image ${asset._id}`);
+      return asset;
+
+    } catch (error) {
+      logger.error('Error deleting image:', error);
+      throw error;
+    }
+  }
+}
+
+export default ImageService;
@@ -1,4 +1,7 @@
 import OpenAI from 'openai';
+import ImageService from './imageService.js';
+import DuplicateService from './duplicateService.js';
+import { FALLBACK_CATEGORY } from '../utils/categories.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('OpenAIService');
@@ -16,6 +19,8 @@ class OpenAIService {
     };
     
     this.defaultModel = this.models.gpt35; // Use GPT-3.5 for cost efficiency
+    this.imageService = new ImageService();
+    this.duplicateService = new DuplicateService();
   }
 
   /**
@@ -31,7 +36,7 @@ class OpenAIService {
         wordCount = 1200,
         tone = 'informative',
         includeImages = true,
-        category = 'general'
+        category = trendData.category || FALLBACK_CATEGORY
       } = options;
 
       logger.info(`Generating article for trend: ${trendData.keyword}`);
@@ -86,11 +91,16 @@ class OpenAIService {
           views: 0,
           likes: 0,
           shares: 0,
-          commentsCount: 0,
-          readTime: Math.ceil(articleData.content.split(' ').length / 200)
+          commentsCount: 0
         }
       };
 
+      // Near-duplicates are refused when saved, so they get no image that would be left behind
+      if (includeImages && !(await this.duplicateService.check(finalArticle)).blocked) {
+        const featuredImage = await this.findFeaturedImage(finalArticle);
+        if (featuredImage) finalArticle.featuredImage = featuredImage;
+      }
+
       logger.info(`Successfully generated article: ${finalArticle.title}`);
       return finalArticle;
 
@@ -100,6 +110,27 @@ class OpenAIService {
     }
   }
 
+  /**
+   * Source a featured image for a generated article; the article is still saved without one
+   * @param {Object} article - Generated article with title, category and trendData
+   * @returns {Promise<Object|null>} featuredImage referencing the stored asset
+   */
+  async findFeaturedImage(article) {
+    try {
+      const asset = await this.imageService.findImage({
+        query: article.trendData.keyword,
+        title: article.title,
+        category: article.category
+      });
+
+      return asset ? { asset: asset._id } : null;
+
+    } catch (error) {
+      logger.warn(`No featured image for "${article.title}": ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Generate multiple articles from trending topics
    * @param {Array} trends - Array of trending topics
@@ -121,7 +152,8 @@ class OpenAIService {
         const trend = selectedTrends[i];
         logger.info(`Generating article ${i + 1}/${selectedTrends.length} for: ${trend.keyword}`);
         
-        const article = await this.generateArticle(trend, articleOptions);
+        // Category defaults first, so options passed by the caller still win
+        const article = await this.generateArticle(trend, { ...trend.articleOptions, ...articleOptions });
         articles.push(article);
         
         // Add delay to avoid rate limiting
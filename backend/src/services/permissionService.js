@@ -0,0 +1,145 @@
+import Role from '../models/Role.js';
+import SanctionService from './sanctionService.js';
+import {
+  ROLES,
+  PERMISSIONS,
+  SUPER_ROLE,
+  DEFAULT_ROLE_PERMISSIONS
+} from '../utils/permissions.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('PermissionService');
+const sanctionService = new SanctionService();
+
+// Shared across instances so an update is seen by every router
+let matrixCache = {
+  data: null,
+  timestamp: null,
+  ttl: 60 * 1000 // 1 minute cache
+};
+
+class PermissionService {
+  /**
+   * Get the permission matrix, with stored overrides applied to the defaults
+   * @returns {Promise<Object>} Map of role name to permission list
+   */
+  async getMatrix() {
+    try {
+      if (matrixCache.data && Date.now() - matrixCache.timestamp < matrixCache.ttl) {
+        return matrixCache.data;
+      }
+
+      const storedRoles = await Role.find().lean();
+      const matrix = {};
+
+      for (const role of ROLES) {
+        const stored = storedRoles.find(r => r.name === role);
+        matrix[role] = role === SUPER_ROLE
+          ? [...PERMISSIONS]
+          : stored ? stored.permissions : [...DEFAULT_ROLE_PERMISSIONS[role]];
+      }
+
+      matrixCache = {
+        data: matrix,
+        timestamp: Date.now(),
+        ttl: matrixCache.ttl
+      };
+
+      return matrix;
+
+    } catch (error) {
+      logger.error('Error loading permission matrix:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the permissions granted to a role
+   * @param {string} role - Role name
+   * @returns {Promise<Array>} Permission names
+   */
+  async getPermissionsForRole(role) {
+    const matrix = await this.getMatrix();
+    return matrix[role] || [];
+  }
+
+  /**
+   * Check whether a user holds a permission through their role. Suspended and
+   * banned users hold none while the sanction is active.
+   * @param {Object} user - User document
+   * @param {string} permission - Permission name
+   * @returns {Promise<boolean>} Whether the permission is granted
+   */
+  async hasPermission(user, permission) {
+    if (!user) return false;
+    if (sanctionService.getRestriction(user, 'privileged')) return false;
+    if (user.role === SUPER_ROLE) return true;
+
+    const permissions = await this.getPermissionsForRole(user.role);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Replace the permissions of a role
+   * @param {string} role - Role name
+   * @param {Array} permissions - Permission names
+   * @param {string} updatedBy - ID of the user making the change
+   * @returns {Promise<Array>} Stored permissions
+   */
+  async updateRolePermissions(role, permissions, updatedBy = null) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw new Error('Role not found');
+      }
+
+      if (role === SUPER_ROLE) {
+        throw new Error('The admin role always holds every permission');
+      }
+
+      const invalid = permissions.filter(p => !PERMISSIONS.includes(p));
+      if (invalid.length > 0) {
+        throw new Error(`Unknown permissions: ${invalid.join(', ')}`);
+      }
+
+      const stored = await Role.findOneAndUpdate(
+        { name: role },
+        { permissions: [...new Set(permissions)], updatedBy },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      matrixCache.data = null;
+
+      logger.info(`Updated permissions for role ${role}: ${stored.permissions.join(', ')}`);
+      return stored.permissions;
+
+    } catch (error) {
+      logger.error('Error updating role permissions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the default permissions of a role
+   * @param {string} role - Role name
+   * @returns {Promise<Array>} Default permissions
+   */
+  async resetRolePermissions(role) {
+    try {
+      if (!ROLES.includes(role)) {
+        throw new Error('Role not found');
+      }
+
+      await Role.deleteOne({ name: role });
+      matrixCache.data = null;
+
+      logger.info(`Reset permissions for role ${role} to defaults`);
+      return [...DEFAULT_ROLE_PERMISSIONS[role]];
+
+    } catch (error) {
+      logger.error('Error resetting role permissions:', error);
+      throw error;
+    }
+  }
+}
+
+export default PermissionService;
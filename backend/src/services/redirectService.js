@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import Redirect from '../models/Redirect.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RedirectService');
+
+// Paths the frontend serves itself or proxies to the API
+const RESERVED_PREFIXES = ['/api/', '/_next/'];
+
+// Cache for the redirect map served to the frontend
+let redirectCache = {
+  data: null,
+  timestamp: null,
+  ttl: 5 * 60 * 1000 // 5 minutes cache
+};
+
+/**
+ * Public path of an article
+ * @param {string} slug - Article slug
+ * @returns {string} Path
+ */
+export const articlePath = (slug) => `/article/${slug}`;
+
+/**
+ * Public path of a category
+ * @param {string} slug - Category slug
+ * @returns {string} Path
+ */
+export const categoryPath = (slug) => `/category/${slug}`;
+
+class RedirectService {
+  /**
+   * Resolve a slug that no longer belongs to a published article
+   * @param {string} slug - Requested slug
+   * @returns {Promise<Object|null>} Redirect payload, or null when nothing matches
+   */
+  async resolveArticleSlug(slug) {
+    try {
+      const from = articlePath(slug);
+
+      const article = await Article.findOne({ 'slugHistory.slug': slug, status: 'published' })
+        .select('slug')
+        .lean();
+
+      if (article) {
+        return { from, to: articlePath(article.slug), slug: article.slug, permanent: true };
+      }
+
+      const redirect = await Redirect.findOne({ from }).lean();
+      if (!redirect) return null;
+
+      const target = await this.resolveTarget(redirect);
+      if (!target) return null;
+
+      await this.recordHit(redirect._id);
+      return { from, ...target, permanent: redirect.permanent };
+
+    } catch (error) {
+      logger.error('Error resolving article slug:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Work out where a custom redirect points
+   * @param {Object} redirect - Redirect document
+   * @returns {Promise<Object|null>} Target path and slug, or null when the target article is gone
+   */
+  async resolveTarget(redirect) {
+    if (!redirect.article) {
+      return { to: redirect.to, slug: null };
+    }
+
+    const article = await Article.findOne({ _id: redirect.article, status: 'published' })
+      .select('slug')
+      .lean();
+
+    return article ? { to: articlePath(article.slug), slug: article.slug } : null;
+  }
+
+  /**
+   * Count a redirect being followed
+   * @param {string} id - Redirect ID
+   */
+  async recordHit(id) {
+    await Redirect.updateOne({ _id: id }, { $inc: { hits: 1 }, $set: { lastHitAt: new Date() } });
+  }
+
+  /**
+   * Every redirect the frontend should apply, as from/to path pairs
+   * @returns {Promise<Array>} Redirect entries
+   */
+  async getRedirectMap() {
+    try {
+      if (redirectCache.data && redirectCache.timestamp &&
+          Date.now() - redirectCache.timestamp < redirectCache.ttl) {
+        return redirectCache.data;
+      }
+
+      const [articles, redirects] = await Promise.all([
+        Article.find({ status: 'published', 'slugHistory.0': { $exists: true } })
+          .select('slug slugHistory')
+          .lean(),
+        Redirect.find().lean()
+      ]);
+
+      const targetIds = redirects.filter(redirect => redirect.article).map(redirect => redirect.article);
+      const targets = await Article.find({ _id: { $in: targetIds }, status: 'published' })
+        .select('slug')
+        .lean();
+      const slugById = new Map(targets.map(article => [article._id.toString(), article.slug]));
+
+      const data = [
+        ...articles.flatMap(article => article.slugHistory.map(({ slug }) => ({
+          from: articlePath(slug),
+          to: articlePath(article.slug),
+          permanent: true
+        }))),
+        ...redirects
+          .filter(redirect => !redirect.article || slugById.has(redirect.article.toString()))
+          .map(redirect => ({
+            from: redirect.from,
+            to: redirect.article ? articlePath(slugById.get(redirect.article.toString())) : redirect.to,
+            permanent: redirect.permanent
+          }))
+      ];
+
+      redirectCache = { ...redirectCache, data, timestamp: Date.now() };
+      return data;
+
+    } catch (error) {
+      logger.error('Error building redirect map:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the cached redirect map
+   */
+  invalidate() {
+    redirectCache = { ...redirectCache, data: null, timestamp: null };
+  }
+
+  /**
+   * Record an article's slug change so the old slug keeps working
+   * @param {Object} previous - Article before the change
+   * @param {string} newSlug - Slug being taken
+   * @returns {Promise<Array>} New slug history for the article
+   */
+  async trackSlugChange(previous, newSlug) {
+    try {
+      const taken = await Article.exists({ slug: newSlug, _id: { $ne: previous._id } }).withDeleted();
+      if (taken) {
+        throw Object.assign(new Error(`Slug "${newSlug}" is already in use`), { status: 409 });
+      }
+
+      // A live article always wins over old slugs and custom redirects for the same path
+      await Promise.all([
+        Article.updateMany(
+          { 'slugHistory.slug': newSlug, _id: { $ne: previous._id } },
+          { $pull: { slugHistory: { slug: newSlug } } }
+        ),
+        Redirect.deleteMany({ from: articlePath(newSlug) })
+      ]);
+      this.invalidate();
+
+      return [
+        ...(previous.slugHistory || []).filter(entry => entry.slug !== newSlug),
+        { slug: previous.slug, changedAt: new Date() }
+      ];
+
+    } catch (error) {
+      logger.error('Error tracking slug change:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep a renamed category's old path working: redirect it to the new one, point
+   * redirects that led to the old path at the new one, and drop any redirect
+   * from the new path, which the category now serves
+   * @param {string} oldSlug - Previous category slug
+   * @param {string} newSlug - New category slug
+   * @param {Object} user - User renaming the category
+   * @returns {Promise<Object>} Redirect from the old path
+   */
+  async trackCategorySlugChange(oldSlug, newSlug, user = null) {
+    try {
+      const from = categoryPath(oldSlug);
+      const to = categoryPath(newSlug);
+
+      await Promise.all([
+        Redirect.deleteOne({ from: to }),
+        Redirect.updateMany({ to: from }, { $set: { to } })
+      ]);
+
+      const redirect = await Redirect.findOneAndUpdate(
+        { from },
+        {
+          $set: { to, article: null, permanent: true, note: `Category renamed to ${newSlug}` },
+          $setOnInsert: { createdBy: user?._id || null }
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+      this.invalidate();
+
+      logger.info(`Redirecting ${from} to ${to}`);
+      return redirect;
+
+    } catch (error) {
+      logger.error('Error tracking category slug change:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List custom redirects
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} Redirects with pagination info
+   */
+  async listRedirects({ page = 1, limit = 50 } = {}) {
+    try {
+      const skip = (page - 1) * limit;
+      const [redirects, total] = await Promise.all([
+        Redirect.find()
+          .populate('article', 'title slug status')
+          .populate('createdBy', 'name')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Redirect.countDocuments()
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        redirects,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRedirects: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error listing redirects:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a custom redirect
+   * @param {Object} data - from, and either to or article; permanent, note
+   * @param {Object} user - Creating user
+   * @returns {Promise<Object>} New redirect
+   */
+  async createRedirect({ from, to = null, article = null, permanent = true, note }, user) {
+    try {
+      const path = this.normalizePath(from);
+
+      if (RESERVED_PREFIXES.some(prefix => path.startsWith(prefix))) {
+        throw Object.assign(new Error(`Cannot redirect from ${path}`), { status: 400 });
+      }
+      if (!to === !article) {
+        throw Object.assign(new Error('Provide either a target path or an article'), { status: 400 });
+      }
+
+      if (article && !mongoose.isValidObjectId(article)) {
+        throw Object.assign(new Error('Invalid article ID'), { status: 400 });
+      }
+      if (article && !(await Article.exists({ _id: article }))) {
+        throw new Error('Article not found');
+      }
+
+      const target = to && !/^https?:\/\//.test(to) ? this.normalizePath(to) : to;
+      if (target === path) {
+        throw Object.assign(new Error('A redirect cannot point to itself'), { status: 400 });
+      }
+
+      const liveSlug = path.startsWith(articlePath('')) ? path.slice(articlePath('').length) : null;
+      if (liveSlug && await Article.exists({ slug: liveSlug })) {
+        throw Object.assign(new Error(`${path} belongs to a live article`), { status: 409 });
+      }
+
+      if (await Redirect.exists({ from: path })) {
+        throw Object.assign(new Error(`A redirect from ${path} already exists`), { status: 409 });
+      }
+
+      const redirect = await Redirect.create({
+        from: path,
+        to: target,
+        article,
+        permanent,
+        note,
+        createdBy: user?._id || null
+      });
+      this.invalidate();
+
+      logger.info(`Created redirect ${path} by ${user?._id}`);
+      return redirect;
+
+    } catch (error) {
+      logger.error('Error creating redirect:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a custom redirect
+   * @param {string} id - Redirect ID
+   * @returns {Promise<Object>} Deleted redirect
+   */
+  async deleteRedirect(id) {
+    try {
+      const redirect = await Redirect.findByIdAndDelete(id);
+
+      if (!redirect) {
+        throw new Error('Redirect not found');
+      }
+
+      this.invalidate();
+      return redirect;
+
+    } catch (error) {
+      logger.error('Error deleting redirect:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Normalize a site path: leading slash, no trailing slash, query or fragment
+   * @param {string} path - Path as entered
+   * @returns {string} Normalized path
+   */
+  normalizePath(path) {
+    const [clean] = path.trim().split(/[?#]/);
+    const withSlash = clean.startsWith('/') ? clean : `/${clean}`;
+    return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+  }
+}
+
+export default RedirectService;
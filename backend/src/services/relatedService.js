@@ -0,0 +1,227 @@
+import Article from '../models/Article.js';
+import { extractTerms, scoreRelated } from '../utils/related.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RelatedService');
+
+// Fields needed to score an article against others
+const SCORING_FIELDS = '+terms tags category trendData.keyword publishedAt stats.views';
+
+// Fields returned for each related article
+const RELATED_FIELDS = 'title slug excerpt category tags featuredImage publishedAt stats.readTime stats.views author';
+
+// Document frequencies of body terms across published articles
+let frequencyCache = {
+  data: null,
+  timestamp: null,
+  ttl: 60 * 60 * 1000 // 1 hour cache
+};
+
+class RelatedService {
+  constructor() {
+    // Related articles stored per article
+    this.limit = parseInt(process.env.RELATED_ARTICLES_LIMIT) || 10;
+    // Most recent overlapping articles scored for each article
+    this.candidateLimit = parseInt(process.env.RELATED_CANDIDATE_LIMIT) || 500;
+    // Scores below this are not worth suggesting
+    this.minScore = 0.1;
+  }
+
+  /**
+   * Precomputed related articles of a published article, computing them on first request
+   * @param {string} slug - Article slug
+   * @param {Object} options - limit
+   * @returns {Promise<Array>} Published related articles, best first, with their score
+   */
+  async getRelated(slug, { limit = 5 } = {}) {
+    try {
+      const article = await Article.findOne({ slug, status: 'published' })
+        .select(`${SCORING_FIELDS} +related`)
+        .lean();
+
+      if (!article) {
+        throw new Error('Article not found');
+      }
+
+      const related = article.related?.computedAt
+        ? article.related.articles
+        : await this.refreshArticle(article);
+
+      // Articles unpublished since the last refresh are skipped
+      const ids = related.map(entry => entry.article);
+      const articles = await Article.find({ _id: { $in: ids }, status: 'published' })
+        .select(RELATED_FIELDS)
+        .populate('author', 'name avatar')
+        .lean();
+
+      const byId = new Map(articles.map(entry => [entry._id.toString(), entry]));
+      return related
+        .filter(entry => byId.has(entry.article.toString()))
+        .slice(0, limit)
+        .map(entry => ({ ...byId.get(entry.article.toString()), score: entry.score }));
+
+    } catch (error) {
+      logger.error('Error getting related articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Score published articles against one article and store the best
+   * @param {Object} article - Article with _id and the scoring fields
+   * @returns {Promise<Array>} Stored entries as { article, score }
+   */
+  async refreshArticle(article) {
+    try {
+      // Articles saved before terms existed get them from their body now
+      const source = article.terms ? article : {
+        ...article,
+        terms: extractTerms((await Article.findById(article._id).select('content').lean())?.content)
+      };
+
+      const candidates = await this.findCandidates(source);
+      const idf = await this.getIdf();
+
+      // Scores are rounded so near-equal matches fall back to recency, then popularity
+      const related = candidates
+        .map(candidate => ({ candidate, score: Math.round(scoreRelated(source, candidate, idf) * 100) / 100 }))
+        .filter(({ score }) => score >= this.minScore)
+        .sort((a, b) =>
+          b.score - a.score ||
+          new Date(b.candidate.publishedAt) - new Date(a.candidate.publishedAt) ||
+          (b.candidate.stats?.views || 0) - (a.candidate.stats?.views || 0))
+        .slice(0, this.limit)
+        .map(({ candidate, score }) => ({ article: candidate._id, score }));
+
+      await Article.updateOne({ _id: source._id }, {
+        $set: {
+          related: { articles: related, computedAt: new Date() },
+          ...(!article.terms && { terms: source.terms })
+        }
+      });
+
+      return related;
+
+    } catch (error) {
+      logger.error('Error refreshing related articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Published articles sharing a tag, the category, the trend keyword or a top body term
+   * @param {Object} source - Article being scored
+   * @returns {Promise<Array>} Most recent candidates with their scoring fields
+   */
+  async findCandidates(source) {
+    const overlap = [
+      { category: source.category },
+      ...(source.tags?.length ? [{ tags: { $in: source.tags } }] : []),
+      ...(source.trendData?.keyword ? [{ 'trendData.keyword': source.trendData.keyword }] : []),
+      ...(source.terms?.length ? [{ 'terms.term': { $in: source.terms.slice(0, 10).map(({ term }) => term) } }] : [])
+    ];
+
+    return Article.find({ _id: { $ne: source._id }, status: 'published', $or: overlap })
+      .select(SCORING_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(this.candidateLimit)
+      .lean();
+  }
+
+  /**
+   * Inverse document frequency of body terms across published articles
+   * @returns {Promise<Function>} Term to weight; unseen terms get the highest weight
+   */
+  async getIdf() {
+    if (!frequencyCache.data || !frequencyCache.timestamp ||
+        Date.now() - frequencyCache.timestamp >= frequencyCache.ttl) {
+      const [total, counts] = await Promise.all([
+        Article.countDocuments({ status: 'published' }),
+        Article.aggregate([
+          { $match: { status: 'published' } },
+          { $unwind: '$terms' },
+          { $group: { _id: '$terms.term', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      frequencyCache = {
+        ...frequencyCache,
+        data: { total, counts: new Map(counts.map(({ _id, count }) => [_id, count])) },
+        timestamp: Date.now()
+      };
+    }
+
+    const { total, counts } = frequencyCache.data;
+    return (term) => Math.log(1 + total / (counts.get(term) || 1));
+  }
+
+  /**
+   * Refresh published articles that were never scored or changed since
+   * @param {number} limit - Maximum articles to process
+   * @returns {Promise<number>} Number of articles refreshed
+   */
+  async refreshStale(limit = 200) {
+    try {
+      const articles = await Article.find({
+        status: 'published',
+        $or: [
+          { related: null },
+          { $expr: { $lt: ['$related.computedAt', '$lastModified'] } }
+        ]
+      })
+        .select(SCORING_FIELDS)
+        .limit(limit)
+        .lean();
+
+      for (const article of articles) {
+        await this.refreshArticle(article);
+      }
+
+      if (articles.length > 0) {
+        logger.info(`Refreshed related articles for ${articles.length} articles`);
+      }
+      return articles.length;
+
+    } catch (error) {
+      logger.error('Error refreshing stale related articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh every published article, so older articles pick up newer ones
+   * @returns {Promise<number>} Number of articles refreshed
+   */
+  async refreshAll() {
+    try {
+      this.invalidate();
+
+      let refreshed = 0;
+      const cursor = Article.find({ status: 'published' })
+        .select(SCORING_FIELDS)
+        .lean()
+        .cursor();
+
+      for await (const article of cursor) {
+        await this.refreshArticle(article);
+        refreshed++;
+      }
+
+      logger.info(`Refreshed related articles for ${refreshed} articles`);
+      return refreshed;
+
+    } catch (error) {
+      logger.error('Error refreshing related articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached term frequencies
+   */
+  invalidate() {
+    frequencyCache = { ...frequencyCache, data: null, timestamp: null };
+  }
+}
+
+export default RelatedService;
@@ -0,0 +1,316 @@
+import Article from '../models/Article.js';
+import User from '../models/User.js';
+import PermissionService from './permissionService.js';
+import CategoryService from './categoryService.js';
+import { REVIEW_TRANSITIONS, REVIEW_QUEUE_STATUSES } from '../utils/articleStatus.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ReviewService');
+
+const REVIEW_FIELDS = 'title slug excerpt category tags status isAIGenerated trendData review createdAt lastModified';
+
+class ReviewService {
+  constructor() {
+    this.permissionService = new PermissionService();
+    this.categoryService = new CategoryService();
+  }
+
+  /**
+   * Categories whose generated articles skip review and publish straight away:
+   * those with generation.autoPublish set, plus any listed in AUTO_PUBLISH_CATEGORIES
+   * @returns {Promise<Array>} Category slugs
+   */
+  async getAutoPublishCategories() {
+    const configured = (await this.categoryService.listCategories())
+      .filter(category => category.generation?.autoPublish)
+      .map(category => category.slug);
+
+    const fromEnv = (process.env.AUTO_PUBLISH_CATEGORIES || '')
+      .split(',')
+      .map(category => category.trim().toLowerCase())
+      .filter(Boolean);
+
+    return [...new Set([...configured, ...fromEnv])];
+  }
+
+  /**
+   * Status a freshly generated article starts in
+   * @param {string} category - Article category
+   * @returns {Promise<string>} 'published' for opted-in categories, 'generated' otherwise
+   */
+  async getGeneratedStatus(category) {
+    return (await this.getAutoPublishCategories()).includes(category) ? 'published' : 'generated';
+  }
+
+  /**
+   * Get an article with its review state
+   * @param {string} id - Article ID
+   * @returns {Promise<Object>} Article document
+   */
+  async getArticle(id) {
+    const article = await Article.findById(id);
+
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    return article;
+  }
+
+  /**
+   * Move an article along the workflow and log the step as a review note
+   * @param {string} id - Article ID
+   * @param {string} action - submit, approve or request_changes
+   * @param {Object} user - Acting user
+   * @param {string} note - Optional note left with the step
+   * @returns {Promise<Object>} Article and its previous status
+   */
+  async transition(id, action, user, note) {
+    try {
+      const { from, to } = REVIEW_TRANSITIONS[action];
+      const article = await this.getArticle(id);
+      const previousStatus = article.status;
+
+      if (!from.includes(previousStatus)) {
+        throw Object.assign(
+          new Error(`Cannot ${action.replace('_', ' ')} an article that is ${previousStatus.replace('_', ' ')}`),
+          { status: 409 }
+        );
+      }
+
+      if (action !== 'submit' && this.isOwnWork(article, user)) {
+        throw Object.assign(
+          new Error('You cannot review an article you wrote or submitted'),
+          { status: 403 }
+        );
+      }
+
+      const now = new Date();
+      article.status = to;
+
+      if (action === 'submit') {
+        article.review.submittedAt = now;
+        article.review.decidedBy = null;
+        article.review.decidedAt = null;
+      } else {
+        article.review.decidedBy = user._id;
+        article.review.decidedAt = now;
+      }
+
+      article.review.notes.push({
+        kind: action === 'submit' ? 'submitted' : to,
+        body: note,
+        author: user._id,
+        authorName: user.name
+      });
+
+      await article.save();
+
+      logger.info(`Article ${id} moved from ${previousStatus} to ${to} by ${user._id}`);
+      return { article, previousStatus };
+
+    } catch (error) {
+      logger.error('Error changing review status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a user wrote an article or submitted its current round of review
+   * @param {Object} article - Article document
+   * @param {Object} user - User
+   * @returns {boolean} True when the user should not decide on it
+   */
+  isOwnWork(article, user) {
+    const userId = user._id.toString();
+    const submission = [...article.review.notes].reverse().find(note => note.kind === 'submitted');
+
+    return article.author?.toString() === userId || submission?.author?.toString() === userId;
+  }
+
+  /**
+   * Update that sends an approved article back to review when its text changes,
+   * so what goes live is what a reviewer saw
+   * @param {Object} article - Article before the update
+   * @param {Object} updateData - Fields being changed
+   * @param {Object} user - Editing user, if any
+   * @returns {Object|null} Fields and $push to merge into the update, or null
+   */
+  getReopenUpdate(article, updateData, user = null) {
+    if (article.status !== 'approved') return null;
+
+    const changed = ['title', 'excerpt', 'content']
+      .some(field => updateData[field] !== undefined && updateData[field] !== article[field]);
+    if (!changed) return null;
+
+    return {
+      status: 'in_review',
+      'review.submittedAt': new Date(),
+      'review.decidedBy': null,
+      'review.decidedAt': null,
+      $push: {
+        'review.notes': {
+          kind: 'submitted',
+          body: 'Changed after approval',
+          author: user?._id || null,
+          authorName: user?.name || 'system'
+        }
+      }
+    };
+  }
+
+  /**
+   * Assign a reviewer, or clear the assignment with null
+   * @param {string} id - Article ID
+   * @param {string|null} reviewerId - Reviewer user ID
+   * @param {Object} user - Assigning user
+   * @returns {Promise<Object>} Article and the previous reviewer
+   */
+  async assignReviewer(id, reviewerId, user) {
+    try {
+      const article = await this.getArticle(id);
+      const previousReviewer = article.review.assignedTo;
+      let reviewer = null;
+
+      if (reviewerId) {
+        reviewer = await User.findById(reviewerId);
+
+        if (!reviewer) {
+          throw new Error('User not found');
+        }
+
+        if (!(await this.permissionService.hasPermission(reviewer, 'articles:review'))) {
+          throw Object.assign(new Error(`${reviewer.name} cannot review articles`), { status: 400 });
+        }
+      }
+
+      article.review.assignedTo = reviewer?._id || null;
+      article.review.assignedAt = reviewer ? new Date() : null;
+      article.review.notes.push({
+        kind: 'assigned',
+        body: reviewer ? `Assigned to ${reviewer.name}` : 'Unassigned',
+        author: user._id,
+        authorName: user.name
+      });
+
+      await article.save();
+
+      logger.info(`Article ${id} assigned to ${reviewer?._id || 'nobody'} by ${user._id}`);
+      return { article, previousReviewer };
+
+    } catch (error) {
+      logger.error('Error assigning reviewer:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a reviewer note on an article
+   * @param {string} id - Article ID
+   * @param {Object} user - Note author
+   * @param {string} body - Note text
+   * @returns {Promise<Object>} New note
+   */
+  async addNote(id, user, body) {
+    try {
+      const article = await this.getArticle(id);
+
+      article.review.notes.push({
+        kind: 'note',
+        body,
+        author: user._id,
+        authorName: user.name
+      });
+      await article.save();
+
+      return article.review.notes[article.review.notes.length - 1];
+
+    } catch (error) {
+      logger.error('Error adding review note:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the review state and notes of an article
+   * @param {string} id - Article ID
+   * @returns {Promise<Object>} Status and review details
+   */
+  async getReview(id) {
+    const article = await Article.findById(id)
+      .select('title slug status review')
+      .populate('review.assignedTo', 'name email avatar')
+      .populate('review.decidedBy', 'name')
+      .lean();
+
+    if (!article) {
+      throw new Error('Article not found');
+    }
+
+    return article;
+  }
+
+  /**
+   * List articles waiting in the review workflow
+   * @param {Object} options - page, limit, status, category, assignedTo ('none' for unassigned)
+   * @returns {Promise<Object>} Articles with pagination info
+   */
+  async getQueue(options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status = null,
+        category = null,
+        assignedTo = null
+      } = options;
+
+      // A status narrows the queue; it never lists articles outside the workflow
+      if (status && !REVIEW_QUEUE_STATUSES.includes(status)) {
+        throw Object.assign(new Error(`Status must be one of: ${REVIEW_QUEUE_STATUSES.join(', ')}`), { status: 400 });
+      }
+
+      const query = {
+        status: status || { $in: REVIEW_QUEUE_STATUSES }
+      };
+      if (category) query.category = category;
+      if (assignedTo === 'none') {
+        query['review.assignedTo'] = null;
+      } else if (assignedTo) {
+        query['review.assignedTo'] = assignedTo;
+      }
+
+      const skip = (page - 1) * limit;
+      const [articles, total] = await Promise.all([
+        Article.find(query)
+          .select(REVIEW_FIELDS)
+          .populate('review.assignedTo', 'name email avatar')
+          // Oldest submissions first so nothing waits forever
+          .sort({ 'review.submittedAt': 1, createdAt: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        Article.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        articles,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalArticles: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting review queue:', error);
+      throw error;
+    }
+  }
+}
+
+export default ReviewService;
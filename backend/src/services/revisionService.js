@@ -0,0 +1,225 @@
+import Article from '../models/Article.js';
+import ArticleRevision from '../models/ArticleRevision.js';
+import { diffLines, diffSets } from '../utils/diff.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('RevisionService');
+
+// Fields kept in every revision
+export const REVISION_FIELDS = ['title', 'excerpt', 'content', 'tags', 'seo'];
+
+const SEO_FIELDS = [
+  'metaTitle',
+  'metaDescription',
+  'keywords',
+  'ogTitle',
+  'ogDescription',
+  'ogImage',
+  'canonicalUrl'
+];
+
+class RevisionService {
+  /**
+   * Take the revisioned fields of an article
+   * @param {Object} article - Article document or plain object
+   * @returns {Object} Snapshot
+   */
+  snapshot(article) {
+    const seo = article.seo || {};
+
+    return {
+      title: article.title,
+      excerpt: article.excerpt,
+      content: article.content,
+      tags: [...(article.tags || [])],
+      seo: Object.fromEntries(
+        SEO_FIELDS
+          .filter(field => seo[field] !== undefined && seo[field] !== null)
+          .filter(field => !Array.isArray(seo[field]) || seo[field].length > 0)
+          .map(field => [field, Array.isArray(seo[field]) ? [...seo[field]] : seo[field]])
+      )
+    };
+  }
+
+  /**
+   * List the revisioned fields that differ between two snapshots
+   * @param {Object} before - Older snapshot
+   * @param {Object} after - Newer snapshot
+   * @returns {Array} Field names
+   */
+  changedFields(before, after) {
+    // Normalize both sides so stored defaults such as empty keyword lists compare equal
+    const a = this.snapshot(before || {});
+    const b = this.snapshot(after || {});
+
+    return REVISION_FIELDS.filter(field =>
+      JSON.stringify(a[field] ?? null) !== JSON.stringify(b[field] ?? null)
+    );
+  }
+
+  /**
+   * Store the current state of an article as a new revision
+   * @param {Object} article - Article after the change
+   * @param {Object} options - user, source, restoredFrom
+   * @returns {Promise<Object|null>} New revision, or null when nothing revisioned changed
+   */
+  async recordRevision(article, { user = null, source = 'update', restoredFrom = null } = {}) {
+    try {
+      const snapshot = this.snapshot(article);
+      const latest = await ArticleRevision.findLatest(article._id).lean();
+      const changedFields = latest
+        ? this.changedFields(latest.snapshot, snapshot)
+        : REVISION_FIELDS;
+
+      if (latest && changedFields.length === 0) {
+        return null;
+      }
+
+      const revision = await ArticleRevision.create({
+        article: article._id,
+        revision: latest ? latest.revision + 1 : 1,
+        snapshot,
+        changedFields,
+        source,
+        restoredFrom,
+        author: user?._id || null,
+        authorName: user?.name || 'system'
+      });
+
+      logger.info(`Recorded revision ${revision.revision} of article ${article._id}`);
+      return revision;
+
+    } catch (error) {
+      logger.error('Error recording revision:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make sure an article that predates revision history has a first revision
+   * @param {Object} article - Article before its first tracked change
+   * @returns {Promise<void>}
+   */
+  async ensureBaseline(article) {
+    const exists = await ArticleRevision.exists({ article: article._id });
+
+    if (!exists) {
+      await this.recordRevision(article, { source: 'initial' });
+    }
+  }
+
+  /**
+   * List revisions of an article, newest first, without their content
+   * @param {string} articleId - Article ID
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} Revisions with pagination info
+   */
+  async listRevisions(articleId, { page = 1, limit = 20 } = {}) {
+    try {
+      await this.assertArticleExists(articleId);
+
+      const skip = (page - 1) * limit;
+      const [revisions, totalRevisions] = await Promise.all([
+        ArticleRevision.find({ article: articleId })
+          .select('-snapshot.content')
+          .sort({ revision: -1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        ArticleRevision.countDocuments({ article: articleId })
+      ]);
+
+      const totalPages = Math.ceil(totalRevisions / limit);
+
+      return {
+        revisions,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRevisions,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error listing revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one revision of an article
+   * @param {string} articleId - Article ID
+   * @param {number} revision - Revision number
+   * @returns {Promise<Object>} Revision
+   */
+  async getRevision(articleId, revision) {
+    const found = await ArticleRevision.findOne({ article: articleId, revision }).lean();
+
+    if (!found) {
+      throw new Error('Revision not found');
+    }
+
+    return found;
+  }
+
+  /**
+   * Diff two revisions of an article
+   * @param {string} articleId - Article ID
+   * @param {number} from - Older revision number
+   * @param {number} to - Newer revision number
+   * @returns {Promise<Object>} Per-field changes
+   */
+  async diffRevisions(articleId, from, to) {
+    try {
+      const [older, newer] = await Promise.all([
+        this.getRevision(articleId, from),
+        this.getRevision(articleId, to)
+      ]);
+
+      const a = this.snapshot(older.snapshot);
+      const b = this.snapshot(newer.snapshot);
+      const changes = {};
+
+      for (const field of this.changedFields(a, b)) {
+        if (field === 'content') {
+          changes.content = diffLines(a.content, b.content);
+        } else if (field === 'tags') {
+          changes.tags = diffSets(a.tags, b.tags);
+        } else if (field === 'seo') {
+          changes.seo = Object.fromEntries(
+            SEO_FIELDS
+              .filter(key => JSON.stringify(a.seo?.[key] ?? null) !== JSON.stringify(b.seo?.[key] ?? null))
+              .map(key => [key, { from: a.seo?.[key] ?? null, to: b.seo?.[key] ?? null }])
+          );
+        } else {
+          changes[field] = { from: a[field], to: b[field] };
+        }
+      }
+
+      return {
+        from: { revision: older.revision, createdAt: older.createdAt, authorName: older.authorName },
+        to: { revision: newer.revision, createdAt: newer.createdAt, authorName: newer.authorName },
+        changedFields: Object.keys(changes),
+        changes
+      };
+
+    } catch (error) {
+      logger.error('Error diffing revisions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw when the article does not exist
+   * @param {string} articleId - Article ID
+   */
+  async assertArticleExists(articleId) {
+    if (!(await Article.exists({ _id: articleId }))) {
+      throw new Error('Article not found');
+    }
+  }
+}
+
+export default RevisionService;
@@ -0,0 +1,260 @@
+import User from '../models/User.js';
+import { ROLES } from '../utils/permissions.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SanctionService');
+
+// Which sanctions block which kind of activity
+const RESTRICTIONS = {
+  comment: ['ban', 'suspension', 'mute'],
+  interact: ['ban', 'suspension'],
+  // Role permissions such as editing, publishing or moderating
+  privileged: ['ban', 'suspension']
+};
+
+const SANCTION_LABELS = {
+  ban: 'banned',
+  suspension: 'suspended',
+  mute: 'muted'
+};
+
+class SanctionService {
+  /**
+   * Issue a suspension, mute or ban
+   * @param {string} userId - Sanctioned user ID
+   * @param {Object} data - type, reason, expiresAt
+   * @param {Object} moderator - Issuing user
+   * @returns {Promise<Object>} User and the new sanction
+   */
+  async issueSanction(userId, data, moderator) {
+    try {
+      const { type, reason, expiresAt = null } = data;
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user._id.toString() === moderator._id.toString()) {
+        throw Object.assign(new Error('You cannot sanction yourself'), { status: 400 });
+      }
+
+      // Admins, at the top of the hierarchy, can never be sanctioned
+      if (ROLES.indexOf(user.role) >= ROLES.indexOf(moderator.role)) {
+        throw Object.assign(
+          new Error('You can only sanction users whose role is below yours'),
+          { status: 403 }
+        );
+      }
+
+      user.sanctions.push({
+        type,
+        reason,
+        issuedBy: moderator._id,
+        // Bans are always permanent; lifting one is an explicit moderator action
+        expiresAt: type === 'ban' ? null : expiresAt
+      });
+      await user.save();
+
+      const sanction = user.sanctions[user.sanctions.length - 1];
+      logger.info(`Issued ${type} to user ${userId} by ${moderator._id}`);
+
+      return { user, sanction };
+
+    } catch (error) {
+      logger.error('Error issuing sanction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lift a sanction before it expires
+   * @param {string} userId - Sanctioned user ID
+   * @param {string} sanctionId - Sanction ID
+   * @param {Object} moderator - Lifting user
+   * @param {string} reason - Why the sanction is lifted
+   * @returns {Promise<Object>} User and the lifted sanction
+   */
+  async liftSanction(userId, sanctionId, moderator, reason) {
+    try {
+      const { user, sanction } = await this.getSanction(userId, sanctionId);
+
+      if (!sanction.isActive) {
+        throw Object.assign(new Error('Sanction is no longer active'), { status: 400 });
+      }
+
+      sanction.liftedAt = new Date();
+      sanction.liftedBy = moderator._id;
+      sanction.liftReason = reason;
+      await user.save();
+
+      logger.info(`Lifted ${sanction.type} ${sanctionId} on user ${userId}`);
+      return { user, sanction };
+
+    } catch (error) {
+      logger.error('Error lifting sanction:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Submit an appeal against an active sanction
+   * @param {Object} user - Sanctioned user
+   * @param {string} sanctionId - Sanction ID
+   * @param {string} message - Appeal text
+   * @returns {Promise<Object>} Sanction with the appeal
+   */
+  async submitAppeal(user, sanctionId, message) {
+    try {
+      const { user: target, sanction } = await this.getSanction(user._id, sanctionId);
+
+      if (!sanction.isActive) {
+        throw Object.assign(new Error('Sanction is no longer active'), { status: 400 });
+      }
+
+      if (sanction.appeal?.status) {
+        throw Object.assign(new Error('This sanction has already been appealed'), { status: 400 });
+      }
+
+      sanction.appeal = {
+        message,
+        submittedAt: new Date(),
+        status: 'pending'
+      };
+      await target.save();
+
+      logger.info(`User ${user._id} appealed ${sanction.type} ${sanctionId}`);
+      return sanction;
+
+    } catch (error) {
+      logger.error('Error submitting appeal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decide a pending appeal; overturning it lifts the sanction
+   * @param {string} userId - Sanctioned user ID
+   * @param {string} sanctionId - Sanction ID
+   * @param {Object} moderator - Reviewing user
+   * @param {string} decision - 'upheld' or 'overturned'
+   * @param {string} response - Note for the user
+   * @returns {Promise<Object>} User and the reviewed sanction
+   */
+  async resolveAppeal(userId, sanctionId, moderator, decision, response) {
+    try {
+      const { user, sanction } = await this.getSanction(userId, sanctionId);
+
+      if (sanction.appeal?.status !== 'pending') {
+        throw Object.assign(new Error('There is no pending appeal for this sanction'), { status: 400 });
+      }
+
+      sanction.appeal.status = decision;
+      sanction.appeal.reviewedBy = moderator._id;
+      sanction.appeal.reviewedAt = new Date();
+      sanction.appeal.response = response;
+
+      if (decision === 'overturned' && sanction.isActive) {
+        sanction.liftedAt = new Date();
+        sanction.liftedBy = moderator._id;
+        sanction.liftReason = 'Appeal overturned';
+      }
+
+      await user.save();
+
+      logger.info(`Appeal on ${sanction.type} ${sanctionId} ${decision} by ${moderator._id}`);
+      return { user, sanction };
+
+    } catch (error) {
+      logger.error('Error resolving appeal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a sanction on a user
+   * @param {string} userId - User ID
+   * @param {string} sanctionId - Sanction ID
+   * @returns {Promise<Object>} User and sanction
+   */
+  async getSanction(userId, sanctionId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const sanction = user.sanctions.id(sanctionId);
+    if (!sanction) {
+      throw new Error('Sanction not found');
+    }
+
+    return { user, sanction };
+  }
+
+  /**
+   * Find the sanction that blocks a user from an activity
+   * @param {Object} user - User document
+   * @param {string} activity - 'comment', 'interact' or 'privileged'
+   * @returns {Object|null} Blocking sanction
+   */
+  getRestriction(user, activity) {
+    const active = user.getActiveSanctions(RESTRICTIONS[activity]);
+    if (active.length === 0) return null;
+
+    // Report the most severe one
+    return RESTRICTIONS[activity]
+      .map(type => active.find(sanction => sanction.type === type))
+      .find(Boolean);
+  }
+
+  /**
+   * Describe a sanction for an error message
+   * @param {Object} sanction - Sanction subdocument
+   * @returns {string} Human readable message
+   */
+  describeRestriction(sanction) {
+    const until = sanction.expiresAt
+      ? ` until ${sanction.expiresAt.toISOString()}`
+      : ' permanently';
+    return `Your account is ${SANCTION_LABELS[sanction.type]}${until}. Reason: ${sanction.reason}`;
+  }
+
+  /**
+   * Record the automatic lift of sanctions that have expired
+   * @returns {Promise<number>} Number of users updated
+   */
+  async liftExpiredSanctions() {
+    try {
+      const now = new Date();
+      const result = await User.updateMany(
+        {
+          sanctions: {
+            $elemMatch: { liftedAt: null, expiresAt: { $ne: null, $lte: now } }
+          }
+        },
+        {
+          $set: {
+            'sanctions.$[expired].liftedAt': now,
+            'sanctions.$[expired].liftReason': 'Expired'
+          }
+        },
+        {
+          arrayFilters: [
+            { 'expired.liftedAt': null, 'expired.expiresAt': { $ne: null, $lte: now } }
+          ]
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        logger.info(`Lifted expired sanctions on ${result.modifiedCount} users`);
+      }
+      return result.modifiedCount;
+
+    } catch (error) {
+      logger.error('Error lifting expired sanctions:', error);
+      throw error;
+    }
+  }
+}
+
+export default SanctionService;
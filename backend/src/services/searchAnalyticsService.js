@@ -0,0 +1,307 @@
+import mongoose from 'mongoose';
+import SearchLog from '../models/SearchLog.js';
+import Article from '../models/Article.js';
+import ArticleService from './articleService.js';
+import { FALLBACK_CATEGORY } from '../utils/categories.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SearchAnalyticsService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Clicks are attributed to searches made this recently
+const CLICK_WINDOW = DAY;
+
+// Clicks kept per search, more than a reader opens from one results page
+const MAX_CLICKS = 20;
+
+// A query needs this many searches in the period to count as trending
+const TRENDING_MIN_SEARCHES = 3;
+
+// Queries compared against the previous period when finding trending searches
+const TRENDING_CANDIDATES = 200;
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+/**
+ * Query as logged: lowercase and single-spaced, with email addresses and phone
+ * or card numbers masked so readers cannot be identified from what they typed
+ * @param {string} query - Search string as typed
+ * @returns {string} Query to store
+ */
+export const normalizeLoggedQuery = (query = '') => query
+  .toLowerCase()
+  .replace(/[^\s@]+@[^\s@]+\.[^\s@]+/g, '[email]')
+  .replace(/\+?\d(?:[\d().-]|\s(?=[\d(]))+\d/g, match => (match.replace(/\D/g, '').length >= 9 ? '[number]' : match))
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, 200);
+
+class SearchAnalyticsService {
+  constructor() {
+    this.articleService = new ArticleService();
+    // Days search logs are kept before being purged
+    this.retentionDays = parseInt(process.env.SEARCH_LOG_RETENTION_DAYS) || 90;
+  }
+
+  /**
+   * Log a search without holding up the response; failures are only logged
+   * @param {string} query - Search string as typed
+   * @param {Object} details - results (total matches) and filtered
+   * @returns {string|null} ID to attribute click-throughs to, null when nothing was logged
+   */
+  logSearch(query, { results, filtered = false }) {
+    const normalized = normalizeLoggedQuery(query);
+    if (!normalized) return null;
+
+    const id = new mongoose.Types.ObjectId();
+    SearchLog.create({ _id: id, query: normalized, results, filtered })
+      .catch(error => logger.warn(`Could not log search: ${error.message}`));
+
+    return id.toString();
+  }
+
+  /**
+   * Record that a reader opened a search result; repeat clicks on the same article,
+   * and clicks past MAX_CLICKS for one search, are ignored
+   * @param {string} searchId - ID returned with the search results
+   * @param {string} articleId - Article opened
+   * @param {number} position - 1-based rank of the article in the results
+   * @returns {Promise<boolean>} Whether a click was recorded
+   */
+  async recordClick(searchId, articleId, position) {
+    try {
+      const result = await SearchLog.updateOne(
+        {
+          _id: searchId,
+          createdAt: { $gte: new Date(Date.now() - CLICK_WINDOW) },
+          'clicks.article': { $ne: articleId },
+          [`clicks.${MAX_CLICKS - 1}`]: { $exists: false }
+        },
+        { $push: { clicks: { article: articleId, position } } }
+      );
+
+      return result.modifiedCount > 0;
+
+    } catch (error) {
+      logger.error('Error recording search click:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search report for a period: totals, top queries, zero-result queries and trending searches
+   * @param {Object} options - days and limit (entries per list)
+   * @returns {Promise<Object>} period, summary, topQueries, zeroResultQueries and trendingQueries
+   */
+  async getReport({ days = 7, limit = 20 } = {}) {
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - days * DAY);
+      const previousFrom = new Date(from.getTime() - days * DAY);
+
+      const unfilteredZero = { $and: [{ $eq: ['$results', 0] }, { $eq: ['$filtered', false] }] };
+
+      const [result] = await SearchLog.aggregate([
+        { $match: { createdAt: { $gte: from } } },
+        {
+          $group: {
+            _id: '$query',
+            searches: { $sum: 1 },
+            avgResults: { $avg: '$results' },
+            unfilteredSearches: { $sum: { $cond: ['$filtered', 0, 1] } },
+            zeroResults: { $sum: { $cond: [unfilteredZero, 1, 0] } },
+            clickedSearches: { $sum: { $cond: [{ $gt: [{ $size: '$clicks' }, 0] }, 1, 0] } },
+            lastSearchedAt: { $max: '$createdAt' }
+          }
+        },
+        {
+          $facet: {
+            summary: [{
+              $group: {
+                _id: null,
+                searches: { $sum: '$searches' },
+                uniqueQueries: { $sum: 1 },
+                zeroResults: { $sum: '$zeroResults' },
+                clickedSearches: { $sum: '$clickedSearches' }
+              }
+            }],
+            top: [
+              { $sort: { searches: -1, _id: 1 } },
+              { $limit: limit }
+            ],
+            // Content gaps: every unfiltered search for the query found nothing
+            zero: [
+              { $match: { zeroResults: { $gt: 0 }, $expr: { $eq: ['$zeroResults', '$unfilteredSearches'] } } },
+              { $sort: { zeroResults: -1, lastSearchedAt: -1 } },
+              { $limit: limit }
+            ],
+            candidates: [
+              { $match: { searches: { $gte: TRENDING_MIN_SEARCHES } } },
+              { $sort: { searches: -1 } },
+              { $limit: TRENDING_CANDIDATES },
+              { $project: { searches: 1 } }
+            ]
+          }
+        }
+      ]);
+
+      const [summary = { searches: 0, uniqueQueries: 0, zeroResults: 0, clickedSearches: 0 }] = result.summary;
+
+      return {
+        period: { days, from, to },
+        summary: {
+          searches: summary.searches,
+          uniqueQueries: summary.uniqueQueries,
+          zeroResultRate: rate(summary.zeroResults, summary.searches),
+          clickThroughRate: rate(summary.clickedSearches, summary.searches)
+        },
+        topQueries: result.top.map(entry => ({
+          query: entry._id,
+          searches: entry.searches,
+          avgResults: Math.round(entry.avgResults * 10) / 10,
+          clickThroughRate: rate(entry.clickedSearches, entry.searches),
+          lastSearchedAt: entry.lastSearchedAt
+        })),
+        zeroResultQueries: await this.withGapArticles(result.zero.map(entry => ({
+          query: entry._id,
+          searches: entry.zeroResults,
+          lastSearchedAt: entry.lastSearchedAt
+        }))),
+        trendingQueries: (await this.compareWithPrevious(result.candidates, previousFrom, from)).slice(0, limit)
+      };
+
+    } catch (error) {
+      logger.error('Error building search report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queries searched more than in the previous period, fastest growing first
+   * @param {Array} candidates - { _id: query, searches } for the current period
+   * @param {Date} from - Start of the previous period
+   * @param {Date} to - End of the previous period
+   * @returns {Promise<Array>} query, searches, previousSearches and growth
+   */
+  async compareWithPrevious(candidates, from, to) {
+    if (candidates.length === 0) return [];
+
+    const previous = await SearchLog.aggregate([
+      { $match: { query: { $in: candidates.map(entry => entry._id) }, createdAt: { $gte: from, $lt: to } } },
+      { $group: { _id: '$query', searches: { $sum: 1 } } }
+    ]);
+    const previousByQuery = new Map(previous.map(entry => [entry._id, entry.searches]));
+
+    return candidates
+      .map(entry => {
+        const previousSearches = previousByQuery.get(entry._id) || 0;
+        return {
+          query: entry._id,
+          searches: entry.searches,
+          previousSearches,
+          // New queries grow from one search so they do not all tie at infinity
+          growth: Math.round((entry.searches / Math.max(previousSearches, 1)) * 10) / 10
+        };
+      })
+      .filter(entry => entry.searches > entry.previousSearches)
+      .sort((a, b) => b.growth - a.growth || b.searches - a.searches);
+  }
+
+  /**
+   * Attach the article already generated for each zero-result query, if any
+   * @param {Array} gaps - Entries with query
+   * @returns {Promise<Array>} Entries with article (or null)
+   */
+  async withGapArticles(gaps) {
+    if (gaps.length === 0) return gaps;
+
+    const articles = await Article.find({
+      'trendData.source': 'search',
+      'trendData.keyword': { $in: gaps.map(gap => gap.query) }
+    })
+      .select('title slug status trendData.keyword')
+      .lean();
+    const byKeyword = new Map(articles.map(article => [article.trendData.keyword, article]));
+
+    return gaps.map(gap => {
+      const article = byKeyword.get(gap.query);
+      return {
+        ...gap,
+        article: article ? { _id: article._id, title: article.title, slug: article.slug, status: article.status } : null
+      };
+    });
+  }
+
+  /**
+   * Send a search query through article generation as a topic
+   * @param {string} query - Query readers found nothing for
+   * @param {Object} options - category for the article
+   * @returns {Promise<Object>} Saved article, pending review unless the category auto-publishes.
+   * Throws with status 409 and the existing article when the result is a near-duplicate.
+   */
+  async generateFromQuery(query, { category = FALLBACK_CATEGORY } = {}) {
+    try {
+      const keyword = normalizeLoggedQuery(query);
+      if (!keyword) {
+        throw Object.assign(new Error('Query is required'), { status: 400 });
+      }
+
+      await this.articleService.assertCategory(category);
+
+      // Report how often readers asked, as the trend score other topics carry
+      const searches = await SearchLog.countDocuments({
+        query: keyword,
+        createdAt: { $gte: new Date(Date.now() - 30 * DAY) }
+      });
+
+      const [article] = await this.articleService.generateArticlesFromTrends({
+        maxArticles: 1,
+        categories: [category],
+        // An editor asked for this one, so say which article it repeats
+        rejectDuplicates: true,
+        trends: [{
+          keyword,
+          source: 'search',
+          category,
+          trendScore: searches,
+          fetchedAt: new Date()
+        }]
+      });
+
+      if (!article) {
+        throw Object.assign(new Error(`No article could be generated for "${keyword}"`), { status: 502 });
+      }
+
+      logger.info(`Generated article "${article.title}" from search query "${keyword}"`);
+      return article;
+
+    } catch (error) {
+      logger.error('Error generating article from search query:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete search logs older than the retention period
+   * @returns {Promise<number>} Logs deleted
+   */
+  async purgeExpired() {
+    try {
+      const { deletedCount } = await SearchLog.deleteMany({
+        createdAt: { $lt: new Date(Date.now() - this.retentionDays * DAY) }
+      });
+
+      if (deletedCount > 0) {
+        logger.info(`Purged ${deletedCount} search logs older than ${this.retentionDays} days`);
+      }
+      return deletedCount;
+
+    } catch (error) {
+      logger.error('Error purging search logs:', error);
+      throw error;
+    }
+  }
+}
+
+export default SearchAnalyticsService;
@@ -0,0 +1,103 @@
+import { getSearchIndex } from '../search/index.js';
+import { DATE_BUCKETS } from '../search/query.js';
+import CategoryService from './categoryService.js';
+import TagService from './tagService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SearchService');
+
+class SearchService {
+  constructor() {
+    this.index = getSearchIndex();
+    this.categoryService = new CategoryService();
+    this.tagService = new TagService();
+  }
+
+  /**
+   * Search published articles with facets and highlighted snippets
+   * @param {string} query - Search string; supports "quoted phrases" and -excluded words
+   * @param {Object} options - page, limit, sort, category, tags, source, date (a DATE_BUCKETS key), from, to
+   * @returns {Promise<Object>} Articles with score and highlights, pagination, facets and terms
+   */
+  async search(query, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 10,
+        sort = 'relevance',
+        category = null,
+        tags = null,
+        source = null,
+        date = null,
+        from = null,
+        to = null
+      } = options;
+
+      const list = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+      // Categories include their subcategories, and tags resolve to their canonical form
+      const categories = (await Promise.all(list(category)
+        .map(slug => this.categoryService.getDescendantSlugs(slug)))).flat();
+      const canonicalTags = tags ? await this.tagService.canonicalize(list(tags)) : [];
+
+      const result = await this.index.search({
+        query,
+        filters: {
+          categories,
+          tags: canonicalTags,
+          sources: list(source),
+          from: date && DATE_BUCKETS[date] ? new Date(Date.now() - DATE_BUCKETS[date]) : from,
+          to
+        },
+        page,
+        limit,
+        sort
+      });
+
+      const totalPages = Math.ceil(result.total / limit);
+
+      return {
+        articles: result.hits,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalArticles: result.total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        },
+        facets: result.facets,
+        terms: result.terms
+      };
+
+    } catch (error) {
+      logger.error('Error searching articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the index an article was saved or changed status; failures are logged so writes still succeed
+   * @param {string} id - Article ID
+   */
+  async indexArticle(id) {
+    try {
+      await this.index.indexArticle(id);
+    } catch (error) {
+      logger.warn(`Could not index article ${id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tell the index an article was trashed or deleted; failures are logged
+   * @param {string} id - Article ID
+   */
+  async removeArticle(id) {
+    try {
+      await this.index.removeArticle(id);
+    } catch (error) {
+      logger.warn(`Could not remove article ${id} from the search index: ${error.message}`);
+    }
+  }
+}
+
+export default SearchService;
@@ -0,0 +1,164 @@
+import Article from '../models/Article.js';
+import PrefixIndex, { normalizePrefix } from '../search/prefixIndex.js';
+import CategoryService from './categoryService.js';
+import TagService from './tagService.js';
+import TrendService from './trendService.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('SuggestService');
+
+// Suggestion types in the order they are listed
+export const SUGGESTION_TYPES = ['article', 'category', 'tag', 'trend'];
+
+// Trend keywords of articles generated this recently count as current
+const RECENT_TREND_WINDOW = 3 * 24 * 60 * 60 * 1000;
+
+// Prefix index over titles, categories, tags and trend keywords
+let indexCache = {
+  data: null,
+  timestamp: null,
+  ttl: 5 * 60 * 1000 // 5 minutes cache
+};
+
+// Rebuild in progress, shared by concurrent requests
+let pendingBuild = null;
+
+class SuggestService {
+  constructor() {
+    this.categoryService = new CategoryService();
+    this.tagService = new TagService();
+    this.trendService = new TrendService();
+    // Most viewed published articles whose titles are suggested
+    this.articleLimit = parseInt(process.env.SUGGEST_ARTICLE_LIMIT) || 5000;
+  }
+
+  /**
+   * Suggestions for a partly typed search, most popular first within each type
+   * @param {string} prefix - Text typed so far
+   * @param {Object} options - limit per type
+   * @returns {Promise<Array>} Suggestions as { type, text, slug }
+   */
+  async suggest(prefix, { limit = 5 } = {}) {
+    try {
+      const index = await this.getIndex();
+
+      return index.lookup(prefix, { limit })
+        .sort((a, b) => SUGGESTION_TYPES.indexOf(a.type) - SUGGESTION_TYPES.indexOf(b.type))
+        .map(({ type, text, slug }) => ({ type, text, slug }));
+
+    } catch (error) {
+      logger.error('Error getting search suggestions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current prefix index. Once built, an expired index keeps answering while
+   * its replacement builds, so requests never wait on the database.
+   * @returns {Promise<PrefixIndex>} Prefix index
+   */
+  async getIndex() {
+    if (indexCache.data && indexCache.timestamp &&
+        Date.now() - indexCache.timestamp < indexCache.ttl) {
+      return indexCache.data;
+    }
+
+    if (!pendingBuild) {
+      pendingBuild = this.buildIndex().finally(() => {
+        pendingBuild = null;
+      });
+    }
+
+    if (indexCache.data) {
+      // Failures are logged by buildIndex and the old index stays in use
+      pendingBuild.catch(() => {});
+      return indexCache.data;
+    }
+
+    return pendingBuild;
+  }
+
+  /**
+   * Build the prefix index from published articles, categories, tags and trends
+   * @returns {Promise<PrefixIndex>} New index, also cached
+   */
+  async buildIndex() {
+    try {
+      const [articles, categories, categoryCounts, tags, recentTrends] = await Promise.all([
+        Article.find({ status: 'published' })
+          .select('title slug stats.views')
+          .sort({ 'stats.views': -1 })
+          .limit(this.articleLimit)
+          .lean(),
+        this.categoryService.listCategories(),
+        Article.aggregate([
+          { $match: { status: 'published' } },
+          { $group: { _id: '$category', count: { $sum: 1 } } }
+        ]),
+        this.tagService.getTagIndex(),
+        Article.aggregate([
+          {
+            $match: {
+              status: 'published',
+              'trendData.keyword': { $nin: [null, ''] },
+              'trendData.fetchedAt': { $gte: new Date(Date.now() - RECENT_TREND_WINDOW) }
+            }
+          },
+          { $group: { _id: '$trendData.keyword', trendScore: { $max: '$trendData.trendScore' } } }
+        ])
+      ]);
+
+      const countBySlug = new Map(categoryCounts.map(({ _id, count }) => [_id, count]));
+
+      // Live trends from the last fetch, then keywords behind recent articles
+      const trends = new Map();
+      const addTrend = (keyword, score) => {
+        const key = normalizePrefix(keyword);
+        if (key && !trends.has(key)) {
+          trends.set(key, { type: 'trend', text: keyword, slug: null, weight: score || 0 });
+        }
+      };
+      this.trendService.getLatestTrends().data.forEach(trend => addTrend(trend.keyword, trend.trendScore));
+      recentTrends.forEach(trend => addTrend(trend._id, trend.trendScore));
+
+      const index = new PrefixIndex([
+        ...articles.map(article => ({
+          type: 'article',
+          text: article.title,
+          slug: article.slug,
+          weight: article.stats?.views || 0
+        })),
+        ...categories.map(category => ({
+          type: 'category',
+          text: category.name,
+          slug: category.slug,
+          weight: countBySlug.get(category.slug) || 0
+        })),
+        ...tags.map(tag => ({
+          type: 'tag',
+          text: tag.name,
+          slug: tag.slug,
+          weight: tag.articleCount
+        })),
+        ...trends.values()
+      ]);
+
+      indexCache = { ...indexCache, data: index, timestamp: Date.now() };
+      logger.info(`Built search suggestion index with ${index.entries.length} entries`);
+      return index;
+
+    } catch (error) {
+      logger.error('Error building search suggestion index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild the index on the next request
+   */
+  invalidate() {
+    indexCache = { ...indexCache, timestamp: null };
+  }
+}
+
+export default SuggestService;
@@ -0,0 +1,480 @@
+import Tag from '../models/Tag.js';
+import Article from '../models/Article.js';
+import { normalizeTag, tagSlug } from '../utils/tags.js';
+import { indexArticles } from '../search/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('TagService');
+
+// Cache for the tag registry, read on every article save
+let registryCache = {
+  data: null,
+  timestamp: null,
+  ttl: 5 * 60 * 1000 // 5 minutes cache
+};
+
+// Cache for the public tag index
+let indexCache = {
+  data: null,
+  timestamp: null,
+  ttl: 10 * 60 * 1000 // 10 minutes cache
+};
+
+class TagService {
+  /**
+   * Every registered tag, ordered by name
+   * @returns {Promise<Array>} Tags
+   */
+  async getRegistry() {
+    try {
+      if (registryCache.data && registryCache.timestamp &&
+          Date.now() - registryCache.timestamp < registryCache.ttl) {
+        return registryCache.data;
+      }
+
+      const tags = await Tag.find().sort({ name: 1 }).lean();
+
+      registryCache = { ...registryCache, data: tags, timestamp: Date.now() };
+      return tags;
+
+    } catch (error) {
+      logger.error('Error loading tag registry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Lookup of every registered name and synonym to its canonical name
+   * @returns {Promise<Map>} Normalized spelling to canonical name
+   */
+  async getSynonymMap() {
+    const map = new Map();
+
+    for (const tag of await this.getRegistry()) {
+      map.set(tag.name, tag.name);
+      for (const synonym of tag.synonyms) {
+        map.set(synonym, tag.name);
+      }
+    }
+
+    return map;
+  }
+
+  /**
+   * Normalize tags and replace synonyms with their canonical name
+   * @param {Array} tags - Tags as typed or generated
+   * @returns {Promise<Array>} Canonical tags without blanks or duplicates
+   */
+  async canonicalize(tags = []) {
+    const synonyms = await this.getSynonymMap();
+
+    const canonical = tags
+      .map(normalizeTag)
+      .filter(Boolean)
+      .map(tag => synonyms.get(tag) || tag);
+
+    return [...new Set(canonical)];
+  }
+
+  /**
+   * Tags on published articles with their article counts
+   * @param {Object} options - minCount, limit and sort ('count' or 'name')
+   * @returns {Promise<Array>} Tags with name, slug, description and articleCount
+   */
+  async getTagIndex({ minCount = 1, limit = null, sort = 'count' } = {}) {
+    try {
+      let tags;
+
+      if (indexCache.data && indexCache.timestamp &&
+          Date.now() - indexCache.timestamp < indexCache.ttl) {
+        tags = indexCache.data;
+      } else {
+        const [counts, registry] = await Promise.all([
+          Article.aggregate([
+            { $match: { status: 'published' } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } }
+          ]),
+          this.getRegistry()
+        ]);
+
+        const registered = new Map(registry.map(tag => [tag.name, tag]));
+        tags = counts.map(({ _id: name, count }) => ({
+          name,
+          slug: registered.get(name)?.slug || tagSlug(name),
+          description: registered.get(name)?.description,
+          articleCount: count
+        }));
+
+        indexCache = { ...indexCache, data: tags, timestamp: Date.now() };
+      }
+
+      const result = tags
+        .filter(tag => tag.articleCount >= minCount)
+        .sort(sort === 'name'
+          ? (a, b) => a.name.localeCompare(b.name)
+          : (a, b) => b.articleCount - a.articleCount || a.name.localeCompare(b.name));
+
+      return limit ? result.slice(0, limit) : result;
+
+    } catch (error) {
+      logger.error('Error building tag index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the canonical tag behind a slug, name or synonym
+   * @param {string} value - Value from a tag URL
+   * @returns {Promise<Object>} Tag with name, slug and description
+   */
+  async resolveTag(value) {
+    const normalized = normalizeTag(value);
+    const lowered = String(value).toLowerCase();
+
+    const registered = (await this.getRegistry()).find(tag =>
+      tag.slug === lowered || tag.name === normalized || tag.synonyms.includes(normalized));
+
+    if (registered) {
+      return { name: registered.name, slug: registered.slug, description: registered.description };
+    }
+
+    const used = (await this.getTagIndex()).find(tag => tag.slug === lowered || tag.name === normalized);
+
+    if (!used) {
+      throw new Error('Tag not found');
+    }
+
+    return { name: used.name, slug: used.slug };
+  }
+
+  /**
+   * Published articles carrying a tag
+   * @param {string} value - Tag slug, name or synonym
+   * @param {Object} options - page and limit
+   * @returns {Promise<Object>} Tag, articles and pagination info
+   */
+  async getTagArticles(value, { page = 1, limit = 10 } = {}) {
+    try {
+      const tag = await this.resolveTag(value);
+
+      const [articles, total] = await Promise.all([
+        Article.findByTag(tag.name)
+          .select('-review')
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Article.countDocuments({ tags: tag.name, status: 'published' })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        tag: { ...tag, articleCount: total },
+        articles,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalArticles: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error getting tag articles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Registered and free tags across all live articles, for admins
+   * @param {Object} options - search matches names and synonyms
+   * @returns {Promise<Array>} Tags with articleCount and registry fields when registered
+   */
+  async listTags({ search = null } = {}) {
+    try {
+      const [counts, registry] = await Promise.all([
+        Article.aggregate([
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } }
+        ]),
+        this.getRegistry()
+      ]);
+
+      const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
+      const registeredNames = new Set(registry.map(tag => tag.name));
+
+      const tags = [
+        ...registry.map(tag => ({ ...tag, registered: true, articleCount: countByName.get(tag.name) || 0 })),
+        ...counts
+          .filter(({ _id }) => !registeredNames.has(_id))
+          .map(({ _id: name, count }) => ({
+            name,
+            slug: tagSlug(name),
+            synonyms: [],
+            registered: false,
+            articleCount: count
+          }))
+      ];
+
+      const term = search && normalizeTag(search);
+
+      return tags
+        .filter(tag => !term || tag.name.includes(term) || tag.synonyms.some(synonym => synonym.includes(term)))
+        .sort((a, b) => b.articleCount - a.articleCount || a.name.localeCompare(b.name));
+
+    } catch (error) {
+      logger.error('Error listing tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a tag; articles using any of its synonyms switch to the name
+   * @param {Object} data - name, synonyms and description
+   * @returns {Promise<Object>} Created tag and how many articles were rewritten
+   */
+  async createTag({ name, synonyms = [], description }) {
+    try {
+      const canonical = this.requireName(name);
+      const spellings = this.normalizeSynonyms(synonyms, canonical);
+
+      await this.assertAvailable([canonical, ...spellings]);
+
+      const tag = await Tag.create({ name: canonical, slug: await this.uniqueSlug(canonical), synonyms: spellings, description });
+      const articlesUpdated = await this.rewriteArticles(spellings, canonical);
+
+      this.invalidate();
+
+      logger.info(`Registered tag: ${tag.name}`);
+      return { tag, articlesUpdated };
+
+    } catch (error) {
+      logger.error('Error creating tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a tag; a new name is a rename, so articles follow and the old name becomes a synonym
+   * @param {string} id - Tag ID
+   * @param {Object} data - name, synonyms and description
+   * @returns {Promise<Object>} Previous and updated tag, and how many articles were rewritten
+   */
+  async updateTag(id, { name, synonyms, description }) {
+    try {
+      const tag = await Tag.findById(id);
+      if (!tag) {
+        throw new Error('Tag not found');
+      }
+
+      const previous = tag.toObject();
+      const canonical = name !== undefined ? this.requireName(name) : previous.name;
+      const renamed = canonical !== previous.name;
+
+      let spellings = this.normalizeSynonyms(synonyms ?? previous.synonyms, canonical);
+      if (renamed) {
+        spellings = [...new Set([...spellings, previous.name])];
+      }
+
+      await this.assertAvailable([canonical, ...spellings], tag._id);
+
+      tag.set({
+        name: canonical,
+        synonyms: spellings,
+        ...(renamed && { slug: await this.uniqueSlug(canonical, tag._id) }),
+        ...(description !== undefined && { description })
+      });
+      await tag.save();
+
+      const articlesUpdated = await this.rewriteArticles(spellings, canonical);
+      this.invalidate();
+
+      logger.info(`Updated tag: ${tag.name}${renamed ? ` (was ${previous.name})` : ''}`);
+      return { previous, tag, articlesUpdated };
+
+    } catch (error) {
+      logger.error('Error updating tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge tags into one; the sources become synonyms of the target
+   * @param {Array} sources - Tags to merge away
+   * @param {string} target - Tag that remains, registered if it is not yet
+   * @returns {Promise<Object>} Target tag, merged names and how many articles were rewritten
+   */
+  async mergeTags(sources, target) {
+    try {
+      const canonical = this.requireName(target);
+      const merged = this.normalizeSynonyms(sources, canonical);
+
+      if (merged.length === 0) {
+        throw Object.assign(new Error('Name at least one tag other than the target to merge'), { status: 400 });
+      }
+
+      const synonyms = await this.getSynonymMap();
+      for (const source of merged) {
+        const owner = synonyms.get(source);
+        if (owner && owner !== source && owner !== canonical) {
+          throw Object.assign(
+            new Error(`"${source}" is a synonym of "${owner}"; merge "${owner}" instead`),
+            { status: 409 }
+          );
+        }
+      }
+      if (synonyms.has(canonical) && synonyms.get(canonical) !== canonical) {
+        throw Object.assign(
+          new Error(`"${canonical}" is a synonym of "${synonyms.get(canonical)}"; merge into that tag instead`),
+          { status: 409 }
+        );
+      }
+
+      // Registered sources hand their synonyms over before they are removed
+      const sourceTags = await Tag.find({ name: { $in: merged } });
+      const spellings = [...new Set([...merged, ...sourceTags.flatMap(tag => tag.synonyms)])]
+        .filter(spelling => spelling !== canonical);
+
+      let tag = await Tag.findOne({ name: canonical });
+      if (tag) {
+        tag.synonyms = [...new Set([...tag.synonyms, ...spellings])];
+      } else {
+        tag = new Tag({ name: canonical, slug: await this.uniqueSlug(canonical), synonyms: spellings });
+      }
+
+      await tag.save();
+      await Tag.deleteMany({ _id: { $in: sourceTags.map(source => source._id) } });
+
+      const articlesUpdated = await this.rewriteArticles(spellings, canonical);
+      this.invalidate();
+
+      logger.info(`Merged ${merged.join(', ')} into tag ${canonical}`);
+      return { tag, merged, articlesUpdated };
+
+    } catch (error) {
+      logger.error('Error merging tags:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a tag from the registry; articles keep it, but its synonyms stop mapping
+   * @param {string} id - Tag ID
+   * @returns {Promise<Object>} Deleted tag
+   */
+  async deleteTag(id) {
+    try {
+      const tag = await Tag.findByIdAndDelete(id);
+      if (!tag) {
+        throw new Error('Tag not found');
+      }
+
+      this.invalidate();
+
+      logger.info(`Removed tag from registry: ${tag.name}`);
+      return tag;
+
+    } catch (error) {
+      logger.error('Error deleting tag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace tags on every article, trashed ones included, with the canonical name
+   * @param {Array} from - Tags to replace
+   * @param {string} to - Canonical tag
+   * @returns {Promise<number>} Number of articles changed
+   */
+  async rewriteArticles(from, to) {
+    if (from.length === 0) return 0;
+
+    // Read before the update, which leaves nothing matching the old tags
+    const articleIds = await Article.find({ tags: { $in: from } }).withDeleted().distinct('_id');
+
+    // Feeds and sitemaps read lastModified to tell readers the articles changed
+    const lastModified = new Date();
+    await Article.updateMany(
+      { tags: { $in: from } },
+      { $addToSet: { tags: to }, $set: { lastModified } }
+    );
+    const { modifiedCount } = await Article.updateMany(
+      { tags: { $in: from } },
+      { $pull: { tags: { $in: from } }, $set: { lastModified } }
+    );
+    await indexArticles(articleIds);
+
+    return modifiedCount;
+  }
+
+  /**
+   * Refuse spellings already claimed by another registered tag
+   * @param {Array} spellings - Name and synonyms to check
+   * @param {string|null} exceptId - Tag being updated
+   */
+  async assertAvailable(spellings, exceptId = null) {
+    const conflict = await Tag.findOne({
+      _id: { $ne: exceptId },
+      $or: [{ name: { $in: spellings } }, { synonyms: { $in: spellings } }]
+    }).lean();
+
+    if (conflict) {
+      const taken = spellings.find(spelling => conflict.name === spelling || conflict.synonyms.includes(spelling));
+      throw Object.assign(new Error(`"${taken}" already belongs to tag "${conflict.name}"`), { status: 409 });
+    }
+  }
+
+  /**
+   * A slug for a tag that no other registered tag uses
+   * @param {string} name - Canonical name
+   * @param {string|null} exceptId - Tag being updated
+   * @returns {Promise<string>} Slug
+   */
+  async uniqueSlug(name, exceptId = null) {
+    const base = tagSlug(name);
+    let slug = base;
+
+    for (let suffix = 2; await Tag.exists({ slug, _id: { $ne: exceptId } }); suffix++) {
+      slug = `${base}-${suffix}`;
+    }
+
+    return slug;
+  }
+
+  /**
+   * Normalize a tag name, refusing names that normalize to nothing
+   * @param {string} name - Name as entered
+   * @returns {string} Normalized name
+   */
+  requireName(name) {
+    const normalized = normalizeTag(name);
+
+    if (!normalized) {
+      throw Object.assign(new Error(`"${name}" is not a usable tag`), { status: 400 });
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Normalize synonyms, dropping blanks, duplicates and the name itself
+   * @param {Array} synonyms - Synonyms as entered
+   * @param {string} name - Canonical name
+   * @returns {Array} Normalized synonyms
+   */
+  normalizeSynonyms(synonyms, name) {
+    return [...new Set(synonyms.map(normalizeTag))].filter(synonym => synonym && synonym !== name);
+  }
+
+  /**
+   * Drop the cached registry and index after a change
+   */
+  invalidate() {
+    registryCache = { ...registryCache, data: null, timestamp: null };
+    indexCache = { ...indexCache, data: null, timestamp: null };
+  }
+}
+
+export default TagService;
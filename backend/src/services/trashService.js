@@ -0,0 +1,293 @@
+import Article from '../models/Article.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import ArticleRevision from '../models/ArticleRevision.js';
+import Collection from '../models/Collection.js';
+import Redirect from '../models/Redirect.js';
+import ArticleVisit from '../models/ArticleVisit.js';
+import ArticleDailyStat from '../models/ArticleDailyStat.js';
+import RedirectService from './redirectService.js';
+import { removeArticles } from '../search/index.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('TrashService');
+
+const TRASH_FIELDS = {
+  article: 'title slug category status author deletedAt deletedBy createdAt',
+  comment: 'content article author parentComment status deletedAt deletedBy createdAt'
+};
+
+class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+    this.redirectService = new RedirectService();
+  }
+
+  /**
+   * Date after which an item trashed at the given time is purged
+   * @param {Date} deletedAt - When the item was trashed
+   * @returns {Date} Purge date
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Replies to a comment at every depth, walking the thread one level at a time
+   * @param {string} id - Comment ID
+   * @param {Object} filter - Extra conditions, e.g. a deletedAt to match trashed replies
+   * @returns {Promise<Array>} Replies with article, author and status
+   */
+  async findReplies(id, filter = {}) {
+    const replies = [];
+    let parents = [id];
+
+    while (parents.length > 0) {
+      const level = await Comment.find({ ...filter, parentComment: { $in: parents } })
+        .select('article author status')
+        .lean();
+
+      replies.push(...level);
+      parents = level.map(reply => reply._id);
+    }
+
+    return replies;
+  }
+
+  /**
+   * Move a comment and all replies beneath it to the trash
+   * @param {string} id - Comment ID
+   * @param {Object} user - Deleting user, or null for system jobs
+   * @returns {Promise<Object>} Comment and the number of replies trashed with it
+   */
+  async trashComment(id, user = null) {
+    try {
+      const comment = await Comment.findById(id);
+
+      if (!comment) {
+        throw new Error('Comment not found');
+      }
+
+      // Replies share the parent's deletedAt so restoring the parent brings back the same set
+      const deletedAt = new Date();
+      const deletedBy = user?._id || null;
+      const replies = await this.findReplies(comment._id);
+
+      comment.deletedAt = deletedAt;
+      comment.deletedBy = deletedBy;
+      await comment.save();
+
+      if (replies.length > 0) {
+        await Comment.updateMany(
+          { _id: { $in: replies.map(reply => reply._id) } },
+          { $set: { deletedAt, deletedBy } }
+        );
+      }
+
+      await this.adjustCommentCounters([comment, ...replies], -1);
+
+      logger.info(`Trashed comment ${id} with ${replies.length} replies`);
+      return { comment, repliesTrashed: replies.length };
+
+    } catch (error) {
+      logger.error('Error trashing comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Bring a trashed comment and the replies at any depth trashed with it back
+   * @param {string} id - Comment ID
+   * @returns {Promise<Object>} Comment and the number of replies restored
+   */
+  async restoreComment(id) {
+    try {
+      const comment = await Comment.findOne({ _id: id, deletedAt: { $ne: null } });
+
+      if (!comment) {
+        throw new Error('Comment not found in trash');
+      }
+
+      // A reply cannot come back while its thread is still in the trash
+      if (comment.parentComment && !(await Comment.exists({ _id: comment.parentComment }))) {
+        throw Object.assign(
+          new Error('Restore the parent comment first'),
+          { status: 409 }
+        );
+      }
+
+      if (!(await Article.exists({ _id: comment.article }))) {
+        throw Object.assign(
+          new Error('The article this comment belongs to is in the trash or gone'),
+          { status: 409 }
+        );
+      }
+
+      const replies = await this.findReplies(comment._id, { deletedAt: comment.deletedAt });
+
+      await comment.restore();
+
+      if (replies.length > 0) {
+        await Comment.updateMany(
+          { _id: { $in: replies.map(reply => reply._id) } },
+          { $set: { deletedAt: null, deletedBy: null } }
+        );
+      }
+
+      await this.adjustCommentCounters([comment, ...replies], 1);
+
+      logger.info(`Restored comment ${id} with ${replies.length} replies`);
+      return { comment, repliesRestored: replies.length };
+
+    } catch (error) {
+      logger.error('Error restoring comment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep article and author comment counters in step with approved comments
+   * @param {Array} comments - Comments with article, author and status
+   * @param {number} direction - 1 when comments come back, -1 when they leave
+   */
+  async adjustCommentCounters(comments, direction) {
+    const approved = comments.filter(comment => comment.status === 'approved');
+    if (approved.length === 0) return;
+
+    const tally = (key) => approved.reduce((counts, comment) => {
+      const id = comment[key]?.toString();
+      if (id) counts.set(id, (counts.get(id) || 0) + direction);
+      return counts;
+    }, new Map());
+
+    const toOps = (counts) => [...counts].map(([id, count]) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $inc: { 'stats.commentsCount': count } }
+      }
+    }));
+
+    const articleOps = toOps(tally('article'));
+    const userOps = toOps(tally('author'));
+
+    await Promise.all([
+      articleOps.length > 0 && Article.bulkWrite(articleOps),
+      userOps.length > 0 && User.bulkWrite(userOps)
+    ]);
+  }
+
+  /**
+   * List trashed articles or comments, most recently trashed first
+   * @param {string} type - 'article' or 'comment'
+   * @param {Object} options - page, limit
+   * @returns {Promise<Object>} Items with purge dates and pagination info
+   */
+  async listTrash(type, { page = 1, limit = 20 } = {}) {
+    try {
+      const Model = type === 'article' ? Article : Comment;
+      const skip = (page - 1) * limit;
+
+      const query = Model.find()
+        .onlyDeleted()
+        .select(TRASH_FIELDS[type])
+        .populate('author', 'name email')
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const [items, total] = await Promise.all([
+        query,
+        Model.countDocuments({ deletedAt: { $ne: null } })
+      ]);
+
+      if (type === 'comment') {
+        // Looked up by hand because populate would hide articles that are in the trash too
+        const articles = await Article.find({ _id: { $in: items.map(item => item.article) } })
+          .withDeleted()
+          .select('title slug deletedAt')
+          .lean();
+        const articleById = new Map(articles.map(article => [article._id.toString(), article]));
+
+        items.forEach(item => {
+          item.article = articleById.get(item.article?.toString()) || null;
+        });
+      }
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        items: items.map(item => ({ ...item, purgeAt: this.getPurgeDate(item.deletedAt) })),
+        retentionDays: this.retentionDays,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1
+        }
+      };
+
+    } catch (error) {
+      logger.error('Error listing trash:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete trashed items older than the retention period
+   * @returns {Promise<Object>} Purged article and comment counts
+   */
+  async purgeExpired() {
+    try {
+      const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+      const articles = await Article.find({ deletedAt: { $ne: null, $lte: cutoff } })
+        .select('_id')
+        .lean();
+      const articleIds = articles.map(article => article._id);
+
+      // Comments still live on a trashed article count toward their authors until now
+      const liveComments = await Comment.find({ article: { $in: articleIds } })
+        .select('article author status')
+        .lean();
+      await this.adjustCommentCounters(liveComments, -1);
+
+      const [articleResult, commentResult] = await Promise.all([
+        Article.deleteMany({ _id: { $in: articleIds } }),
+        // Comments of purged articles go with them, whether trashed or not
+        Comment.deleteMany({
+          $or: [
+            { article: { $in: articleIds } },
+            { deletedAt: { $ne: null, $lte: cutoff } }
+          ]
+        }),
+        ArticleRevision.deleteMany({ article: { $in: articleIds } }),
+        Collection.updateMany(
+          { articles: { $in: articleIds } },
+          { $pull: { articles: { $in: articleIds } } }
+        ),
+        Redirect.deleteMany({ article: { $in: articleIds } }),
+        ArticleVisit.deleteMany({ article: { $in: articleIds } }),
+        ArticleDailyStat.deleteMany({ article: { $in: articleIds } })
+      ]);
+      await removeArticles(articleIds);
+      if (articleIds.length > 0) {
+        this.redirectService.invalidate();
+      }
+
+      logger.info(`Purged ${articleResult.deletedCount} articles and ${commentResult.deletedCount} comments from the trash`);
+      return {
+        articles: articleResult.deletedCount,
+        comments: commentResult.deletedCount
+      };
+
+    } catch (error) {
+      logger.error('Error purging trash:', error);
+      throw error;
+    }
+  }
+}
+
+export default TrashService;
@@ -1,22 +1,22 @@
 import googleTrends from 'google-trends-api';
 import puppeteer from 'puppeteer';
 import axios from 'axios';
+import CategoryService from './categoryService.js';
+import { FALLBACK_CATEGORY } from '../utils/categories.js';
 import { createLogger } from '../utils/logger.js';
 
 const logger = createLogger('TrendService');
 
+// Trends from the last successful fetch, for features that must not scrape on request
+let latestTrends = {
+  data: [],
+  timestamp: null
+};
+
 class TrendService {
   constructor() {
     this.browser = null;
-    this.categories = {
-      'technology': 'TECHNOLOGY',
-      'business': 'BUSINESS',
-      'health': 'HEALTH',
-      'entertainment': 'ENTERTAINMENT',
-      'sports': 'SPORTS',
-      'politics': 'POLITICS',
-      'science': 'SCIENCE'
-    };
+    this.categoryService = new CategoryService();
   }
 
   async initBrowser() {
@@ -58,7 +58,7 @@ class TrendService {
         geo: geo,
         hl: 'en-US',
         timezone: 360,
-        category: category ? this.categories[category] : undefined
+        category: category ? await this.categoryService.getTrendsCategory(category) : undefined
       };
 
       // Get daily trending searches
@@ -173,6 +173,7 @@ class TrendService {
       });
 
       const posts = response.data.data.children;
+      const subredditMap = await this.categoryService.getSubredditMap();
       const trends = [];
 
       posts.forEach((post, index) => {
@@ -184,7 +185,7 @@ class TrendService {
             url: `https://reddit.com${data.permalink}`,
             subreddit: data.subreddit,
             source: 'reddit',
-            category: this.mapSubredditToCategory(data.subreddit),
+            category: this.mapSubredditToCategory(data.subreddit, subredditMap),
             fetchedAt: new Date(),
             trendScore: Math.min(data.ups / 100, 100) // Score based on upvotes
           });
@@ -256,6 +257,10 @@ class TrendService {
         .sort((a, b) => b.trendScore - a.trendScore)
         .slice(0, limit);
 
+      if (sortedTrends.length > 0) {
+        latestTrends = { data: sortedTrends, timestamp: Date.now() };
+      }
+
       logger.info(`Fetched ${sortedTrends.length} unique trending topics`);
       return sortedTrends;
       
@@ -267,6 +272,14 @@ class TrendService {
     }
   }
 
+  /**
+   * Trends from the last successful fetch, without fetching
+   * @returns {Object} data and timestamp (null before the first fetch)
+   */
+  getLatestTrends() {
+    return latestTrends;
+  }
+
   /**
    * Calculate trend score based on traffic
    * @param {string} traffic - Traffic string
@@ -374,28 +387,11 @@ class TrendService {
   /**
    * Map subreddit to category
    * @param {string} subreddit - Subreddit name
+   * @param {Object} subredditMap - Subreddit to category slug, from the categories' generation settings
    * @returns {string} Category
    */
-  mapSubredditToCategory(subreddit) {
-    const categoryMap = {
-      'technology': 'technology',
-      'programming': 'technology',
-      'science': 'science',
-      'worldnews': 'politics',
-      'politics': 'politics',
-      'business': 'business',
-      'sports': 'sports',
-      'entertainment': 'entertainment',
-      'movies': 'entertainment',
-      'music': 'entertainment',
-      'health': 'health',
-      'fitness': 'health',
-      'travel': 'travel',
-      'food': 'food',
-      'fashion': 'fashion'
-    };
-    
-    return categoryMap[subreddit.toLowerCase()] || 'other';
+  mapSubredditToCategory(subreddit, subredditMap = {}) {
+    return subredditMap[subreddit.toLowerCase()] || FALLBACK_CATEGORY;
   }
 }
 
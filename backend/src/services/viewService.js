@@ -0,0 +1,257 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Article from '../models/Article.js';
+import ArticleVisit from '../models/ArticleVisit.js';
+import ArticleDailyStat from '../models/ArticleDailyStat.js';
+import { isBot, referrerDomain, startOfDay } from '../utils/visitors.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('ViewService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Referrer domains listed in an analytics report
+const REFERRER_LIMIT = 20;
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Used when no secret is configured, so visitor hashes never have a guessable key
+const fallbackSecret = crypto.randomBytes(32);
+let warnedFallback = false;
+
+class ViewService {
+  constructor() {
+    // A visitor's repeat views of an article count once per window
+    this.windowMinutes = parseInt(process.env.VIEW_WINDOW_MINUTES) || 30;
+    this.secret = process.env.VIEW_HASH_SECRET || process.env.JWT_SECRET || fallbackSecret;
+
+    if (this.secret === fallbackSecret && !warnedFallback) {
+      warnedFallback = true;
+      logger.warn('VIEW_HASH_SECRET is not set; visitor IDs use a random key, so repeat views count again after a restart');
+    }
+  }
+
+  /**
+   * Anonymous visitor ID for a day: a hash of the signed-in user or of IP address
+   * and user agent, salted with the day so it cannot be followed across days
+   * @param {Object} visitor - userId, or ip and userAgent
+   * @param {Date} day - UTC midnight
+   * @returns {string} Visitor hash
+   */
+  visitorId({ userId = null, ip = '', userAgent = '' }, day) {
+    const identity = userId ? `user:${userId}` : `ip:${ip}:${userAgent}`;
+
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${dayKey(day)}:${identity}`)
+      .digest('base64url')
+      .slice(0, 22);
+  }
+
+  /**
+   * Count a view of a published article unless it comes from a bot or repeats
+   * a view by the same visitor within the window
+   * @param {string} articleId - Article ID
+   * @param {Object} visitor - userId, ip, userAgent and referrer
+   * @returns {Promise<Object>} counted, and unique when it is the visitor's first view today
+   */
+  async countView(articleId, { userId = null, ip = '', userAgent = '', referrer = null } = {}) {
+    if (isBot(userAgent)) {
+      return { counted: false, unique: false };
+    }
+
+    const now = new Date();
+    const day = startOfDay(now);
+    const visitor = this.visitorId({ userId, ip, userAgent }, day);
+    const domain = referrerDomain(referrer);
+
+    // A returning visitor whose window has passed
+    const repeat = await ArticleVisit.updateOne(
+      {
+        article: articleId,
+        visitor,
+        day,
+        lastCountedAt: { $lte: new Date(now.getTime() - this.windowMinutes * 60 * 1000) }
+      },
+      {
+        $set: { lastCountedAt: now },
+        $inc: { views: 1 },
+        $push: { referrers: domain }
+      }
+    );
+
+    let unique = false;
+    if (repeat.modifiedCount === 0) {
+      try {
+        await ArticleVisit.create({ article: articleId, visitor, day, lastCountedAt: now, referrers: [domain] });
+        unique = true;
+      } catch (error) {
+        // Already counted inside the window
+        if (error.code === 11000) return { counted: false, unique: false };
+        throw error;
+      }
+    }
+
+    await Article.updateOne({ _id: articleId }, { $inc: { 'stats.views': 1 } });
+
+    return { counted: true, unique };
+  }
+
+  /**
+   * Views, unique visitors and referrer domains per article for days in the visit log
+   * @param {Object} match - Visit filter, e.g. a day or an article and day range
+   * @returns {Promise<Array>} Rollups with day, article, views, uniqueVisitors and referrers
+   */
+  async aggregateVisits(match) {
+    const rows = await ArticleVisit.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: { day: '$day', article: '$article' },
+                views: { $sum: '$views' },
+                uniqueVisitors: { $sum: 1 }
+              }
+            }
+          ],
+          referrers: [
+            { $unwind: '$referrers' },
+            {
+              $group: {
+                _id: { day: '$day', article: '$article', domain: '$referrers' },
+                views: { $sum: 1 }
+              }
+            },
+            { $sort: { views: -1, '_id.domain': 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const [{ totals, referrers }] = rows;
+    const key = ({ day, article }) => `${day.toISOString()}:${article}`;
+
+    const referrersByKey = new Map();
+    for (const entry of referrers) {
+      const list = referrersByKey.get(key(entry._id)) || [];
+      list.push({ domain: entry._id.domain, views: entry.views });
+      referrersByKey.set(key(entry._id), list);
+    }
+
+    return totals.map(entry => ({
+      day: entry._id.day,
+      article: entry._id.article,
+      views: entry.views,
+      uniqueVisitors: entry.uniqueVisitors,
+      referrers: referrersByKey.get(key(entry._id)) || []
+    }));
+  }
+
+  /**
+   * Roll finished days in the visit log up into daily stats. Days that already
+   * have rollups are skipped, so running it again is harmless.
+   * @returns {Promise<number>} Days rolled up
+   */
+  async rollupFinishedDays() {
+    try {
+      const today = startOfDay();
+      const [days, rolled] = await Promise.all([
+        ArticleVisit.distinct('day', { day: { $lt: today } }),
+        ArticleDailyStat.distinct('day', { day: { $gte: new Date(today.getTime() - 7 * DAY) } })
+      ]);
+      const rolledDays = new Set(rolled.map(day => day.getTime()));
+
+      let count = 0;
+      for (const day of days.sort((a, b) => a - b)) {
+        if (rolledDays.has(day.getTime())) continue;
+
+        const rollups = await this.aggregateVisits({ day });
+        if (rollups.length > 0) {
+          await ArticleDailyStat.insertMany(rollups);
+        }
+        logger.info(`Rolled up ${rollups.length} article view stats for ${dayKey(day)}`);
+        count++;
+      }
+
+      return count;
+
+    } catch (error) {
+      logger.error('Error rolling up article views:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Daily views, unique visitors and referrer domains of an article. Days not
+   * rolled up yet, including today, are read from the visit log.
+   * @param {string} articleId - Article ID
+   * @param {Object} options - from and to dates, inclusive
+   * @returns {Promise<Object>} article, range, totals, daily series and referrers
+   */
+  async getArticleAnalytics(articleId, { from = null, to = null } = {}) {
+    try {
+      const article = await Article.findById(articleId).select('title slug status publishedAt stats.views').lean();
+      if (!article) {
+        throw Object.assign(new Error('Article not found'), { status: 404 });
+      }
+
+      const end = startOfDay(to || new Date());
+      const start = startOfDay(from || new Date(end.getTime() - 29 * DAY));
+      if (start > end) {
+        throw Object.assign(new Error('from must not be after to'), { status: 400 });
+      }
+
+      const id = new mongoose.Types.ObjectId(articleId);
+      const range = { $gte: start, $lte: end };
+
+      const rolled = await ArticleDailyStat.find({ article: id, day: range }).lean();
+      const rolledDays = rolled.map(stat => stat.day);
+      const live = await this.aggregateVisits({ article: id, day: { ...range, $nin: rolledDays } });
+
+      const byDay = new Map([...rolled, ...live].map(stat => [dayKey(stat.day), stat]));
+      const referrerViews = new Map();
+      const daily = [];
+
+      for (let day = start; day <= end; day = new Date(day.getTime() + DAY)) {
+        const stat = byDay.get(dayKey(day));
+        daily.push({
+          date: dayKey(day),
+          views: stat?.views || 0,
+          uniqueVisitors: stat?.uniqueVisitors || 0
+        });
+        for (const { domain, views } of stat?.referrers || []) {
+          referrerViews.set(domain, (referrerViews.get(domain) || 0) + views);
+        }
+      }
+
+      return {
+        article: {
+          _id: article._id,
+          title: article.title,
+          slug: article.slug,
+          status: article.status,
+          publishedAt: article.publishedAt,
+          totalViews: article.stats?.views || 0
+        },
+        range: { from: dayKey(start), to: dayKey(end) },
+        totals: {
+          views: daily.reduce((sum, entry) => sum + entry.views, 0),
+          // Visitor IDs change daily, so this adds up daily unique visitors
+          uniqueVisitors: daily.reduce((sum, entry) => sum + entry.uniqueVisitors, 0)
+        },
+        daily,
+        referrers: [...referrerViews]
+          .map(([domain, views]) => ({ domain, views }))
+          .sort((a, b) => b.views - a.views || a.domain.localeCompare(b.domain))
+          .slice(0, REFERRER_LIMIT)
+      };
+
+    } catch (error) {
+      logger.error('Error getting article analytics:', error);
+      throw error;
+    }
+  }
+}
+
+export default ViewService;
@@ -0,0 +1,30 @@
+import LocalStorage from './localStorage.js';
+
+// Available drivers. Each implements put(key, body, { contentType }), delete(key) and getUrl(key);
+// an S3-compatible driver registers here under 's3'.
+const DRIVERS = {
+  local: LocalStorage
+};
+
+let storage = null;
+
+/**
+ * Storage driver selected by STORAGE_DRIVER, created once per process
+ * @returns {Object} Storage driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const Driver = DRIVERS[name];
+
+    if (!Driver) {
+      throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    storage = new Driver();
+  }
+
+  return storage;
+};
+
+export default getStorage;
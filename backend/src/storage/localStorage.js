@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Storage driver that keeps files on the local disk and serves them from /uploads
+ */
+class LocalStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.root = path.resolve(options.root || process.env.UPLOAD_DIR || 'uploads');
+    this.baseUrl = (options.baseUrl || process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/+$/, '');
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Path of the file inside the storage, e.g. images/2024/01/abc.webp
+   * @param {Buffer} body - File contents
+   * @param {Object} options - contentType; only remote drivers need it
+   * @returns {Promise<Object>} key, url and size
+   */
+  async put(key, body, options = {}) {
+    const file = this.resolve(key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, body);
+
+    return { key, url: this.getUrl(key), size: body.length };
+  }
+
+  /**
+   * Remove a file; missing files are ignored
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * Public URL of a stored file
+   * @param {string} key - Storage key
+   * @returns {string} URL
+   */
+  getUrl(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  /**
+   * Absolute path of a key, refusing keys that escape the storage root
+   * @param {string} key - Storage key
+   * @returns {string} File path
+   */
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  }
+}
+
+export default LocalStorage;
@@ -0,0 +1,30 @@
+// Lifecycle states an article can be in
+export const ARTICLE_STATUSES = [
+  'draft',
+  'generated',
+  'in_review',
+  'changes_requested',
+  'approved',
+  'scheduled',
+  'published',
+  'archived'
+];
+
+// States only the review workflow moves articles into
+export const REVIEW_STATUSES = ['generated', 'in_review', 'changes_requested', 'approved'];
+
+// States waiting on a reviewer; they cannot be published until approved
+export const PENDING_REVIEW_STATUSES = ['generated', 'in_review', 'changes_requested'];
+
+// States listed in the review queue: waiting on a reviewer, or approved and not yet published
+export const REVIEW_QUEUE_STATUSES = [...PENDING_REVIEW_STATUSES, 'approved'];
+
+// States editors can set directly on create or update
+export const EDITABLE_STATUSES = ARTICLE_STATUSES.filter(status => !REVIEW_STATUSES.includes(status));
+
+// Where each review action may start from, and where it leads
+export const REVIEW_TRANSITIONS = {
+  submit: { from: ['draft', 'generated', 'changes_requested'], to: 'in_review' },
+  approve: { from: ['in_review'], to: 'approved' },
+  request_changes: { from: ['in_review'], to: 'changes_requested' }
+};
@@ -0,0 +1,49 @@
+// Category articles fall back to when theirs is unknown or deleted; it cannot be removed
+export const FALLBACK_CATEGORY = 'other';
+
+// Categories created on first start, matching the list articles were written against
+export const DEFAULT_CATEGORIES = [
+  {
+    slug: 'technology',
+    name: 'Technology',
+    generation: { enabled: true, trendsCategory: 'TECHNOLOGY', subreddits: ['technology', 'programming'] }
+  },
+  {
+    slug: 'business',
+    name: 'Business',
+    generation: { enabled: true, trendsCategory: 'BUSINESS', subreddits: ['business'] }
+  },
+  {
+    slug: 'health',
+    name: 'Health',
+    generation: { enabled: true, trendsCategory: 'HEALTH', subreddits: ['health', 'fitness'] }
+  },
+  {
+    slug: 'entertainment',
+    name: 'Entertainment',
+    generation: { enabled: true, trendsCategory: 'ENTERTAINMENT', subreddits: ['entertainment', 'movies', 'music'] }
+  },
+  {
+    slug: 'sports',
+    name: 'Sports',
+    generation: { trendsCategory: 'SPORTS', subreddits: ['sports'] }
+  },
+  {
+    slug: 'politics',
+    name: 'Politics',
+    generation: { trendsCategory: 'POLITICS', subreddits: ['worldnews', 'politics'] }
+  },
+  {
+    slug: 'science',
+    name: 'Science',
+    generation: { trendsCategory: 'SCIENCE', subreddits: ['science'] }
+  },
+  { slug: 'lifestyle', name: 'Lifestyle' },
+  { slug: 'travel', name: 'Travel', generation: { subreddits: ['travel'] } },
+  { slug: 'food', name: 'Food', generation: { subreddits: ['food'] } },
+  { slug: 'fashion', name: 'Fashion', generation: { subreddits: ['fashion'] } },
+  { slug: 'education', name: 'Education' },
+  { slug: 'finance', name: 'Finance' },
+  { slug: 'environment', name: 'Environment' },
+  { slug: FALLBACK_CATEGORY, name: 'Other' }
+].map((category, index) => ({ ...category, sortOrder: (index + 1) * 10 }));
@@ -0,0 +1,89 @@
+const MAX_TABLE_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Line-based diff using the longest common subsequence of the two texts
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} Chunks of { type: 'equal' | 'added' | 'removed', lines }
+ */
+export const diffLines = (before = '', after = '') => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+
+  // Trim the shared head and tail so the LCS table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  // Past this size the table gets too large; report a full replacement instead
+  const table = rows * cols <= MAX_TABLE_SIZE
+    ? new Uint32Array(rows * cols)
+    : null;
+
+  for (let i = table ? midA.length - 1 : -1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i * cols + j] = midA[i] === midB[j]
+        ? table[(i + 1) * cols + j + 1] + 1
+        : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+    }
+  }
+
+  const chunks = [];
+  const push = (type, line) => {
+    const last = chunks[chunks.length - 1];
+    if (last && last.type === type) {
+      last.lines.push(line);
+    } else {
+      chunks.push({ type, lines: [line] });
+    }
+  };
+
+  a.slice(0, start).forEach(line => push('equal', line));
+
+  let i = 0;
+  let j = 0;
+  while (table && i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      push('equal', midA[i]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+      push('removed', midA[i++]);
+    } else {
+      push('added', midB[j++]);
+    }
+  }
+  while (i < midA.length) push('removed', midA[i++]);
+  while (j < midB.length) push('added', midB[j++]);
+
+  a.slice(endA).forEach(line => push('equal', line));
+
+  return chunks;
+};
+
+/**
+ * Compare two string arrays as sets
+ * @param {Array} before - Old values
+ * @param {Array} after - New values
+ * @returns {Object} Added and removed values
+ */
+export const diffSets = (before = [], after = []) => {
+  const old = new Set(before || []);
+  const next = new Set(after || []);
+
+  return {
+    added: [...next].filter(value => !old.has(value)),
+    removed: [...old].filter(value => !next.has(value))
+  };
+};
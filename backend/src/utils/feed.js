@@ -0,0 +1,161 @@
+// Output formats with their content types
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const GENERATOR = 'TrendWise';
+
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+// Control characters are not allowed anywhere in XML 1.0
+const stripControl = (value = '') => String(value).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+/**
+ * Escape text for XML element content and attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+export const escapeXml = (value = '') => stripControl(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * MIME type of an image, guessed from the extension of its URL
+ * @param {string} url - Image URL
+ * @returns {string} MIME type, image/jpeg when unknown
+ */
+export const imageType = (url = '') => {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return IMAGE_TYPES[extension] || 'image/jpeg';
+};
+
+// HTML kept readable in the XML; a ]]> inside is split across two sections
+const cdata = (html) => `<![CDATA[${stripControl(html).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const element = (name, value, attributes = '') =>
+  (value === null || value === undefined || value === '' ? '' : `<${name}${attributes}>${escapeXml(value)}</${name}>`);
+
+/**
+ * RSS 2.0 document
+ * @param {Object} feed - title, description, link, feedUrl, updated and items
+ * @returns {string} XML
+ */
+export const renderRss = (feed) => {
+  const items = feed.items.map(item => [
+    '<item>',
+    element('title', item.title),
+    element('link', item.url),
+    element('guid', item.id, ' isPermaLink="false"'),
+    element('pubDate', item.publishedAt.toUTCString()),
+    element('dc:creator', item.author),
+    element('description', item.summary),
+    item.contentHtml ? `<content:encoded>${cdata(item.contentHtml)}</content:encoded>` : '',
+    ...item.categories.map(category => element('category', category.label, category.domain ? ` domain="${escapeXml(category.domain)}"` : '')),
+    // RSS requires the length in bytes, so images of unknown size are left out
+    item.image?.length ? `<enclosure url="${escapeXml(item.image.url)}" type="${item.image.type}" length="${item.image.length}"/>` : '',
+    '</item>'
+  ].filter(Boolean).join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.link),
+    element('description', feed.description),
+    element('language', feed.language),
+    element('lastBuildDate', feed.updated.toUTCString()),
+    element('generator', GENERATOR),
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Atom 1.0 document
+ * @param {Object} feed - title, description, link, feedUrl, updated and items
+ * @returns {string} XML
+ */
+export const renderAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '<entry>',
+    element('id', item.id),
+    element('title', item.title),
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    element('published', item.publishedAt.toISOString()),
+    element('updated', item.updatedAt.toISOString()),
+    item.author ? `<author>${element('name', item.author)}</author>` : '',
+    element('summary', item.summary, ' type="text"'),
+    element('content', item.contentHtml, ' type="html"'),
+    ...item.categories.map(category =>
+      `<category term="${escapeXml(category.label)}"${category.domain ? ` scheme="${escapeXml(category.domain)}"` : ''}/>`),
+    item.image
+      ? `<link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"${item.image.length ? ` length="${item.image.length}"` : ''}/>`
+      : '',
+    '</entry>'
+  ].filter(Boolean).join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${escapeXml(feed.language)}"` : ''}>`,
+    element('id', feed.feedUrl),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', feed.updated.toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    // Entries without an author fall back to the feed's
+    `<author>${element('name', GENERATOR)}</author>`,
+    element('generator', GENERATOR),
+    ...entries,
+    '</feed>'
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * JSON Feed 1.1 document
+ * @param {Object} feed - title, description, link, feedUrl, updated and items
+ * @returns {string} JSON
+ */
+export const renderJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.link,
+  feed_url: feed.feedUrl,
+  description: feed.description,
+  language: feed.language,
+  authors: [{ name: GENERATOR }],
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    // One of content_html and content_text is required
+    ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+    summary: item.summary,
+    image: item.image?.url,
+    date_published: item.publishedAt.toISOString(),
+    date_modified: item.updatedAt.toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories.map(category => category.label)
+  }))
+});
+
+export const FEED_RENDERERS = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed
+};
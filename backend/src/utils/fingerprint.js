@@ -0,0 +1,127 @@
+// MinHash signature size and how it is split into LSH bands. 16 bands of 4 rows
+// make articles above roughly 50% shingle overlap very likely to share a band.
+export const SIGNATURE_SIZE = 64;
+export const BAND_COUNT = 16;
+
+const SHINGLE_SIZE = 3;
+const ROWS_PER_BAND = SIGNATURE_SIZE / BAND_COUNT;
+
+// Seeds for the hash family, derived once so signatures stay comparable across runs
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix32(0x9e3779b9 ^ (i + 1)));
+
+/**
+ * Murmur3 finalizer: spreads the bits of a 32-bit integer
+ * @param {number} h - 32-bit integer
+ * @returns {number} Unsigned 32-bit integer
+ */
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Text to hash
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashString = (text) => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+};
+
+/**
+ * Lowercase words with Markdown, punctuation and extra whitespace removed
+ * @param {string} text - Raw text
+ * @returns {Array} Words
+ */
+export const normalizeWords = (text = '') => text
+  .toLowerCase()
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * Hashed word shingles of a text
+ * @param {string} text - Raw text
+ * @returns {Set} Shingle hashes
+ */
+export const shingles = (text) => {
+  const words = normalizeWords(text);
+  const result = new Set();
+
+  if (words.length > 0 && words.length < SHINGLE_SIZE) {
+    result.add(hashString(words.join(' ')));
+  }
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    result.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+
+  return result;
+};
+
+/**
+ * MinHash signature of a shingle set
+ * @param {Set} shingleSet - Shingle hashes
+ * @returns {Array} Signature of SIGNATURE_SIZE unsigned integers
+ */
+export const minhash = (shingleSet) => {
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+
+  for (const shingle of shingleSet) {
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+      const h = mix32(shingle ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+
+  return signature;
+};
+
+/**
+ * LSH band keys of a signature; similar articles share at least one key
+ * @param {Array} signature - MinHash signature
+ * @returns {Array} Band keys such as '3:1a2b3c4d'
+ */
+export const bands = (signature) => Array.from({ length: BAND_COUNT }, (_, band) => {
+  const rows = signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND);
+  return `${band}:${hashString(rows.join(',')).toString(16)}`;
+});
+
+/**
+ * Estimated Jaccard similarity of the shingle sets behind two signatures
+ * @param {Array} a - MinHash signature
+ * @param {Array} b - MinHash signature
+ * @returns {number} Similarity between 0 and 1
+ */
+export const similarity = (a = [], b = []) => {
+  if (a.length !== SIGNATURE_SIZE || b.length !== SIGNATURE_SIZE) return 0;
+
+  let equal = 0;
+  for (let i = 0; i < SIGNATURE_SIZE; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / SIGNATURE_SIZE;
+};
+
+/**
+ * Fingerprint of an article's title and body
+ * @param {Object} article - Object with title and content
+ * @returns {Object|null} minhash and bands, or null when there is no text
+ */
+export const fingerprintArticle = ({ title = '', content = '' }) => {
+  const shingleSet = shingles(`${title}\n${content}`);
+  if (shingleSet.size === 0) return null;
+
+  const signature = minhash(shingleSet);
+  return { minhash: signature, bands: bands(signature) };
+};
@@ -0,0 +1,121 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+import slugify from 'slugify';
+
+export const WORDS_PER_MINUTE = 200;
+
+// Headings deeper than this are anchored but left out of the table of contents
+const TOC_MAX_DEPTH = 4;
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'figure', 'figcaption', 'del', 'ins', 'sup', 'sub'
+  ],
+  allowedAttributes: {
+    a: ['href', 'name', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    ol: ['start']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  transformTags: {
+    // External links never get a handle on the opening window
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: /^https?:\/\//.test(attribs.href || '')
+        ? { ...attribs, rel: 'noopener noreferrer', target: '_blank' }
+        : attribs
+    }),
+    img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, loading: 'lazy' } })
+  }
+};
+
+/**
+ * Text of a fragment of HTML without any tags; code blocks are left out
+ * @param {string} html - HTML
+ * @returns {string} Plain text
+ */
+const toPlainText = (html) => sanitizeHtml(html, {
+  allowedTags: [],
+  allowedAttributes: {},
+  nonTextTags: ['style', 'script', 'textarea', 'option', 'noscript', 'pre']
+});
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&#x27;': "'" };
+
+/**
+ * Undo the entity escaping sanitize-html applies to text
+ * @param {string} text - Escaped text
+ * @returns {string} Text
+ */
+const decodeEntities = (text) => text.replace(/&(?:amp|lt|gt|quot|#39|#x27);/g, entity => ENTITIES[entity]);
+
+/**
+ * Count the words of a plain text
+ * @param {string} text - Plain text
+ * @returns {number} Word count
+ */
+export const countWords = (text = '') =>
+  (text.match(/[\p{L}\p{N}]+(?:['’.-][\p{L}\p{N}]+)*/gu) || []).length;
+
+/**
+ * Reading time in whole minutes, at least one for any text
+ * @param {number} wordCount - Word count
+ * @returns {number} Minutes
+ */
+export const readTimeFor = (wordCount) =>
+  wordCount > 0 ? Math.ceil(wordCount / WORDS_PER_MINUTE) : 0;
+
+/**
+ * Render article Markdown to sanitized HTML with heading anchors
+ * @param {string} markdown - Article content
+ * @returns {Object} html, toc, wordCount and readTime
+ */
+export const renderMarkdown = (markdown = '') => {
+  const toc = [];
+  const usedIds = new Set();
+
+  const marked = new Marked({
+    gfm: true,
+    renderer: {
+      heading({ tokens, depth }) {
+        const inner = this.parser.parseInline(tokens);
+        const text = decodeEntities(toPlainText(inner)).replace(/\s+/g, ' ').trim();
+
+        // Repeated headings get -2, -3... so every anchor stays unique
+        const base = slugify(text, { lower: true, strict: true }) || 'section';
+        let id = base;
+        for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        usedIds.add(id);
+
+        if (depth <= TOC_MAX_DEPTH) {
+          toc.push({ level: depth, text, id });
+        }
+
+        return `<h${depth} id="${id}">${inner}</h${depth}>\n`;
+      }
+    }
+  });
+
+  const html = sanitizeHtml(marked.parse(markdown || ''), SANITIZE_OPTIONS);
+  const wordCount = countWords(toPlainText(html));
+
+  return {
+    html,
+    toc,
+    wordCount,
+    readTime: readTimeFor(wordCount)
+  };
+};
@@ -0,0 +1,135 @@
+import mongoose from 'mongoose';
+
+const invalidCursor = (message = 'Invalid cursor') => Object.assign(new Error(message), { status: 400 });
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Opaque cursor pointing just after an item in a sorted listing
+ * @param {Object} item - Last item of a page
+ * @param {Object} sort - field and order the listing is sorted by
+ * @returns {string} URL-safe cursor
+ */
+export const encodeCursor = (item, { field, order }) => {
+  const value = valueAt(item, field) ?? null;
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date || undefined,
+    id: item._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Read a cursor made by encodeCursor for the same sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Object} sort - field and order the listing is sorted by
+ * @returns {Object} Position as { field, order, value, id }
+ */
+export const decodeCursor = (cursor, { field, order }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidCursor();
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || !mongoose.isValidObjectId(decoded.id) || !('v' in decoded)) {
+    throw invalidCursor();
+  }
+  // The value goes into the query, so anything but a plain value (e.g. an operator object) is refused
+  if (decoded.v !== null && !['string', 'number', 'boolean'].includes(typeof decoded.v)) {
+    throw invalidCursor();
+  }
+  if (decoded.d && (typeof decoded.v !== 'string' || Number.isNaN(new Date(decoded.v).getTime()))) {
+    throw invalidCursor();
+  }
+  if (decoded.f !== field || decoded.o !== order) {
+    throw invalidCursor('Cursor belongs to a different sort order');
+  }
+
+  return {
+    field,
+    order,
+    value: decoded.d ? new Date(decoded.v) : decoded.v,
+    id: new mongoose.Types.ObjectId(decoded.id)
+  };
+};
+
+/**
+ * Narrow a filter to the items after a cursor position. Ties on the sort
+ * field are broken by _id, and missing values sort first ascending and last
+ * descending, as MongoDB sorts them.
+ * @param {Object} filter - Listing filter
+ * @param {Object} position - Decoded cursor
+ * @returns {Object} Filter for the following items
+ */
+export const afterCursor = (filter, { field, order, value, id }) => {
+  const operator = order === 'desc' ? '$lt' : '$gt';
+  const tie = { [field]: value, _id: { [operator]: id } };
+
+  let after;
+  if (value === null) {
+    after = order === 'desc' ? tie : { $or: [tie, { [field]: { $ne: null } }] };
+  } else {
+    after = {
+      $or: [
+        { [field]: { [operator]: value } },
+        tie,
+        ...(order === 'desc' ? [{ [field]: null }] : [])
+      ]
+    };
+  }
+
+  return { $and: [filter, after] };
+};
+
+/**
+ * Sort by a field with _id as the tie-breaker, so pages never overlap
+ * @param {Object} sort - field and order
+ * @returns {Object} Mongo sort
+ */
+export const cursorSort = ({ field, order }) => {
+  const direction = order === 'desc' ? -1 : 1;
+  return { [field]: direction, _id: direction };
+};
+
+/**
+ * Trim a page fetched with limit + 1 items and point a cursor after it
+ * @param {Array} items - Up to limit + 1 items
+ * @param {number} limit - Page size
+ * @param {Object} sort - field and order
+ * @returns {Object} items and nextCursor (null on the last page)
+ */
+export const takePage = (items, limit, sort) => {
+  const page = items.slice(0, limit);
+
+  return {
+    items: page,
+    nextCursor: items.length > limit ? encodeCursor(page[page.length - 1], sort) : null
+  };
+};
+
+/**
+ * Pagination block of a listing response. Page numbers come with totals;
+ * cursor pages skip the count, which is what makes them cheap.
+ * @param {Object} details - page, limit, cursor, total and nextCursor
+ * @param {string} totalKey - Name of the total, e.g. totalArticles
+ * @returns {Object} Pagination
+ */
+export const buildPagination = ({ page, limit, cursor, total, nextCursor }, totalKey) => {
+  if (cursor) {
+    return { limit, hasNextPage: Boolean(nextCursor), nextCursor };
+  }
+
+  return {
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    [totalKey]: total,
+    hasNextPage: Boolean(nextCursor),
+    hasPrevPage: page > 1,
+    nextCursor
+  };
+};
@@ -0,0 +1,89 @@
+// Roles a user can hold, from least to most privileged
+export const ROLES = ['user', 'author', 'moderator', 'editor', 'admin'];
+
+// Every permission a route guard can check
+export const PERMISSIONS = [
+  'dashboard:view',
+  'articles:create',
+  'articles:edit',
+  // articles:edit covers a user's own articles, this adds everyone else's
+  'articles:edit:any',
+  'articles:publish',
+  'articles:delete',
+  'articles:generate',
+  'articles:review',
+  'comments:moderate',
+  'users:sanction',
+  'trends:fetch',
+  'redirects:manage',
+  'categories:manage',
+  'tags:manage',
+  'collections:manage',
+  'users:manage',
+  'roles:manage',
+  'audit:view'
+];
+
+// Admins always hold every permission so the matrix can never lock them out
+export const SUPER_ROLE = 'admin';
+
+// Matrix used until an admin stores an override for a role
+export const DEFAULT_ROLE_PERMISSIONS = {
+  user: [],
+  author: [
+    'articles:create',
+    'articles:edit'
+  ],
+  moderator: [
+    'dashboard:view',
+    'comments:moderate',
+    'users:sanction'
+  ],
+  editor: [
+    'dashboard:view',
+    'articles:create',
+    'articles:edit',
+    'articles:edit:any',
+    'articles:publish',
+    'articles:delete',
+    'articles:generate',
+    'articles:review',
+    'comments:moderate',
+    'users:sanction',
+    'trends:fetch'
+  ],
+  admin: [...PERMISSIONS]
+};
+
+// Scopes a personal API key can be limited to
+export const API_KEY_SCOPES = [
+  'articles:read',
+  'articles:write',
+  'comments:write',
+  'admin:trends',
+  'admin:comments',
+  'admin:users',
+  'admin:dashboard'
+];
+
+// Scope an API key needs before a permission check is even considered
+export const PERMISSION_SCOPES = {
+  'dashboard:view': 'admin:dashboard',
+  'articles:create': 'articles:write',
+  'articles:edit': 'articles:write',
+  'articles:edit:any': 'articles:write',
+  'articles:publish': 'articles:write',
+  'articles:delete': 'articles:write',
+  'articles:generate': 'admin:trends',
+  'articles:review': 'articles:write',
+  'comments:moderate': 'admin:comments',
+  'users:sanction': 'admin:comments',
+  'trends:fetch': 'admin:trends',
+  'redirects:manage': 'articles:write',
+  'categories:manage': 'articles:write',
+  'tags:manage': 'articles:write',
+  'collections:manage': 'articles:write',
+  'users:manage': 'admin:users',
+  'roles:manage': 'admin:users',
+  'audit:view': 'admin:dashboard'
+};
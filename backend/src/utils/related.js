@@ -0,0 +1,107 @@
+import { normalizeWords } from './fingerprint.js';
+
+// Body terms kept per article; enough to characterise it without bloating documents
+export const MAX_TERMS = 30;
+
+// Share of the relatedness score each signal contributes; they add up to 1
+export const RELATED_WEIGHTS = {
+  tags: 0.35,
+  terms: 0.3,
+  keyword: 0.2,
+  category: 0.15
+};
+
+// Words too common to say anything about what an article is about
+const STOPWORDS = new Set(`
+  about above after again against all also among and any are because been before being below
+  between both but can could did does doing down during each even ever every few for from further
+  get gets getting got had has have having her here hers herself him himself his how however into
+  its itself just last like made make makes many may might more most much must new now off once
+  one only other our ours ourselves out over own same she should since some still such than that
+  the their theirs them themselves then there these they this those though through too two under
+  until upon very was were what when where whether which while who whom whose why will with within
+  without would year years yet you your yours yourself yourselves first second well way ways use
+  used using including says said across around although already another become becomes
+`.trim().split(/\s+/));
+
+/**
+ * Most frequent meaningful words of an article body, weighted relative to the most frequent one
+ * @param {string} text - Markdown body
+ * @param {number} limit - Maximum terms to keep
+ * @returns {Array} Terms as { term, weight } with weights in (0, 1]
+ */
+export const extractTerms = (text, limit = MAX_TERMS) => {
+  const counts = new Map();
+
+  for (const word of normalizeWords(text)) {
+    if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word)) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+
+  const top = [...counts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit);
+  const max = top[0]?.[1] || 1;
+
+  return top.map(([term, count]) => ({ term, weight: Math.round((count / max) * 1000) / 1000 }));
+};
+
+/**
+ * Share of distinct values two lists have in common
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @returns {number} Jaccard index from 0 to 1
+ */
+const jaccard = (a = [], b = []) => {
+  const left = new Set(a);
+  const right = new Set(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const value of left) {
+    if (right.has(value)) shared++;
+  }
+
+  return shared / (left.size + right.size - shared);
+};
+
+/**
+ * Cosine similarity of two term lists, with rare terms counting for more
+ * @param {Array} a - Terms of the first article
+ * @param {Array} b - Terms of the second article
+ * @param {Function} idf - Inverse document frequency of a term
+ * @returns {number} Similarity from 0 to 1
+ */
+const termSimilarity = (a = [], b = [], idf) => {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const vector = (terms) => new Map(terms.map(({ term, weight }) => [term, weight * idf(term)]));
+  const left = vector(a);
+  const right = vector(b);
+
+  let dot = 0;
+  for (const [term, value] of left) {
+    if (right.has(term)) dot += value * right.get(term);
+  }
+
+  const norm = (values) => Math.sqrt([...values.values()].reduce((sum, value) => sum + value * value, 0));
+  const denominator = norm(left) * norm(right);
+
+  return denominator > 0 ? dot / denominator : 0;
+};
+
+/**
+ * How closely a candidate relates to an article
+ * @param {Object} source - Article with tags, category, trendData and terms
+ * @param {Object} candidate - Article to compare, with the same fields
+ * @param {Function} idf - Inverse document frequency of a term
+ * @returns {number} Score from 0 to 1
+ */
+export const scoreRelated = (source, candidate, idf = () => 1) => {
+  const keywordWords = (article) => normalizeWords(article.trendData?.keyword || '');
+
+  return RELATED_WEIGHTS.tags * jaccard(source.tags, candidate.tags) +
+    RELATED_WEIGHTS.terms * termSimilarity(source.terms, candidate.terms, idf) +
+    RELATED_WEIGHTS.keyword * jaccard(keywordWords(source), keywordWords(candidate)) +
+    RELATED_WEIGHTS.category * (source.category === candidate.category ? 1 : 0);
+};
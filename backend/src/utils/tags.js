@@ -0,0 +1,30 @@
+import slugify from 'slugify';
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Canonical spelling of a free-text tag: lowercase, dots and apostrophes dropped
+ * ("A.I." → "ai"), other punctuation turned into single spaces. Dots between
+ * digits ("gpt 3.5") and the + and # of names like "c++" or "c#" are kept.
+ * @param {string} tag - Tag as typed or generated
+ * @returns {string} Normalized tag, empty when nothing is left
+ */
+export const normalizeTag = (tag) => String(tag ?? '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/['’]|(?<!\d)\.|\.(?!\d)/g, '')
+  .replace(/[^\p{L}\p{N}+#.]+/gu, ' ')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .slice(0, MAX_TAG_LENGTH)
+  .trim();
+
+/**
+ * URL form of a normalized tag, used for /api/tags/:tag
+ * @param {string} tag - Normalized tag
+ * @returns {string} Slug
+ */
+export const tagSlug = (tag) => slugify(
+  tag.replace(/\+/g, ' plus ').replace(/#/g, ' sharp '),
+  { lower: true, strict: true }
+) || encodeURIComponent(tag.replace(/\s+/g, '-'));
@@ -0,0 +1,36 @@
+// User agents of crawlers, link previewers, monitors and HTTP libraries
+const BOT_PATTERN = new RegExp([
+  'bot\\b', 'bot/', 'crawl', 'spider', 'slurp', 'scrape', 'archiver', 'fetcher',
+  'facebookexternalhit', 'embedly', 'quora link preview', 'whatsapp', 'telegram', 'skypeuripreview',
+  'headlesschrome', 'phantomjs', 'lighthouse', 'pagespeed', 'pingdom', 'uptime', 'monitor',
+  'curl/', 'wget/', 'python-', 'python/', 'java/', 'go-http-client', 'okhttp', 'axios/', 'node-fetch',
+  'undici', 'libwww', 'httpclient', 'postman', 'insomnia', 'feed', 'rss'
+].join('|'), 'i');
+
+/**
+ * Whether a request comes from a known crawler or non-browser client
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} True for bots and requests without a user agent
+ */
+export const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+/**
+ * Domain of a referrer URL without the www. prefix
+ * @param {string} referrer - Referrer URL
+ * @returns {string} Domain, or 'direct' when there is no usable referrer
+ */
+export const referrerDomain = (referrer) => {
+  try {
+    return new URL(referrer).hostname.toLowerCase().replace(/^www\./, '') || 'direct';
+  } catch {
+    return 'direct';
+  }
+};
+
+/**
+ * UTC midnight of the day a date falls on
+ * @param {Date} date - Any time in the day
+ * @returns {Date} Start of the day
+ */
+export const startOfDay = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
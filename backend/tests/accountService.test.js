@@ -0,0 +1,55 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Comment from '../src/models/Comment.js';
+import AccountService from '../src/services/accountService.js';
+
+const accountService = new AccountService();
+accountService.commentPolicy = 'delete';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('AccountService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('eraseComments', () => {
+    const userId = id();
+    const article = id();
+
+    const comment = (parentComment = null) => ({ _id: id(), article, parentComment, status: 'approved', deletedAt: null });
+
+    const stubComments = (owned, repliedTo) => {
+      jest.spyOn(Comment, 'find').mockReturnValue({ withDeleted: () => ({ select: () => ({ lean: async () => owned }) }) });
+      jest.spyOn(Comment, 'distinct').mockReturnValue({ withDeleted: async () => repliedTo });
+      jest.spyOn(accountService, 'recountArticleComments').mockResolvedValue();
+      return {
+        blank: jest.spyOn(Comment, 'updateMany').mockResolvedValue({ modifiedCount: 0 }),
+        remove: jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: 0 })
+      };
+    };
+
+    it('blanks every comment of the user above a reply by someone else', async () => {
+      // A → B by the erased user, then C by someone else under B; D stands alone
+      const a = comment();
+      const b = comment(a._id);
+      const d = comment();
+      const { blank, remove } = stubComments([a, b, d], [b._id]);
+
+      await accountService.eraseComments(userId);
+
+      const blanked = blank.mock.calls[0][0]._id.$in.map(String);
+      expect(blanked.sort()).toEqual([a._id, b._id].map(String).sort());
+      expect(remove.mock.calls[0][0]._id.$in.map(String)).toEqual([d._id.toString()]);
+    });
+
+    it('deletes comments nobody else replied to', async () => {
+      const a = comment();
+      const b = comment(a._id);
+      const { blank, remove } = stubComments([a, b], []);
+
+      await accountService.eraseComments(userId);
+
+      expect(blank.mock.calls[0][0]._id.$in).toEqual([]);
+      expect(remove.mock.calls[0][0]._id.$in).toEqual([a._id, b._id]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { PassThrough } from 'stream';
+import AuditLog from '../src/models/AuditLog.js';
+import AuditService from '../src/services/auditService.js';
+
+const auditService = new AuditService();
+
+const entry = (overrides = {}) => ({
+  createdAt: new Date('2024-05-01T10:00:00Z'),
+  actor: '65f000000000000000000001',
+  actorName: 'Ada',
+  actorEmail: 'ada@example.com',
+  actorRole: 'admin',
+  action: 'user.update',
+  target: { type: 'user', id: '65f000000000000000000002', label: 'Grace' },
+  ipAddress: '203.0.113.5',
+  changes: { before: { role: 'user' }, after: { role: 'author' } },
+  ...overrides
+});
+
+// Mimics AuditLog.find().sort().lean().cursor() over the given entries
+const mockFind = (logs) => jest.spyOn(AuditLog, 'find').mockReturnValue({
+  sort: () => ({
+    lean: () => ({
+      cursor: async function* () { yield* logs; }
+    })
+  })
+});
+
+const collect = async (format, logs) => {
+  mockFind(logs);
+  const output = new PassThrough();
+  let text = '';
+  output.on('data', chunk => { text += chunk; });
+  const count = await auditService.exportLogs({}, format, output);
+  return { count, text };
+};
+
+describe('AuditService CSV export', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('writes a header and one row per entry', async () => {
+    const { count, text } = await collect('csv', [entry()]);
+    const [header, row, end] = text.split('\n');
+
+    expect(count).toBe(1);
+    expect(header).toBe('createdAt,actor,actorName,actorEmail,actorRole,action,targetType,targetId,targetLabel,ipAddress,before,after');
+    expect(row).toBe('2024-05-01T10:00:00.000Z,65f000000000000000000001,Ada,ada@example.com,admin,user.update,user,65f000000000000000000002,Grace,203.0.113.5,"{""role"":""user""}","{""role"":""author""}"');
+    expect(end).toBe('');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    const row = auditService.toCSVRow(entry({ target: { type: 'article', id: '1', label: 'Say "hi",\nthen go' } }));
+
+    expect(row).toContain(',"Say ""hi"",\nthen go",');
+  });
+
+  it('leaves missing values empty', () => {
+    const row = auditService.toCSVRow(entry({ actorEmail: null, target: undefined, ipAddress: undefined, changes: null }));
+
+    expect(row).toBe('2024-05-01T10:00:00.000Z,65f000000000000000000001,Ada,,admin,user.update,,,,,,\n');
+  });
+
+  it.each(['=HYPERLINK("http://evil")', '+1+1', '-2+3', '@SUM(A1)', '\tcmd'])(
+    'neutralises a cell starting a formula: %j',
+    (label) => {
+      const row = auditService.toCSVRow(entry({ target: { type: 'article', id: '1', label } }));
+      const cells = row.split(',');
+
+      expect(row).toContain(`'${label.replace(/"/g, '""')}`);
+      expect(cells[8].replace(/^"/, '').startsWith("'")).toBe(true);
+    }
+  );
+
+  it('streams NDJSON without CSV escaping', async () => {
+    const { text } = await collect('ndjson', [entry({ actorName: '=cmd' })]);
+
+    expect(JSON.parse(text.trim()).actorName).toBe('=cmd');
+  });
+});
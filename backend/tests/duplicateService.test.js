@@ -0,0 +1,124 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import Article from '../src/models/Article.js';
+import DuplicateService from '../src/services/duplicateService.js';
+import ArticleService from '../src/services/articleService.js';
+import { fingerprintArticle } from '../src/utils/fingerprint.js';
+
+// ArticleService builds an OpenAI client, which needs a key even though it is never called
+process.env.OPENAI_API_KEY ||= 'test';
+
+const duplicateService = new DuplicateService();
+
+const STORY = 'The city council approved a new plan on Tuesday to expand bike lanes across the downtown core, ' +
+  'adding protected routes on six major streets and linking the waterfront trail to the central station by next summer.';
+
+const OTHER = 'Researchers published a study showing that honeybees can learn to recognise simple shapes, ' +
+  'which suggests insect brains handle abstract patterns better than scientists had long assumed about them.';
+
+const article = (id, title, content, extra = {}) => ({
+  _id: id,
+  title,
+  slug: title.toLowerCase().replace(/\W+/g, '-'),
+  status: 'published',
+  createdAt: new Date('2024-01-01'),
+  fingerprint: fingerprintArticle({ title, content }),
+  ...extra
+});
+
+describe('DuplicateService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('blocks a copy and ignores an unrelated article', async () => {
+    const stored = [
+      article('a1', 'Council expands downtown bike lanes', STORY),
+      article('b1', 'Bees recognise shapes', OTHER)
+    ];
+    jest.spyOn(Article, 'find').mockImplementation((query) => ({
+      select: () => ({
+        lean: async () => stored.filter(entry => entry.fingerprint.bands.some(band => query['fingerprint.bands'].$in.includes(band)))
+      })
+    }));
+
+    const result = await duplicateService.check({ title: 'Council expands downtown bike lanes', content: STORY });
+
+    expect(result.blocked).toBe(true);
+    expect(result.matches.map(match => match._id)).toEqual(['a1']);
+    expect(result.matches[0].similarity).toBe(1);
+  });
+
+  it('clusters articles sharing bands and loads only those', async () => {
+    const articles = [
+      article('a1', 'Council expands downtown bike lanes', STORY, { stats: { views: 5 } }),
+      article('a2', 'Council expands downtown bike lanes', `${STORY} Work starts in May.`, { status: 'draft' }),
+      article('b1', 'Bees recognise shapes', OTHER)
+    ];
+
+    // Bands the aggregation would report as shared by more than one article
+    const owners = new Map();
+    for (const { _id, fingerprint } of articles) {
+      for (const band of fingerprint.bands) owners.set(band, [...(owners.get(band) || []), _id]);
+    }
+    const shared = [...owners].filter(([, ids]) => ids.length > 1).map(([band, ids]) => ({ _id: band, ids }));
+
+    jest.spyOn(Article, 'aggregate').mockReturnValue({ allowDiskUse: async () => shared });
+    jest.spyOn(Article, 'countDocuments').mockResolvedValue(3);
+    const find = jest.spyOn(Article, 'find').mockImplementation((query) => ({
+      select: () => ({ lean: async () => articles.filter(entry => query._id.$in.includes(entry._id)) })
+    }));
+
+    const { clusters, articlesScanned } = await duplicateService.getClusters({ threshold: 0.5 });
+
+    expect(articlesScanned).toBe(3);
+    expect(find.mock.calls[0][0]._id.$in.sort()).toEqual(['a1', 'a2']);
+    expect(clusters).toHaveLength(1);
+    expect(clusters[0].articles.map(entry => entry._id).sort()).toEqual(['a1', 'a2']);
+    expect(clusters[0].suggestedKeep).toBe('a1');
+    expect(clusters[0].articles[0].fingerprint).toBeUndefined();
+  });
+
+  it('does not fingerprint anything while building the report', async () => {
+    jest.spyOn(Article, 'aggregate').mockReturnValue({ allowDiskUse: async () => [] });
+    jest.spyOn(Article, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Article, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    const bulkWrite = jest.spyOn(Article, 'bulkWrite');
+
+    await duplicateService.getClusters();
+
+    expect(bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('backfills in batches until no article is missing a fingerprint', async () => {
+    const pending = Array.from({ length: 5 }, (_, i) => ({ _id: `p${i}`, title: `Title ${i}`, content: STORY }));
+    jest.spyOn(Article, 'find').mockImplementation(() => ({
+      select: () => ({ limit: (n) => ({ lean: async () => pending.splice(0, n) }) })
+    }));
+    const bulkWrite = jest.spyOn(Article, 'bulkWrite').mockResolvedValue({});
+
+    expect(await duplicateService.backfill(2)).toBe(5);
+    expect(bulkWrite).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('ArticleService.updateArticle fingerprints', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('keeps the new fingerprint when the same update changes the schedule', async () => {
+    const articleService = new ArticleService();
+    const previous = { _id: 'a1', title: 'Old title', content: OTHER, status: 'draft', slug: 'old-title' };
+
+    jest.spyOn(Article, 'findById').mockReturnValue({ lean: async () => previous });
+    const update = jest.spyOn(Article, 'findByIdAndUpdate').mockImplementation((id, changes) => ({
+      populate: async () => ({ ...previous, ...changes })
+    }));
+    jest.spyOn(articleService.revisionService, 'ensureBaseline').mockResolvedValue(null);
+    jest.spyOn(articleService.revisionService, 'recordRevision').mockResolvedValue(null);
+    jest.spyOn(articleService.searchService, 'indexArticle').mockResolvedValue(null);
+
+    await articleService.updateArticle('a1', { title: 'Council expands downtown bike lanes', content: STORY, status: 'published' });
+
+    const [, changes] = update.mock.calls[0];
+    expect(changes.status).toBe('published');
+    expect(changes.publishedAt).toBeInstanceOf(Date);
+    expect(changes.fingerprint).toEqual(fingerprintArticle({ title: 'Council expands downtown bike lanes', content: STORY }));
+  });
+});
@@ -0,0 +1,90 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import { escapeXml, imageType, renderRss, renderAtom, renderJsonFeed } from '../src/utils/feed.js';
+import FeedService from '../src/services/feedService.js';
+
+const feedService = new FeedService();
+
+const item = (overrides = {}) => ({
+  id: 'tag:example.com,2024:article:1',
+  url: 'https://example.com/article/bikes',
+  title: 'Bikes & <lanes>',
+  summary: 'More lanes downtown',
+  contentHtml: null,
+  publishedAt: new Date('2026-01-02T10:00:00Z'),
+  updatedAt: new Date('2026-01-03T10:00:00Z'),
+  author: 'Sam',
+  categories: [{ label: 'Local', domain: 'https://example.com/category/local' }, { label: 'bikes', domain: null }],
+  image: null,
+  ...overrides
+});
+
+const feed = (items) => ({
+  title: 'TrendWise',
+  description: 'Latest articles',
+  link: 'https://example.com',
+  feedUrl: 'https://example.com/feeds/rss',
+  language: 'en',
+  updated: new Date('2026-01-03T10:00:00Z'),
+  items
+});
+
+describe('feed rendering', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('escapes markup and strips control characters', () => {
+    expect(escapeXml('a & "b" <c>\u0001')).toBe('a &amp; &quot;b&quot; &lt;c&gt;');
+  });
+
+  it('guesses image types from the extension', () => {
+    expect(imageType('/uploads/a.webp?w=800')).toBe('image/webp');
+    expect(imageType('/uploads/a')).toBe('image/jpeg');
+  });
+
+  it('keeps full content in CDATA, splitting any ]]> inside', () => {
+    const xml = renderRss(feed([item({ contentHtml: '<p>a ]]> b</p>' })]));
+
+    expect(xml).toContain('<content:encoded><![CDATA[<p>a ]]]]><![CDATA[> b</p>]]></content:encoded>');
+    expect(xml).toContain('<title>Bikes &amp; &lt;lanes&gt;</title>');
+  });
+
+  it('gives RSS enclosures the image size and leaves out images of unknown size', () => {
+    const known = renderRss(feed([item({ image: { url: 'https://example.com/a.png', type: 'image/png', length: 5120 } })]));
+    const unknown = renderRss(feed([item({ image: { url: 'https://example.com/b.png', type: 'image/png', length: null } })]));
+
+    expect(known).toContain('<enclosure url="https://example.com/a.png" type="image/png" length="5120"/>');
+    expect(unknown).not.toContain('<enclosure');
+    expect(renderAtom(feed([item({ image: { url: 'https://example.com/b.png', type: 'image/png', length: null } })])))
+      .toContain('<link rel="enclosure" type="image/png" href="https://example.com/b.png"/>');
+  });
+
+  it('falls back to the summary as JSON Feed text', () => {
+    const [entry] = JSON.parse(renderJsonFeed(feed([item()]))).items;
+
+    expect(entry.content_text).toBe('More lanes downtown');
+    expect(entry.tags).toEqual(['Local', 'bikes']);
+  });
+
+  describe('FeedService', () => {
+    it('reads the size of a featured image from its asset or variant', () => {
+      const asset = {
+        url: '/uploads/a.jpg',
+        size: 2048,
+        mimeType: 'image/jpeg',
+        variants: [{ format: 'webp', url: '/uploads/a-800.webp', size: 900 }]
+      };
+
+      expect(feedService.imageFile({ url: '/uploads/a.jpg', asset })).toEqual({ size: 2048, type: 'image/jpeg' });
+      expect(feedService.imageFile({ url: '/uploads/a-800.webp', asset })).toEqual({ size: 900, type: 'image/webp' });
+      expect(feedService.imageFile({ url: 'https://cdn.example.com/a.jpg', asset: null })).toBeNull();
+    });
+
+    it('answers 404 for a missing tag and passes other errors through', async () => {
+      jest.spyOn(feedService.tagService, 'resolveTag')
+        .mockRejectedValueOnce(new Error('Tag not found'))
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(feedService.resolveFeed('tag', 'nope')).rejects.toMatchObject({ status: 404 });
+      await expect(feedService.resolveFeed('tag', 'bikes')).rejects.not.toHaveProperty('status');
+    });
+  });
+});
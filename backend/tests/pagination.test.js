@@ -0,0 +1,111 @@
+import { describe, it, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import { encodeCursor, decodeCursor, afterCursor, cursorSort, takePage, buildPagination } from '../src/utils/pagination.js';
+
+const byPublished = { field: 'publishedAt', order: 'desc' };
+const byViews = { field: 'stats.views', order: 'asc' };
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('cursor pagination', () => {
+  describe('encodeCursor and decodeCursor', () => {
+    it('round-trips dates, nested fields and the tie-breaking ID', () => {
+      const item = { _id: id(), publishedAt: new Date('2026-02-03T04:05:06Z'), stats: { views: 42 } };
+
+      const position = decodeCursor(encodeCursor(item, byPublished), byPublished);
+      expect(position.value).toEqual(item.publishedAt);
+      expect(position.id.equals(item._id)).toBe(true);
+
+      expect(decodeCursor(encodeCursor(item, byViews), byViews).value).toBe(42);
+    });
+
+    it('keeps a missing value as null', () => {
+      const item = { _id: id() };
+
+      expect(decodeCursor(encodeCursor(item, byViews), byViews).value).toBeNull();
+    });
+
+    it('rejects cursors that are not its own', () => {
+      const garbage = Buffer.from('{"v":1,"id":"nope"}').toString('base64url');
+
+      expect(() => decodeCursor('not a cursor', byPublished)).toThrow(expect.objectContaining({ status: 400 }));
+      expect(() => decodeCursor(garbage, byPublished)).toThrow('Invalid cursor');
+    });
+
+    it('rejects values that are not plain strings, numbers, booleans or null', () => {
+      const craft = (fields) => Buffer.from(JSON.stringify({ f: 'publishedAt', o: 'desc', id: id().toString(), ...fields })).toString('base64url');
+
+      expect(() => decodeCursor(craft({ v: { $ne: null } }), byPublished)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(craft({ v: [1] }), byPublished)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(craft({ v: 'not a date', d: true }), byPublished)).toThrow('Invalid cursor');
+      expect(() => decodeCursor(craft({ v: 5, id: { $gt: '' } }), byPublished)).toThrow('Invalid cursor');
+      expect(decodeCursor(craft({ v: 'abc' }), byPublished).value).toBe('abc');
+    });
+
+    it('rejects a cursor made for another sort order', () => {
+      const cursor = encodeCursor({ _id: id(), publishedAt: new Date() }, byPublished);
+
+      expect(() => decodeCursor(cursor, { ...byPublished, order: 'asc' }))
+        .toThrow('Cursor belongs to a different sort order');
+    });
+  });
+
+  describe('afterCursor', () => {
+    const articleId = id();
+
+    it('continues after ties and reaches missing values last when descending', () => {
+      const value = new Date('2026-01-01T00:00:00Z');
+
+      expect(afterCursor({ status: 'published' }, { ...byPublished, value, id: articleId })).toEqual({
+        $and: [
+          { status: 'published' },
+          {
+            $or: [
+              { publishedAt: { $lt: value } },
+              { publishedAt: value, _id: { $lt: articleId } },
+              { publishedAt: null }
+            ]
+          }
+        ]
+      });
+    });
+
+    it('moves on from missing values to set ones when ascending', () => {
+      expect(afterCursor({}, { ...byViews, value: null, id: articleId }).$and[1]).toEqual({
+        $or: [
+          { 'stats.views': null, _id: { $gt: articleId } },
+          { 'stats.views': { $ne: null } }
+        ]
+      });
+    });
+  });
+
+  it('sorts by _id in the same direction to break ties', () => {
+    expect(cursorSort(byPublished)).toEqual({ publishedAt: -1, _id: -1 });
+  });
+
+  describe('takePage and buildPagination', () => {
+    const items = [1, 2, 3].map(views => ({ _id: id(), stats: { views } }));
+
+    it('points the next cursor after the last item kept', () => {
+      const { items: page, nextCursor } = takePage(items, 2, byViews);
+
+      expect(page).toHaveLength(2);
+      expect(decodeCursor(nextCursor, byViews).id.equals(items[1]._id)).toBe(true);
+      expect(takePage(items, 3, byViews).nextCursor).toBeNull();
+    });
+
+    it('leaves totals out of cursor pages', () => {
+      expect(buildPagination({ limit: 2, cursor: 'abc', nextCursor: null }, 'totalArticles'))
+        .toEqual({ limit: 2, hasNextPage: false, nextCursor: null });
+      expect(buildPagination({ page: 2, limit: 2, total: 5, nextCursor: 'next' }, 'totalArticles')).toEqual({
+        currentPage: 2,
+        totalPages: 3,
+        totalArticles: 5,
+        hasNextPage: true,
+        hasPrevPage: true,
+        nextCursor: 'next'
+      });
+    });
+  });
+});
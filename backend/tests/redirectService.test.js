@@ -0,0 +1,162 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Article from '../src/models/Article.js';
+import Redirect from '../src/models/Redirect.js';
+import RedirectService from '../src/services/redirectService.js';
+
+const redirectService = new RedirectService();
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chains used by the service, resolving to the given value
+const lean = (value) => ({ lean: async () => value });
+const selectLean = (value) => ({ select: () => lean(value) });
+
+describe('RedirectService', () => {
+  beforeEach(() => redirectService.invalidate());
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('normalizePath', () => {
+    it.each([
+      ['old-page', '/old-page'],
+      ['/old-page/', '/old-page'],
+      ['  /old-page?utm=1#top ', '/old-page'],
+      ['/', '/']
+    ])('normalizes %j to %j', (input, expected) => {
+      expect(redirectService.normalizePath(input)).toBe(expected);
+    });
+  });
+
+  describe('resolveArticleSlug', () => {
+    it('follows an old slug to the article that had it', async () => {
+      jest.spyOn(Article, 'findOne').mockReturnValue(selectLean({ _id: id(), slug: 'new-slug' }));
+
+      expect(await redirectService.resolveArticleSlug('old-slug')).toEqual({
+        from: '/article/old-slug',
+        to: '/article/new-slug',
+        slug: 'new-slug',
+        permanent: true
+      });
+    });
+
+    it('falls back to a custom redirect and counts the hit', async () => {
+      const redirectId = id();
+      jest.spyOn(Article, 'findOne').mockReturnValue(selectLean(null));
+      jest.spyOn(Redirect, 'findOne').mockReturnValue(lean({ _id: redirectId, from: '/article/gone', to: '/trending', permanent: false }));
+      const hit = jest.spyOn(Redirect, 'updateOne').mockResolvedValue({});
+
+      expect(await redirectService.resolveArticleSlug('gone')).toEqual({
+        from: '/article/gone',
+        to: '/trending',
+        slug: null,
+        permanent: false
+      });
+      expect(hit).toHaveBeenCalledWith({ _id: redirectId }, expect.objectContaining({ $inc: { hits: 1 } }));
+    });
+
+    it('returns null when a redirect points at an unpublished article', async () => {
+      jest.spyOn(Article, 'findOne')
+        .mockReturnValueOnce(selectLean(null))
+        .mockReturnValueOnce(selectLean(null));
+      jest.spyOn(Redirect, 'findOne').mockReturnValue(lean({ _id: id(), from: '/article/x', article: id(), permanent: true }));
+
+      expect(await redirectService.resolveArticleSlug('x')).toBeNull();
+    });
+  });
+
+  describe('createRedirect', () => {
+    beforeEach(() => {
+      jest.spyOn(Article, 'exists').mockResolvedValue(null);
+      jest.spyOn(Redirect, 'exists').mockResolvedValue(null);
+      jest.spyOn(Redirect, 'create').mockImplementation(async (data) => data);
+    });
+
+    it('stores a normalized redirect', async () => {
+      const redirect = await redirectService.createRedirect({ from: 'old-landing/', to: 'trending' }, { _id: 'u1' });
+
+      expect(redirect).toMatchObject({ from: '/old-landing', to: '/trending', permanent: true, createdBy: 'u1' });
+    });
+
+    it.each([
+      [{ from: '/api/articles', to: '/x' }, 400],
+      [{ from: '/a' }, 400],
+      [{ from: '/a', to: '/b', article: id().toString() }, 400],
+      [{ from: '/same', to: '/same/' }, 400],
+      [{ from: '/a', article: 'not-an-id' }, 400]
+    ])('rejects %j', async (data, status) => {
+      await expect(redirectService.createRedirect(data, null)).rejects.toMatchObject({ status });
+    });
+
+    it('refuses a path a live article uses', async () => {
+      Article.exists.mockResolvedValue({ _id: id() });
+
+      await expect(redirectService.createRedirect({ from: '/article/live', to: '/x' }, null))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('getRedirectMap', () => {
+    it('lists old slugs and custom redirects, skipping ones whose article is gone', async () => {
+      const live = id();
+      const gone = id();
+      jest.spyOn(Article, 'find')
+        .mockReturnValueOnce(selectLean([{ slug: 'current', slugHistory: [{ slug: 'first' }, { slug: 'second' }] }]))
+        .mockReturnValueOnce(selectLean([{ _id: live, slug: 'target' }]));
+      jest.spyOn(Redirect, 'find').mockReturnValue(lean([
+        { from: '/promo', to: '/category/tech', permanent: false },
+        { from: '/story', article: live, permanent: true },
+        { from: '/lost', article: gone, permanent: true }
+      ]));
+
+      expect(await redirectService.getRedirectMap()).toEqual([
+        { from: '/article/first', to: '/article/current', permanent: true },
+        { from: '/article/second', to: '/article/current', permanent: true },
+        { from: '/promo', to: '/category/tech', permanent: false },
+        { from: '/story', to: '/article/target', permanent: true }
+      ]);
+    });
+  });
+
+  describe('trackSlugChange', () => {
+    it('records the old slug and frees the new one from other redirects', async () => {
+      jest.spyOn(Article, 'exists').mockReturnValue({ withDeleted: async () => null });
+      const pull = jest.spyOn(Article, 'updateMany').mockResolvedValue({});
+      const drop = jest.spyOn(Redirect, 'deleteMany').mockResolvedValue({});
+      const previous = { _id: id(), slug: 'second', slugHistory: [{ slug: 'first' }, { slug: 'third' }] };
+
+      const history = await redirectService.trackSlugChange(previous, 'third');
+
+      expect(history.map(entry => entry.slug)).toEqual(['first', 'second']);
+      expect(pull).toHaveBeenCalledWith(expect.objectContaining({ 'slugHistory.slug': 'third' }), expect.anything());
+      expect(drop).toHaveBeenCalledWith({ from: '/article/third' });
+    });
+
+    it('refuses a slug another article holds', async () => {
+      jest.spyOn(Article, 'exists').mockReturnValue({ withDeleted: async () => ({ _id: id() }) });
+
+      await expect(redirectService.trackSlugChange({ _id: id(), slug: 'a' }, 'b'))
+        .rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('trackCategorySlugChange', () => {
+    it('redirects the old category path and repoints redirects that led to it', async () => {
+      const drop = jest.spyOn(Redirect, 'deleteOne').mockResolvedValue({});
+      const repoint = jest.spyOn(Redirect, 'updateMany').mockResolvedValue({});
+      const upsert = jest.spyOn(Redirect, 'findOneAndUpdate').mockResolvedValue({});
+
+      await redirectService.trackCategorySlugChange('tech', 'technology', { _id: 'u1' });
+
+      expect(drop).toHaveBeenCalledWith({ from: '/category/technology' });
+      expect(repoint).toHaveBeenCalledWith({ to: '/category/tech' }, { $set: { to: '/category/technology' } });
+      expect(upsert).toHaveBeenCalledWith(
+        { from: '/category/tech' },
+        expect.objectContaining({
+          $set: expect.objectContaining({ to: '/category/technology', permanent: true }),
+          $setOnInsert: { createdBy: 'u1' }
+        }),
+        expect.objectContaining({ upsert: true })
+      );
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import SanctionService from '../src/services/sanctionService.js';
+import PermissionService from '../src/services/permissionService.js';
+
+const sanctionService = new SanctionService();
+const permissionService = new PermissionService();
+
+const HOUR = 60 * 60 * 1000;
+
+let users;
+
+const makeUser = (role) => {
+  const user = new User({ name: role, email: `${role}-${users.size}@example.com`, role });
+  users.set(user._id.toString(), user);
+  return user;
+};
+
+describe('SanctionService', () => {
+  beforeEach(() => {
+    users = new Map();
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => users.get(id.toString()) || null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function () { return this; });
+    // Default permission matrix
+    jest.spyOn(Role, 'find').mockReturnValue({ lean: async () => [] });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('issueSanction', () => {
+    it('records a suspension with its expiry', async () => {
+      const moderator = makeUser('moderator');
+      const author = makeUser('author');
+      const expiresAt = new Date(Date.now() + HOUR);
+
+      const { sanction } = await sanctionService.issueSanction(author._id, { type: 'suspension', reason: 'Spam', expiresAt }, moderator);
+
+      expect(sanction.type).toBe('suspension');
+      expect(sanction.issuedBy).toEqual(moderator._id);
+      expect(sanction.expiresAt).toEqual(expiresAt);
+      expect(author.getModerationStatus()).toBe('suspended');
+    });
+
+    it('makes bans permanent', async () => {
+      const { sanction } = await sanctionService.issueSanction(
+        makeUser('user')._id,
+        { type: 'ban', reason: 'Abuse', expiresAt: new Date(Date.now() + HOUR) },
+        makeUser('editor')
+      );
+
+      expect(sanction.expiresAt).toBeNull();
+    });
+
+    it('rejects sanctioning yourself', async () => {
+      const moderator = makeUser('moderator');
+
+      await expect(sanctionService.issueSanction(moderator._id, { type: 'mute', reason: 'x' }, moderator))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it.each([
+      ['moderator', 'moderator'],
+      ['moderator', 'editor'],
+      ['editor', 'admin'],
+      ['admin', 'admin']
+    ])('rejects a %s sanctioning a %s', async (issuerRole, targetRole) => {
+      const target = makeUser(targetRole);
+
+      await expect(sanctionService.issueSanction(target._id, { type: 'mute', reason: 'x' }, makeUser(issuerRole)))
+        .rejects.toMatchObject({ status: 403 });
+      expect(target.sanctions).toHaveLength(0);
+    });
+  });
+
+  describe('restrictions', () => {
+    it('reports the most severe active sanction', async () => {
+      const moderator = makeUser('moderator');
+      const user = makeUser('user');
+      await sanctionService.issueSanction(user._id, { type: 'mute', reason: 'Noise' }, moderator);
+      await sanctionService.issueSanction(user._id, { type: 'suspension', reason: 'Spam', expiresAt: new Date(Date.now() + HOUR) }, moderator);
+
+      expect(sanctionService.getRestriction(user, 'comment').type).toBe('suspension');
+      expect(sanctionService.getRestriction(user, 'interact').type).toBe('suspension');
+    });
+
+    it('lets muted users interact but not comment', async () => {
+      const user = makeUser('user');
+      await sanctionService.issueSanction(user._id, { type: 'mute', reason: 'Noise' }, makeUser('moderator'));
+
+      expect(sanctionService.getRestriction(user, 'comment').type).toBe('mute');
+      expect(sanctionService.getRestriction(user, 'interact')).toBeNull();
+    });
+
+    it('ignores expired and lifted sanctions', async () => {
+      const moderator = makeUser('moderator');
+      const user = makeUser('user');
+      user.sanctions.push({ type: 'suspension', reason: 'Old', issuedBy: moderator._id, expiresAt: new Date(Date.now() - HOUR) });
+      const { sanction } = await sanctionService.issueSanction(user._id, { type: 'mute', reason: 'Noise' }, moderator);
+      await sanctionService.liftSanction(user._id, sanction._id, moderator, 'Apologised');
+
+      expect(sanctionService.getRestriction(user, 'comment')).toBeNull();
+      expect(user.getModerationStatus()).toBe('active');
+    });
+  });
+
+  describe('permissions while sanctioned', () => {
+    it('withholds role permissions during a suspension and restores them when lifted', async () => {
+      const editor = makeUser('editor');
+      const admin = makeUser('admin');
+
+      expect(await permissionService.hasPermission(editor, 'articles:publish')).toBe(true);
+
+      const { sanction } = await sanctionService.issueSanction(
+        editor._id,
+        { type: 'suspension', reason: 'Leaked drafts', expiresAt: new Date(Date.now() + HOUR) },
+        admin
+      );
+      expect(await permissionService.hasPermission(editor, 'articles:publish')).toBe(false);
+      expect(await permissionService.hasPermission(editor, 'comments:moderate')).toBe(false);
+
+      await sanctionService.liftSanction(editor._id, sanction._id, admin, 'Resolved');
+      expect(await permissionService.hasPermission(editor, 'articles:publish')).toBe(true);
+    });
+
+    it('keeps role permissions while muted', async () => {
+      const author = makeUser('author');
+      await sanctionService.issueSanction(author._id, { type: 'mute', reason: 'Noise' }, makeUser('moderator'));
+
+      expect(await permissionService.hasPermission(author, 'articles:edit')).toBe(true);
+    });
+  });
+
+  describe('appeals', () => {
+    it('lifts the sanction when an appeal is overturned', async () => {
+      const moderator = makeUser('moderator');
+      const user = makeUser('user');
+      const { sanction } = await sanctionService.issueSanction(user._id, { type: 'ban', reason: 'Spam' }, moderator);
+
+      await sanctionService.submitAppeal(user, sanction._id, 'It was my brother');
+      await expect(sanctionService.submitAppeal(user, sanction._id, 'Again'))
+        .rejects.toMatchObject({ status: 400 });
+
+      await sanctionService.resolveAppeal(user._id, sanction._id, moderator, 'overturned', 'Fair enough');
+
+      expect(sanction.appeal.status).toBe('overturned');
+      expect(sanction.isActive).toBe(false);
+      expect(sanction.liftReason).toBe('Appeal overturned');
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import SearchLog from '../src/models/SearchLog.js';
+import SearchAnalyticsService from '../src/services/searchAnalyticsService.js';
+
+// ArticleService builds an OpenAI client, which needs a key even though it is never called
+process.env.OPENAI_API_KEY ||= 'test';
+
+const searchAnalyticsService = new SearchAnalyticsService();
+const { articleService } = searchAnalyticsService;
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('SearchAnalyticsService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('recordClick', () => {
+    it('ignores clicks once a search has the most it keeps', async () => {
+      const update = jest.spyOn(SearchLog, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      expect(await searchAnalyticsService.recordClick(id(), id(), 1)).toBe(false);
+      expect(update.mock.calls[0][0]).toEqual(expect.objectContaining({ 'clicks.19': { $exists: false } }));
+    });
+  });
+
+  describe('generateFromQuery', () => {
+    it('reports the existing article when the result is a near-duplicate', async () => {
+      const existing = { _id: id(), title: 'Heat pump subsidies', slug: 'heat-pump-subsidies', status: 'published', similarity: 0.9 };
+      jest.spyOn(articleService, 'assertCategory').mockResolvedValue();
+      jest.spyOn(SearchLog, 'countDocuments').mockResolvedValue(4);
+      const generate = jest.spyOn(articleService, 'generateArticlesFromTrends').mockRejectedValue(
+        Object.assign(new Error('Article is a near-duplicate of "Heat pump subsidies"'), { status: 409, duplicate: existing })
+      );
+
+      await expect(searchAnalyticsService.generateFromQuery('Heat pump subsidies')).rejects.toMatchObject({
+        status: 409,
+        duplicate: existing
+      });
+      expect(generate).toHaveBeenCalledWith(expect.objectContaining({ rejectDuplicates: true }));
+    });
+  });
+});
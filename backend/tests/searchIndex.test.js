@@ -0,0 +1,91 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Article from '../src/models/Article.js';
+import Category from '../src/models/Category.js';
+import Comment from '../src/models/Comment.js';
+import ArticleRevision from '../src/models/ArticleRevision.js';
+import Collection from '../src/models/Collection.js';
+import Redirect from '../src/models/Redirect.js';
+import ArticleVisit from '../src/models/ArticleVisit.js';
+import ArticleDailyStat from '../src/models/ArticleDailyStat.js';
+import { getSearchIndex, indexArticles } from '../src/search/index.js';
+import TagService from '../src/services/tagService.js';
+import CategoryService from '../src/services/categoryService.js';
+import TrashService from '../src/services/trashService.js';
+
+const tagService = new TagService();
+const categoryService = new CategoryService();
+const trashService = new TrashService();
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Article.find(...).withDeleted().distinct('_id') resolving to the given IDs
+const distinctIds = (ids) => ({ withDeleted: () => ({ distinct: async () => ids }) });
+
+const spyOnIndex = () => ({
+  indexArticle: jest.spyOn(getSearchIndex(), 'indexArticle'),
+  removeArticle: jest.spyOn(getSearchIndex(), 'removeArticle'),
+  invalidate: jest.spyOn(getSearchIndex(), 'invalidate')
+});
+
+describe('search index bulk updates', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('indexes every article and carries on past a failure', async () => {
+    const index = spyOnIndex();
+    const [first, second] = [id(), id()];
+    index.indexArticle.mockRejectedValueOnce(new Error('engine down'));
+
+    await expect(indexArticles([first, second])).resolves.toBeUndefined();
+
+    expect(index.indexArticle).toHaveBeenCalledWith(first);
+    expect(index.indexArticle).toHaveBeenCalledWith(second);
+    expect(index.invalidate).toHaveBeenCalled();
+  });
+
+  it('reindexes articles whose tags are merged into another', async () => {
+    const index = spyOnIndex();
+    const ids = [id(), id()];
+    jest.spyOn(Article, 'find').mockReturnValue(distinctIds(ids));
+    jest.spyOn(Article, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await tagService.rewriteArticles(['js'], 'javascript')).toBe(2);
+
+    expect(index.indexArticle.mock.calls.map(([articleId]) => articleId)).toEqual(ids);
+  });
+
+  it('reindexes articles moved out of a deleted category', async () => {
+    const index = spyOnIndex();
+    const ids = [id()];
+    jest.spyOn(Category, 'findById').mockResolvedValue({ _id: id(), slug: 'gadgets' });
+    jest.spyOn(Category, 'exists')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ _id: id() });
+    jest.spyOn(Category, 'deleteOne').mockResolvedValue({});
+    jest.spyOn(Article, 'countDocuments').mockReturnValue({ withDeleted: async () => 1 });
+    jest.spyOn(Article, 'find').mockReturnValue(distinctIds(ids));
+    jest.spyOn(Article, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await categoryService.deleteCategory('id', { reassignTo: 'technology' });
+
+    expect(result.articlesMoved).toBe(1);
+    expect(index.indexArticle).toHaveBeenCalledWith(ids[0]);
+  });
+
+  it('removes purged articles from the index', async () => {
+    const index = spyOnIndex();
+    const purged = id();
+    jest.spyOn(Article, 'find').mockReturnValue({ select: () => ({ lean: async () => [{ _id: purged }] }) });
+    jest.spyOn(Comment, 'find').mockReturnValue({ select: () => ({ lean: async () => [] }) });
+    jest.spyOn(Article, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    for (const Model of [ArticleRevision, Redirect, ArticleVisit, ArticleDailyStat]) {
+      jest.spyOn(Model, 'deleteMany').mockResolvedValue({});
+    }
+    jest.spyOn(Collection, 'updateMany').mockResolvedValue({});
+
+    expect(await trashService.purgeExpired()).toEqual({ articles: 1, comments: 0 });
+
+    expect(index.removeArticle).toHaveBeenCalledWith(purged);
+  });
+});
@@ -0,0 +1,50 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Article from '../src/models/Article.js';
+import Comment from '../src/models/Comment.js';
+import User from '../src/models/User.js';
+import ArticleRevision from '../src/models/ArticleRevision.js';
+import Collection from '../src/models/Collection.js';
+import Redirect from '../src/models/Redirect.js';
+import ArticleVisit from '../src/models/ArticleVisit.js';
+import ArticleDailyStat from '../src/models/ArticleDailyStat.js';
+import TrashService from '../src/services/trashService.js';
+
+const trashService = new TrashService();
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Query chains used by the service, resolving to the given value
+const selectLean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('TrashService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('purgeExpired', () => {
+    it('drops live comments from their authors\' counters and deletes what points at purged articles', async () => {
+      const [purged, author] = [id(), id()];
+      jest.spyOn(Article, 'find').mockReturnValue(selectLean([{ _id: purged }]));
+      jest.spyOn(Comment, 'find').mockReturnValue(selectLean([
+        { article: purged, author, status: 'approved' },
+        { article: purged, author, status: 'approved' },
+        { article: purged, author, status: 'pending' }
+      ]));
+      jest.spyOn(Article, 'bulkWrite').mockResolvedValue({});
+      const userCounters = jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+      jest.spyOn(Article, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+      jest.spyOn(Comment, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+      jest.spyOn(ArticleRevision, 'deleteMany').mockResolvedValue({});
+      jest.spyOn(Collection, 'updateMany').mockResolvedValue({});
+      const related = [Redirect, ArticleVisit, ArticleDailyStat].map(Model => jest.spyOn(Model, 'deleteMany').mockResolvedValue({}));
+
+      expect(await trashService.purgeExpired()).toEqual({ articles: 1, comments: 3 });
+
+      expect(userCounters).toHaveBeenCalledWith([{
+        updateOne: { filter: { _id: author.toString() }, update: { $inc: { 'stats.commentsCount': -2 } } }
+      }]);
+      for (const deleteMany of related) {
+        expect(deleteMany).toHaveBeenCalledWith({ article: { $in: [purged] } });
+      }
+    });
+  });
+});
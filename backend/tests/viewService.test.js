@@ -0,0 +1,112 @@
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Article from '../src/models/Article.js';
+import ArticleVisit from '../src/models/ArticleVisit.js';
+import ArticleDailyStat from '../src/models/ArticleDailyStat.js';
+import ViewService from '../src/services/viewService.js';
+import { startOfDay } from '../src/utils/visitors.js';
+
+const viewService = new ViewService();
+
+const id = () => new mongoose.Types.ObjectId();
+
+const BROWSER = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 Safari/605.1.15';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('ViewService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('visitorId', () => {
+    const day = startOfDay(new Date('2026-03-01T12:00:00Z'));
+    const reader = { ip: '203.0.113.7', userAgent: BROWSER };
+
+    it('is the same for a visitor all day and changes the next day', () => {
+      expect(viewService.visitorId(reader, day)).toBe(viewService.visitorId(reader, day));
+      expect(viewService.visitorId(reader, new Date(day.getTime() + DAY))).not.toBe(viewService.visitorId(reader, day));
+    });
+
+    it('follows a signed-in user across addresses', () => {
+      const user = { userId: 'u1', userAgent: BROWSER };
+
+      expect(viewService.visitorId({ ...user, ip: '203.0.113.7' }, day))
+        .toBe(viewService.visitorId({ ...user, ip: '198.51.100.2' }, day));
+    });
+  });
+
+  describe('countView', () => {
+    const visitor = { ip: '203.0.113.7', userAgent: BROWSER, referrer: 'https://www.google.com/search' };
+
+    it('ignores bots', async () => {
+      const update = jest.spyOn(ArticleVisit, 'updateOne');
+
+      expect(await viewService.countView(id(), { ...visitor, userAgent: 'axios/1.6.0' })).toEqual({ counted: false, unique: false });
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('counts a first view as unique', async () => {
+      jest.spyOn(ArticleVisit, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const create = jest.spyOn(ArticleVisit, 'create').mockResolvedValue({});
+      const views = jest.spyOn(Article, 'updateOne').mockResolvedValue({});
+
+      expect(await viewService.countView(id(), visitor)).toEqual({ counted: true, unique: true });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ referrers: ['google.com'] }));
+      expect(views).toHaveBeenCalledWith(expect.anything(), { $inc: { 'stats.views': 1 } });
+    });
+
+    it('skips a repeat view inside the window', async () => {
+      jest.spyOn(ArticleVisit, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      jest.spyOn(ArticleVisit, 'create').mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      const views = jest.spyOn(Article, 'updateOne');
+
+      expect(await viewService.countView(id(), visitor)).toEqual({ counted: false, unique: false });
+      expect(views).not.toHaveBeenCalled();
+    });
+
+    it('counts a repeat view once the window has passed', async () => {
+      jest.spyOn(ArticleVisit, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const create = jest.spyOn(ArticleVisit, 'create');
+      jest.spyOn(Article, 'updateOne').mockResolvedValue({});
+
+      expect(await viewService.countView(id(), visitor)).toEqual({ counted: true, unique: false });
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('aggregateVisits', () => {
+    it('attaches referrer counts to each article and day', async () => {
+      const day = startOfDay();
+      const article = id();
+      jest.spyOn(ArticleVisit, 'aggregate').mockResolvedValue([{
+        totals: [{ _id: { day, article }, views: 5, uniqueVisitors: 3 }],
+        referrers: [
+          { _id: { day, article, domain: 'google.com' }, views: 3 },
+          { _id: { day, article, domain: 'direct' }, views: 2 }
+        ]
+      }]);
+
+      expect(await viewService.aggregateVisits({ day })).toEqual([{
+        day,
+        article,
+        views: 5,
+        uniqueVisitors: 3,
+        referrers: [{ domain: 'google.com', views: 3 }, { domain: 'direct', views: 2 }]
+      }]);
+    });
+  });
+
+  describe('rollupFinishedDays', () => {
+    it('rolls up finished days that have no rollups yet', async () => {
+      const today = startOfDay();
+      const [twoDaysAgo, yesterday] = [new Date(today.getTime() - 2 * DAY), new Date(today.getTime() - DAY)];
+      jest.spyOn(ArticleVisit, 'distinct').mockResolvedValue([yesterday, twoDaysAgo]);
+      jest.spyOn(ArticleDailyStat, 'distinct').mockResolvedValue([twoDaysAgo]);
+      const aggregate = jest.spyOn(viewService, 'aggregateVisits').mockResolvedValue([{ day: yesterday, article: id(), views: 1 }]);
+      const insert = jest.spyOn(ArticleDailyStat, 'insertMany').mockResolvedValue([]);
+
+      expect(await viewService.rollupFinishedDays()).toBe(1);
+      expect(aggregate).toHaveBeenCalledTimes(1);
+      expect(aggregate).toHaveBeenCalledWith({ day: yesterday });
+      expect(insert).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { NextRequest, NextResponse } from 'next/server';
-import { articleApi } from '@/lib/api';
+import { articleApi, categoryApi } from '@/lib/api';
 
 const SITE_URL = process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000';
 
@@ -37,30 +37,21 @@ const staticPages = [
   },
 ];
 
-// Category pages
-const categories = [
-  'technology',
-  'business',
-  'health',
-  'entertainment',
-  'sports',
-  'politics',
-  'science',
-  'lifestyle',
-  'travel',
-  'food',
-  'fashion',
-  'education',
-  'finance',
-  'environment',
-];
-
-const categoryPages = categories.map(category => ({
-  url: `/category/${category}`,
-  lastModified: new Date(),
-  changeFrequency: 'daily' as const,
-  priority: 0.8,
-}));
+// Category pages, from the managed category list
+async function getCategoryPages() {
+  try {
+    const response = await categoryApi.getCategories();
+    return response.data.map(category => ({
+      url: `/category/${category.slug}`,
+      lastModified: new Date(category.updatedAt),
+      changeFrequency: 'daily' as const,
+      priority: 0.8,
+    }));
+  } catch (error) {
+    console.error('Error fetching categories for sitemap:', error);
+    return [];
+  }
+}
 
 export async function GET(request: NextRequest) {
   try {
@@ -82,6 +73,8 @@ export async function GET(request: NextRequest) {
       priority: 0.7,
     }));
 
+    const categoryPages = await getCategoryPages();
+
     // Combine all pages
     const allPages = [...staticPages, ...categoryPages, ...articlePages];
 
@@ -118,7 +111,7 @@ ${allPages
     // Return a basic sitemap with static pages only
     const basicSitemap = `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${[...staticPages, ...categoryPages]
+${[...staticPages, ...(await getCategoryPages())]
   .map(
     page => `  <url>
     <loc>${SITE_URL}${page.url}</loc>
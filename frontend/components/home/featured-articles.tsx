@@ -2,7 +2,6 @@
 
 import { useState, useEffect } from 'react';
 import Link from 'next/link';
-import Image from 'next/image';
 import { motion } from 'framer-motion';
 import { 
   ClockIcon, 
@@ -13,6 +12,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { formatRelativeTime, calculateReadingTime } from '@/lib/utils';
 import { articleApi } from '@/lib/api';
+import { ArticleImage } from '@/components/ui/article-image';
 import type { Article } from '@/types/article';
 
 // Mock data for development
@@ -230,11 +230,9 @@ export function FeaturedArticles() {
                 <div className="relative w-full">
                   {article.featuredImage && (
                     <div className="aspect-video w-full overflow-hidden rounded-2xl bg-neutral-100 dark:bg-neutral-800">
-                      <Image
-                        src={article.featuredImage.url}
-                        alt={article.featuredImage.alt}
-                        width={800}
-                        height={400}
+                      <ArticleImage
+                        image={article.featuredImage}
+                        sizes="(min-width: 1024px) 33vw, (min-width: 640px) 42rem, 100vw"
                         className="h-full w-full object-cover transition-transform duration-300 group-hover:scale-105"
                       />
                     </div>
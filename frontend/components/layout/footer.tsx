@@ -36,7 +36,7 @@ const navigation = {
     { name: 'Blog', href: '/blog' },
     { name: 'Trending', href: '/trending' },
     { name: 'Search', href: '/search' },
-    { name: 'RSS Feed', href: '/rss.xml' },
+    { name: 'RSS Feed', href: '/feeds/rss' },
     { name: 'Sitemap', href: '/sitemap.xml' },
     { name: 'API Docs', href: '/api/docs' },
   ],
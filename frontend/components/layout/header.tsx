@@ -4,11 +4,10 @@ import { useState, useEffect } from 'react';
 import Link from 'next/link';
 import { useSession, signIn, signOut } from 'next-auth/react';
 import { useTheme } from 'next-themes';
-import { useRouter, usePathname } from 'next/navigation';
+import { usePathname } from 'next/navigation';
 import {
   Bars3Icon,
   XMarkIcon,
-  MagnifyingGlassIcon,
   SunIcon,
   MoonIcon,
   ComputerDesktopIcon,
@@ -19,53 +18,48 @@ import {
 import { Menu, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
 import { cn } from '@/lib/utils';
+import { categoryApi } from '@/lib/api';
+import { SearchBox } from './search-box';
 
-const navigation = [
-  { name: 'Home', href: '/' },
-  { name: 'Technology', href: '/category/technology' },
-  { name: 'Business', href: '/category/business' },
-  { name: 'Health', href: '/category/health' },
-  { name: 'Entertainment', href: '/category/entertainment' },
-  { name: 'Trending', href: '/trending' },
-];
+// Top-level categories linked from the navigation bar, in the order set by admins
+const NAV_CATEGORY_LIMIT = 4;
 
-const categories = [
-  'technology',
-  'business',
-  'health',
-  'entertainment',
-  'sports',
-  'politics',
-  'science',
-  'lifestyle',
-  'travel',
-  'food',
-  'fashion',
-  'education',
-  'finance',
-  'environment',
-];
+interface NavigationItem {
+  name: string;
+  href: string;
+}
 
 export function Header() {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
-  const [searchQuery, setSearchQuery] = useState('');
   const [mounted, setMounted] = useState(false);
+  const [categoryLinks, setCategoryLinks] = useState<NavigationItem[]>([]);
   const { data: session, status } = useSession();
   const { theme, setTheme } = useTheme();
-  const router = useRouter();
   const pathname = usePathname();
 
   useEffect(() => {
     setMounted(true);
   }, []);
 
-  const handleSearch = (e: React.FormEvent) => {
-    e.preventDefault();
-    if (searchQuery.trim()) {
-      router.push(`/search?q=${encodeURIComponent(searchQuery.trim())}`);
-      setSearchQuery('');
-    }
-  };
+  useEffect(() => {
+    categoryApi
+      .getCategories()
+      .then((response) => {
+        setCategoryLinks(
+          response.data
+            .filter((category) => !category.parent)
+            .slice(0, NAV_CATEGORY_LIMIT)
+            .map((category) => ({ name: category.name, href: `/category/${category.slug}` }))
+        );
+      })
+      .catch((error) => console.error('Error loading categories:', error));
+  }, []);
+
+  const navigation: NavigationItem[] = [
+    { name: 'Home', href: '/' },
+    ...categoryLinks,
+    { name: 'Trending', href: '/trending' },
+  ];
 
   const handleSignOut = async () => {
     await signOut({ callbackUrl: '/' });
@@ -131,18 +125,7 @@ export function Header() {
         {/* Search and user menu */}
         <div className="hidden lg:flex lg:flex-1 lg:justify-end lg:items-center lg:space-x-4">
           {/* Search */}
-          <form onSubmit={handleSearch} className="relative">
-            <div className="relative">
-              <MagnifyingGlassIcon className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-neutral-400" />
-              <input
-                type="search"
-                placeholder="Search articles..."
-                value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                className="w-64 rounded-lg border border-neutral-300 bg-white pl-10 pr-4 py-2 text-sm placeholder-neutral-500 focus:border-brand-500 focus:outline-none focus:ring-1 focus:ring-brand-500 dark:border-neutral-600 dark:bg-neutral-800 dark:text-neutral-100 dark:placeholder-neutral-400"
-              />
-            </div>
-          </form>
+          <SearchBox className="w-64" />
 
           {/* Theme toggle */}
           <Menu as="div" className="relative">
@@ -351,18 +334,7 @@ export function Header() {
                 <div className="-my-6 divide-y divide-neutral-500/10 dark:divide-neutral-500/25">
                   {/* Search */}
                   <div className="py-6">
-                    <form onSubmit={handleSearch}>
-                      <div className="relative">
-                        <MagnifyingGlassIcon className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-neutral-400" />
-                        <input
-                          type="search"
-                          placeholder="Search articles..."
-                          value={searchQuery}
-                          onChange={(e) => setSearchQuery(e.target.value)}
-                          className="w-full rounded-lg border border-neutral-300 bg-white pl-10 pr-4 py-2 text-sm placeholder-neutral-500 focus:border-brand-500 focus:outline-none focus:ring-1 focus:ring-brand-500 dark:border-neutral-600 dark:bg-neutral-800 dark:text-neutral-100 dark:placeholder-neutral-400"
-                        />
-                      </div>
-                    </form>
+                    <SearchBox className="w-full" onNavigate={() => setMobileMenuOpen(false)} />
                   </div>
                   
                   {/* Navigation */}
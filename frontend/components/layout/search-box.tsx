@@ -0,0 +1,192 @@
+'use client';
+
+import { useState, useEffect, useRef, useId } from 'react';
+import { useRouter } from 'next/navigation';
+import {
+  MagnifyingGlassIcon,
+  DocumentTextIcon,
+  FolderIcon,
+  HashtagIcon,
+  ArrowTrendingUpIcon,
+} from '@heroicons/react/24/outline';
+import { cn } from '@/lib/utils';
+import { searchApi } from '@/lib/api';
+import type { SearchSuggestion, SuggestionType } from '@/types/search';
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGEST_DELAY_MS = 150;
+const SUGGEST_MIN_LENGTH = 2;
+
+const SUGGESTION_LABELS: Record<SuggestionType, string> = {
+  article: 'Articles',
+  category: 'Categories',
+  tag: 'Tags',
+  trend: 'Trending',
+};
+
+const SUGGESTION_ICONS: Record<SuggestionType, typeof DocumentTextIcon> = {
+  article: DocumentTextIcon,
+  category: FolderIcon,
+  tag: HashtagIcon,
+  trend: ArrowTrendingUpIcon,
+};
+
+function suggestionHref(suggestion: SearchSuggestion): string {
+  switch (suggestion.type) {
+    case 'article':
+      return `/article/${suggestion.slug}`;
+    case 'category':
+      return `/category/${suggestion.slug}`;
+    case 'tag':
+      return `/tag/${suggestion.slug}`;
+    default:
+      return `/search?q=${encodeURIComponent(suggestion.text)}`;
+  }
+}
+
+interface SearchBoxProps {
+  className?: string;
+  // Called after navigating, e.g. to close the mobile menu
+  onNavigate?: () => void;
+}
+
+export function SearchBox({ className, onNavigate }: SearchBoxProps) {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState<SearchSuggestion[]>([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const latestRequest = useRef(0);
+  const router = useRouter();
+  const listId = useId();
+
+  useEffect(() => {
+    const prefix = query.trim();
+    if (prefix.length < SUGGEST_MIN_LENGTH) {
+      latestRequest.current++;
+      setSuggestions([]);
+      return;
+    }
+
+    const timeout = setTimeout(() => {
+      // Responses to earlier keystrokes can arrive late and are dropped
+      const request = ++latestRequest.current;
+      searchApi
+        .suggest(prefix)
+        .then((response) => {
+          if (request !== latestRequest.current) return;
+          setSuggestions(response.data);
+          setActiveIndex(-1);
+        })
+        .catch((error) => console.error('Error loading search suggestions:', error));
+    }, SUGGEST_DELAY_MS);
+
+    return () => clearTimeout(timeout);
+  }, [query]);
+
+  const navigate = (href: string) => {
+    router.push(href);
+    setQuery('');
+    setSuggestions([]);
+    setOpen(false);
+    onNavigate?.();
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const active = suggestions[activeIndex];
+    if (open && active) {
+      navigate(suggestionHref(active));
+    } else if (query.trim()) {
+      navigate(`/search?q=${encodeURIComponent(query.trim())}`);
+    }
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (suggestions.length === 0) return;
+      e.preventDefault();
+      setOpen(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // Moving past either end returns to the typed text
+      setActiveIndex((index) => {
+        const next = index + step;
+        if (next < -1) return suggestions.length - 1;
+        return next >= suggestions.length ? -1 : next;
+      });
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const showList = open && suggestions.length > 0;
+  const optionId = (index: number) => `${listId}-option-${index}`;
+
+  return (
+    <form onSubmit={handleSubmit} className="relative" role="search">
+      <div className="relative">
+        <MagnifyingGlassIcon className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-neutral-400" />
+        <input
+          type="search"
+          placeholder="Search articles..."
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={showList}
+          aria-controls={listId}
+          aria-activedescendant={showList && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+          className={cn(
+            'rounded-lg border border-neutral-300 bg-white pl-10 pr-4 py-2 text-sm placeholder-neutral-500 focus:border-brand-500 focus:outline-none focus:ring-1 focus:ring-brand-500 dark:border-neutral-600 dark:bg-neutral-800 dark:text-neutral-100 dark:placeholder-neutral-400',
+            className
+          )}
+        />
+      </div>
+
+      {showList && (
+        <ul
+          id={listId}
+          role="listbox"
+          className="absolute left-0 right-0 z-50 mt-2 max-h-96 overflow-y-auto rounded-lg bg-white py-1 shadow-lg ring-1 ring-black ring-opacity-5 dark:bg-neutral-800 dark:ring-neutral-700"
+        >
+          {suggestions.map((suggestion, index) => {
+            const Icon = SUGGESTION_ICONS[suggestion.type];
+            const startsGroup = index === 0 || suggestions[index - 1]?.type !== suggestion.type;
+
+            return (
+              <li key={`${suggestion.type}-${suggestion.slug ?? suggestion.text}`} role="presentation">
+                {startsGroup && (
+                  <div className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">
+                    {SUGGESTION_LABELS[suggestion.type]}
+                  </div>
+                )}
+                <div
+                  id={optionId(index)}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  // Keep focus in the input so the blur does not close the list before the click lands
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => navigate(suggestionHref(suggestion))}
+                  onMouseEnter={() => setActiveIndex(index)}
+                  className={cn(
+                    'flex cursor-pointer items-center px-4 py-2 text-sm text-neutral-700 dark:text-neutral-300',
+                    index === activeIndex ? 'bg-neutral-100 dark:bg-neutral-700' : ''
+                  )}
+                >
+                  <Icon className="mr-3 h-4 w-4 flex-shrink-0 text-neutral-400" />
+                  <span className="truncate">{suggestion.text}</span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </form>
+  );
+}
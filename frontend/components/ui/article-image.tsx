@@ -0,0 +1,28 @@
+import Image from 'next/image';
+import { featuredImageProps, variantSrcSet } from '@/lib/images';
+import type { FeaturedImage } from '@/types/article';
+
+interface ArticleImageProps {
+  image: FeaturedImage;
+  sizes: string;
+  className?: string;
+  priority?: boolean;
+}
+
+/**
+ * An article's featured image: AVIF variants for browsers that support them,
+ * falling back to the WebP variants next/image picks from
+ */
+export function ArticleImage({ image, sizes, className, priority }: ArticleImageProps) {
+  const avif = variantSrcSet(image.variants ?? [], 'avif');
+  const img = <Image {...featuredImageProps(image)} sizes={sizes} className={className} priority={priority} />;
+
+  if (!avif) return img;
+
+  return (
+    <picture className="contents">
+      <source type="image/avif" srcSet={avif} sizes={sizes} />
+      {img}
+    </picture>
+  );
+}
@@ -11,6 +11,27 @@ import type {
   TrendsResponse,
   GenerateArticlesRequest,
   GenerateArticlesResponse,
+  ArticleRevision,
+  RevisionListResponse,
+  RevisionDiff,
+  ArticleReviewState,
+  ReviewNote,
+  ReviewQueueFilters,
+  ReviewQueueResponse,
+  TrashedArticle,
+  TrashListResponse,
+  ArticleBySlugResponse,
+  RelatedArticlesResponse,
+  RedirectEntry,
+  CustomRedirect,
+  CreateRedirectData,
+  RedirectListResponse,
+  DuplicateReportResponse,
+  FeaturedImageInput,
+  RerollImageData,
+  ArticleStatus,
+  ArticleFormat,
+  ArticleAnalyticsResponse,
 } from '@/types/article';
 import type {
   Comment,
@@ -21,17 +42,73 @@ import type {
   CommentFilters,
   CommentStats,
   LikeCommentResponse,
+  TrashedComment,
+  RestoreCommentResponse,
   ReportCommentData,
   ModerateCommentData,
 } from '@/types/comment';
 import type {
+  AuthSession,
   User,
   UserListResponse,
   UserResponse,
   UpdateUserData,
   UserFilters,
   UserStats,
+  UserRole,
+  Permission,
+  RolePermissionMatrix,
+  IssueSanctionData,
+  SanctionResponse,
+  PendingAppeal,
+  AppealStatus,
+  AccountDeletionResponse,
 } from '@/types/user';
+import type {
+  AuditLogFilters,
+  AuditLogListResponse,
+  AuditLogExportFormat,
+} from '@/types/audit';
+import type {
+  ApiKeyListResponse,
+  ApiKeyResponse,
+  ApiKeySecretResponse,
+  CreateApiKeyData,
+  UpdateApiKeyData,
+} from '@/types/apiKey';
+import type {
+  AdminCategory,
+  CategoryListResponse,
+  CategoryTreeResponse,
+  CategoryResponse,
+  CreateCategoryData,
+  UpdateCategoryData,
+} from '@/types/category';
+import type {
+  AdminTag,
+  CreateTagData,
+  MergeTagsData,
+  TagArticlesResponse,
+  TagIndexFilters,
+  TagIndexResponse,
+  TagResponse,
+  UpdateTagData,
+} from '@/types/tag';
+import type {
+  CollectionDetailResponse,
+  CollectionListResponse,
+  CollectionResponse,
+  CreateCollectionData,
+  UpdateCollectionData,
+} from '@/types/collection';
+import type { SearchFilters, SearchResponse, SuggestResponse, SearchAnalyticsResponse } from '@/types/search';
+import type {
+  ImageProviderStatus,
+  MediaAssetListResponse,
+  MediaAssetResponse,
+  UploadImageData,
+  UpdateImageData,
+} from '@/types/media';
 
 // API configuration
 const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000';
@@ -49,11 +126,10 @@ const apiClient: AxiosInstance = axios.create({
 apiClient.interceptors.request.use(
   async (config) => {
     try {
-      const session = await getSession();
-      if (session?.user) {
-        // In a real app, you'd get the JWT token from the session
-        // For now, we'll use a mock token
-        config.headers.Authorization = `Bearer mock-jwt-token`;
+      const session = (await getSession()) as AuthSession | null;
+      if (session?.accessToken) {
+        // Token signed at NextAuth login and verified by the backend
+        config.headers.Authorization = `Bearer ${session.accessToken}`;
       }
     } catch (error) {
       console.error('Error getting session for API request:', error);
@@ -109,14 +185,22 @@ export const articleApi = {
   getArticles: (filters?: ArticleFilters): Promise<ArticleListResponse> =>
     apiRequest('GET', '/articles', undefined, { params: filters }),
 
-  // Get article by slug
-  getArticle: (slug: string): Promise<ArticleResponse> =>
-    apiRequest('GET', `/articles/${slug}`),
+  // Get article by slug; old slugs return a redirect instead
+  getArticle: (slug: string, format?: ArticleFormat): Promise<ArticleBySlugResponse> =>
+    apiRequest('GET', `/articles/${slug}`, undefined, { params: { format } }),
+
+  // Get old slugs and custom redirects
+  getRedirects: (): Promise<{ success: boolean; data: RedirectEntry[] }> =>
+    apiRequest('GET', '/articles/redirects'),
 
   // Get trending articles
   getTrending: (limit?: number): Promise<ArticleListResponse> =>
     apiRequest('GET', '/articles/trending', undefined, { params: { limit } }),
 
+  // Get published articles related to an article, best match first
+  getRelated: (slug: string, limit?: number): Promise<RelatedArticlesResponse> =>
+    apiRequest('GET', `/articles/${slug}/related`, undefined, { params: { limit } }),
+
   // Get recent articles
   getRecent: (limit?: number): Promise<ArticleListResponse> =>
     apiRequest('GET', '/articles/recent', undefined, { params: { limit } }),
@@ -126,8 +210,17 @@ export const articleApi = {
     apiRequest('GET', `/articles/category/${category}`, undefined, { params: filters }),
 
   // Search articles
-  search: (query: string, filters?: ArticleFilters): Promise<ArticleListResponse> =>
-    apiRequest('GET', '/articles/search', undefined, { params: { q: query, ...filters } }),
+  search: (query: string, filters?: SearchFilters): Promise<SearchResponse> =>
+    apiRequest('GET', '/articles/search', undefined, {
+      params: {
+        q: query,
+        ...filters,
+        // List filters are sent comma-separated
+        category: filters?.category?.join(','),
+        tags: filters?.tags?.join(','),
+        source: filters?.source?.join(','),
+      },
+    }),
 
   // Create article (admin only)
   create: (data: CreateArticleData): Promise<ArticleResponse> =>
@@ -141,6 +234,46 @@ export const articleApi = {
   delete: (id: string): Promise<{ success: boolean; message: string }> =>
     apiRequest('DELETE', `/articles/${id}`),
 
+  // List article revisions
+  getRevisions: (id: string, filters?: { page?: number; limit?: number }): Promise<RevisionListResponse> =>
+    apiRequest('GET', `/articles/${id}/revisions`, undefined, { params: filters }),
+
+  // Get one article revision
+  getRevision: (id: string, revision: number): Promise<{ success: boolean; data: ArticleRevision }> =>
+    apiRequest('GET', `/articles/${id}/revisions/${revision}`),
+
+  // Diff two article revisions
+  diffRevisions: (id: string, from: number, to: number): Promise<{ success: boolean; data: RevisionDiff }> =>
+    apiRequest('GET', `/articles/${id}/revisions/diff`, undefined, { params: { from, to } }),
+
+  // Restore an old revision as a new revision
+  restoreRevision: (id: string, revision: number): Promise<ArticleResponse> =>
+    apiRequest('POST', `/articles/${id}/revisions/${revision}/restore`),
+
+  // Get review status and notes
+  getReview: (id: string): Promise<{ success: boolean; data: ArticleReviewState }> =>
+    apiRequest('GET', `/articles/${id}/review`),
+
+  // Submit an article for review
+  submitForReview: (id: string, note?: string): Promise<ArticleResponse> =>
+    apiRequest('POST', `/articles/${id}/review/submit`, { note }),
+
+  // Approve an article
+  approve: (id: string, note?: string): Promise<ArticleResponse> =>
+    apiRequest('POST', `/articles/${id}/review/approve`, { note }),
+
+  // Send an article back with requested changes
+  requestChanges: (id: string, note: string): Promise<ArticleResponse> =>
+    apiRequest('POST', `/articles/${id}/review/request-changes`, { note }),
+
+  // Assign or unassign a reviewer
+  assignReviewer: (id: string, reviewerId: string | null): Promise<{ success: boolean; data: ArticleReviewState }> =>
+    apiRequest('PUT', `/articles/${id}/review/assignee`, { reviewerId }),
+
+  // Leave a review note
+  addReviewNote: (id: string, body: string): Promise<{ success: boolean; data: ReviewNote }> =>
+    apiRequest('POST', `/articles/${id}/review/notes`, { body }),
+
   // Get article statistics
   getStats: (): Promise<{ success: boolean; data: ArticleStats }> =>
     apiRequest('GET', '/articles/stats/overview'),
@@ -150,6 +283,62 @@ export const articleApi = {
     apiRequest('GET', '/articles/sitemap/data'),
 };
 
+// Category functions
+export const categoryApi = {
+  // Get all categories in display order
+  getCategories: (): Promise<CategoryListResponse> =>
+    apiRequest('GET', '/categories'),
+
+  // Get categories nested under their parents
+  getCategoryTree: (): Promise<CategoryTreeResponse> =>
+    apiRequest('GET', '/categories', undefined, { params: { tree: true } }),
+
+  // Get one category by slug
+  getCategory: (slug: string): Promise<CategoryResponse> =>
+    apiRequest('GET', `/categories/${slug}`),
+};
+
+// Tag functions
+export const tagApi = {
+  // Get tags on published articles with their article counts
+  getTags: (filters?: TagIndexFilters): Promise<TagIndexResponse> =>
+    apiRequest('GET', '/tags', undefined, { params: filters }),
+
+  // Get published articles with a tag, by slug, name or synonym
+  getTag: (tag: string, filters?: { page?: number; limit?: number }): Promise<TagArticlesResponse> =>
+    apiRequest('GET', `/tags/${encodeURIComponent(tag)}`, undefined, { params: filters }),
+};
+
+// Series and collection functions
+export const collectionApi = {
+  // Get series with their number of published parts
+  getSeriesList: (filters?: { page?: number; limit?: number }): Promise<CollectionListResponse> =>
+    apiRequest('GET', '/series', undefined, { params: filters }),
+
+  // Get a series with its published parts in reading order
+  getSeries: (slug: string): Promise<CollectionDetailResponse> =>
+    apiRequest('GET', `/series/${slug}`),
+
+  // Get curated collections
+  getCollections: (filters?: { page?: number; limit?: number }): Promise<CollectionListResponse> =>
+    apiRequest('GET', '/collections', undefined, { params: filters }),
+
+  // Get a collection with its published articles
+  getCollection: (slug: string): Promise<CollectionDetailResponse> =>
+    apiRequest('GET', `/collections/${slug}`),
+};
+
+// Search functions
+export const searchApi = {
+  // Suggest titles, categories, tags and trend keywords for a partly typed query
+  suggest: (query: string, limit?: number): Promise<SuggestResponse> =>
+    apiRequest('GET', '/search/suggest', undefined, { params: { q: query, limit } }),
+
+  // Record that a search result was opened; position is its 1-based rank
+  recordClick: (searchId: string, articleId: string, position?: number): Promise<{ success: boolean; recorded: boolean }> =>
+    apiRequest('POST', '/search/click', { searchId, articleId, position }),
+};
+
 // Comment API functions
 export const commentApi = {
   // Get comments for article
@@ -237,12 +426,16 @@ export const adminApi = {
   getArticles: (filters?: ArticleFilters): Promise<ArticleListResponse> =>
     apiRequest('GET', '/admin/articles', undefined, { params: filters }),
 
+  // Get articles awaiting editorial review
+  getReviewQueue: (filters?: ReviewQueueFilters): Promise<ReviewQueueResponse> =>
+    apiRequest('GET', '/admin/review-queue', undefined, { params: filters }),
+
   // Get pending comments
-  getPendingComments: (filters?: { page?: number; limit?: number }): Promise<CommentListResponse> =>
+  getPendingComments: (filters?: { page?: number; cursor?: string; limit?: number }): Promise<CommentListResponse> =>
     apiRequest('GET', '/admin/comments/pending', undefined, { params: filters }),
 
   // Get reported comments
-  getReportedComments: (filters?: { page?: number; limit?: number }): Promise<CommentListResponse> =>
+  getReportedComments: (filters?: { page?: number; cursor?: string; limit?: number }): Promise<CommentListResponse> =>
     apiRequest('GET', '/admin/comments/reported', undefined, { params: filters }),
 
   // Moderate comment
@@ -264,6 +457,239 @@ export const adminApi = {
   // Update user
   updateUser: (id: string, data: UpdateUserData): Promise<UserResponse> =>
     apiRequest('PUT', `/admin/users/${id}`, data),
+
+  // Get role permission matrix
+  getRoles: (): Promise<{ success: boolean; data: RolePermissionMatrix }> =>
+    apiRequest('GET', '/admin/roles'),
+
+  // Update role permissions
+  updateRole: (role: UserRole, permissions: Permission[]): Promise<{ success: boolean; data: { role: UserRole; permissions: Permission[] } }> =>
+    apiRequest('PUT', `/admin/roles/${role}`, { permissions }),
+
+  // Reset role permissions to defaults
+  resetRole: (role: UserRole): Promise<{ success: boolean; data: { role: UserRole; permissions: Permission[] } }> =>
+    apiRequest('DELETE', `/admin/roles/${role}`),
+
+  // Get audit log entries
+  getAuditLogs: (filters?: AuditLogFilters): Promise<AuditLogListResponse> =>
+    apiRequest('GET', '/admin/audit-logs', undefined, { params: filters }),
+
+  // Export audit log entries
+  exportAuditLogs: (format: AuditLogExportFormat, filters?: Omit<AuditLogFilters, 'page' | 'limit'>): Promise<Blob> =>
+    apiRequest('GET', '/admin/audit-logs/export', undefined, {
+      params: { ...filters, format },
+      responseType: 'blob',
+    }),
+
+  // Get sanctions with a pending appeal
+  getAppeals: (): Promise<{ success: boolean; data: PendingAppeal[] }> =>
+    apiRequest('GET', '/admin/appeals'),
+
+  // Suspend, mute or ban a user
+  sanctionUser: (id: string, data: IssueSanctionData): Promise<SanctionResponse> =>
+    apiRequest('POST', `/admin/users/${id}/sanctions`, data),
+
+  // Lift a sanction early
+  liftSanction: (id: string, sanctionId: string, reason?: string): Promise<SanctionResponse> =>
+    apiRequest('DELETE', `/admin/users/${id}/sanctions/${sanctionId}`, reason ? { reason } : undefined),
+
+  // Uphold or overturn an appeal
+  resolveAppeal: (id: string, sanctionId: string, decision: Exclude<AppealStatus, 'pending'>, response?: string): Promise<SanctionResponse> =>
+    apiRequest('PUT', `/admin/users/${id}/sanctions/${sanctionId}/appeal`, { decision, response }),
+
+  // Get clusters of near-duplicate articles
+  getDuplicates: (filters?: { threshold?: number; status?: ArticleStatus }): Promise<DuplicateReportResponse> =>
+    apiRequest('GET', '/admin/duplicates', undefined, { params: filters }),
+
+  // Trash duplicates and redirect them to the article being kept
+  consolidateDuplicates: (keep: string, duplicates: string[]): Promise<{ success: boolean; message: string }> =>
+    apiRequest('POST', '/admin/duplicates/consolidate', { keep, duplicates }),
+
+  // List image providers and whether they are configured
+  getImageProviders: (): Promise<{ success: boolean; data: ImageProviderStatus[] }> =>
+    apiRequest('GET', '/admin/image-providers'),
+
+  // Replace an article's featured image with a new one from the image providers
+  rerollFeaturedImage: (articleId: string, data: RerollImageData = {}): Promise<ArticleResponse> =>
+    apiRequest('POST', `/admin/articles/${articleId}/featured-image/reroll`, data),
+
+  // Replace an article's featured image with an upload or an external URL
+  replaceFeaturedImage: (articleId: string, image: FeaturedImageInput): Promise<ArticleResponse> =>
+    apiRequest('PUT', `/admin/articles/${articleId}/featured-image`, image),
+
+  // Get trashed articles
+  getTrashedArticles: (filters?: { page?: number; limit?: number }): Promise<TrashListResponse<TrashedArticle>> =>
+    apiRequest('GET', '/admin/trash/articles', undefined, { params: filters }),
+
+  // Restore a trashed article
+  restoreArticle: (id: string): Promise<ArticleResponse> =>
+    apiRequest('POST', `/admin/trash/articles/${id}/restore`),
+
+  // Get trashed comments
+  getTrashedComments: (filters?: { page?: number; limit?: number }): Promise<TrashListResponse<TrashedComment>> =>
+    apiRequest('GET', '/admin/trash/comments', undefined, { params: filters }),
+
+  // Restore a trashed comment and the replies deleted with it
+  restoreComment: (id: string): Promise<RestoreCommentResponse> =>
+    apiRequest('POST', `/admin/trash/comments/${id}/restore`),
+
+  // Get custom redirects
+  getRedirects: (filters?: { page?: number; limit?: number }): Promise<RedirectListResponse> =>
+    apiRequest('GET', '/admin/redirects', undefined, { params: filters }),
+
+  // Add a custom redirect
+  createRedirect: (data: CreateRedirectData): Promise<{ success: boolean; data: CustomRedirect; message: string }> =>
+    apiRequest('POST', '/admin/redirects', data),
+
+  // Remove a custom redirect
+  deleteRedirect: (id: string): Promise<{ success: boolean; message: string }> =>
+    apiRequest('DELETE', `/admin/redirects/${id}`),
+
+  // Get categories with article counts and generation settings
+  getCategories: (): Promise<{ success: boolean; data: AdminCategory[] }> =>
+    apiRequest('GET', '/admin/categories'),
+
+  // Create a category
+  createCategory: (data: CreateCategoryData): Promise<CategoryResponse> =>
+    apiRequest('POST', '/admin/categories', data),
+
+  // Update a category; a new slug moves its articles along
+  updateCategory: (id: string, data: UpdateCategoryData): Promise<CategoryResponse & { articlesMoved: number }> =>
+    apiRequest('PUT', `/admin/categories/${id}`, data),
+
+  // Delete a category, moving its articles to reassignTo
+  deleteCategory: (id: string, reassignTo?: string): Promise<{ success: boolean; articlesMoved: number; message: string }> =>
+    apiRequest('DELETE', `/admin/categories/${id}`, undefined, { params: reassignTo ? { reassignTo } : {} }),
+
+  // Get registered and free tags with article counts
+  getTags: (search?: string): Promise<{ success: boolean; data: AdminTag[] }> =>
+    apiRequest('GET', '/admin/tags', undefined, { params: search ? { search } : {} }),
+
+  // Register a tag; articles using one of its synonyms switch to it
+  createTag: (data: CreateTagData): Promise<TagResponse> =>
+    apiRequest('POST', '/admin/tags', data),
+
+  // Update or rename a tag; the old name becomes a synonym
+  updateTag: (id: string, data: UpdateTagData): Promise<TagResponse> =>
+    apiRequest('PUT', `/admin/tags/${id}`, data),
+
+  // Merge tags into a target tag
+  mergeTags: (data: MergeTagsData): Promise<TagResponse & { merged: string[] }> =>
+    apiRequest('POST', '/admin/tags/merge', data),
+
+  // Remove a tag from the registry; articles keep it
+  deleteTag: (id: string): Promise<{ success: boolean; message: string }> =>
+    apiRequest('DELETE', `/admin/tags/${id}`),
+
+  // Get series or collections, counting members of any status
+  getCollections: (kind: 'series' | 'collections', filters?: { page?: number; limit?: number }): Promise<CollectionListResponse> =>
+    apiRequest('GET', `/admin/${kind}`, undefined, { params: filters }),
+
+  // Get a series or collection with members of any status
+  getCollection: (kind: 'series' | 'collections', id: string): Promise<CollectionDetailResponse> =>
+    apiRequest('GET', `/admin/${kind}/${id}`),
+
+  // Create a series or collection
+  createCollection: (kind: 'series' | 'collections', data: CreateCollectionData): Promise<CollectionResponse> =>
+    apiRequest('POST', `/admin/${kind}`, data),
+
+  // Update a series or collection; articles replaces the member list
+  updateCollection: (kind: 'series' | 'collections', id: string, data: UpdateCollectionData): Promise<CollectionResponse> =>
+    apiRequest('PUT', `/admin/${kind}/${id}`, data),
+
+  // Delete a series or collection
+  deleteCollection: (kind: 'series' | 'collections', id: string): Promise<{ success: boolean; message: string }> =>
+    apiRequest('DELETE', `/admin/${kind}/${id}`),
+
+  // Get daily views, unique visitors and referrer domains of an article; dates as YYYY-MM-DD
+  getArticleAnalytics: (id: string, params?: { from?: string; to?: string }): Promise<ArticleAnalyticsResponse> =>
+    apiRequest('GET', `/admin/articles/${id}/analytics`, undefined, { params }),
+
+  // Get top, zero-result and trending search queries
+  getSearchAnalytics: (params?: { days?: number; limit?: number }): Promise<SearchAnalyticsResponse> =>
+    apiRequest('GET', '/admin/search/analytics', undefined, { params }),
+
+  // Generate an article for a search query as a topic
+  generateFromSearchQuery: (query: string, category?: string): Promise<ArticleResponse> =>
+    apiRequest('POST', '/admin/search/gaps/generate', { query, category }),
+};
+
+// Current user functions
+export const userApi = {
+  // Get the current user's account, including sanctions
+  getMe: (): Promise<UserResponse> =>
+    apiRequest('GET', '/users/me'),
+
+  // Appeal a sanction
+  appealSanction: (sanctionId: string, message: string): Promise<SanctionResponse> =>
+    apiRequest('POST', `/users/me/sanctions/${sanctionId}/appeal`, { message }),
+
+  // Download all personal data as JSON
+  exportData: (): Promise<Blob> =>
+    apiRequest('GET', '/users/me/export', undefined, { responseType: 'blob' }),
+
+  // Schedule the account for deletion after the grace period
+  requestDeletion: (): Promise<AccountDeletionResponse> =>
+    apiRequest('DELETE', '/users/me'),
+
+  // Cancel a pending account deletion
+  cancelDeletion: (): Promise<UserResponse> =>
+    apiRequest('POST', '/users/me/restore'),
+};
+
+// Personal API key functions
+export const apiKeysApi = {
+  // List the current user's API keys
+  list: (): Promise<ApiKeyListResponse> =>
+    apiRequest('GET', '/api-keys'),
+
+  // Create an API key
+  create: (data: CreateApiKeyData): Promise<ApiKeySecretResponse> =>
+    apiRequest('POST', '/api-keys', data),
+
+  // Rename an API key or change its scopes, expiry or rate limit
+  update: (id: string, data: UpdateApiKeyData): Promise<ApiKeyResponse> =>
+    apiRequest('PUT', `/api-keys/${id}`, data),
+
+  // Rotate an API key secret
+  rotate: (id: string): Promise<ApiKeySecretResponse> =>
+    apiRequest('POST', `/api-keys/${id}/rotate`),
+
+  // Revoke an API key
+  revoke: (id: string): Promise<ApiKeyResponse> =>
+    apiRequest('DELETE', `/api-keys/${id}`),
+};
+
+// Uploaded image functions
+export const mediaApi = {
+  // Upload an image; the backend stores WebP/AVIF variants alongside it
+  uploadImage: ({ file, alt, caption }: UploadImageData): Promise<MediaAssetResponse> => {
+    const form = new FormData();
+    form.append('image', file);
+    form.append('alt', alt);
+    if (caption) form.append('caption', caption);
+
+    return apiRequest('POST', '/media/images', form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 120000,
+    });
+  },
+
+  // List uploaded images, newest first
+  getImages: (page = 1, limit = 20): Promise<MediaAssetListResponse> =>
+    apiRequest('GET', `/media/images?page=${page}&limit=${limit}`),
+
+  // Get one image with its variants
+  getImage: (id: string): Promise<MediaAssetResponse> =>
+    apiRequest('GET', `/media/images/${id}`),
+
+  // Change the default alt text or caption
+  updateImage: (id: string, data: UpdateImageData): Promise<MediaAssetResponse> =>
+    apiRequest('PUT', `/media/images/${id}`, data),
+
+  // Delete an image no article uses
+  deleteImage: (id: string): Promise<{ success: boolean; message: string }> =>
+    apiRequest('DELETE', `/media/images/${id}`),
 };
 
 // Health check
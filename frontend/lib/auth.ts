@@ -2,12 +2,21 @@ import { NextAuthOptions } from 'next-auth';
 import GoogleProvider from 'next-auth/providers/google';
 import { MongoDBAdapter } from '@next-auth/mongodb-adapter';
 import { MongoClient } from 'mongodb';
-import type { AuthUser, AuthToken } from '@/types/user';
+import { sign } from 'jsonwebtoken';
+import type { AuthUser, AuthToken, AuthSession, UserRole } from '@/types/user';
 
 // MongoDB client for NextAuth
 const client = new MongoClient(process.env.MONGODB_URI!);
 const clientPromise = client.connect();
 
+// Lifetime of the token the backend API verifies; re-signed on every session refresh
+const BACKEND_TOKEN_TTL = '1h';
+
+function isAdminEmail(email?: string | null): boolean {
+  const adminEmails = process.env.ADMIN_EMAILS?.split(',') || [];
+  return !!email && adminEmails.includes(email);
+}
+
 export const authOptions: NextAuthOptions = {
   adapter: MongoDBAdapter(clientPromise),
   providers: [
@@ -49,14 +58,22 @@ export const authOptions: NextAuthOptions = {
     async jwt({ token, user, account, profile }) {
       // Initial sign in
       if (account && user) {
-        token.role = 'user'; // Default role
+        token.role = (user as AuthUser).role || 'user'; // Role stored on the user document
         
         // Check if user is admin (you can customize this logic)
-        const adminEmails = process.env.ADMIN_EMAILS?.split(',') || [];
-        if (user.email && adminEmails.includes(user.email)) {
+        if (isAdminEmail(user.email)) {
           token.role = 'admin';
         }
       }
+
+      // Sign a token for the backend API with the shared JWT secret
+      if (token.sub && process.env.JWT_SECRET) {
+        token.accessToken = sign(
+          { sub: token.sub, email: token.email },
+          process.env.JWT_SECRET,
+          { expiresIn: BACKEND_TOKEN_TTL }
+        );
+      }
       
       return token;
     },
@@ -64,7 +81,11 @@ export const authOptions: NextAuthOptions = {
     async session({ session, token }) {
       if (session.user) {
         (session.user as AuthUser).id = token.sub!;
-        (session.user as AuthUser).role = token.role as 'user' | 'admin';
+        (session.user as AuthUser).role = token.role as UserRole;
+      }
+
+      if (typeof token.accessToken === 'string') {
+        (session as AuthSession).accessToken = token.accessToken;
       }
       
       return session;
@@ -92,7 +113,8 @@ export const authOptions: NextAuthOptions = {
           { 
             $set: { 
               lastLogin: new Date(),
-              isActive: true 
+              // The backend reads the role from this document, not from the session
+              ...(isAdminEmail(user.email) && { role: 'admin' })
             } 
           }
         );
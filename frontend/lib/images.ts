@@ -0,0 +1,55 @@
+import type { ImageLoader } from 'next/image';
+import type { FeaturedImage } from '@/types/article';
+import type { ImageVariant } from '@/types/media';
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000';
+
+/**
+ * Absolute URL of an uploaded file; local storage returns paths like /uploads/...
+ */
+export function assetUrl(url: string): string {
+  return url.startsWith('/') ? `${BACKEND_URL}${url}` : url;
+}
+
+/**
+ * next/image loader that serves the smallest pre-rendered variant at least as wide as requested,
+ * so uploaded images skip the Next.js optimizer entirely
+ */
+export function variantLoader(variants: ImageVariant[], format: ImageVariant['format'] = 'webp'): ImageLoader {
+  const candidates = variants
+    .filter((variant) => variant.format === format)
+    .sort((a, b) => a.width - b.width);
+
+  return ({ src, width }) => {
+    const match = candidates.find((variant) => variant.width >= width) ?? candidates[candidates.length - 1];
+    return assetUrl(match?.url ?? src);
+  };
+}
+
+/**
+ * srcset of the pre-rendered variants in one format, or null when there are none
+ */
+export function variantSrcSet(variants: ImageVariant[], format: ImageVariant['format']): string | null {
+  const candidates = variants
+    .filter((variant) => variant.format === format)
+    .sort((a, b) => a.width - b.width);
+
+  if (candidates.length === 0) return null;
+  return candidates.map((variant) => `${assetUrl(variant.url)} ${variant.width}w`).join(', ');
+}
+
+/**
+ * Props for next/image from an article's featured image, falling back to the given size
+ * when the image has no stored dimensions
+ */
+export function featuredImageProps(image: FeaturedImage, fallback = { width: 800, height: 400 }) {
+  const variants = image.variants ?? [];
+
+  return {
+    src: assetUrl(image.url),
+    alt: image.alt,
+    width: image.width ?? fallback.width,
+    height: image.height ?? fallback.height,
+    ...(variants.length > 0 && { loader: variantLoader(variants) }),
+  };
+}
@@ -327,3 +327,14 @@ export function generateMetaTags(data: {
   };
 }
 
+
+/**
+ * Feed links for a page's metadata.alternates.types, e.g. feedAlternates('/category/technology', 'Technology')
+ */
+export function feedAlternates(path: string, title: string): Record<string, { url: string; title: string }[]> {
+  return {
+    'application/rss+xml': [{ url: `/feeds${path}/rss`, title: `${title} RSS` }],
+    'application/atom+xml': [{ url: `/feeds${path}/atom`, title: `${title} Atom` }],
+    'application/feed+json': [{ url: `/feeds${path}/json`, title: `${title} JSON Feed` }],
+  };
+}
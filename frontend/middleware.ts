@@ -0,0 +1,55 @@
+import { NextRequest, NextResponse } from 'next/server';
+import type { RedirectEntry } from '@/types/article';
+
+const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000';
+
+// Redirect map from the backend, refreshed every few minutes per server instance
+const REDIRECT_TTL = 5 * 60 * 1000;
+let redirectCache: { data: Map<string, RedirectEntry>; timestamp: number } | null = null;
+
+async function getRedirects(): Promise<Map<string, RedirectEntry>> {
+  if (redirectCache && Date.now() - redirectCache.timestamp < REDIRECT_TTL) {
+    return redirectCache.data;
+  }
+
+  try {
+    const response = await fetch(`${API_BASE_URL}/api/articles/redirects`);
+    if (!response.ok) {
+      throw new Error(`Redirect map request failed with ${response.status}`);
+    }
+
+    const { data } = (await response.json()) as { data: RedirectEntry[] };
+    redirectCache = {
+      data: new Map(data.map(entry => [entry.from, entry])),
+      timestamp: Date.now(),
+    };
+  } catch (error) {
+    console.error('Error fetching redirects:', error);
+    // Keep serving the last known map; retry on the next request after the TTL
+    redirectCache = { data: redirectCache?.data || new Map(), timestamp: Date.now() };
+  }
+
+  return redirectCache.data;
+}
+
+export async function middleware(request: NextRequest) {
+  const { pathname } = request.nextUrl;
+  const path = pathname.length > 1 ? pathname.replace(/\/+$/, '') : pathname;
+
+  const redirect = (await getRedirects()).get(path);
+  if (!redirect) {
+    return NextResponse.next();
+  }
+
+  // Absolute targets go off-site; paths keep the current query string
+  const destination = /^https?:\/\//.test(redirect.to)
+    ? new URL(redirect.to)
+    : new URL(`${redirect.to}${request.nextUrl.search}`, request.url);
+
+  return NextResponse.redirect(destination, redirect.permanent ? 301 : 302);
+}
+
+export const config = {
+  // Everything except API routes, Next.js assets and files with an extension
+  matcher: ['/((?!api/|_next/|.*\\.[^/]+$).*)'],
+};
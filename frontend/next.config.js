@@ -29,6 +29,11 @@ const nextConfig = {
         source: '/api/backend/:path*',
         destination: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/:path*`,
       },
+      // RSS, Atom and JSON feeds, served by the backend under the site's own address
+      {
+        source: '/feeds/:path*',
+        destination: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/feeds/:path*`,
+      },
     ];
   },
   async headers() {
@@ -0,0 +1,53 @@
+export type ApiKeyScope =
+  | 'articles:read'
+  | 'articles:write'
+  | 'comments:write'
+  | 'admin:trends'
+  | 'admin:comments'
+  | 'admin:users'
+  | 'admin:dashboard';
+
+export interface ApiKey {
+  _id: string;
+  user: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  rateLimit: {
+    requestsPerMinute: number;
+  };
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  lastUsedIp: string | null;
+  rotatedAt: string | null;
+  revokedAt: string | null;
+  isActive: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CreateApiKeyData {
+  name: string;
+  scopes: ApiKeyScope[];
+  expiresAt?: string | null;
+  requestsPerMinute?: number;
+}
+
+export interface UpdateApiKeyData extends Partial<CreateApiKeyData> {}
+
+export interface ApiKeyListResponse {
+  success: boolean;
+  data: ApiKey[];
+  scopes: ApiKeyScope[];
+}
+
+export interface ApiKeyResponse {
+  success: boolean;
+  data: ApiKey;
+  message?: string;
+}
+
+// Returned on create and rotate; the raw key is never shown again
+export interface ApiKeySecretResponse extends ApiKeyResponse {
+  key: string;
+}
@@ -1,14 +1,19 @@
+import type { ImageVariant, ImageAttribution, ImageLicense, ImageProviderName } from './media';
+import type { SeriesMembership, CollectionMembership } from './collection';
+import type { CursorPagination } from './pagination';
+
 export interface Article {
   _id: string;
   title: string;
   slug: string;
+  slugHistory?: { slug: string; changedAt: string }[];
+  duplicateOf?: { article: string; similarity: number }[];
   content: string;
+  // Sanitized HTML, returned by getArticle with format 'html' or 'both'
+  contentHtml?: string;
+  toc?: TocEntry[];
   excerpt: string;
-  featuredImage?: {
-    url: string;
-    alt: string;
-    caption?: string;
-  };
+  featuredImage?: FeaturedImage | null;
   author?: {
     _id: string;
     name: string;
@@ -39,49 +44,195 @@ export interface Article {
     shares: number;
     commentsCount: number;
     readTime: number;
+    wordCount?: number;
   };
   publishedAt: string;
+  publishAt?: string | null;
+  unpublishAt?: string | null;
   lastModified: string;
   createdAt: string;
   updatedAt: string;
+  // Returned by getArticle
+  series?: SeriesMembership[];
+  collections?: CollectionMembership[];
 }
 
-export type ArticleCategory = 
-  | 'technology'
-  | 'business'
-  | 'health'
-  | 'entertainment'
-  | 'sports'
-  | 'politics'
-  | 'science'
-  | 'lifestyle'
-  | 'travel'
-  | 'food'
-  | 'fashion'
-  | 'education'
-  | 'finance'
-  | 'environment'
-  | 'other';
+export interface TocEntry {
+  level: number;
+  text: string;
+  id: string;
+}
+
+export type ArticleFormat = 'markdown' | 'html' | 'both';
+
+// Slug of a category from the managed category collection, e.g. 'technology'
+export type ArticleCategory = string;
+
+export type ArticleStatus =
+  | 'draft'
+  | 'generated'
+  | 'in_review'
+  | 'changes_requested'
+  | 'approved'
+  | 'scheduled'
+  | 'published'
+  | 'archived';
 
-export type ArticleStatus = 'draft' | 'published' | 'archived';
+// Statuses that can be set directly when creating or updating an article
+export type EditableArticleStatus = Exclude<ArticleStatus, 'generated' | 'in_review' | 'changes_requested' | 'approved'>;
 
-export type TrendSource = 'google-trends' | 'twitter' | 'reddit' | 'manual';
+export type ReviewNoteKind = 'note' | 'submitted' | 'assigned' | 'approved' | 'changes_requested';
+
+export interface ReviewNote {
+  _id: string;
+  kind: ReviewNoteKind;
+  body?: string;
+  author: string | null;
+  authorName: string;
+  createdAt: string;
+}
+
+export interface ArticleReview {
+  assignedTo: { _id: string; name: string; email: string; avatar?: string } | null;
+  assignedAt: string | null;
+  submittedAt: string | null;
+  decidedBy: { _id: string; name: string } | null;
+  decidedAt: string | null;
+  notes: ReviewNote[];
+}
+
+export interface ArticleReviewState {
+  _id: string;
+  title: string;
+  slug: string;
+  status: ArticleStatus;
+  review: ArticleReview;
+}
+
+export interface ReviewQueueFilters {
+  page?: number;
+  limit?: number;
+  status?: Exclude<ArticleStatus, EditableArticleStatus>;
+  category?: ArticleCategory;
+  assignedTo?: 'me' | 'none' | string;
+}
+
+export interface ReviewQueueResponse extends ArticleListResponse {
+  autoPublishCategories: string[];
+}
+
+export type TrendSource = 'google-trends' | 'twitter' | 'reddit' | 'manual' | 'search';
 
 export interface ArticleListResponse {
   success: boolean;
   data: Article[];
+  pagination:
+    | {
+        currentPage: number;
+        totalPages: number;
+        totalArticles: number;
+        hasNextPage: boolean;
+        hasPrevPage: boolean;
+        nextCursor: string | null;
+      }
+    | CursorPagination;
+}
+
+// Card fields of a related article, with how closely it matches (0 to 1)
+export type RelatedArticle = Pick<
+  Article,
+  '_id' | 'title' | 'slug' | 'excerpt' | 'category' | 'tags' | 'featuredImage' | 'publishedAt' | 'author'
+> & {
+  stats: Pick<Article['stats'], 'readTime' | 'views'>;
+  score: number;
+};
+
+export interface RelatedArticlesResponse {
+  success: boolean;
+  data: RelatedArticle[];
+}
+
+export interface ArticleResponse {
+  success: boolean;
+  data: Article;
+}
+
+// Returned instead of the article when the slug is an old one
+export interface SlugRedirect {
+  from: string;
+  to: string;
+  slug: string | null;
+  permanent: boolean;
+}
+
+export interface ArticleRedirectResponse {
+  success: boolean;
+  redirect: SlugRedirect;
+}
+
+export type ArticleBySlugResponse = ArticleResponse | ArticleRedirectResponse;
+
+export interface RedirectEntry {
+  from: string;
+  to: string;
+  permanent: boolean;
+}
+
+export interface CustomRedirect {
+  _id: string;
+  from: string;
+  to: string | null;
+  article: Pick<Article, '_id' | 'title' | 'slug' | 'status'> | null;
+  permanent: boolean;
+  note?: string;
+  hits: number;
+  lastHitAt: string | null;
+  createdBy: { _id: string; name: string } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CreateRedirectData {
+  from: string;
+  to?: string;
+  article?: string;
+  permanent?: boolean;
+  note?: string;
+}
+
+export interface RedirectListResponse {
+  success: boolean;
+  data: CustomRedirect[];
   pagination: {
     currentPage: number;
     totalPages: number;
-    totalArticles: number;
+    totalRedirects: number;
     hasNextPage: boolean;
     hasPrevPage: boolean;
   };
 }
 
-export interface ArticleResponse {
-  success: boolean;
-  data: Article;
+// Copied from the uploaded image; variants are resized WebP/AVIF renditions
+export interface FeaturedImage {
+  asset?: string | null;
+  url: string;
+  alt: string;
+  caption?: string;
+  width?: number;
+  height?: number;
+  variants?: ImageVariant[];
+  attribution?: ImageAttribution | null;
+  license?: ImageLicense | null;
+}
+
+// Either an uploaded image (alt defaults to the image's own) or an external URL with alt text
+export type FeaturedImageInput =
+  | { asset: string; alt?: string; caption?: string }
+  | { url: string; alt: string; caption?: string; attribution?: ImageAttribution; license?: ImageLicense };
+
+export interface RerollImageData {
+  // Only this provider; otherwise the configured providers are tried in order
+  provider?: ImageProviderName;
 }
 
 export interface CreateArticleData {
@@ -90,11 +241,7 @@ export interface CreateArticleData {
   excerpt: string;
   category: ArticleCategory;
   tags?: string[];
-  featuredImage?: {
-    url: string;
-    alt: string;
-    caption?: string;
-  };
+  featuredImage?: FeaturedImageInput | null;
   seo?: {
     metaTitle?: string;
     metaDescription?: string;
@@ -103,15 +250,79 @@ export interface CreateArticleData {
     ogDescription?: string;
     ogImage?: string;
   };
-  status?: ArticleStatus;
+  status?: EditableArticleStatus;
+  publishAt?: string | null;
+  unpublishAt?: string | null;
+  // Save a near-duplicate flagged instead of having it refused
+  allowDuplicate?: boolean;
 }
 
 export interface UpdateArticleData extends Partial<CreateArticleData> {
   _id: string;
+  // Changing the slug keeps the old one as a redirect
+  slug?: string;
+}
+
+export type RevisionSource = 'initial' | 'create' | 'generate' | 'update' | 'restore';
+
+export interface ArticleRevision {
+  _id: string;
+  article: string;
+  revision: number;
+  snapshot: {
+    title: string;
+    excerpt: string;
+    content?: string; // Omitted from revision lists
+    tags: string[];
+    seo: Partial<Article['seo']>;
+  };
+  changedFields: string[];
+  source: RevisionSource;
+  restoredFrom: number | null;
+  author: string | null;
+  authorName: string;
+  createdAt: string;
+}
+
+export interface RevisionListResponse {
+  success: boolean;
+  data: ArticleRevision[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalRevisions: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
+}
+
+export interface DiffChunk {
+  type: 'equal' | 'added' | 'removed';
+  lines: string[];
+}
+
+export interface FieldChange<T = string> {
+  from: T | null;
+  to: T | null;
+}
+
+export interface RevisionDiff {
+  from: Pick<ArticleRevision, 'revision' | 'createdAt' | 'authorName'>;
+  to: Pick<ArticleRevision, 'revision' | 'createdAt' | 'authorName'>;
+  changedFields: string[];
+  changes: {
+    title?: FieldChange;
+    excerpt?: FieldChange;
+    content?: DiffChunk[];
+    tags?: { added: string[]; removed: string[] };
+    seo?: Record<string, FieldChange<string | string[]>>;
+  };
 }
 
 export interface ArticleFilters {
   page?: number;
+  // nextCursor of the previous page; replaces page
+  cursor?: string;
   limit?: number;
   category?: ArticleCategory;
   tags?: string[];
@@ -125,10 +336,76 @@ export interface ArticleStats {
   total: number;
   published: number;
   draft: number;
+  scheduled: number;
   archived: number;
+  awaitingReview: number;
   totalViews: number;
   recent: Article[];
   topViewed: Article[];
+  upcoming: Pick<Article, '_id' | 'title' | 'slug' | 'publishAt' | 'unpublishAt'>[];
+}
+
+export interface ArticleDailyViews {
+  date: string; // YYYY-MM-DD, UTC
+  views: number;
+  uniqueVisitors: number;
+}
+
+export interface ReferrerViews {
+  domain: string; // 'direct' when there was no referrer
+  views: number;
+}
+
+export interface ArticleAnalytics {
+  article: Pick<Article, '_id' | 'title' | 'slug' | 'status' | 'publishedAt'> & { totalViews: number };
+  range: { from: string; to: string };
+  // uniqueVisitors adds up each day's unique visitors
+  totals: { views: number; uniqueVisitors: number };
+  daily: ArticleDailyViews[];
+  referrers: ReferrerViews[];
+}
+
+export interface ArticleAnalyticsResponse {
+  success: boolean;
+  data: ArticleAnalytics;
+}
+
+export interface DuplicateMatch extends Pick<Article, '_id' | 'title' | 'slug' | 'status'> {
+  similarity: number;
+}
+
+export interface DuplicateCluster {
+  articles: Pick<Article, '_id' | 'title' | 'slug' | 'status' | 'category' | 'publishedAt' | 'createdAt' | 'stats'>[];
+  size: number;
+  similarity: { min: number; max: number };
+  suggestedKeep: string;
+}
+
+export interface DuplicateReportResponse {
+  success: boolean;
+  data: DuplicateCluster[];
+  threshold: number;
+  articlesScanned: number;
+}
+
+export interface TrashedArticle extends Pick<Article, '_id' | 'title' | 'slug' | 'category' | 'status' | 'createdAt'> {
+  author?: { _id: string; name: string; email: string } | null;
+  deletedAt: string;
+  deletedBy: { _id: string; name: string; email: string } | null;
+  purgeAt: string;
+}
+
+export interface TrashListResponse<T> {
+  success: boolean;
+  data: T[];
+  retentionDays: number;
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalItems: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
 }
 
 export interface TrendingTopic {
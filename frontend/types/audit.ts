@@ -0,0 +1,53 @@
+import type { CursorPagination } from './pagination';
+
+export interface AuditLogEntry {
+  _id: string;
+  actor: string | null;
+  actorName?: string;
+  actorEmail?: string;
+  actorRole?: string;
+  action: string;
+  target: {
+    type: string;
+    id?: string;
+    label?: string;
+  };
+  changes?: {
+    before?: Record<string, unknown> | null;
+    after?: Record<string, unknown> | null;
+  };
+  metadata?: Record<string, unknown> | null;
+  ipAddress?: string;
+  userAgent?: string;
+  createdAt: string;
+}
+
+export interface AuditLogFilters {
+  page?: number;
+  // nextCursor of the previous page; replaces page
+  cursor?: string;
+  limit?: number;
+  actor?: string;
+  action?: string;
+  targetType?: string;
+  targetId?: string;
+  from?: string;
+  to?: string;
+}
+
+export type AuditLogExportFormat = 'csv' | 'ndjson';
+
+export interface AuditLogListResponse {
+  success: boolean;
+  data: AuditLogEntry[];
+  pagination:
+    | {
+        currentPage: number;
+        totalPages: number;
+        totalLogs: number;
+        hasNextPage: boolean;
+        hasPrevPage: boolean;
+        nextCursor: string | null;
+      }
+    | CursorPagination;
+}
@@ -0,0 +1,64 @@
+export interface CategorySeo {
+  metaTitle?: string;
+  metaDescription?: string;
+  keywords?: string[];
+}
+
+// Defaults used when articles are generated for the category; admin responses only
+export interface CategoryGenerationSettings {
+  enabled?: boolean;
+  autoPublish?: boolean;
+  tone?: string;
+  wordCount?: number;
+  trendsCategory?: string;
+  subreddits?: string[];
+}
+
+export interface Category {
+  _id: string;
+  slug: string;
+  name: string;
+  description?: string;
+  parent: string | null;
+  sortOrder: number;
+  seo?: CategorySeo;
+  generation?: CategoryGenerationSettings;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CategoryNode extends Category {
+  children: CategoryNode[];
+}
+
+export interface AdminCategory extends Category {
+  articleCount: number;
+}
+
+export interface CreateCategoryData {
+  slug: string;
+  name: string;
+  description?: string;
+  parent?: string | null;
+  sortOrder?: number;
+  seo?: CategorySeo;
+  generation?: CategoryGenerationSettings;
+}
+
+export interface UpdateCategoryData extends Partial<CreateCategoryData> {}
+
+export interface CategoryListResponse {
+  success: boolean;
+  data: Category[];
+}
+
+export interface CategoryTreeResponse {
+  success: boolean;
+  data: CategoryNode[];
+}
+
+export interface CategoryResponse {
+  success: boolean;
+  data: Category;
+  message?: string;
+}
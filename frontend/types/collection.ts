@@ -0,0 +1,96 @@
+import type { Article, FeaturedImage, FeaturedImageInput } from './article';
+
+// Series are read in order; collections are curated sets
+export type CollectionKind = 'series' | 'collection';
+
+export interface Collection {
+  _id: string;
+  kind: CollectionKind;
+  slug: string;
+  title: string;
+  description?: string;
+  coverImage?: FeaturedImage | null;
+  createdBy?: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface CollectionSummary extends Collection {
+  articleCount: number;
+}
+
+export type CollectionArticle = Pick<
+  Article,
+  '_id' | 'title' | 'slug' | 'excerpt' | 'category' | 'tags' | 'featuredImage' | 'publishedAt' | 'author'
+> & {
+  stats?: { readTime: number };
+  // Position in a series, counting published parts only
+  part?: number;
+  // Admin responses only
+  status?: Article['status'];
+};
+
+export interface CollectionDetail extends CollectionSummary {
+  articles: CollectionArticle[];
+}
+
+export interface SeriesLink {
+  _id: string;
+  title: string;
+  slug: string;
+}
+
+// Series an article belongs to, with navigation to its neighbours
+export interface SeriesMembership {
+  _id: string;
+  slug: string;
+  title: string;
+  description?: string;
+  coverImage?: FeaturedImage | null;
+  part: number;
+  totalParts: number;
+  previous: SeriesLink | null;
+  next: SeriesLink | null;
+}
+
+export interface CollectionMembership {
+  _id: string;
+  slug: string;
+  title: string;
+  description?: string;
+  coverImage?: FeaturedImage | null;
+}
+
+export interface CreateCollectionData {
+  slug: string;
+  title: string;
+  description?: string;
+  coverImage?: FeaturedImageInput | null;
+  // Article IDs; the order is the reading order of a series
+  articles?: string[];
+}
+
+export interface UpdateCollectionData extends Partial<CreateCollectionData> {}
+
+export interface CollectionListResponse {
+  success: boolean;
+  data: CollectionSummary[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalItems: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
+}
+
+export interface CollectionDetailResponse {
+  success: boolean;
+  data: CollectionDetail;
+}
+
+export interface CollectionResponse {
+  success: boolean;
+  data: Collection;
+  message?: string;
+}
@@ -1,3 +1,5 @@
+import type { CursorPagination } from './pagination';
+
 export interface Comment {
   _id: string;
   content: string;
@@ -5,7 +7,8 @@ export interface Comment {
     _id: string;
     name: string;
     avatar?: string;
-  };
+  } | null; // null once the author's account has been erased
+  anonymizedAt?: string | null;
   article: string;
   parentComment?: string;
   status: CommentStatus;
@@ -19,18 +22,33 @@ export interface Comment {
   updatedAt: string;
 }
 
+export interface TrashedComment extends Pick<Comment, '_id' | 'content' | 'parentComment' | 'status' | 'createdAt'> {
+  author: { _id: string; name: string; email: string } | null;
+  article: { _id: string; title: string; slug: string; deletedAt: string | null } | null;
+  deletedAt: string;
+  deletedBy: { _id: string; name: string; email: string } | null;
+  purgeAt: string;
+}
+
+export interface RestoreCommentResponse extends CommentResponse {
+  repliesRestored: number;
+}
+
 export type CommentStatus = 'pending' | 'approved' | 'rejected' | 'spam';
 
 export interface CommentListResponse {
   success: boolean;
   data: Comment[];
-  pagination: {
-    currentPage: number;
-    totalPages: number;
-    totalComments: number;
-    hasNextPage: boolean;
-    hasPrevPage: boolean;
-  };
+  pagination:
+    | {
+        currentPage: number;
+        totalPages: number;
+        totalComments: number;
+        hasNextPage: boolean;
+        hasPrevPage: boolean;
+        nextCursor: string | null;
+      }
+    | CursorPagination;
 }
 
 export interface CommentResponse {
@@ -51,6 +69,8 @@ export interface UpdateCommentData {
 
 export interface CommentFilters {
   page?: number;
+  // nextCursor of the previous page; replaces page
+  cursor?: string;
   limit?: number;
   includeReplies?: boolean;
   status?: CommentStatus;
@@ -0,0 +1,80 @@
+export type ImageVariantFormat = 'webp' | 'avif';
+
+export interface ImageVariant {
+  format: ImageVariantFormat;
+  width: number;
+  height?: number;
+  url: string;
+}
+
+export type ImageProviderName = 'stock' | 'ai' | 'placeholder';
+
+export interface ImageAttribution {
+  provider: 'upload' | ImageProviderName;
+  externalId?: string;
+  author?: string;
+  authorUrl?: string;
+  sourceUrl?: string;
+}
+
+export interface ImageLicense {
+  name: string;
+  url?: string;
+}
+
+export interface ImageProviderStatus {
+  name: ImageProviderName;
+  available: boolean;
+}
+
+export interface MediaAsset {
+  _id: string;
+  storage: string;
+  key: string;
+  url: string;
+  hash: string;
+  originalName?: string;
+  mimeType: string;
+  size: number;
+  width: number;
+  height: number;
+  alt: string;
+  caption?: string;
+  variants: (ImageVariant & { size?: number; key: string })[];
+  attribution?: ImageAttribution | null;
+  license?: ImageLicense | null;
+  uploadedBy?: string | { _id: string; name: string } | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface UploadImageData {
+  file: File | Blob;
+  alt: string;
+  caption?: string;
+}
+
+export interface UpdateImageData {
+  alt?: string;
+  caption?: string;
+}
+
+export interface MediaAssetResponse {
+  success: boolean;
+  data: MediaAsset;
+  // True when the same file had been uploaded before
+  existing?: boolean;
+  message?: string;
+}
+
+export interface MediaAssetListResponse {
+  success: boolean;
+  data: MediaAsset[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalAssets: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
+}
@@ -0,0 +1,7 @@
+// Returned instead of page numbers when a cursor is sent; totals are not counted.
+// Pass nextCursor back as `cursor` to fetch the following page.
+export interface CursorPagination {
+  limit: number;
+  hasNextPage: boolean;
+  nextCursor: string | null;
+}
@@ -0,0 +1,132 @@
+import type { Article } from './article';
+
+export type SearchSort = 'relevance' | 'date' | 'views';
+
+export type SearchDateBucket = 'day' | 'week' | 'month' | 'year';
+
+export interface SearchFilters {
+  page?: number;
+  limit?: number;
+  sort?: SearchSort;
+  // Category slugs; subcategories are included
+  category?: string[];
+  tags?: string[];
+  // Trend sources; 'manual' covers articles without trend data
+  source?: string[];
+  date?: SearchDateBucket;
+  from?: string;
+  to?: string;
+}
+
+export interface FacetCount {
+  value: string;
+  count: number;
+}
+
+// Each facet counts matches under every filter except its own
+export interface SearchFacets {
+  categories: FacetCount[];
+  tags: FacetCount[];
+  sources: FacetCount[];
+  // Cumulative windows plus 'older' for anything past a year
+  dates: { value: SearchDateBucket | 'older'; count: number }[];
+}
+
+export type SearchHit = Pick<
+  Article,
+  '_id' | 'title' | 'slug' | 'excerpt' | 'category' | 'tags' | 'featuredImage' | 'author' | 'trendData' | 'stats' | 'publishedAt'
+> & {
+  score: number;
+  // HTML with matches wrapped in <mark>; everything else is escaped
+  highlights: {
+    title: string;
+    snippet: string;
+  };
+};
+
+// Search results are ranked, so they are paged by number only
+export interface SearchResponse {
+  success: boolean;
+  data: SearchHit[];
+  pagination: {
+    currentPage: number;
+    totalPages: number;
+    totalArticles: number;
+    hasNextPage: boolean;
+    hasPrevPage: boolean;
+  };
+  facets: SearchFacets;
+  terms: {
+    // Query terms plus the prefix and typo matches they were expanded to
+    searched: string[];
+    // Close spellings used for words that matched nothing
+    corrections: Record<string, string[]>;
+  };
+  query: string;
+  // Pass back with recordClick when a result is opened; null on later pages
+  searchId: string | null;
+}
+
+export type SuggestionType = 'article' | 'category' | 'tag' | 'trend';
+
+export interface SearchSuggestion {
+  type: SuggestionType;
+  text: string;
+  // Trend keywords have no page of their own and are searched instead
+  slug: string | null;
+}
+
+export interface SuggestResponse {
+  success: boolean;
+  // Grouped by type in the order above, most popular first within each
+  data: SearchSuggestion[];
+  query: string;
+}
+
+export interface SearchQueryStats {
+  query: string;
+  searches: number;
+  avgResults: number;
+  // Share of searches where a result was opened, 0 to 1
+  clickThroughRate: number;
+  lastSearchedAt: string;
+}
+
+export interface SearchGap {
+  query: string;
+  // Unfiltered searches that found nothing
+  searches: number;
+  lastSearchedAt: string;
+  // Article already generated from this query, if any
+  article: Pick<Article, '_id' | 'title' | 'slug' | 'status'> | null;
+}
+
+export interface TrendingSearch {
+  query: string;
+  searches: number;
+  previousSearches: number;
+  // searches divided by previousSearches (at least 1)
+  growth: number;
+}
+
+export interface SearchAnalyticsReport {
+  period: {
+    days: number;
+    from: string;
+    to: string;
+  };
+  summary: {
+    searches: number;
+    uniqueQueries: number;
+    zeroResultRate: number;
+    clickThroughRate: number;
+  };
+  topQueries: SearchQueryStats[];
+  zeroResultQueries: SearchGap[];
+  trendingQueries: TrendingSearch[];
+}
+
+export interface SearchAnalyticsResponse {
+  success: boolean;
+  data: SearchAnalyticsReport;
+}
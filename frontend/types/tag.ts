@@ -0,0 +1,64 @@
+import type { ArticleListResponse } from './article';
+
+// Entry of the public tag index
+export interface TagSummary {
+  name: string;
+  slug: string;
+  description?: string;
+  articleCount: number;
+}
+
+// Registered tags have an _id and synonyms; free tags only appear on articles
+export interface AdminTag extends TagSummary {
+  _id?: string;
+  synonyms: string[];
+  registered: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export interface Tag {
+  _id: string;
+  name: string;
+  slug: string;
+  synonyms: string[];
+  description?: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface TagIndexFilters {
+  sort?: 'count' | 'name';
+  minCount?: number;
+  limit?: number;
+}
+
+export interface CreateTagData {
+  name: string;
+  synonyms?: string[];
+  description?: string;
+}
+
+export interface UpdateTagData extends Partial<CreateTagData> {}
+
+export interface MergeTagsData {
+  sources: string[];
+  target: string;
+}
+
+export interface TagIndexResponse {
+  success: boolean;
+  data: TagSummary[];
+}
+
+export interface TagArticlesResponse extends ArticleListResponse {
+  tag: TagSummary;
+}
+
+export interface TagResponse {
+  success: boolean;
+  data: Tag;
+  // Number of articles whose tags were rewritten
+  articlesUpdated: number;
+  message?: string;
+}
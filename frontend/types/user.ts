@@ -1,3 +1,5 @@
+import type { CursorPagination } from './pagination';
+
 export interface User {
   _id: string;
   googleId?: string;
@@ -7,6 +9,9 @@ export interface User {
   role: UserRole;
   isActive: boolean;
   lastLogin: string;
+  sanctions: Sanction[];
+  moderationStatus: ModerationStatus;
+  deletion?: AccountDeletion;
   preferences: {
     emailNotifications: boolean;
     theme: 'light' | 'dark' | 'auto';
@@ -19,7 +24,93 @@ export interface User {
   updatedAt: string;
 }
 
-export type UserRole = 'user' | 'admin';
+export type UserRole = 'user' | 'author' | 'moderator' | 'editor' | 'admin';
+
+export type SanctionType = 'suspension' | 'mute' | 'ban';
+
+export type ModerationStatus = 'active' | 'muted' | 'suspended' | 'banned';
+
+export type AppealStatus = 'pending' | 'upheld' | 'overturned';
+
+export interface SanctionAppeal {
+  message: string;
+  submittedAt: string;
+  status: AppealStatus;
+  reviewedBy?: string;
+  reviewedAt?: string;
+  response?: string;
+}
+
+export interface Sanction {
+  _id: string;
+  type: SanctionType;
+  reason: string;
+  issuedBy: string;
+  issuedAt: string;
+  expiresAt: string | null;
+  liftedAt: string | null;
+  liftedBy: string | null;
+  liftReason: string | null;
+  appeal?: SanctionAppeal;
+  isActive: boolean;
+}
+
+export interface IssueSanctionData {
+  type: SanctionType;
+  reason: string;
+  durationHours?: number;
+  expiresAt?: string | null;
+}
+
+export interface SanctionResponse {
+  success: boolean;
+  data: Sanction;
+  moderationStatus?: ModerationStatus;
+  message?: string;
+}
+
+export interface AccountDeletion {
+  requestedAt: string | null;
+  scheduledFor: string | null;
+}
+
+export interface AccountDeletionResponse {
+  success: boolean;
+  data: AccountDeletion;
+  message: string;
+}
+
+export interface PendingAppeal {
+  user: Pick<User, '_id' | 'name' | 'email' | 'avatar' | 'role'>;
+  sanction: Sanction;
+}
+
+export type Permission =
+  | 'dashboard:view'
+  | 'articles:create'
+  | 'articles:edit'
+  | 'articles:edit:any'
+  | 'articles:publish'
+  | 'articles:delete'
+  | 'articles:generate'
+  | 'articles:review'
+  | 'comments:moderate'
+  | 'users:sanction'
+  | 'trends:fetch'
+  | 'redirects:manage'
+  | 'categories:manage'
+  | 'tags:manage'
+  | 'collections:manage'
+  | 'users:manage'
+  | 'roles:manage'
+  | 'audit:view';
+
+export interface RolePermissionMatrix {
+  roles: UserRole[];
+  permissions: Permission[];
+  matrix: Record<UserRole, Permission[]>;
+  defaults: Record<UserRole, Permission[]>;
+}
 
 export interface UserProfile {
   id: string;
@@ -37,13 +128,16 @@ export interface UserProfile {
 export interface UserListResponse {
   success: boolean;
   data: User[];
-  pagination: {
-    currentPage: number;
-    totalPages: number;
-    totalUsers: number;
-    hasNextPage: boolean;
-    hasPrevPage: boolean;
-  };
+  pagination:
+    | {
+        currentPage: number;
+        totalPages: number;
+        totalUsers: number;
+        hasNextPage: boolean;
+        hasPrevPage: boolean;
+        nextCursor: string | null;
+      }
+    | CursorPagination;
 }
 
 export interface UserResponse {
@@ -63,6 +157,8 @@ export interface UpdateUserData {
 
 export interface UserFilters {
   page?: number;
+  // nextCursor of the previous page; replaces page
+  cursor?: string;
   limit?: number;
   role?: UserRole;
   isActive?: boolean;
@@ -87,6 +183,7 @@ export interface AuthUser {
 export interface AuthSession {
   user: AuthUser;
   expires: string;
+  accessToken?: string;
 }
 
 export interface AuthToken {
@@ -98,6 +195,7 @@ export interface AuthToken {
   iat?: number;
   exp?: number;
   jti?: string;
+  accessToken?: string;
 }
 
 // Authentication responses